@@ -0,0 +1,114 @@
+-- Migration: 1.11.0 - Security Analysis
+-- Description: Add event types, security rules, detected security events and a processing watermark
+--              for batch security analysis of ingested log records
+-- Author: Headlog Team
+-- Date: 2025-12-16
+-- Breaking Change: No (additive only - adds new tables)
+
+-- ============================================================================
+-- Step 1: Create event_types table
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS event_types (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(50) NOT NULL UNIQUE COMMENT 'Event type name (e.g., vulnerability-probe, malicious-bot)',
+  description TEXT NULL COMMENT 'Human-readable description of the event type',
+  severity ENUM('low', 'medium', 'high', 'critical') NOT NULL DEFAULT 'medium',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_name (name),
+  INDEX idx_severity (severity)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='User-defined classification of security events';
+
+-- ============================================================================
+-- Step 2: Create security_rules table
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS security_rules (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(100) NOT NULL UNIQUE COMMENT 'Rule name (e.g., backdoor-shells)',
+  source ENUM('user-defined', 'fail2ban') NOT NULL DEFAULT 'user-defined' COMMENT 'Where the rule came from',
+  log_type ENUM('access', 'error') NOT NULL COMMENT 'Log type the rule applies to',
+  event_type_id INT UNSIGNED NOT NULL COMMENT 'Event type raised when the rule matches',
+  trigger_pattern TEXT NOT NULL COMMENT 'Regular expression matched against the reconstructed log line',
+  description TEXT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  INDEX idx_log_type_enabled (log_type, enabled),
+  INDEX idx_event_type_id (event_type_id),
+  INDEX idx_source (source),
+
+  FOREIGN KEY (event_type_id) REFERENCES event_types(id) ON DELETE RESTRICT
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Regex rules applied to log records by the security analyzer';
+
+-- ============================================================================
+-- Step 3: Create security_events table
+-- ============================================================================
+-- Website, host, remote and timestamp are copied from the log record so that
+-- events remain meaningful after the record itself is purged by retention.
+CREATE TABLE IF NOT EXISTS security_events (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  log_record_id BIGINT UNSIGNED NOT NULL COMMENT 'Log record that triggered the event (not a foreign key - records are purged)',
+  event_type_id INT UNSIGNED NOT NULL COMMENT 'Highest severity event type among the matched rules',
+  website_id INT UNSIGNED NOT NULL,
+  host_id SMALLINT UNSIGNED NULL,
+  log_type ENUM('access', 'error') NOT NULL,
+  remote VARCHAR(45) NULL COMMENT 'Client IP address (IPv4 or IPv6)',
+  log_timestamp DATETIME NOT NULL COMMENT 'Timestamp of the original log record',
+  matched_rules JSON NOT NULL COMMENT 'Names of all rules that matched the record',
+  excerpt VARCHAR(1000) NULL COMMENT 'Portion of the log line that matched the primary rule',
+  detected_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_log_record (log_record_id),
+  INDEX idx_event_type_id (event_type_id),
+  INDEX idx_website_id (website_id),
+  INDEX idx_host_id (host_id),
+  INDEX idx_remote (remote),
+  INDEX idx_log_timestamp (log_timestamp),
+  INDEX idx_detected_at (detected_at),
+
+  FOREIGN KEY (event_type_id) REFERENCES event_types(id) ON DELETE RESTRICT,
+  FOREIGN KEY (website_id) REFERENCES websites(id) ON DELETE CASCADE,
+  FOREIGN KEY (host_id) REFERENCES hosts(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Security violations detected by the analyzer (at most one per log record)';
+
+-- ============================================================================
+-- Step 4: Create processing_watermark table
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS processing_watermark (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  processor_name VARCHAR(100) NOT NULL UNIQUE COMMENT 'Background processor this watermark belongs to',
+  last_processed_id BIGINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Highest log_records.id already processed',
+  last_run_at TIMESTAMP NULL DEFAULT NULL,
+  records_processed BIGINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Running total of records processed',
+  events_found BIGINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Running total of events created'
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='High-water marks for background processors that scan log_records';
+
+-- ============================================================================
+-- Step 5: Initialise the security analyzer watermark
+-- ============================================================================
+-- Start from the current end of log_records so existing history is not
+-- analysed in one huge first run. Reset the watermark to re-analyse old data.
+INSERT IGNORE INTO processing_watermark (processor_name, last_processed_id)
+SELECT 'security-analyzer', COALESCE(MAX(id), 0) FROM log_records;
+
+-- ============================================================================
+-- Notes
+-- ============================================================================
+-- 1. Event types are not seeded - each deployment defines its own taxonomy.
+--    See dev-notes/batch-log-processing.md for suggested starter sets.
+--
+-- 2. Rule matching:
+--    - Rules are regular expressions matched against the record reconstructed
+--      as an Apache log line (combined format for access, error format for error)
+--    - One log record produces at most one event; when several rules match,
+--      the event takes the highest severity event type and lists every rule
+--
+-- 3. Watermark:
+--    - The analyzer only reads log_records with id > last_processed_id
+--    - Records are never analysed twice unless the watermark is reset
@@ -0,0 +1,33 @@
+-- Migration: 1.11.1 - Fail2ban Rule Import
+-- Description: Add ignore patterns and source file tracking to security_rules for fail2ban imports
+-- Author: Headlog Team
+-- Date: 2025-12-16
+-- Breaking Change: No (additive only)
+
+-- ============================================================================
+-- Step 1: Add ignore_pattern column
+-- ============================================================================
+-- A record that matches the trigger pattern but also matches the ignore
+-- pattern does not raise an event (fail2ban ignoreregex semantics)
+ALTER TABLE security_rules
+  ADD COLUMN ignore_pattern TEXT NULL
+    COMMENT 'Regular expression that suppresses a trigger match'
+    AFTER trigger_pattern;
+
+-- ============================================================================
+-- Step 2: Add source_file column
+-- ============================================================================
+ALTER TABLE security_rules
+  ADD COLUMN source_file VARCHAR(255) NULL
+    COMMENT 'Filter file the rule was imported from (fail2ban rules only)'
+    AFTER source,
+  ADD INDEX idx_source_file (source_file);
+
+-- ============================================================================
+-- Notes
+-- ============================================================================
+-- 1. Rules with source = 'fail2ban' are read-only in headlog. They are
+--    created and updated by: bin/headlog rules:import-fail2ban <dir>
+--
+-- 2. Re-importing a filter updates its rules in place (matched by name) and
+--    removes rules for failregex lines that no longer exist in the filter.
@@ -0,0 +1,32 @@
+-- Migration: 1.11.10 - Record Fingerprints
+-- Description: Per-record content fingerprints so retried records are stored only once
+-- Author: Headlog Team
+-- Date: 2025-12-24
+-- Breaking Change: No (additive only)
+
+-- ============================================================================
+-- Step 1: Create record_fingerprints table
+-- ============================================================================
+-- Written by logService.ingestLogs when DEDUPLICATE_RECORDS is enabled. The
+-- fingerprint is the first 128 bits of the SHA-256 of a record's host,
+-- source_file, timestamp and content (see src/services/recordFingerprintService.js).
+-- Fingerprints are claimed with INSERT IGNORE in the same transaction as the
+-- log_records insert; a record whose fingerprint is already present is skipped.
+-- batch_token tells the claiming batch which fingerprints it inserted.
+CREATE TABLE IF NOT EXISTS record_fingerprints (
+  fingerprint BINARY(16) NOT NULL PRIMARY KEY COMMENT 'Truncated SHA-256 of the record',
+  batch_token BINARY(16) NOT NULL COMMENT 'Random token of the batch that stored the record',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  INDEX idx_created_at (created_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Fingerprints of recently stored log records, for deduplication';
+
+-- ============================================================================
+-- Notes
+-- ============================================================================
+-- 1. Housekeeping deletes fingerprints older than DEDUPLICATION_WINDOW_HOURS
+--    every hour, so a duplicate is recognised for at least the window.
+--
+-- 2. Records stored while DEDUPLICATE_RECORDS was disabled have no
+--    fingerprint and are never matched.
@@ -0,0 +1,29 @@
+-- Migration: 1.11.11 - API Key Restrictions
+-- Description: Per-key IP allowlists; scopes and expiry use the existing permissions / expires_at columns
+-- Author: Headlog Team
+-- Date: 2025-12-25
+-- Breaking Change: No (existing keys stay unrestricted)
+
+-- ============================================================================
+-- Step 1: Add allowed_ips to api_keys
+-- ============================================================================
+-- JSON array of addresses and CIDR blocks the key may be used from, e.g.
+-- ["192.0.2.0/24", "2001:db8::1"]. NULL allows any address. Enforced by the
+-- HTTP API and the Fluent Forward listener (see src/services/apiKeyService.js).
+ALTER TABLE api_keys
+  ADD COLUMN allowed_ips JSON NULL DEFAULT NULL
+    COMMENT 'JSON array of addresses / CIDR blocks the key may be used from (NULL: any)'
+    AFTER expires_at;
+
+-- ============================================================================
+-- Notes
+-- ============================================================================
+-- 1. Scopes are stored in the existing permissions column as a JSON array of
+--    logs:write, logs:read, websites:read and websites:write. NULL grants all
+--    scopes, so keys created before this migration keep full access.
+--
+-- 2. Keys past expires_at are refused (401). Keys used from an address
+--    outside allowed_ips are refused (403).
+--
+-- 3. Restrictions are set when a key is created:
+--    headlog keys:create --scope logs:write --expires 365d --allow-ip 192.0.2.0/24
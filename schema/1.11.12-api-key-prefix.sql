@@ -0,0 +1,31 @@
+-- Migration: 1.11.12 - API Key Prefix
+-- Description: Public key prefix so authentication looks up one api_keys row instead of bcrypt-comparing every key
+-- Author: Headlog Team
+-- Date: 2025-12-26
+-- Breaking Change: No (existing 40-character keys keep working)
+
+-- ============================================================================
+-- Step 1: Add key_prefix to api_keys
+-- ============================================================================
+-- New keys have the form hl_<prefix>_<secret>. The 8-character prefix is
+-- stored in clear, so authentication finds the key's row by prefix and runs
+-- a single bcrypt comparison (see src/services/apiKeyService.js).
+-- Case-sensitive (ascii_bin): prefixes differing only in case are distinct.
+ALTER TABLE api_keys
+  ADD COLUMN key_prefix VARCHAR(8) CHARACTER SET ascii COLLATE ascii_bin NULL DEFAULT NULL
+    COMMENT 'Public key prefix used for lookup (NULL: legacy key not used since 1.11.12)'
+    AFTER `key`,
+  ADD UNIQUE INDEX idx_key_prefix (key_prefix);
+
+-- ============================================================================
+-- Notes
+-- ============================================================================
+-- 1. Legacy 40-character keys cannot be given a prefix here, because only
+--    their bcrypt hashes are stored. The first time a legacy key is used it
+--    is found the old way (comparing against keys without a prefix) and its
+--    first 8 characters are stored as its prefix; later requests use the
+--    prefix lookup. Clients keep using the same key.
+--
+-- 2. Until every legacy key has been used once, a request with an unknown
+--    40-character key is still compared against the remaining legacy keys.
+--    Legacy keys that are no longer needed can be deleted with keys:delete.
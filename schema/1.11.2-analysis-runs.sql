@@ -0,0 +1,65 @@
+-- Migration: 1.11.2 - Analysis Runs
+-- Description: Track security analysis runs and the external tools invoked for each run
+-- Author: Headlog Team
+-- Date: 2025-12-17
+-- Breaking Change: No (additive only)
+
+-- ============================================================================
+-- Step 1: Create analysis_runs table
+-- ============================================================================
+CREATE TABLE IF NOT EXISTS analysis_runs (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  batch_id VARCHAR(64) NOT NULL UNIQUE COMMENT 'Run identifier passed to tools (e.g., 20251217-090000-a1b2c3)',
+  status ENUM('running', 'completed', 'failed') NOT NULL DEFAULT 'running',
+  first_record_id BIGINT UNSIGNED NULL COMMENT 'First log_records.id analysed in this run',
+  last_record_id BIGINT UNSIGNED NULL COMMENT 'Last log_records.id analysed in this run',
+  records_scanned INT UNSIGNED NOT NULL DEFAULT 0,
+  events_created INT UNSIGNED NOT NULL DEFAULT 0,
+  rules_applied INT UNSIGNED NOT NULL DEFAULT 0,
+  error_message TEXT NULL,
+  started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP NULL DEFAULT NULL,
+
+  INDEX idx_status (status),
+  INDEX idx_started_at (started_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Security analysis runs that scanned at least one log record';
+
+-- ============================================================================
+-- Step 2: Create analysis_tool_executions table
+-- ============================================================================
+-- Only the tool name is stored. Commands are read from the tools config file
+-- at dispatch time and are never taken from the database.
+CREATE TABLE IF NOT EXISTS analysis_tool_executions (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  analysis_run_id BIGINT UNSIGNED NOT NULL,
+  tool_name VARCHAR(100) NOT NULL COMMENT 'Tool name from the tools config file',
+  tool_type ENUM('batch', 'violation') NOT NULL,
+  event_type VARCHAR(50) NULL COMMENT 'Event type dispatched (violation processors only)',
+  violation_count INT UNSIGNED NOT NULL DEFAULT 0,
+  status ENUM('success', 'failed', 'timeout', 'output_limit', 'spawn_error') NOT NULL,
+  exit_code INT NULL,
+  exit_signal VARCHAR(20) NULL COMMENT 'Signal that terminated the tool, if any',
+  duration_ms INT UNSIGNED NOT NULL DEFAULT 0,
+  stdout_bytes INT UNSIGNED NOT NULL DEFAULT 0,
+  stderr TEXT NULL COMMENT 'Captured stderr (truncated)',
+  executed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  INDEX idx_analysis_run_id (analysis_run_id),
+  INDEX idx_tool_name (tool_name),
+  INDEX idx_status (status),
+  INDEX idx_executed_at (executed_at),
+
+  FOREIGN KEY (analysis_run_id) REFERENCES analysis_runs(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='External tool invocations per analysis run';
+
+-- ============================================================================
+-- Step 3: Link security events to the run that detected them
+-- ============================================================================
+ALTER TABLE security_events
+  ADD COLUMN analysis_run_id BIGINT UNSIGNED NULL
+    COMMENT 'Analysis run that detected the event'
+    AFTER id,
+  ADD INDEX idx_analysis_run_id (analysis_run_id),
+  ADD FOREIGN KEY (analysis_run_id) REFERENCES analysis_runs(id) ON DELETE SET NULL;
@@ -0,0 +1,41 @@
+-- Migration: 1.11.3 - Host IP Addresses
+-- Description: Register IP addresses and CIDR blocks per host so our own traffic can be excluded
+-- Author: Headlog Team
+-- Date: 2025-12-18
+-- Breaking Change: No (additive only)
+
+-- ============================================================================
+-- Step 1: Create ip_addresses table
+-- ============================================================================
+-- range_start/range_end hold the first and last address of the block in
+-- INET6_ATON() form (4 bytes for IPv4, 16 bytes for IPv6), so a remote IP can
+-- be matched with: INET6_ATON(remote) BETWEEN range_start AND range_end
+CREATE TABLE IF NOT EXISTS ip_addresses (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  host_id SMALLINT UNSIGNED NOT NULL,
+  address VARCHAR(45) NOT NULL COMMENT 'Network address (host bits cleared)',
+  prefix_length TINYINT UNSIGNED NOT NULL COMMENT '32/128 for a single address',
+  ip_version TINYINT UNSIGNED NOT NULL COMMENT '4 or 6',
+  range_start VARBINARY(16) NOT NULL COMMENT 'First address in the block (binary)',
+  range_end VARBINARY(16) NOT NULL COMMENT 'Last address in the block (binary)',
+  description VARCHAR(255) NULL COMMENT 'e.g., Public IPv4, Uptime monitor',
+  created_by BIGINT UNSIGNED NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+  UNIQUE KEY unique_host_block (host_id, address, prefix_length),
+  INDEX idx_range (range_start, range_end),
+
+  FOREIGN KEY (host_id) REFERENCES hosts(id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='IP addresses and CIDR blocks belonging to our own hosts';
+
+-- ============================================================================
+-- Notes
+-- ============================================================================
+-- 1. Registered addresses are "our own": the security analyzer skips records
+--    from them, and the Log Explorer / GET /api/logs can hide them
+--    (exclude_own=true). Loopback (127.0.0.0/8, ::1) is always treated as own.
+--
+-- 2. Monitoring probes and other trusted sources can be registered against
+--    the host they monitor.
@@ -0,0 +1,29 @@
+-- Migration: 1.11.4 - Security Event Review
+-- Description: Track acknowledge/dismiss review status on security events
+-- Author: Headlog Team
+-- Date: 2025-12-18
+-- Breaking Change: No (additive only)
+
+-- ============================================================================
+-- Step 1: Add review columns to security_events
+-- ============================================================================
+-- new          - Not yet reviewed
+-- acknowledged - Reviewed and accepted as a real issue
+-- dismissed    - Reviewed and judged a false positive or not actionable
+ALTER TABLE security_events
+  ADD COLUMN status ENUM('new', 'acknowledged', 'dismissed') NOT NULL DEFAULT 'new'
+    COMMENT 'Review status'
+    AFTER excerpt,
+  ADD COLUMN reviewed_by BIGINT UNSIGNED NULL
+    COMMENT 'User who acknowledged or dismissed the event'
+    AFTER status,
+  ADD COLUMN reviewed_at TIMESTAMP NULL DEFAULT NULL
+    AFTER reviewed_by,
+  ADD INDEX idx_status (status),
+  ADD FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL;
+
+-- ============================================================================
+-- Notes
+-- ============================================================================
+-- 1. Review actions are made in the web UI (/security/events) and require the
+--    security-events:write capability. Each action is written to the audit log.
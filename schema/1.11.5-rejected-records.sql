@@ -0,0 +1,41 @@
+-- Migration: 1.11.5 - Rejected Records
+-- Description: Quarantine ingested records that could not be stored, so they can be replayed
+-- Author: Headlog Team
+-- Date: 2025-12-19
+-- Breaking Change: No (additive only)
+
+-- ============================================================================
+-- Step 1: Create rejected_records table
+-- ============================================================================
+-- reason is a short code set by logService.ingestLogs:
+--   invalid_record   - Not a JSON object
+--   missing_host     - No host field
+--   unmatched_path   - source_file matched no path pattern (catch-all website disabled)
+--   processing_error - Failed while resolving the website, host or HTTP code
+CREATE TABLE IF NOT EXISTS rejected_records (
+  id BIGINT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  reason VARCHAR(32) NOT NULL COMMENT 'Rejection reason code',
+  detail VARCHAR(500) NULL COMMENT 'Error message or offending value',
+  api_key_id INT UNSIGNED NULL COMMENT 'API key that submitted the record',
+  host VARCHAR(255) NULL COMMENT 'host field of the record, if any',
+  source_file VARCHAR(500) NULL COMMENT 'source_file field of the record, if any',
+  raw_data JSON NOT NULL COMMENT 'Complete record as received',
+  received_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  replay_count SMALLINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Replays that rejected the record again',
+  last_replayed_at TIMESTAMP NULL DEFAULT NULL,
+
+  INDEX idx_reason_received (reason, received_at),
+  INDEX idx_received_at (received_at),
+
+  FOREIGN KEY (api_key_id) REFERENCES api_keys(id) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Ingested records that were rejected, kept for inspection and replay';
+
+-- ============================================================================
+-- Notes
+-- ============================================================================
+-- 1. Records are browsed in the web UI (/rejected) or via GET /api/logs/rejected.
+--    Replaying runs them through ingestLogs again; records that are accepted are
+--    removed from this table, the rest stay with their new reason.
+--
+-- 2. Rejected records are purged by housekeeping after LOG_RETENTION_DAYS.
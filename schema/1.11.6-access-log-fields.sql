@@ -0,0 +1,60 @@
+-- Migration: 1.11.6 - Structured Access Log Fields
+-- Description: Store method, path hash, user agent and response size of access records in indexed columns
+-- Author: Headlog Team
+-- Date: 2025-12-20
+-- Breaking Change: No (additive only)
+
+-- ============================================================================
+-- Step 1: Create user_agents lookup table
+-- ============================================================================
+-- User agents are too long for a unique index, so they are unique by MD5 hash
+-- (computed by the application, see src/utils/accessFields.js)
+CREATE TABLE IF NOT EXISTS user_agents (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY COMMENT 'User agent ID',
+  agent_hash BINARY(16) NOT NULL UNIQUE COMMENT 'MD5 of user_agent',
+  user_agent VARCHAR(1000) NOT NULL COMMENT 'User agent from access records (truncated to 1000 chars)',
+  first_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Distinct user agents seen in access logs';
+
+-- ============================================================================
+-- Step 2: Add structured field columns to log_records
+-- ============================================================================
+-- NULL for error records, and for access records until the backfill reaches them
+ALTER TABLE log_records
+  ADD COLUMN method ENUM('GET', 'HEAD', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS', 'CONNECT',
+    'TRACE', 'PROPFIND', 'OTHER') NULL DEFAULT NULL COMMENT 'Request method (access logs)',
+  ADD COLUMN path_hash BINARY(16) NULL DEFAULT NULL
+    COMMENT 'MD5 of the normalised request path, without the query string',
+  ADD COLUMN user_agent_id INT UNSIGNED NULL DEFAULT NULL COMMENT 'Foreign key to user_agents.id',
+  ADD COLUMN response_bytes INT UNSIGNED NULL DEFAULT NULL COMMENT 'Response size in bytes';
+
+-- ============================================================================
+-- Step 3: Add indexes for Log Explorer filters
+-- ============================================================================
+ALTER TABLE log_records
+  ADD INDEX idx_path_hash (path_hash, timestamp),
+  ADD INDEX idx_user_agent_id (user_agent_id, timestamp),
+  ADD INDEX idx_method (method, timestamp);
+
+-- ============================================================================
+-- Step 4: Initialise the backfill watermark
+-- ============================================================================
+-- New records get the columns at ingestion. Existing access records are filled
+-- in by the access-field-backfill housekeeping task, which walks DOWN from the
+-- current end of log_records: for this processor, last_processed_id is the
+-- highest id still to be backfilled (0 when done).
+INSERT IGNORE INTO processing_watermark (processor_name, last_processed_id)
+SELECT 'access-field-backfill', COALESCE(MAX(id), 0) FROM log_records;
+
+-- ============================================================================
+-- Notes
+-- ============================================================================
+-- 1. There is no foreign key from log_records.user_agent_id: adding one would
+--    force a copy of log_records on large installations. User agents are never
+--    deleted, so the reference cannot dangle.
+--
+-- 2. Filters on these columns (method, path, agent) only match access records
+--    that have been backfilled. Progress is logged by housekeeping; the
+--    backfill is complete once the watermark reaches 0:
+--    SELECT * FROM processing_watermark WHERE processor_name = 'access-field-backfill';
@@ -0,0 +1,45 @@
+-- Migration: 1.11.7 - Structured Error Log Fields
+-- Description: Store level, module, AH error code and pid of Apache error records in indexed columns
+-- Author: Headlog Team
+-- Date: 2025-12-21
+-- Breaking Change: No (additive only)
+
+-- ============================================================================
+-- Step 1: Add error field columns to log_records
+-- ============================================================================
+-- Parsed from the Apache 2.4 error format (see src/utils/apacheErrorLog.js):
+--   [time] [module:level] [pid N:tid N] [client ip:port] AH01071: message
+-- The client address goes into the existing remote column.
+-- NULL for access records.
+ALTER TABLE log_records
+  ADD COLUMN error_level ENUM('emerg', 'alert', 'crit', 'error', 'warn', 'notice', 'info', 'debug',
+    'trace') NULL DEFAULT NULL COMMENT 'Error log level (trace1-8 stored as trace)',
+  ADD COLUMN error_module VARCHAR(32) NULL DEFAULT NULL COMMENT 'Apache module, e.g. proxy_fcgi',
+  ADD COLUMN error_code CHAR(7) NULL DEFAULT NULL COMMENT 'Apache error code, e.g. AH01071',
+  ADD COLUMN error_pid INT UNSIGNED NULL DEFAULT NULL COMMENT 'Process ID that logged the error';
+
+-- ============================================================================
+-- Step 2: Add indexes for Log Explorer severity filter and AH code grouping
+-- ============================================================================
+ALTER TABLE log_records
+  ADD INDEX idx_error_level (error_level, timestamp),
+  ADD INDEX idx_error_code (error_code, timestamp);
+
+-- ============================================================================
+-- Step 3: Restart the structured field backfill
+-- ============================================================================
+-- The access-field-backfill task fills these columns for existing error
+-- records as well. Start it again from the current end of log_records
+-- (access records it has already done are simply rewritten).
+UPDATE processing_watermark
+SET last_processed_id = (SELECT COALESCE(MAX(id), 0) FROM log_records)
+WHERE processor_name = 'access-field-backfill';
+
+-- ============================================================================
+-- Notes
+-- ============================================================================
+-- 1. Filtering by severity matches the chosen level and everything more severe
+--    (severity=error finds emerg, alert, crit and error records).
+--
+-- 2. Error records sent without a level, or in another server's format, keep
+--    NULL in these columns and are only found by the raw_data search.
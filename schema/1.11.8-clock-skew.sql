@@ -0,0 +1,54 @@
+-- Migration: 1.11.8 - Timestamp Normalisation and Clock Skew
+-- Description: Flag records with implausible timestamps and keep hourly per-host clock skew statistics
+-- Author: Headlog Team
+-- Date: 2025-12-22
+-- Breaking Change: No (additive only)
+
+-- ============================================================================
+-- Step 1: Add timestamp flag to log_records
+-- ============================================================================
+-- Set at ingestion by the timestamp normaliser (see src/utils/logTimestamp.js):
+--   future      - more than TIMESTAMP_MAX_FUTURE_SECONDS ahead, stored at receive time
+--   past        - more than TIMESTAMP_MAX_PAST_DAYS old, stored at its own time
+--   unparseable - timestamp in an unknown format, stored at receive time
+-- NULL for records with a plausible timestamp (and all existing records)
+ALTER TABLE log_records
+  ADD COLUMN timestamp_flag ENUM('future', 'past', 'unparseable') NULL DEFAULT NULL
+    COMMENT 'Why the record timestamp is suspect';
+
+-- ============================================================================
+-- Step 2: Create host_clock_skew table
+-- ============================================================================
+-- One row per host per hour of receipt. Skew is receive time minus event time
+-- in seconds: shipping delay plus the host's clock error. A negative skew
+-- means the host clock runs ahead of the server.
+-- Only unflagged records contribute to samples and the skew columns; flagged
+-- records are counted separately.
+CREATE TABLE IF NOT EXISTS host_clock_skew (
+  host_id SMALLINT UNSIGNED NOT NULL COMMENT 'Foreign key to hosts.id',
+  period_start DATETIME NOT NULL COMMENT 'Start of the hour the records were received',
+  samples INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Records with a plausible timestamp',
+  skew_sum BIGINT NOT NULL DEFAULT 0 COMMENT 'Sum of skew in seconds (for the average)',
+  skew_min INT NOT NULL DEFAULT 0 COMMENT 'Smallest skew in seconds',
+  skew_max INT NOT NULL DEFAULT 0 COMMENT 'Largest skew in seconds',
+  future_count INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Records flagged future',
+  past_count INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Records flagged past',
+  unparseable_count INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Records flagged unparseable',
+
+  PRIMARY KEY (host_id, period_start),
+  INDEX idx_period_start (period_start),
+
+  CONSTRAINT fk_host_clock_skew_host FOREIGN KEY (host_id) REFERENCES hosts(id) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Hourly clock skew statistics per host';
+
+-- ============================================================================
+-- Notes
+-- ============================================================================
+-- 1. Timestamps without an offset (Apache error logs, ISO times without a
+--    zone) are read as UTC. Hosts logging in local time show a skew of their
+--    UTC offset; configure Fluent Bit to send log_timestamp with an offset.
+--
+-- 2. Statistics are recorded for records received directly from Fluent Bit,
+--    not for upstream batches (already skewed by buffering) or quarantine
+--    replays. Rows older than LOG_RETENTION_DAYS are purged by housekeeping.
@@ -0,0 +1,40 @@
+-- Migration: 1.11.9 - Log File Imports
+-- Description: Track historical log file imports so they can resume and are not imported twice
+-- Author: Headlog Team
+-- Date: 2025-12-23
+-- Breaking Change: No (additive only)
+
+-- ============================================================================
+-- Step 1: Create log_imports table
+-- ============================================================================
+-- One row per imported file and target, written by `headlog logs:import`.
+-- A file is identified by the SHA-256 of the target (website, host, log type)
+-- and its first line, so the same file is recognised after rotation, renaming
+-- or compression. bytes_done is the uncompressed offset up to which lines have
+-- been stored; a later import of the file continues from there.
+CREATE TABLE IF NOT EXISTS log_imports (
+  id INT UNSIGNED AUTO_INCREMENT PRIMARY KEY,
+  fingerprint BINARY(32) NOT NULL COMMENT 'SHA-256 of the target and the first line',
+  file_path VARCHAR(1024) NOT NULL COMMENT 'Path of the most recent import',
+  website VARCHAR(255) NULL COMMENT 'Website domain given to the import (NULL: from each line)',
+  host VARCHAR(255) NOT NULL COMMENT 'Host given to the import',
+  log_type ENUM('access', 'error') NULL COMMENT 'Log type given to the import (NULL: detected)',
+  bytes_done BIGINT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Uncompressed bytes imported',
+  lines_done INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Non-blank lines imported',
+  records_stored INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Lines stored as log records',
+  records_rejected INT UNSIGNED NOT NULL DEFAULT 0 COMMENT 'Lines quarantined as rejected records',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+
+  UNIQUE KEY uk_fingerprint (fingerprint)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+COMMENT='Progress of historical log file imports';
+
+-- ============================================================================
+-- Notes
+-- ============================================================================
+-- 1. Progress is saved in the transaction that stores each batch, so an
+--    import stopped at any point resumes after the last batch stored.
+--
+-- 2. Deleting a row makes the next import of that file start from the
+--    beginning (and store its lines again).
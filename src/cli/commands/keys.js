@@ -8,6 +8,29 @@ const bcrypt = require('bcrypt');
 const Table = require('cli-table3');
 const { getPool, initDatabase, closeDatabase } = require('../../config/database');
 const { generateApiKey } = require('../../utils/generateApiKey');
+const { deriveSharedKey } = require('../../services/forwardService');
+const {
+  API_KEY_SCOPES,
+  parseScopes,
+  parseAllowedIps,
+  parseExpiry,
+  toApiKey
+} = require('../../services/apiKeyService');
+
+/**
+ * Describe a key's restrictions for display
+ * @param {Object} row - api_keys row
+ * @returns {Object} { scopes, expires, allowedIps } as text
+ */
+function describeRestrictions(row) {
+  const apiKey = toApiKey(row);
+
+  return {
+    scopes: apiKey.scopes ? apiKey.scopes.join(', ') : 'all',
+    expires: apiKey.expiresAt ? apiKey.expiresAt.toISOString().substring(0, 19).replace('T', ' ') : 'Never',
+    allowedIps: apiKey.allowedIps ? apiKey.allowedIps.join(', ') : 'any'
+  };
+}
 
 module.exports = function(program) {
   // ============================================================================
@@ -17,26 +40,49 @@ module.exports = function(program) {
     .command('keys:create')
     .description('Generate and store a new API key')
     .option('-d, --description <description>', 'Description for the API key')
+    .option('-s, --scope <scopes>', `Comma-separated scopes (${API_KEY_SCOPES.join(', ')}; default: all)`)
+    .option('-e, --expires <when>', 'Expiry: duration (e.g. 90d, 12h, 4w) or date (e.g. 2026-06-30)')
+    .option('--allow-ip <cidrs>', 'Comma-separated IP addresses / CIDR blocks the key may be used from')
     .action(async options => {
       try {
+        const scopes = options.scope !== undefined ? parseScopes(options.scope) : null;
+        const expiresAt = options.expires !== undefined ? parseExpiry(options.expires) : null;
+        const allowedIps = options.allowIp !== undefined ? parseAllowedIps(options.allowIp) : null;
+
         await initDatabase();
         const pool = getPool();
 
-        const key = generateApiKey();
+        const { key, prefix } = generateApiKey();
         const description = options.description || null;
 
         // Hash the key before storing (bcrypt with 10 rounds)
         const keyHash = await bcrypt.hash(key, 10);
 
-        const [result] = await pool.query('INSERT INTO api_keys (`key`, description) VALUES (?, ?)', [
-          keyHash,
-          description
-        ]);
+        const [result] = await pool.query(
+          'INSERT INTO api_keys (`key`, key_prefix, description, permissions, expires_at, allowed_ips) VALUES (?, ?, ?, ?, ?, ?)',
+          [
+            keyHash,
+            prefix,
+            description,
+            scopes ? JSON.stringify(scopes) : null,
+            expiresAt,
+            allowedIps ? JSON.stringify(allowedIps) : null
+          ]
+        );
+
+        const restrictions = describeRestrictions({
+          permissions: scopes,
+          expires_at: expiresAt,
+          allowed_ips: allowedIps
+        });
 
         console.log('\n✓ API Key created successfully!\n');
         console.log(`  ID:          ${result.insertId}`);
         console.log(`  Key:         ${key}`);
         console.log(`  Description: ${description || '(none)'}`);
+        console.log(`  Scopes:      ${restrictions.scopes}`);
+        console.log(`  Expires:     ${restrictions.expires}`);
+        console.log(`  Allowed IPs: ${restrictions.allowedIps}`);
         console.log('  Status:      Active\n');
         console.log('⚠️  Save this key securely - it cannot be retrieved again!\n');
 
@@ -72,19 +118,24 @@ module.exports = function(program) {
           console.log('\nNo API keys found.\n');
         } else {
           const table = new Table({
-            head: ['ID', 'Status', 'Description', 'Last Used', 'Created'],
-            colWidths: [6, 10, 30, 21, 13]
+            head: ['ID', 'Status', 'Description', 'Scopes', 'Last Used', 'Created'],
+            colWidths: [6, 10, 30, 24, 21, 13]
           });
 
           rows.forEach(row => {
-            const status = row.is_active ? 'Active' : 'Inactive';
+            const apiKey = toApiKey(row);
+            let status = row.is_active ? 'Active' : 'Inactive';
+            if (row.is_active && apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+              status = 'Expired';
+            }
+            const scopes = describeRestrictions(row).scopes.substring(0, 21);
             const description = (row.description || '').substring(0, 27);
             const lastUsed = row.last_used_at
               ? new Date(row.last_used_at).toISOString().substring(0, 19).replace('T', ' ')
               : 'Never';
             const created = new Date(row.created_at).toISOString().substring(0, 10);
 
-            table.push([row.id, status, description, lastUsed, created]);
+            table.push([row.id, status, description, scopes, lastUsed, created]);
           });
 
           console.log(`\nFound ${rows.length} API key(s):\n`);
@@ -198,15 +249,21 @@ module.exports = function(program) {
           console.log(`\n✗ API key with ID ${keyId} not found.\n`);
         } else {
           const key = rows[0];
+          const restrictions = describeRestrictions(key);
           console.log('\n API Key Statistics:\n');
           console.log(`  ID:          ${key.id}`);
           console.log(`  Key:         ...${key.key.slice(-8)}`);
+          console.log(`  Prefix:      ${key.key_prefix ? `hl_${key.key_prefix}` : '(legacy key, set on next use)'}`);
           console.log(`  Description: ${key.description || '(none)'}`);
           console.log(`  Status:      ${key.is_active ? 'Active' : 'Inactive'}`);
+          console.log(`  Scopes:      ${restrictions.scopes}`);
+          console.log(`  Expires:     ${restrictions.expires}`);
+          console.log(`  Allowed IPs: ${restrictions.allowedIps}`);
           console.log(`  Created:     ${new Date(key.created_at).toISOString()}`);
           console.log(
             `  Last Used:   ${key.last_used_at ? new Date(key.last_used_at).toISOString() : 'Never'}`
           );
+          console.log(`  Last IP:     ${key.last_used_ip || '-'}`);
           console.log('');
         }
 
@@ -217,4 +274,47 @@ module.exports = function(program) {
         process.exit(1);
       }
     });
+
+  // ============================================================================
+  // keys:forward-key - Show the Fluent Forward shared key for a key
+  // ============================================================================
+  program
+    .command('keys:forward-key <keyId>')
+    .description('Show the Fluent Forward shared key for an API key (requires FORWARD_SECRET)')
+    .action(async keyId => {
+      try {
+        await initDatabase();
+        const pool = getPool();
+
+        const [rows] = await pool.query('SELECT id, `key`, is_active FROM api_keys WHERE id = ?', [
+          keyId
+        ]);
+
+        if (rows.length === 0) {
+          console.log(`\n✗ API key with ID ${keyId} not found.\n`);
+        } else {
+          const sharedKey = deriveSharedKey(rows[0]);
+          console.log(`\n✓ Forward shared key for API key ${keyId}:\n`);
+          console.log(`  ${sharedKey}\n`);
+          if (!rows[0].is_active) {
+            console.log('  ⚠️  This key is inactive; activate it before use.\n');
+          }
+          console.log('  Fluent Bit output:\n');
+          console.log('    [OUTPUT]');
+          console.log('        Name          forward');
+          console.log('        Match         *');
+          console.log('        Host          headlog.example.com');
+          console.log('        Port          24224');
+          console.log(`        Shared_Key    ${sharedKey}`);
+          console.log('        Self_Hostname web01');
+          console.log('        Require_ack_response True\n');
+        }
+
+        await closeDatabase();
+        process.exit(0);
+      } catch (error) {
+        console.error('✗ Error deriving forward shared key:', error.message);
+        process.exit(1);
+      }
+    });
 };
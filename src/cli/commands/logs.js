@@ -0,0 +1,149 @@
+/**
+ * Log Management Commands
+ *
+ * Commands for importing historical log files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { initDatabase, closeDatabase } = require('../../config/database');
+const { IMPORT_BATCH_SIZE, importLogFile } = require('../../services/logImportService');
+const { flushWebsiteActivity } = require('../../services/websiteService');
+const { isValidDomain } = require('../../utils/extractDomain');
+
+/**
+ * Expand file arguments, including quoted wildcards the shell did not expand
+ * Wildcards (* and ?) are supported in the file name, not in directories.
+ * @param {Array<string>} patterns - File paths or patterns
+ * @returns {Array<string>} Matching files, in name order per pattern
+ */
+function expandFilePatterns(patterns) {
+  const files = [];
+
+  for (const pattern of patterns) {
+    const name = path.basename(pattern);
+
+    if (!/[*?]/.test(name)) {
+      files.push(pattern);
+      continue;
+    }
+
+    const dir = path.dirname(pattern);
+    const regex = new RegExp(
+      '^' +
+        name
+          .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+          .replace(/\*/g, '.*')
+          .replace(/\?/g, '.') +
+        '$'
+    );
+
+    const matches = fs
+      .readdirSync(dir, { withFileTypes: true })
+      .filter(entry => entry.isFile() && regex.test(entry.name))
+      .map(entry => path.join(dir, entry.name))
+      .sort();
+
+    files.push(...matches);
+  }
+
+  return [...new Set(files)];
+}
+
+module.exports = function (program) {
+  // ============================================================================
+  // logs:import - Import historical log files
+  // ============================================================================
+  program
+    .command('logs:import <files...>')
+    .description('Import historical Apache log files (plain or .gz), resuming earlier imports')
+    .requiredOption('--host <hostname>', 'Host the log files came from')
+    .option('-w, --website <domain>', 'Website domain (default: vhost of each line, or catch-all)')
+    .option('-t, --type <type>', 'Log type: access or error (default: detected per line)')
+    .option('-b, --batch-size <lines>', 'Lines stored per batch', String(IMPORT_BATCH_SIZE))
+    .action(async (patterns, options) => {
+      try {
+        if (options.type && options.type !== 'access' && options.type !== 'error') {
+          console.error("✗ Invalid type. Expected 'access' or 'error'");
+          process.exit(1);
+        }
+
+        if (options.website && !isValidDomain(options.website)) {
+          console.error(`✗ Invalid website domain: ${options.website}`);
+          process.exit(1);
+        }
+
+        const batchSize = parseInt(options.batchSize, 10);
+        if (!Number.isInteger(batchSize) || batchSize < 1) {
+          console.error('✗ Batch size must be a positive number');
+          process.exit(1);
+        }
+
+        const files = expandFilePatterns(patterns);
+        if (files.length === 0) {
+          console.error('✗ No files match');
+          process.exit(1);
+        }
+
+        await initDatabase();
+
+        const target = {
+          website: options.website || null,
+          host: options.host,
+          logType: options.type || null
+        };
+        const totals = { stored: 0, rejected: 0 };
+
+        for (const file of files) {
+          const name = path.basename(file);
+
+          const onProgress = ({ bytesRead, fileSize, lines, stored, rejected }) => {
+            if (process.stdout.isTTY) {
+              const percent = fileSize > 0 ? Math.min(100, (bytesRead / fileSize) * 100) : 100;
+              process.stdout.write(
+                `\r  ${name}: ${percent.toFixed(0)}% - ${lines.toLocaleString()} lines, ` +
+                  `${stored.toLocaleString()} stored, ${rejected.toLocaleString()} rejected`
+              );
+            }
+          };
+
+          const result = await importLogFile(file, target, { batchSize, onProgress });
+          totals.stored += result.stored;
+          totals.rejected += result.rejected;
+
+          if (process.stdout.isTTY && result.lines > 0) {
+            process.stdout.write('\n');
+          }
+
+          if (result.status === 'empty') {
+            console.log(`⊘ ${file}: no complete lines`);
+          } else if (result.status === 'unchanged') {
+            console.log(`⊘ ${file}: already imported`);
+          } else {
+            console.log(
+              `✓ ${file}: ${result.stored.toLocaleString()} stored, ` +
+                `${result.rejected.toLocaleString()} rejected` +
+                (result.status === 'resumed' ? ' (resumed)' : '')
+            );
+          }
+        }
+
+        console.log(
+          `\n✓ Imported ${files.length} file(s): ${totals.stored.toLocaleString()} records stored, ` +
+            `${totals.rejected.toLocaleString()} rejected\n`
+        );
+
+        if (totals.rejected > 0) {
+          console.log('  Rejected lines are kept in Rejected Records (/rejected)\n');
+        }
+
+        await flushWebsiteActivity();
+        await closeDatabase();
+        process.exit(0);
+      } catch (error) {
+        console.error('\n✗ Error importing log files:', error.message);
+        await closeDatabase();
+        process.exit(1);
+      }
+    });
+};
@@ -0,0 +1,123 @@
+/**
+ * Security Rule Management Commands
+ *
+ * Commands for importing security rules used by the security analyzer.
+ */
+
+const Table = require('cli-table3');
+const { initDatabase, closeDatabase } = require('../../config/database');
+const { importFail2banFilters } = require('../../services/fail2banImportService');
+
+module.exports = function (program) {
+  // ============================================================================
+  // rules:import-fail2ban - Import fail2ban filters as read-only rules
+  // ============================================================================
+  program
+    .command('rules:import-fail2ban <dir>')
+    .description('Import fail2ban filters (failregex/ignoreregex) as read-only security rules')
+    .requiredOption('-e, --event-type <name>', 'Event type for imported rules (created if missing)')
+    .option('-s, --severity <severity>', 'Severity when creating the event type', 'medium')
+    .option('-f, --filter <names...>', 'Only import these filters (e.g., apache-badbots)')
+    .option('-t, --log-type <type>', 'Force log type (access or error) instead of detecting it')
+    .option('--dry-run', 'Show what would be imported without writing to the database')
+    .option('-v, --verbose', 'Show why individual patterns were skipped')
+    .action(async (dir, options) => {
+      try {
+        if (!options.dryRun) {
+          await initDatabase();
+        }
+
+        const { eventTypeCreated, results } = await importFail2banFilters(dir, {
+          eventType: options.eventType,
+          severity: options.severity,
+          logType: options.logType || null,
+          filters: options.filter || [],
+          dryRun: options.dryRun || false
+        });
+
+        const imported = results.filter(r => r.rules.length > 0);
+        const skippedFilters = results.filter(r => r.rules.length === 0);
+
+        if (eventTypeCreated) {
+          console.log(
+            `\n✓ Created event type '${options.eventType}' (severity: ${options.severity})`
+          );
+        }
+
+        if (imported.length === 0) {
+          console.log('\nNo importable fail2ban filters found.\n');
+        } else {
+          const table = new Table({
+            head: options.dryRun
+              ? ['Filter', 'Log Type', 'Patterns', 'Skipped', 'Ignore']
+              : ['Filter', 'Log Type', 'Created', 'Updated', 'Unchanged', 'Removed', 'Skipped'],
+            colWidths: options.dryRun ? [30, 10, 10, 9, 8] : [30, 10, 9, 9, 11, 9, 9]
+          });
+
+          for (const result of imported) {
+            const logTypes = [...new Set(result.rules.map(r => r.log_type))].join(', ');
+            if (options.dryRun) {
+              table.push([
+                result.filter,
+                logTypes,
+                result.rules.length,
+                result.skipped.length,
+                result.ignore_pattern ? 'Yes' : 'No'
+              ]);
+            } else {
+              table.push([
+                result.filter,
+                logTypes,
+                result.created,
+                result.updated,
+                result.unchanged,
+                result.removed,
+                result.skipped.length
+              ]);
+            }
+          }
+
+          console.log('\n' + table.toString());
+        }
+
+        for (const result of imported) {
+          for (const name of result.conflicts) {
+            console.log(`⚠️  Skipped '${name}' - a user-defined rule already uses this name`);
+          }
+        }
+
+        if (skippedFilters.length > 0) {
+          console.log(
+            `\n⊘ ${skippedFilters.length} filter(s) had no translatable patterns` +
+              (options.verbose ? ':' : ' (use --verbose for details)')
+          );
+        }
+
+        if (options.verbose) {
+          for (const result of results) {
+            for (const skipped of result.skipped) {
+              const which = skipped.index > 0 ? `failregex #${skipped.index}` : 'ignoreregex';
+              console.log(`  - ${result.filter} ${which}: ${skipped.reason}`);
+            }
+          }
+        }
+
+        if (options.dryRun) {
+          console.log('\n(dry run - no changes written)');
+        }
+
+        console.log('');
+
+        if (!options.dryRun) {
+          await closeDatabase();
+        }
+        process.exit(0);
+      } catch (error) {
+        console.error('\n✗ Error importing fail2ban filters:', error.message);
+        if (!options.dryRun) {
+          await closeDatabase();
+        }
+        process.exit(1);
+      }
+    });
+};
@@ -19,6 +19,8 @@ require('./commands/keys')(program);
 require('./commands/schema')(program);
 require('./commands/roles')(program);
 require('./commands/capabilities')(program);
+require('./commands/rules')(program);
+require('./commands/logs')(program);
 
 // Parse command line arguments
 program.parse(process.argv);
@@ -23,7 +23,19 @@ async function initDatabase() {
     connectionLimit: config.database.connectionLimit,
     queueLimit: 0,
     enableKeepAlive: true,
-    keepAliveInitialDelay: 0
+    keepAliveInitialDelay: 0,
+    // Dates are written and read as UTC, whatever the Node process time zone
+    timezone: 'Z'
+  });
+
+  // Match the session time zone, so UTC values stored in TIMESTAMP columns are
+  // not converted from the server's zone and NOW() agrees with stored DATETIMEs
+  pool.on('connection', connection => {
+    connection.query("SET time_zone = '+00:00'", error => {
+      if (error) {
+        console.error('✗ Failed to set database session time zone:', error.message);
+      }
+    });
   });
 
   // Test connection
@@ -62,8 +74,44 @@ async function closeDatabase() {
   }
 }
 
+/**
+ * Run a read query with an execution time limit
+ * MariaDB aborts the statement server-side via max_statement_time; the client-side
+ * timeout (slightly longer) guards against a stalled connection as a fallback.
+ * @param {string} sql - SELECT statement
+ * @param {Array} params - Query parameters
+ * @param {number} timeoutMs - Maximum execution time in milliseconds
+ * @returns {Promise<Array>} mysql2 [rows, fields] result
+ */
+async function queryWithTimeout(sql, params, timeoutMs) {
+  const seconds = Math.max(0.001, timeoutMs / 1000);
+
+  return getPool().query(
+    {
+      sql: `SET STATEMENT max_statement_time = ${seconds} FOR ${sql}`,
+      timeout: timeoutMs + 1000
+    },
+    params
+  );
+}
+
+/**
+ * Check whether an error was caused by a query exceeding its time limit
+ * @param {Error} error
+ * @returns {boolean}
+ */
+function isQueryTimeout(error) {
+  return (
+    !!error &&
+    (error.errno === 1969 || // ER_STATEMENT_TIMEOUT (MariaDB max_statement_time)
+      error.code === 'PROTOCOL_SEQUENCE_TIMEOUT') // mysql2 client-side timeout
+  );
+}
+
 module.exports = {
   initDatabase,
   getPool,
-  closeDatabase
+  closeDatabase,
+  queryWithTimeout,
+  isQueryTimeout
 };
@@ -87,12 +87,81 @@ const config = {
 
   // Security
   security: {
-    skipDotenvPermissionCheck: parseBoolEnv(process.env.SKIP_DOTENV_PERMISSION_CHECK, false)
+    skipDotenvPermissionCheck: parseBoolEnv(process.env.SKIP_DOTENV_PERMISSION_CHECK, false),
+    apiKeyCacheSeconds: parseIntEnv(process.env.API_KEY_CACHE_SECONDS, 60) // Skip bcrypt for recently verified keys (0 = off)
   },
 
   // Log Processing
   logProcessing: {
-    stripPortFromRemoteIP: parseBoolEnv(process.env.STRIP_PORT_FROM_REMOTE_IP, false)
+    stripPortFromRemoteIP: parseBoolEnv(process.env.STRIP_PORT_FROM_REMOTE_IP, false),
+    pathPatternsConfig: process.env.LOG_PATHS_CONFIG || 'config/log-paths.json',
+    catchAllWebsite: process.env.CATCH_ALL_WEBSITE ?? 'unmatched.invalid', // Empty = quarantine unmatched
+    timestampMaxFutureSeconds: parseIntEnv(process.env.TIMESTAMP_MAX_FUTURE_SECONDS, 300), // Clock lead tolerated
+    timestampMaxPastDays: parseIntEnv(process.env.TIMESTAMP_MAX_PAST_DAYS, 7), // Older = flagged as past
+    deduplicateRecords: parseBoolEnv(process.env.DEDUPLICATE_RECORDS, false),
+    deduplicationWindowHours: parseIntEnv(process.env.DEDUPLICATION_WINDOW_HOURS, 24)
+  },
+
+  // Write Buffer (coalesces log_records inserts across requests)
+  writeBuffer: {
+    enabled: parseBoolEnv(process.env.WRITE_BUFFER_ENABLED, false),
+    maxRecords: parseIntEnv(process.env.WRITE_BUFFER_MAX_RECORDS, 5000), // Flush at this many records
+    maxAgeMs: parseIntEnv(process.env.WRITE_BUFFER_MAX_AGE_MS, 250) // Flush when the oldest waits this long
+  },
+
+  // Ingestion Backpressure (503 + Retry-After while the database is saturated, 0 = no limit)
+  backpressure: {
+    maxInFlight: parseIntEnv(process.env.INGEST_MAX_IN_FLIGHT, 50), // Requests per worker
+    maxPoolWaitMs: parseIntEnv(process.env.INGEST_MAX_POOL_WAIT_MS, 2000), // Connection wait
+    retryAfterMax: parseIntEnv(process.env.INGEST_RETRY_AFTER_MAX, 120) // Seconds
+  },
+
+  // Syslog Listener
+  syslog: {
+    enabled: parseBoolEnv(process.env.SYSLOG_ENABLED, false),
+    host: process.env.SYSLOG_HOST || '0.0.0.0',
+    port: parseIntEnv(process.env.SYSLOG_PORT, 5514),
+    protocols: (process.env.SYSLOG_PROTOCOLS || 'udp,tcp')
+      .split(',')
+      .map(protocol => protocol.trim().toLowerCase())
+      .filter(Boolean),
+    allowedIps: (process.env.SYSLOG_ALLOWED_IPS || '') // Loopback is always allowed
+      .split(',')
+      .map(ip => ip.trim())
+      .filter(Boolean),
+    maxMessageSize: parseIntEnv(process.env.SYSLOG_MAX_MESSAGE_SIZE, 65536), // Bytes
+    batchSize: parseIntEnv(process.env.SYSLOG_BATCH_SIZE, 500),
+    flushInterval: parseIntEnv(process.env.SYSLOG_FLUSH_INTERVAL, 1000), // Milliseconds
+    maxBuffered: parseIntEnv(process.env.SYSLOG_MAX_BUFFERED, 10000) // Records waiting for ingestion
+  },
+
+  // Fluent Forward Listener
+  forward: {
+    enabled: parseBoolEnv(process.env.FORWARD_ENABLED, false),
+    host: process.env.FORWARD_HOST || '0.0.0.0',
+    port: parseIntEnv(process.env.FORWARD_PORT, 24224),
+    secret: process.env.FORWARD_SECRET || null, // Derives each API key's shared key
+    selfHostname: process.env.FORWARD_SELF_HOSTNAME || require('os').hostname(),
+    tlsCert: process.env.FORWARD_TLS_CERT || null,
+    tlsKey: process.env.FORWARD_TLS_KEY || null,
+    maxChunkSize: parseIntEnv(process.env.FORWARD_MAX_CHUNK_SIZE, 16777216), // Bytes, after decompression
+    handshakeTimeout: parseIntEnv(process.env.FORWARD_HANDSHAKE_TIMEOUT, 10), // Seconds
+    idleTimeout: parseIntEnv(process.env.FORWARD_IDLE_TIMEOUT, 300) // Seconds
+  },
+
+  // Log Querying
+  queries: {
+    timeout: parseIntEnv(process.env.QUERY_TIMEOUT_MS, 5000) // Max execution time per query
+  },
+
+  // Security Analysis
+  securityAnalysis: {
+    enabled: parseBoolEnv(process.env.SECURITY_ANALYSIS_ENABLED, true),
+    batchSize: parseIntEnv(process.env.SECURITY_ANALYSIS_BATCH_SIZE, 10000),
+    maxBatchesPerRun: parseIntEnv(process.env.SECURITY_ANALYSIS_MAX_BATCHES, 10),
+    toolsConfig: process.env.ANALYSIS_TOOLS_CONFIG || 'config/analysis-tools.json',
+    toolTimeout: parseIntEnv(process.env.ANALYSIS_TOOL_TIMEOUT, 30), // Seconds
+    toolMaxOutput: parseIntEnv(process.env.ANALYSIS_TOOL_MAX_OUTPUT, 1048576) // Bytes (stdout + stderr)
   },
 
   // Session
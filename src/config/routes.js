@@ -39,6 +39,14 @@ const routes = [
     section: null,
     order: 10
   },
+  {
+    path: '/rejected',
+    label: 'Rejected Records',
+    icon: 'bi-inbox',
+    capability: 'logs:read',
+    section: null,
+    order: 15
+  },
   {
     path: '/websites',
     label: 'Websites',
@@ -2,6 +2,11 @@ const cron = require('node-cron');
 const config = require('../config');
 const { getPool } = require('../config/database');
 const { performUpstreamSyncIfDue } = require('../tasks/upstreamSync');
+const { runSecurityAnalysis } = require('../services/securityAnalysisService');
+const { runAccessFieldBackfill } = require('../services/accessFieldBackfillService');
+const { purgeClockSkew } = require('../services/clockSkewService');
+const { purgeFingerprints } = require('../services/recordFingerprintService');
+const { clearCache: clearWebsiteCache } = require('../services/websiteService');
 
 /**
  * Initialize housekeeping tasks
@@ -37,6 +42,34 @@ function initHousekeeping() {
   cron.schedule('0 4 * * 0', async () => {
     await cleanupApiKeyStats();
   });
+
+  // Task 5: Security analysis - Every minute (skipped while a run is in progress)
+  if (config.securityAnalysis.enabled) {
+    console.log('✓ Security analysis task enabled');
+    cron.schedule('* * * * *', async () => {
+      await analyzeSecurityEvents();
+    });
+  }
+
+  // Task 6: Purge old rejected records - Daily at 2:30 AM
+  cron.schedule('30 2 * * *', async () => {
+    await purgeRejectedRecords();
+  });
+
+  // Task 7: Backfill structured log fields - Every minute until complete
+  cron.schedule('* * * * *', async () => {
+    await backfillAccessFields();
+  });
+
+  // Task 8: Purge old clock skew statistics - Daily at 2:45 AM
+  cron.schedule('45 2 * * *', async () => {
+    await purgeClockSkewStats();
+  });
+
+  // Task 9: Purge expired record fingerprints - Hourly at :15
+  cron.schedule('15 * * * *', async () => {
+    await purgeRecordFingerprints();
+  });
 }
 
 /**
@@ -74,6 +107,57 @@ async function purgeOldLogs() {
   }
 }
 
+/**
+ * Purge quarantined rejected records older than LOG_RETENTION_DAYS
+ */
+async function purgeRejectedRecords() {
+  const retentionDays = config.housekeeping.logRetentionDays;
+  const pool = getPool();
+
+  try {
+    const [result] = await pool.query(
+      'DELETE FROM rejected_records WHERE received_at < DATE_SUB(NOW(), INTERVAL ? DAY)',
+      [retentionDays]
+    );
+
+    console.log(`[Housekeeping] ✓ Purged ${result.affectedRows} old rejected records`);
+  } catch (error) {
+    console.error('[Housekeeping] ✗ Failed to purge rejected records:', error);
+  }
+}
+
+/**
+ * Purge hourly host clock skew statistics older than LOG_RETENTION_DAYS
+ */
+async function purgeClockSkewStats() {
+  const retentionDays = config.housekeeping.logRetentionDays;
+
+  try {
+    const deleted = await purgeClockSkew(retentionDays);
+
+    console.log(`[Housekeeping] ✓ Purged ${deleted} old clock skew statistics`);
+  } catch (error) {
+    console.error('[Housekeeping] ✗ Failed to purge clock skew statistics:', error);
+  }
+}
+
+/**
+ * Purge record fingerprints older than DEDUPLICATION_WINDOW_HOURS
+ */
+async function purgeRecordFingerprints() {
+  const windowHours = config.logProcessing.deduplicationWindowHours;
+
+  try {
+    const deleted = await purgeFingerprints(windowHours);
+
+    if (deleted > 0) {
+      console.log(`[Housekeeping] ✓ Purged ${deleted} expired record fingerprints`);
+    }
+  } catch (error) {
+    console.error('[Housekeeping] ✗ Failed to purge record fingerprints:', error);
+  }
+}
+
 /**
  * Delete websites with no activity for INACTIVE_WEBSITE_DAYS
  */
@@ -89,6 +173,10 @@ async function deleteInactiveWebsites() {
       [inactiveDays]
     );
 
+    if (result.affectedRows > 0) {
+      clearWebsiteCache();
+    }
+
     console.log(`[Housekeeping] ✓ Deleted ${result.affectedRows} inactive websites`);
   } catch (error) {
     console.error('[Housekeeping] ✗ Failed to delete inactive websites:', error);
@@ -111,9 +199,59 @@ async function cleanupApiKeyStats() {
   }
 }
 
+/**
+ * Analyse newly ingested log records against enabled security rules
+ * Progress is tracked by a watermark, so each record is analysed once.
+ */
+async function analyzeSecurityEvents() {
+  try {
+    const summary = await runSecurityAnalysis(config);
+
+    if (summary && summary.records_scanned > 0) {
+      console.log(
+        `[Housekeeping] ✓ Security analysis: ${summary.records_scanned} records scanned, ` +
+          `${summary.events_created} events created (${summary.rules_applied} rules)` +
+          (summary.records_excluded > 0
+            ? `, ${summary.records_excluded} own-IP records skipped`
+            : '') +
+          (summary.tools_invoked > 0
+            ? `, ${summary.tools_invoked} tools invoked (${summary.tools_failed} failed)`
+            : '')
+      );
+    }
+  } catch (error) {
+    console.error('[Housekeeping] ✗ Security analysis failed:', error);
+  }
+}
+
+/**
+ * Fill the structured field columns of records stored before they existed
+ * Does nothing once the backfill has reached the start of log_records.
+ */
+async function backfillAccessFields() {
+  try {
+    const summary = await runAccessFieldBackfill();
+
+    if (summary) {
+      console.log(
+        `[Housekeeping] ✓ Field backfill: ${summary.records_updated} records ` +
+          `updated (${summary.records_scanned} scanned)` +
+          (summary.complete ? ', backfill complete' : `, next id ${summary.watermark}`)
+      );
+    }
+  } catch (error) {
+    console.error('[Housekeeping] ✗ Access field backfill failed:', error);
+  }
+}
+
 module.exports = {
   initHousekeeping,
   purgeOldLogs,
+  purgeRejectedRecords,
+  purgeClockSkewStats,
+  purgeRecordFingerprints,
   deleteInactiveWebsites,
-  cleanupApiKeyStats
+  cleanupApiKeyStats,
+  analyzeSecurityEvents,
+  backfillAccessFields
 };
@@ -1,8 +1,18 @@
-const bcrypt = require('bcrypt');
 const { getPool } = require('../config/database');
+const {
+  parseApiKey,
+  findApiKey,
+  toApiKey,
+  isKeyExpired,
+  hasScope,
+  isAddressAllowed
+} = require('../services/apiKeyService');
 
 /**
  * Fastify authentication hook - validates Bearer token against api_keys table
+ * The key's row is found by its prefix and verified with one bcrypt comparison
+ * (see apiKeyService.findApiKey). Expired keys get 401, keys used from outside
+ * their allowlist get 403.
  * @param {import('fastify').FastifyRequest} request
  * @param {import('fastify').FastifyReply} reply
  */
@@ -20,54 +30,52 @@ async function authenticate(request, reply) {
   // Extract token
   const token = authHeader.substring(7).trim();
 
-  if (!token || token.length !== 40) {
+  if (!token || !parseApiKey(token)) {
     return reply.code(401).send({
       error: 'Unauthorized',
       message: 'Invalid API key format'
     });
   }
 
-  // Query database for all active keys (we'll compare hashes)
-  const pool = getPool();
-
   try {
-    const [rows] = await pool.query(
-      'SELECT id, `key`, description FROM api_keys WHERE is_active = 1'
-    );
+    const row = await findApiKey(token);
 
-    if (rows.length === 0) {
+    if (!row) {
       return reply.code(401).send({
         error: 'Unauthorized',
         message: 'Invalid or inactive API key'
       });
     }
 
-    // Find matching key by comparing hashes
-    let matchedKey = null;
-    for (const row of rows) {
-      const isMatch = await bcrypt.compare(token, row.key);
-      if (isMatch) {
-        matchedKey = row;
-        break;
-      }
-    }
+    const apiKey = toApiKey(row);
 
-    if (!matchedKey) {
+    if (isKeyExpired(apiKey)) {
       return reply.code(401).send({
         error: 'Unauthorized',
-        message: 'Invalid or inactive API key'
+        message: 'API key has expired'
+      });
+    }
+
+    if (!isAddressAllowed(apiKey, request.ip)) {
+      return reply.code(403).send({
+        error: 'Forbidden',
+        message: 'API key is not allowed from this address'
       });
     }
 
     // Attach key info to request for downstream use
     request.apiKey = {
-      id: matchedKey.id,
-      description: matchedKey.description
+      id: apiKey.id,
+      description: apiKey.description,
+      scopes: apiKey.scopes
     };
 
-    // Update last_used_at timestamp (async, don't await - fire and forget)
-    pool
-      .query('UPDATE api_keys SET last_used_at = NOW() WHERE id = ?', [matchedKey.id])
+    // Update last_used_at / last_used_ip (async, don't await - fire and forget)
+    getPool()
+      .query('UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ? WHERE id = ?', [
+        request.ip,
+        apiKey.id
+      ])
       .catch(err => {
         console.error('Failed to update last_used_at:', err.message);
       });
@@ -80,4 +88,26 @@ async function authenticate(request, reply) {
   }
 }
 
-module.exports = { authenticate };
+/**
+ * Route hook factory: require the API key to have a scope
+ * Requests authenticated by a UI session have no API key and are not checked
+ * here (routes check their capabilities).
+ *
+ * Usage:
+ *   fastify.delete('/websites/:domain', { onRequest: requireScope('websites:write') }, handler);
+ *
+ * @param {string} scope - Required scope (e.g., 'logs:write')
+ * @returns {Function} Fastify onRequest hook
+ */
+function requireScope(scope) {
+  return async (request, reply) => {
+    if (request.apiKey && !hasScope(request.apiKey, scope)) {
+      return reply.code(403).send({
+        error: 'Forbidden',
+        message: `API key lacks the required scope: ${scope}`
+      });
+    }
+  };
+}
+
+module.exports = { authenticate, requireScope };
@@ -6,6 +6,9 @@
 const { getPool } = require('../config/database');
 const auditService = require('../services/auditService');
 
+// Clock skew (seconds) beyond which the host detail page shows a warning
+const SKEW_WARNING_SECONDS = 60;
+
 class Host {
   /**
    * Create a new host
@@ -248,6 +251,80 @@ class Host {
     return rows;
   }
 
+  /**
+   * Get hourly clock skew statistics for a host
+   * Skew is receive time minus event time in seconds (see host_clock_skew).
+   * @param {number} id - Host ID
+   * @param {number} hours - Number of hours to include
+   * @returns {Promise<Object>} { summary, hourly } - summary.warning is 'ahead' (host clock
+   *   runs ahead of the server), 'behind' (records arrive late) or null
+   */
+  static async getClockSkew(id, hours = 24) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+      `SELECT period_start, samples, skew_sum, skew_min, skew_max,
+              future_count, past_count, unparseable_count
+       FROM host_clock_skew
+       WHERE host_id = ?
+         AND period_start >= DATE_SUB(NOW(), INTERVAL ? HOUR)
+       ORDER BY period_start DESC`,
+      [id, hours]
+    );
+
+    const hourly = rows.map(row => {
+      const samples = Number(row.samples);
+      return {
+        period_start: row.period_start,
+        samples,
+        sum: Number(row.skew_sum),
+        avg: samples > 0 ? Math.round(Number(row.skew_sum) / samples) : null,
+        min: samples > 0 ? row.skew_min : null,
+        max: samples > 0 ? row.skew_max : null,
+        future: Number(row.future_count),
+        past: Number(row.past_count),
+        unparseable: Number(row.unparseable_count)
+      };
+    });
+
+    const summary = {
+      samples: 0,
+      avg: null,
+      min: null,
+      max: null,
+      future: 0,
+      past: 0,
+      unparseable: 0
+    };
+    let sum = 0;
+
+    for (const hour of hourly) {
+      summary.future += hour.future;
+      summary.past += hour.past;
+      summary.unparseable += hour.unparseable;
+
+      if (hour.samples > 0) {
+        summary.samples += hour.samples;
+        sum += hour.sum;
+        summary.min = summary.min === null ? hour.min : Math.min(summary.min, hour.min);
+        summary.max = summary.max === null ? hour.max : Math.max(summary.max, hour.max);
+      }
+    }
+
+    if (summary.samples > 0) {
+      summary.avg = Math.round(sum / summary.samples);
+    }
+
+    // Shipping delay can make records late but never early
+    summary.warning = null;
+    if (summary.future > 0 || (summary.min !== null && summary.min < -SKEW_WARNING_SECONDS)) {
+      summary.warning = 'ahead';
+    } else if (summary.avg !== null && summary.avg > SKEW_WARNING_SECONDS) {
+      summary.warning = 'behind';
+    }
+
+    return { summary, hourly };
+  }
+
   /**
    * Get associated websites for a host
    * @param {number} id - Host ID
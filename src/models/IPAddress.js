@@ -0,0 +1,148 @@
+/**
+ * IPAddress Model
+ * Handles database operations for IP addresses and CIDR blocks registered to hosts
+ */
+
+const { getPool } = require('../config/database');
+const auditService = require('../services/auditService');
+const { parseCidr, formatCidr } = require('../utils/ipAddress');
+
+class IPAddress {
+  /**
+   * Register an IP address or CIDR block for a host
+   * @param {Object} data - IP address data
+   * @param {number} data.host_id - Host ID
+   * @param {string} data.address - IP address or CIDR block (e.g., 203.0.113.5, 10.0.0.0/8)
+   * @param {string} data.description - Optional description
+   * @param {number} data.created_by - User ID who registered the address
+   * @param {string} data.ip_address - IP address of the requester
+   * @returns {Promise<Object>} Created IP address object
+   */
+  static async createAddress(data) {
+    const pool = getPool();
+    const { host_id, address, description, created_by, ip_address } = data;
+
+    const parsed = parseCidr(address);
+    const cidr = formatCidr(parsed);
+    const cleanDescription = description && description.trim() ? description.trim() : null;
+
+    // Check for duplicate block on this host
+    const [existing] = await pool.query(
+      'SELECT id FROM ip_addresses WHERE host_id = ? AND address = ? AND prefix_length = ?',
+      [host_id, parsed.address, parsed.prefix_length]
+    );
+
+    if (existing.length > 0) {
+      throw new Error(`${cidr} is already registered for this host`);
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO ip_addresses
+       (host_id, address, prefix_length, ip_version, range_start, range_end, description, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        host_id,
+        parsed.address,
+        parsed.prefix_length,
+        parsed.ip_version,
+        parsed.start,
+        parsed.end,
+        cleanDescription,
+        created_by
+      ]
+    );
+
+    // Log to audit
+    await auditService.logAction({
+      user_id: created_by,
+      action: 'host.ip_added',
+      resource_type: 'host',
+      resource_id: host_id,
+      details: { ip_address_id: result.insertId, address: cidr, description: cleanDescription },
+      ip_address
+    });
+
+    return {
+      id: result.insertId,
+      host_id,
+      address: parsed.address,
+      prefix_length: parsed.prefix_length,
+      ip_version: parsed.ip_version,
+      cidr,
+      description: cleanDescription
+    };
+  }
+
+  /**
+   * Find IP address by ID
+   * @param {number} id - IP address ID
+   * @returns {Promise<Object|null>} IP address object or null
+   */
+  static async findById(id) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+      `SELECT id, host_id, address, prefix_length, ip_version, description, created_at
+       FROM ip_addresses WHERE id = ?`,
+      [id]
+    );
+    return rows.length > 0 ? { ...rows[0], cidr: formatCidr(rows[0]) } : null;
+  }
+
+  /**
+   * List IP addresses registered for a host
+   * @param {number} hostId - Host ID
+   * @returns {Promise<Array>} Array of IP address objects (IPv4 first)
+   */
+  static async listByHost(hostId) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+      `SELECT id, host_id, address, prefix_length, ip_version, description, created_at
+       FROM ip_addresses
+       WHERE host_id = ?
+       ORDER BY ip_version ASC, range_start ASC, prefix_length ASC`,
+      [hostId]
+    );
+    return rows.map(row => ({ ...row, cidr: formatCidr(row) }));
+  }
+
+  /**
+   * List every registered block as a binary range (for matching remote IPs)
+   * @returns {Promise<Array>} Array of { start, end } Buffers
+   */
+  static async listRanges() {
+    const pool = getPool();
+    const [rows] = await pool.query('SELECT range_start, range_end FROM ip_addresses');
+    return rows.map(row => ({ start: row.range_start, end: row.range_end }));
+  }
+
+  /**
+   * Remove an IP address from a host
+   * @param {number} id - IP address ID
+   * @param {Object} auditData - Audit information
+   * @param {number} auditData.user_id - User ID performing the deletion
+   * @param {string} auditData.ip_address - IP address of the requester
+   * @returns {Promise<void>}
+   */
+  static async deleteAddress(id, auditData) {
+    const pool = getPool();
+
+    const existing = await IPAddress.findById(id);
+    if (!existing) {
+      throw new Error('IP address not found');
+    }
+
+    await pool.query('DELETE FROM ip_addresses WHERE id = ?', [id]);
+
+    // Log to audit
+    await auditService.logAction({
+      user_id: auditData.user_id,
+      action: 'host.ip_removed',
+      resource_type: 'host',
+      resource_id: existing.host_id,
+      details: { ip_address_id: id, address: existing.cidr },
+      ip_address: auditData.ip_address
+    });
+  }
+}
+
+module.exports = IPAddress;
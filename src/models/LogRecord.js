@@ -4,6 +4,157 @@
  */
 
 const { getPool } = require('../config/database');
+const { LOOPBACK_CIDRS, parseCidr } = require('../utils/ipAddress');
+const { hashPath, normaliseMethod } = require('../utils/accessFields');
+const { ERROR_LEVELS, levelsAtLeast } = require('../utils/apacheErrorLog');
+
+/**
+ * Build WHERE conditions for log record filters
+ * Shared by the Log Explorer search and the API query endpoints.
+ * Website and host accept either a numeric ID or a domain/hostname, resolved
+ * via subquery so the conditions work without joining the lookup tables.
+ * @param {Object} filters - Query filters (see searchLogs)
+ * @returns {{conditions: Array<string>, params: Array}} SQL conditions (AND-ed) and parameters
+ */
+function buildFilterConditions(filters = {}) {
+  const {
+    website = null,
+    host = null,
+    type = null,
+    code = null,
+    remote = null,
+    method = null,
+    path = null,
+    agent = null,
+    severity = null,
+    errorCode = null,
+    module = null,
+    from = null,
+    to = null,
+    search = null,
+    excludeOwn = false
+  } = filters;
+
+  const conditions = [];
+  const params = [];
+
+  if (from) {
+    conditions.push('lr.timestamp >= ?');
+    params.push(new Date(from));
+  }
+
+  if (to) {
+    conditions.push('lr.timestamp <= ?');
+    params.push(new Date(to));
+  }
+
+  if (website) {
+    if (/^\d+$/.test(String(website))) {
+      conditions.push('lr.website_id = ?');
+      params.push(parseInt(website));
+    } else {
+      conditions.push('lr.website_id = (SELECT id FROM websites WHERE domain = ?)');
+      params.push(String(website));
+    }
+  }
+
+  if (host) {
+    if (/^\d+$/.test(String(host))) {
+      conditions.push('lr.host_id = ?');
+      params.push(parseInt(host));
+    } else {
+      conditions.push('lr.host_id = (SELECT id FROM hosts WHERE hostname = ?)');
+      params.push(String(host));
+    }
+  }
+
+  if (type && (type === 'access' || type === 'error')) {
+    conditions.push('lr.log_type = ?');
+    params.push(type);
+  }
+
+  if (code) {
+    // HTTP code IDs match the numeric code, so "404" and "404,500" both work
+    const codeIds = String(code)
+      .split(',')
+      .map(c => parseInt(c.trim()))
+      .filter(c => !isNaN(c));
+
+    if (codeIds.length > 0) {
+      conditions.push('lr.code_id IN (?)');
+      params.push(codeIds);
+    }
+  }
+
+  if (remote) {
+    conditions.push('lr.remote LIKE ?');
+    params.push(`%${remote}%`);
+  }
+
+  // Structured access fields use their own indexed columns (see accessFields)
+  if (method) {
+    conditions.push('lr.method = ?');
+    params.push(normaliseMethod(method));
+  }
+
+  if (path) {
+    // Exact match on the normalised path, whatever the query string
+    conditions.push('lr.path_hash = ?');
+    params.push(hashPath(path));
+  }
+
+  if (agent) {
+    // user_agents holds one row per distinct agent - tens of thousands where scanners
+    // rotate agents, but orders of magnitude fewer than log_records - so the substring
+    // match runs there
+    conditions.push('lr.user_agent_id IN (SELECT id FROM user_agents WHERE user_agent LIKE ?)');
+    params.push(`%${agent}%`);
+  }
+
+  // Structured error fields (see apacheErrorLog)
+  if (severity && levelsAtLeast(severity).length > 0) {
+    // The chosen level and everything more severe
+    conditions.push('lr.error_level IN (?)');
+    params.push(levelsAtLeast(severity));
+  }
+
+  if (errorCode) {
+    conditions.push('lr.error_code = ?');
+    params.push(String(errorCode).toUpperCase());
+  }
+
+  if (module) {
+    conditions.push('lr.error_module = ?');
+    params.push(String(module));
+  }
+
+  if (search) {
+    conditions.push('lr.raw_data LIKE ?');
+    params.push(`%${search}%`);
+  }
+
+  if (excludeOwn) {
+    // Hide our own traffic: IPs registered to hosts, plus loopback. Lengths are
+    // compared so IPv4 and IPv6 binary forms never match each other's ranges.
+    // Records without a valid remote IP are kept.
+    conditions.push(
+      `NOT EXISTS (
+        SELECT 1 FROM ip_addresses ia
+        WHERE LENGTH(ia.range_start) = LENGTH(INET6_ATON(lr.remote))
+          AND INET6_ATON(lr.remote) BETWEEN ia.range_start AND ia.range_end
+      )`
+    );
+
+    for (const range of LOOPBACK_CIDRS.map(parseCidr)) {
+      conditions.push(
+        'COALESCE(NOT (LENGTH(INET6_ATON(lr.remote)) = ? AND INET6_ATON(lr.remote) BETWEEN ? AND ?), TRUE)'
+      );
+      params.push(range.start.length, range.start, range.end);
+    }
+  }
+
+  return { conditions, params };
+}
 
 /**
  * Search and filter log records
@@ -13,9 +164,16 @@ const { getPool } = require('../config/database');
  * @param {string} filters.type - Log type filter ('access' or 'error')
  * @param {number} filters.code - HTTP code ID filter
  * @param {string} filters.remote - Remote IP address filter
+ * @param {string} filters.method - Request method filter (access logs)
+ * @param {string} filters.path - Request path filter (exact, query string ignored)
+ * @param {string} filters.agent - User agent substring filter
+ * @param {string} filters.severity - Minimum error level (error logs)
+ * @param {string} filters.errorCode - Apache error code, e.g. AH01071
+ * @param {string} filters.module - Apache module, e.g. proxy_fcgi
  * @param {string} filters.from - Start date/time (ISO 8601)
  * @param {string} filters.to - End date/time (ISO 8601)
  * @param {string} filters.search - Full-text search in raw_data
+ * @param {boolean} filters.excludeOwn - Hide records from our own IP addresses
  * @param {number} filters.page - Page number (default: 1)
  * @param {number} filters.limit - Results per page (default: 50, max: 500)
  * @returns {Promise<Object>} { logs: Array, total: number, page: number, limit: number }
@@ -27,9 +185,16 @@ async function searchLogs(filters = {}) {
     type = null,
     code = null,
     remote = null,
+    method = null,
+    path = null,
+    agent = null,
+    severity = null,
+    errorCode = null,
+    module = null,
     from = null,
     to = null,
     search = null,
+    excludeOwn = false,
     page = 1,
     limit = 50
   } = filters;
@@ -46,38 +211,23 @@ async function searchLogs(filters = {}) {
   const toDate = to || new Date().toISOString();
 
   // Build WHERE clause dynamically
-  const whereConditions = ['lr.timestamp BETWEEN ? AND ?'];
-  const queryParams = [fromDate, toDate];
-
-  if (website) {
-    whereConditions.push('lr.website_id = ?');
-    queryParams.push(parseInt(website));
-  }
-
-  if (host) {
-    whereConditions.push('lr.host_id = ?');
-    queryParams.push(parseInt(host));
-  }
-
-  if (type && (type === 'access' || type === 'error')) {
-    whereConditions.push('lr.log_type = ?');
-    queryParams.push(type);
-  }
-
-  if (code) {
-    whereConditions.push('lr.code_id = ?');
-    queryParams.push(parseInt(code));
-  }
-
-  if (remote) {
-    whereConditions.push('lr.remote LIKE ?');
-    queryParams.push(`%${remote}%`);
-  }
-
-  if (search) {
-    whereConditions.push('lr.raw_data LIKE ?');
-    queryParams.push(`%${search}%`);
-  }
+  const { conditions: whereConditions, params: queryParams } = buildFilterConditions({
+    website,
+    host,
+    type,
+    code,
+    remote,
+    method,
+    path,
+    agent,
+    severity,
+    errorCode,
+    module,
+    from: fromDate,
+    to: toDate,
+    search,
+    excludeOwn
+  });
 
   const whereClause = whereConditions.join(' AND ');
 
@@ -98,6 +248,9 @@ async function searchLogs(filters = {}) {
         lr.log_type,
         lr.timestamp,
         lr.remote,
+        lr.error_level,
+        lr.error_module,
+        lr.error_code,
         lr.raw_data,
         w.domain as website_name,
         w.id as website_id,
@@ -153,6 +306,9 @@ async function findById(id) {
         lr.log_type,
         lr.timestamp,
         lr.remote,
+        lr.error_level,
+        lr.error_module,
+        lr.error_code,
         lr.raw_data,
         lr.created_at,
         lr.archived_at,
@@ -190,6 +346,76 @@ async function findById(id) {
   }
 }
 
+/**
+ * Group error records by Apache error code (AH#####)
+ * Shows which errors - PHP-FPM, proxy and so on - dominate the filtered records.
+ * @param {Object} filters - Same filters as searchLogs (page and limit are ignored)
+ * @param {number} limit - Maximum number of codes (default: 50)
+ * @returns {Promise<Array>} [{ error_code, error_module, count, websites, worst_level,
+ *   first_seen, last_seen, latest_id, latest_message }], most frequent first
+ */
+async function getErrorCodeSummary(filters = {}, limit = 50) {
+  const pool = getPool();
+
+  // Same default date range as searchLogs
+  const { conditions, params } = buildFilterConditions({
+    ...filters,
+    from: filters.from || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(),
+    to: filters.to || new Date().toISOString()
+  });
+  conditions.push("lr.log_type = 'error'", 'lr.error_code IS NOT NULL');
+
+  try {
+    // error_level + 0 is the enum index, so MIN() is the most severe level
+    const [groups] = await pool.query(
+      `SELECT
+        lr.error_code,
+        MAX(lr.error_module) as error_module,
+        COUNT(*) as count,
+        COUNT(DISTINCT lr.website_id) as websites,
+        MIN(lr.error_level + 0) as worst_level_index,
+        MIN(lr.timestamp) as first_seen,
+        MAX(lr.timestamp) as last_seen,
+        MAX(lr.id) as latest_id
+      FROM log_records lr
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY lr.error_code
+      ORDER BY count DESC
+      LIMIT ?`,
+      [...params, limit]
+    );
+
+    if (groups.length === 0) {
+      return [];
+    }
+
+    // Latest message per code, as an example of what the code means
+    const [samples] = await pool.query('SELECT id, raw_data FROM log_records WHERE id IN (?)', [
+      groups.map(g => g.latest_id)
+    ]);
+
+    const messages = new Map();
+    for (const sample of samples) {
+      try {
+        const data =
+          typeof sample.raw_data === 'string' ? JSON.parse(sample.raw_data) : sample.raw_data;
+        messages.set(String(sample.id), data.message || data.log || null);
+      } catch {
+        messages.set(String(sample.id), null);
+      }
+    }
+
+    return groups.map(({ worst_level_index, ...group }) => ({
+      ...group,
+      worst_level: ERROR_LEVELS[worst_level_index - 1] || null,
+      latest_message: messages.get(String(group.latest_id)) || null
+    }));
+  } catch (error) {
+    console.error('Error summarising error codes:', error);
+    throw error;
+  }
+}
+
 /**
  * Get filter options for dropdowns
  * @returns {Promise<Object>} Available filter options
@@ -231,7 +457,9 @@ async function getFilterOptions() {
 }
 
 module.exports = {
+  buildFilterConditions,
   searchLogs,
+  getErrorCodeSummary,
   findById,
   getFilterOptions
 };
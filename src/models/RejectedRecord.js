@@ -0,0 +1,212 @@
+/**
+ * RejectedRecord Model
+ * Handles database operations for quarantined ingestion records
+ */
+
+const { getPool } = require('../config/database');
+const auditService = require('../services/auditService');
+
+// Rejection reason codes and their descriptions
+const REASONS = {
+  invalid_record: 'Not a JSON object',
+  missing_host: 'Missing host field',
+  invalid_host: 'host is not a string of at most 255 characters',
+  unmatched_path: 'source_file matched no path pattern',
+  processing_error: 'Failed to process the record',
+  unparseable_line: 'raw_line is not an Apache access or error log line'
+};
+
+class RejectedRecord {
+  /**
+   * Quarantine rejected records
+   * @param {Array<Object>} rejections - [{ record, reason, detail }]
+   * @param {number|null} apiKeyId - API key that submitted the records
+   * @param {Object|null} connection - Insert inside this connection's transaction
+   * @returns {Promise<number>} Number of records stored
+   */
+  static async createMany(rejections, apiKeyId = null, connection = null) {
+    if (!Array.isArray(rejections) || rejections.length === 0) {
+      return 0;
+    }
+
+    const executor = connection || getPool();
+    const field = (record, name, maxLength) =>
+      record && typeof record[name] === 'string' ? record[name].substring(0, maxLength) : null;
+
+    const rows = rejections.map(({ record, reason, detail }) => [
+      reason,
+      detail ? String(detail).substring(0, 500) : null,
+      apiKeyId,
+      field(record, 'host', 255),
+      field(record, 'source_file', 500),
+      JSON.stringify(record === undefined ? null : record)
+    ]);
+
+    await executor.query(
+      `INSERT INTO rejected_records
+       (reason, detail, api_key_id, host, source_file, raw_data)
+       VALUES ?`,
+      [rows]
+    );
+
+    return rows.length;
+  }
+
+  /**
+   * Build WHERE conditions for record filters
+   * @param {Object} filters - { reason, ids }
+   * @returns {{where: string, params: Array}} WHERE clause (may be empty) and parameters
+   */
+  static buildFilters(filters = {}) {
+    const { reason, ids } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (reason) {
+      conditions.push('rr.reason = ?');
+      params.push(reason);
+    }
+
+    if (Array.isArray(ids) && ids.length > 0) {
+      conditions.push('rr.id IN (?)');
+      params.push(ids);
+    }
+
+    return {
+      where: conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '',
+      params
+    };
+  }
+
+  /**
+   * Count rejected records per reason
+   * @returns {Promise<Array>} [{ reason, description, count, first_received_at, last_received_at }]
+   *   largest group first
+   */
+  static async getReasonSummary() {
+    const pool = getPool();
+    const [rows] = await pool.query(
+      `SELECT
+        reason,
+        COUNT(*) as count,
+        MIN(received_at) as first_received_at,
+        MAX(received_at) as last_received_at
+      FROM rejected_records
+      GROUP BY reason
+      ORDER BY count DESC`
+    );
+
+    return rows.map(row => ({
+      ...row,
+      description: REASONS[row.reason] || row.reason
+    }));
+  }
+
+  /**
+   * List rejected records with filters and pagination
+   * @param {Object} options - Query options
+   * @param {string} options.reason - Reason code
+   * @param {number} options.limit - Results per page
+   * @param {number} options.offset - Offset for pagination
+   * @returns {Promise<Array>} Array of records (raw_data parsed), newest first
+   */
+  static async listRecords(options = {}) {
+    const pool = getPool();
+    const { limit = 50, offset = 0 } = options;
+    const { where, params } = RejectedRecord.buildFilters(options);
+
+    const [rows] = await pool.query(
+      `SELECT
+        rr.id,
+        rr.reason,
+        rr.detail,
+        rr.host,
+        rr.source_file,
+        rr.raw_data,
+        rr.received_at,
+        rr.replay_count,
+        rr.last_replayed_at,
+        ak.id as api_key_id,
+        ak.description as api_key_description
+      FROM rejected_records rr
+      LEFT JOIN api_keys ak ON rr.api_key_id = ak.id
+      ${where}
+      ORDER BY rr.received_at DESC, rr.id DESC
+      LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return rows.map(RejectedRecord.parseRow);
+  }
+
+  /**
+   * Get total count of rejected records matching filters
+   * @param {Object} filters - Same filters as listRecords
+   * @returns {Promise<number>} Total count
+   */
+  static async getRecordCount(filters = {}) {
+    const pool = getPool();
+    const { where, params } = RejectedRecord.buildFilters(filters);
+
+    const [rows] = await pool.query(
+      `SELECT COUNT(*) as count FROM rejected_records rr ${where}`,
+      params
+    );
+    return rows[0].count;
+  }
+
+  /**
+   * Delete rejected records without replaying them
+   * @param {Object} filters - { reason, ids } (at least one is required)
+   * @param {Object} auditData - { user_id, api_key_id, ip_address }
+   * @returns {Promise<number>} Number of records deleted
+   */
+  static async discard(filters, auditData) {
+    const pool = getPool();
+    const { where, params } = RejectedRecord.buildFilters(filters);
+
+    if (!where) {
+      throw new Error('Select a reason or records to discard');
+    }
+
+    const [result] = await pool.query(`DELETE rr FROM rejected_records rr ${where}`, params);
+
+    await auditService.logAction({
+      user_id: auditData.user_id || null,
+      api_key_id: auditData.api_key_id || null,
+      action: 'rejected_records.discarded',
+      resource_type: 'rejected_record',
+      resource_id: null,
+      details: {
+        reason: filters.reason || null,
+        ids: filters.ids || null,
+        deleted: result.affectedRows
+      },
+      ip_address: auditData.ip_address
+    });
+
+    return result.affectedRows;
+  }
+
+  /**
+   * Normalise a row (raw_data is JSON)
+   * @param {Object} row - Database row
+   * @returns {Object} Row with raw_data parsed and the reason description
+   */
+  static parseRow(row) {
+    let rawData = row.raw_data;
+    if (typeof rawData === 'string') {
+      try {
+        rawData = JSON.parse(rawData);
+      } catch {
+        // Keep the stored text
+      }
+    }
+
+    return { ...row, raw_data: rawData, reason_description: REASONS[row.reason] || row.reason };
+  }
+}
+
+RejectedRecord.REASONS = REASONS;
+
+module.exports = RejectedRecord;
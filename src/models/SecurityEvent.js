@@ -0,0 +1,276 @@
+/**
+ * SecurityEvent Model
+ * Handles database operations for security events raised by the analyzer
+ */
+
+const { getPool } = require('../config/database');
+const auditService = require('../services/auditService');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+const STATUSES = ['new', 'acknowledged', 'dismissed'];
+
+class SecurityEvent {
+  /**
+   * Build WHERE conditions for event filters
+   * @param {Object} filters - Filter options (see listEvents)
+   * @returns {{where: string, params: Array}} WHERE clause (may be empty) and parameters
+   */
+  static buildFilters(filters = {}) {
+    const { eventType, severity, website, remote, status, from, to } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (eventType) {
+      conditions.push('se.event_type_id = ?');
+      params.push(parseInt(eventType));
+    }
+
+    if (severity && SEVERITIES.includes(severity)) {
+      conditions.push('et.severity = ?');
+      params.push(severity);
+    }
+
+    if (website) {
+      conditions.push('se.website_id = ?');
+      params.push(parseInt(website));
+    }
+
+    if (remote) {
+      conditions.push('se.remote LIKE ?');
+      params.push(`%${remote}%`);
+    }
+
+    if (status && STATUSES.includes(status)) {
+      conditions.push('se.status = ?');
+      params.push(status);
+    }
+
+    if (from) {
+      conditions.push('se.log_timestamp >= ?');
+      params.push(new Date(from));
+    }
+
+    if (to) {
+      conditions.push('se.log_timestamp <= ?');
+      params.push(new Date(to));
+    }
+
+    return {
+      where: conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '',
+      params
+    };
+  }
+
+  /**
+   * List security events with filters and pagination
+   * @param {Object} options - Query options
+   * @param {number} options.eventType - Event type ID
+   * @param {string} options.severity - Severity (low, medium, high, critical)
+   * @param {number} options.website - Website ID
+   * @param {string} options.remote - Remote IP (substring match)
+   * @param {string} options.status - Review status (new, acknowledged, dismissed)
+   * @param {string} options.from - Earliest log timestamp (ISO 8601)
+   * @param {string} options.to - Latest log timestamp (ISO 8601)
+   * @param {number} options.limit - Results per page
+   * @param {number} options.offset - Offset for pagination
+   * @returns {Promise<Array>} Array of event objects, newest first
+   */
+  static async listEvents(options = {}) {
+    const pool = getPool();
+    const { limit = 25, offset = 0 } = options;
+    const { where, params } = SecurityEvent.buildFilters(options);
+
+    const [rows] = await pool.query(
+      `SELECT
+        se.id,
+        se.log_timestamp,
+        se.remote,
+        se.log_type,
+        se.status,
+        se.matched_rules,
+        se.excerpt,
+        et.name as event_type,
+        et.severity,
+        w.id as website_id,
+        w.domain as website,
+        h.hostname
+      FROM security_events se
+      JOIN event_types et ON se.event_type_id = et.id
+      JOIN websites w ON se.website_id = w.id
+      LEFT JOIN hosts h ON se.host_id = h.id
+      ${where}
+      ORDER BY se.log_timestamp DESC, se.id DESC
+      LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return rows.map(SecurityEvent.parseRow);
+  }
+
+  /**
+   * Get total count of security events matching filters
+   * @param {Object} filters - Same filters as listEvents
+   * @returns {Promise<number>} Total count
+   */
+  static async getEventCount(filters = {}) {
+    const pool = getPool();
+    const { where, params } = SecurityEvent.buildFilters(filters);
+
+    const [rows] = await pool.query(
+      `SELECT COUNT(*) as count
+      FROM security_events se
+      JOIN event_types et ON se.event_type_id = et.id
+      ${where}`,
+      params
+    );
+    return rows[0].count;
+  }
+
+  /**
+   * Find security event by ID
+   * @param {number} id - Event ID
+   * @returns {Promise<Object|null>} Event object with event type, website, host,
+   *   analysis run and reviewer, or null
+   */
+  static async findById(id) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+      `SELECT
+        se.*,
+        et.name as event_type,
+        et.severity,
+        et.description as event_type_description,
+        w.domain as website,
+        h.hostname,
+        ar.batch_id,
+        u.username as reviewed_by_username
+      FROM security_events se
+      JOIN event_types et ON se.event_type_id = et.id
+      JOIN websites w ON se.website_id = w.id
+      LEFT JOIN hosts h ON se.host_id = h.id
+      LEFT JOIN analysis_runs ar ON se.analysis_run_id = ar.id
+      LEFT JOIN users u ON se.reviewed_by = u.id
+      WHERE se.id = ?`,
+      [id]
+    );
+    return rows.length > 0 ? SecurityEvent.parseRow(rows[0]) : null;
+  }
+
+  /**
+   * Look up the rules an event matched (rules may have been renamed or deleted since)
+   * @param {Array<string>} names - Rule names stored with the event
+   * @returns {Promise<Array>} [{ name, id|null, trigger_pattern|null, source|null }]
+   */
+  static async getMatchedRules(names) {
+    if (!names || names.length === 0) {
+      return [];
+    }
+
+    const pool = getPool();
+    const [rows] = await pool.query(
+      'SELECT id, name, source, trigger_pattern FROM security_rules WHERE name IN (?)',
+      [names]
+    );
+
+    return names.map(name => {
+      const rule = rows.find(r => r.name === name);
+      return {
+        name,
+        id: rule ? rule.id : null,
+        source: rule ? rule.source : null,
+        trigger_pattern: rule ? rule.trigger_pattern : null
+      };
+    });
+  }
+
+  /**
+   * Get options for the list page filter dropdowns
+   * @returns {Promise<Object>} { eventTypes, websites }
+   */
+  static async getFilterOptions() {
+    const pool = getPool();
+
+    const [eventTypes] = await pool.query(
+      'SELECT id, name, severity FROM event_types ORDER BY name'
+    );
+
+    // Only websites that have events - the full list can be very long
+    const [websites] = await pool.query(
+      `SELECT w.id, w.domain
+      FROM websites w
+      WHERE EXISTS (SELECT 1 FROM security_events se WHERE se.website_id = w.id)
+      ORDER BY w.domain`
+    );
+
+    return { eventTypes, websites };
+  }
+
+  /**
+   * Acknowledge or dismiss an event
+   * @param {number} id - Event ID
+   * @param {string} status - 'acknowledged' or 'dismissed'
+   * @param {Object} auditData - Audit information
+   * @param {number} auditData.user_id - User ID reviewing the event
+   * @param {string} auditData.ip_address - IP address of the requester
+   * @returns {Promise<void>}
+   */
+  static async updateStatus(id, status, auditData) {
+    const pool = getPool();
+
+    if (status !== 'acknowledged' && status !== 'dismissed') {
+      throw new Error(`Invalid status: ${status}`);
+    }
+
+    const event = await SecurityEvent.findById(id);
+    if (!event) {
+      throw new Error('Security event not found');
+    }
+
+    if (event.status === status) {
+      throw new Error(`Event is already ${status}`);
+    }
+
+    await pool.query(
+      'UPDATE security_events SET status = ?, reviewed_by = ?, reviewed_at = NOW() WHERE id = ?',
+      [status, auditData.user_id, id]
+    );
+
+    // Log to audit
+    await auditService.logAction({
+      user_id: auditData.user_id,
+      action:
+        status === 'acknowledged' ? 'security_event.acknowledged' : 'security_event.dismissed',
+      resource_type: 'security_event',
+      resource_id: id,
+      details: {
+        previous_status: event.status,
+        event_type: event.event_type,
+        website: event.website,
+        remote: event.remote
+      },
+      ip_address: auditData.ip_address
+    });
+  }
+
+  /**
+   * Normalise a row (matched_rules is JSON)
+   * @param {Object} row - Database row
+   * @returns {Object} Row with matched_rules as an array
+   */
+  static parseRow(row) {
+    let matchedRules = row.matched_rules;
+    if (typeof matchedRules === 'string') {
+      try {
+        matchedRules = JSON.parse(matchedRules);
+      } catch {
+        matchedRules = [];
+      }
+    }
+    return { ...row, matched_rules: matchedRules || [] };
+  }
+}
+
+SecurityEvent.SEVERITIES = SEVERITIES;
+SecurityEvent.STATUSES = STATUSES;
+
+module.exports = SecurityEvent;
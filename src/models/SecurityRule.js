@@ -0,0 +1,439 @@
+/**
+ * SecurityRule Model
+ * Handles database operations for security rules applied by the analyzer
+ *
+ * Rules imported from fail2ban (source = 'fail2ban') are read-only: they are
+ * owned by rules:import-fail2ban and can only be enabled or disabled here.
+ */
+
+const { getPool } = require('../config/database');
+const auditService = require('../services/auditService');
+const { validatePattern } = require('../utils/regexSafety');
+
+const LOG_TYPES = ['access', 'error'];
+const SOURCES = ['user-defined', 'fail2ban'];
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+class SecurityRule {
+  /**
+   * Build WHERE conditions for rule filters
+   * @param {Object} filters - Filter options (see listRules)
+   * @returns {{where: string, params: Array}} WHERE clause (may be empty) and parameters
+   */
+  static buildFilters(filters = {}) {
+    const { search, logType, eventType, source, enabled } = filters;
+    const conditions = [];
+    const params = [];
+
+    if (search) {
+      conditions.push('(sr.name LIKE ? OR sr.trigger_pattern LIKE ?)');
+      params.push(`%${search}%`, `%${search}%`);
+    }
+
+    if (logType && LOG_TYPES.includes(logType)) {
+      conditions.push('sr.log_type = ?');
+      params.push(logType);
+    }
+
+    if (eventType) {
+      conditions.push('sr.event_type_id = ?');
+      params.push(parseInt(eventType));
+    }
+
+    if (source && SOURCES.includes(source)) {
+      conditions.push('sr.source = ?');
+      params.push(source);
+    }
+
+    if (enabled === '1' || enabled === '0') {
+      conditions.push('sr.enabled = ?');
+      params.push(enabled === '1');
+    }
+
+    return {
+      where: conditions.length > 0 ? 'WHERE ' + conditions.join(' AND ') : '',
+      params
+    };
+  }
+
+  /**
+   * List rules with filters and pagination
+   * @param {Object} options - Query options
+   * @param {string} options.search - Name or pattern (substring match)
+   * @param {string} options.logType - Log type (access, error)
+   * @param {number} options.eventType - Event type ID
+   * @param {string} options.source - Source (user-defined, fail2ban)
+   * @param {string} options.enabled - '1' for enabled rules, '0' for disabled rules
+   * @param {number} options.limit - Results per page
+   * @param {number} options.offset - Offset for pagination
+   * @returns {Promise<Array>} Array of rule objects ordered by name
+   */
+  static async listRules(options = {}) {
+    const pool = getPool();
+    const { limit = 25, offset = 0 } = options;
+    const { where, params } = SecurityRule.buildFilters(options);
+
+    const [rows] = await pool.query(
+      `SELECT
+        sr.id,
+        sr.name,
+        sr.source,
+        sr.log_type,
+        sr.trigger_pattern,
+        sr.ignore_pattern,
+        sr.enabled,
+        sr.updated_at,
+        et.name as event_type,
+        et.severity
+      FROM security_rules sr
+      JOIN event_types et ON sr.event_type_id = et.id
+      ${where}
+      ORDER BY sr.name
+      LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+
+    return rows;
+  }
+
+  /**
+   * Get total count of rules matching filters
+   * @param {Object} filters - Same filters as listRules
+   * @returns {Promise<number>} Total count
+   */
+  static async getRuleCount(filters = {}) {
+    const pool = getPool();
+    const { where, params } = SecurityRule.buildFilters(filters);
+
+    const [rows] = await pool.query(
+      `SELECT COUNT(*) as count FROM security_rules sr ${where}`,
+      params
+    );
+    return rows[0].count;
+  }
+
+  /**
+   * Find rule by ID
+   * @param {number} id - Rule ID
+   * @returns {Promise<Object|null>} Rule object with its event type, or null
+   */
+  static async findById(id) {
+    const pool = getPool();
+    const [rows] = await pool.query(
+      `SELECT
+        sr.*,
+        et.name as event_type,
+        et.severity,
+        et.description as event_type_description
+      FROM security_rules sr
+      JOIN event_types et ON sr.event_type_id = et.id
+      WHERE sr.id = ?`,
+      [id]
+    );
+    return rows.length > 0 ? rows[0] : null;
+  }
+
+  /**
+   * Get all event types for the rule form and filters
+   * @returns {Promise<Array>} [{ id, name, severity }]
+   */
+  static async getEventTypes() {
+    const pool = getPool();
+    const [rows] = await pool.query('SELECT id, name, severity FROM event_types ORDER BY name');
+    return rows;
+  }
+
+  /**
+   * Validate and normalise rule fields
+   * @param {Object} data - Rule fields from the form
+   * @returns {Promise<Object>} { name, log_type, event_type_id, trigger_pattern, ignore_pattern, description }
+   * @throws {Error} If a field is invalid
+   */
+  static async validateRule(data) {
+    const pool = getPool();
+    const name = (data.name || '').trim();
+    const triggerPattern = (data.trigger_pattern || '').trim();
+    const ignorePattern = (data.ignore_pattern || '').trim();
+
+    if (name.length === 0) {
+      throw new Error('Rule name is required');
+    }
+
+    if (name.length > 100) {
+      throw new Error('Rule name must be 100 characters or fewer');
+    }
+
+    if (name.startsWith('fail2ban:')) {
+      throw new Error("Rule names starting with 'fail2ban:' are reserved for imported rules");
+    }
+
+    if (!LOG_TYPES.includes(data.log_type)) {
+      throw new Error('Log type must be access or error');
+    }
+
+    const triggerError = validatePattern(triggerPattern);
+    if (triggerError) {
+      throw new Error(`Trigger pattern: ${triggerError}`);
+    }
+
+    if (ignorePattern) {
+      const ignoreError = validatePattern(ignorePattern);
+      if (ignoreError) {
+        throw new Error(`Ignore pattern: ${ignoreError}`);
+      }
+    }
+
+    const [eventTypes] = await pool.query('SELECT id FROM event_types WHERE id = ?', [
+      parseInt(data.event_type_id) || 0
+    ]);
+    if (eventTypes.length === 0) {
+      throw new Error('Event type is required');
+    }
+
+    return {
+      name,
+      log_type: data.log_type,
+      event_type_id: eventTypes[0].id,
+      trigger_pattern: triggerPattern,
+      ignore_pattern: ignorePattern || null,
+      description: data.description && data.description.trim() ? data.description.trim() : null
+    };
+  }
+
+  /**
+   * Create an event type for use by rules
+   * @param {Object} data - Event type data
+   * @param {string} data.name - Event type name (e.g., vulnerability-probe)
+   * @param {string} data.severity - Severity (low, medium, high, critical)
+   * @param {number} data.created_by - User ID creating the event type
+   * @param {string} data.ip_address - IP address of the requester
+   * @returns {Promise<number>} New event type ID
+   */
+  static async createEventType(data) {
+    const pool = getPool();
+    const name = (data.name || '').trim();
+
+    if (!/^[a-z0-9][a-z0-9-]{0,49}$/.test(name)) {
+      throw new Error(
+        'Event type name must be up to 50 lowercase letters, digits and hyphens (e.g., vulnerability-probe)'
+      );
+    }
+
+    if (!SEVERITIES.includes(data.severity)) {
+      throw new Error('Severity must be low, medium, high or critical');
+    }
+
+    const [existing] = await pool.query('SELECT id FROM event_types WHERE name = ?', [name]);
+    if (existing.length > 0) {
+      throw new Error('An event type with this name already exists');
+    }
+
+    const [result] = await pool.query('INSERT INTO event_types (name, severity) VALUES (?, ?)', [
+      name,
+      data.severity
+    ]);
+
+    // Log to audit
+    await auditService.logAction({
+      user_id: data.created_by,
+      action: 'event_type.created',
+      resource_type: 'event_type',
+      resource_id: result.insertId,
+      details: { name, severity: data.severity },
+      ip_address: data.ip_address
+    });
+
+    return result.insertId;
+  }
+
+  /**
+   * Create a new user-defined rule
+   * @param {Object} data - Rule data (see validateRule)
+   * @param {number} data.created_by - User ID who created the rule
+   * @param {string} data.ip_address - IP address of the requester
+   * @returns {Promise<Object>} Created rule { id, name }
+   */
+  static async createRule(data) {
+    const pool = getPool();
+    const rule = await SecurityRule.validateRule(data);
+
+    // Check for duplicate name
+    const [existing] = await pool.query('SELECT id FROM security_rules WHERE name = ?', [
+      rule.name
+    ]);
+    if (existing.length > 0) {
+      throw new Error('A rule with this name already exists');
+    }
+
+    const [result] = await pool.query(
+      `INSERT INTO security_rules
+       (name, source, log_type, event_type_id, trigger_pattern, ignore_pattern, description, enabled)
+       VALUES (?, 'user-defined', ?, ?, ?, ?, ?, ?)`,
+      [
+        rule.name,
+        rule.log_type,
+        rule.event_type_id,
+        rule.trigger_pattern,
+        rule.ignore_pattern,
+        rule.description,
+        data.enabled !== false
+      ]
+    );
+
+    // Log to audit
+    await auditService.logAction({
+      user_id: data.created_by,
+      action: 'security_rule.created',
+      resource_type: 'security_rule',
+      resource_id: result.insertId,
+      details: {
+        name: rule.name,
+        log_type: rule.log_type,
+        trigger_pattern: rule.trigger_pattern
+      },
+      ip_address: data.ip_address
+    });
+
+    return { id: result.insertId, name: rule.name };
+  }
+
+  /**
+   * Update a user-defined rule
+   * @param {number} id - Rule ID
+   * @param {Object} updates - Rule fields (see validateRule) and enabled flag
+   * @param {Object} auditData - Audit information
+   * @param {number} auditData.user_id - User ID making the change
+   * @param {string} auditData.ip_address - IP address of the requester
+   * @returns {Promise<void>}
+   */
+  static async updateRule(id, updates, auditData) {
+    const pool = getPool();
+
+    const current = await SecurityRule.findById(id);
+    if (!current) {
+      throw new Error('Security rule not found');
+    }
+
+    if (current.source === 'fail2ban') {
+      throw new Error('Fail2ban rules are read-only - re-import the filter to change them');
+    }
+
+    const rule = await SecurityRule.validateRule(updates);
+
+    // Check for duplicate name (excluding current rule)
+    const [existing] = await pool.query(
+      'SELECT id FROM security_rules WHERE name = ? AND id != ?',
+      [rule.name, id]
+    );
+    if (existing.length > 0) {
+      throw new Error('A rule with this name already exists');
+    }
+
+    await pool.query(
+      `UPDATE security_rules
+       SET name = ?, log_type = ?, event_type_id = ?, trigger_pattern = ?,
+           ignore_pattern = ?, description = ?, enabled = ?
+       WHERE id = ?`,
+      [
+        rule.name,
+        rule.log_type,
+        rule.event_type_id,
+        rule.trigger_pattern,
+        rule.ignore_pattern,
+        rule.description,
+        updates.enabled !== false,
+        id
+      ]
+    );
+
+    // Record which fields changed, with old and new patterns for traceability
+    const changed = ['name', 'log_type', 'event_type_id', 'trigger_pattern', 'ignore_pattern']
+      .filter(field => current[field] !== rule[field])
+      .reduce(
+        (details, field) => ({ ...details, [field]: { from: current[field], to: rule[field] } }),
+        {}
+      );
+
+    // Log to audit
+    await auditService.logAction({
+      user_id: auditData.user_id,
+      action: 'security_rule.updated',
+      resource_type: 'security_rule',
+      resource_id: id,
+      details: { name: rule.name, enabled: updates.enabled !== false, changes: changed },
+      ip_address: auditData.ip_address
+    });
+  }
+
+  /**
+   * Enable or disable a rule (allowed for fail2ban rules too)
+   * @param {number} id - Rule ID
+   * @param {boolean} enabled - New enabled state
+   * @param {Object} auditData - Audit information
+   * @param {number} auditData.user_id - User ID making the change
+   * @param {string} auditData.ip_address - IP address of the requester
+   * @returns {Promise<void>}
+   */
+  static async setEnabled(id, enabled, auditData) {
+    const pool = getPool();
+
+    const rule = await SecurityRule.findById(id);
+    if (!rule) {
+      throw new Error('Security rule not found');
+    }
+
+    await pool.query('UPDATE security_rules SET enabled = ? WHERE id = ?', [enabled, id]);
+
+    // Log to audit
+    await auditService.logAction({
+      user_id: auditData.user_id,
+      action: enabled ? 'security_rule.enabled' : 'security_rule.disabled',
+      resource_type: 'security_rule',
+      resource_id: id,
+      details: { name: rule.name, source: rule.source },
+      ip_address: auditData.ip_address
+    });
+  }
+
+  /**
+   * Delete a user-defined rule
+   * Events already raised by the rule keep its name in matched_rules.
+   * @param {number} id - Rule ID
+   * @param {Object} auditData - Audit information
+   * @param {number} auditData.user_id - User ID performing the deletion
+   * @param {string} auditData.ip_address - IP address of the requester
+   * @returns {Promise<void>}
+   */
+  static async deleteRule(id, auditData) {
+    const pool = getPool();
+
+    const rule = await SecurityRule.findById(id);
+    if (!rule) {
+      throw new Error('Security rule not found');
+    }
+
+    if (rule.source === 'fail2ban') {
+      throw new Error(
+        'Fail2ban rules are removed by re-importing the filter - disable the rule instead'
+      );
+    }
+
+    await pool.query('DELETE FROM security_rules WHERE id = ?', [id]);
+
+    // Log to audit
+    await auditService.logAction({
+      user_id: auditData.user_id,
+      action: 'security_rule.deleted',
+      resource_type: 'security_rule',
+      resource_id: id,
+      details: { name: rule.name, trigger_pattern: rule.trigger_pattern },
+      ip_address: auditData.ip_address
+    });
+  }
+}
+
+SecurityRule.LOG_TYPES = LOG_TYPES;
+SecurityRule.SOURCES = SOURCES;
+SecurityRule.SEVERITIES = SEVERITIES;
+
+module.exports = SecurityRule;
@@ -5,6 +5,7 @@
 
 const { getPool } = require('../config/database');
 const auditService = require('../services/auditService');
+const { clearCache: clearWebsiteCache } = require('../services/websiteService');
 
 /**
  * Create new website
@@ -201,6 +202,11 @@ async function updateWebsite(id, updates, auditInfo = {}) {
       throw new Error('Website not found');
     }
 
+    // Ingestion caches website IDs by domain
+    if (updates.domain !== undefined) {
+      clearWebsiteCache();
+    }
+
     // Audit log: website updated
     await auditService.logAction({
       user_id,
@@ -245,6 +251,8 @@ async function deleteWebsite(id, auditInfo = {}) {
     throw new Error('Website not found');
   }
 
+  clearWebsiteCache();
+
   // Audit log: website deleted
   await auditService.logAction({
     user_id,
@@ -0,0 +1,237 @@
+/**
+ * Query Template Library
+ * Predefined, pre-tested query patterns for common security analysis.
+ *
+ * Templates never take user-supplied patterns - only the common filters
+ * (website, host, remote, from/to, paging) and any template-specific
+ * parameters declared below are accepted from the caller.
+ *
+ * Template definition structure:
+ * {
+ *   title: string - Human-readable name
+ *   description: string - What the template detects
+ *   category: string - Grouping ('security' or 'operational')
+ *   log_type: 'access'|'error' - Log type the template applies to
+ *   pattern: { field, regex } - Case-insensitive regex against a raw_data field
+ *   codes: Array<number> - Optional HTTP code restriction
+ *   special: 'aggregate' - Optional; GROUP BY remote instead of returning records
+ *   parameters: Array - Template-specific parameters (in addition to the common filters)
+ *   defaultWindowHours: number - Time window used when 'from' is not supplied
+ * }
+ */
+
+/**
+ * Filters accepted by every template
+ */
+const COMMON_PARAMETERS = [
+  { name: 'website', type: 'string', description: 'Website domain or ID' },
+  { name: 'host', type: 'string', description: 'Server hostname or ID' },
+  { name: 'remote', type: 'string', description: 'Client IP address (substring match)' },
+  { name: 'from', type: 'ISO 8601', description: 'Start timestamp (default: template window)' },
+  { name: 'to', type: 'ISO 8601', description: 'End timestamp (default: now)' },
+  { name: 'limit', type: 'integer', description: 'Results per page (max 1000)', default: 100 },
+  { name: 'sort', type: 'asc|desc', description: 'Sort by timestamp', default: 'desc' },
+  { name: 'cursor', type: 'string', description: 'Cursor from the previous page' }
+];
+
+/**
+ * Fields of raw_data that templates may match against
+ */
+const ALLOWED_FIELDS = ['path', 'agent', 'referer', 'method', 'message'];
+
+const QUERY_LIBRARY = {
+  'wp-probes': {
+    title: 'WordPress Vulnerability Probes',
+    description: 'Requests for known WordPress vulnerability and installer paths',
+    category: 'security',
+    log_type: 'access',
+    pattern: {
+      field: 'path',
+      regex:
+        '(wp-content/plugins/.*\\.(php|bak)|wp-config\\.(php\\.)?bak|/readme\\.html|/license\\.txt|wp-admin/(install|setup-config)\\.php|xmlrpc\\.php)'
+    },
+    defaultWindowHours: 24
+  },
+
+  'sql-injection': {
+    title: 'SQL Injection Attempts',
+    description: 'Common SQL injection patterns in request URLs',
+    category: 'security',
+    log_type: 'access',
+    pattern: {
+      field: 'path',
+      regex:
+        "(union(%20|\\+|\\s)+(all(%20|\\+|\\s)+)?select|concat\\(.*0x|benchmark\\(|sleep\\(\\d|(%27|')(%20|\\+|\\s)*or(%20|\\+|\\s)+1(%20|\\+|\\s)*=(%20|\\+|\\s)*1|waitfor(%20|\\+|\\s)+delay|information_schema)"
+    },
+    defaultWindowHours: 24
+  },
+
+  'directory-traversal': {
+    title: 'Directory Traversal Attempts',
+    description: 'Attempts to read files outside the web root',
+    category: 'security',
+    log_type: 'access',
+    pattern: {
+      field: 'path',
+      regex: '(\\.\\./|\\.\\.%2f|%2e%2e(/|%2f)|/etc/passwd|/etc/shadow|/proc/self/)'
+    },
+    defaultWindowHours: 24
+  },
+
+  'scanner-agents': {
+    title: 'Scanner User Agents',
+    description: 'Requests from known vulnerability scanners and scripted clients',
+    category: 'security',
+    log_type: 'access',
+    pattern: {
+      field: 'agent',
+      regex:
+        '(nikto|nmap|sqlmap|havij|acunetix|nessus|openvas|wpscan|masscan|zgrab|nuclei|dirbuster|gobuster|python-requests|go-http-client|^curl/|^wget/)'
+    },
+    defaultWindowHours: 24
+  },
+
+  'xss-attempts': {
+    title: 'Cross-Site Scripting (XSS) Attempts',
+    description: 'Script injection patterns in request URLs',
+    category: 'security',
+    log_type: 'access',
+    pattern: {
+      field: 'path',
+      regex: '(<script|%3cscript|javascript:|onerror=|onload=|document\\.cookie|alert\\()'
+    },
+    defaultWindowHours: 24
+  },
+
+  'php-shells': {
+    title: 'PHP Web Shell Access',
+    description: 'Requests for common web shell filenames',
+    category: 'security',
+    log_type: 'access',
+    pattern: {
+      field: 'path',
+      regex: '/(shell|c99|r57|wso|b374k|alfa(shell)?|phpinfo|backdoor)\\.php'
+    },
+    defaultWindowHours: 24
+  },
+
+  'backup-files': {
+    title: 'Backup File Enumeration',
+    description: 'Requests for backup, archive and database dump files',
+    category: 'security',
+    log_type: 'access',
+    pattern: {
+      field: 'path',
+      regex: '\\.(bak|backup|old|orig|swp|save|zip|tar|tar\\.gz|tgz|sql|sql\\.gz)(\\?|$)'
+    },
+    defaultWindowHours: 24
+  },
+
+  'failed-logins': {
+    title: 'Failed WordPress Logins',
+    description: 'POSTs to wp-login.php that were refused',
+    category: 'security',
+    log_type: 'access',
+    pattern: {
+      field: 'path',
+      regex: '^/wp-login\\.php'
+    },
+    codes: [401, 403],
+    defaultWindowHours: 24
+  },
+
+  'high-frequency-ips': {
+    title: 'High Frequency IP Addresses',
+    description: 'Client IPs exceeding a request threshold within the time window',
+    category: 'security',
+    log_type: 'access',
+    special: 'aggregate',
+    parameters: [
+      {
+        name: 'threshold',
+        type: 'integer',
+        description: 'Minimum number of requests in the window',
+        default: 100
+      }
+    ],
+    defaultWindowHours: 1
+  },
+
+  'php-errors': {
+    title: 'PHP Errors',
+    description: 'PHP fatal errors, warnings and uncaught exceptions',
+    category: 'operational',
+    log_type: 'error',
+    pattern: {
+      field: 'message',
+      regex: '(PHP (Fatal error|Parse error|Warning)|Uncaught)'
+    },
+    defaultWindowHours: 24
+  }
+};
+
+/**
+ * Get a template definition by name
+ * @param {string} name - Template name (e.g., 'wp-probes')
+ * @returns {Object|null} Template definition or null if not found
+ */
+function getTemplate(name) {
+  if (!Object.prototype.hasOwnProperty.call(QUERY_LIBRARY, name)) {
+    return null;
+  }
+  return { name, ...QUERY_LIBRARY[name] };
+}
+
+/**
+ * Get all template names
+ * @returns {Array<string>}
+ */
+function getTemplateNames() {
+  return Object.keys(QUERY_LIBRARY);
+}
+
+/**
+ * List templates with their metadata and accepted parameters
+ * @returns {Array<Object>} Template summaries
+ */
+function listTemplates() {
+  return Object.entries(QUERY_LIBRARY).map(([name, template]) => ({
+    name,
+    title: template.title,
+    description: template.description,
+    category: template.category,
+    log_type: template.log_type,
+    type: template.special === 'aggregate' ? 'aggregate' : 'records',
+    default_window_hours: template.defaultWindowHours,
+    parameters: [
+      ...COMMON_PARAMETERS.filter(
+        p => template.special !== 'aggregate' || !['limit', 'sort', 'cursor'].includes(p.name)
+      ),
+      ...(template.parameters || [])
+    ]
+  }));
+}
+
+/**
+ * Validate the library definitions (called once at load time)
+ * Guards against a template referencing a field outside the whitelist.
+ */
+function validateLibrary() {
+  for (const [name, template] of Object.entries(QUERY_LIBRARY)) {
+    if (template.pattern && !ALLOWED_FIELDS.includes(template.pattern.field)) {
+      throw new Error(
+        `Query template '${name}' uses unsupported field '${template.pattern.field}'`
+      );
+    }
+  }
+}
+
+validateLibrary();
+
+module.exports = {
+  QUERY_LIBRARY,
+  ALLOWED_FIELDS,
+  getTemplate,
+  getTemplateNames,
+  listTemplates
+};
@@ -1,13 +1,220 @@
-const { ingestLogs, queryLogs } = require('../services/logService');
-const { getPool } = require('../config/database');
+const config = require('../config');
+const {
+  ingestLogs,
+  queryLogs,
+  decodeCursor,
+  getWriteBufferStats
+} = require('../services/logService');
+const { executeTemplate } = require('../services/queryTemplateService');
+const { getTemplate, getTemplateNames, listTemplates } = require('../queries/library');
+const { getPool, isQueryTimeout } = require('../config/database');
+const { EXPORT_FORMATS, openLogExport } = require('../services/logExportService');
+const auditService = require('../services/auditService');
+const RejectedRecord = require('../models/RejectedRecord');
+const { REPLAY_BATCH_SIZE, replayRejectedRecords } = require('../services/rejectedRecordService');
+const { tryAdmit, getAdmissionStats } = require('../services/admissionService');
+const { requireScope } = require('../middleware/auth');
+const { HTTP_METHODS } = require('../utils/accessFields');
+const { ERROR_LEVELS, normaliseLevel } = require('../utils/apacheErrorLog');
+const { splitLogLines } = require('../utils/rawLogLine');
+const { isValidDomain } = require('../utils/extractDomain');
+
+// Request header that selects the ingestion response mode (alternative to ?verbose / ?strict)
+const INGEST_MODE_HEADER = 'x-headlog-ingest-mode';
+
+// Request headers that describe a text/plain upload (alternative to ?website, ?host, ?type)
+const PLAIN_TEXT_HEADERS = {
+  website: 'x-headlog-website',
+  host: 'x-headlog-host',
+  type: 'x-headlog-log-type'
+};
+
+/**
+ * Read the ingestion response mode for a POST /logs request
+ * verbose - the response lists the index and reason code of every rejected record
+ * strict  - the whole batch is refused with 422 if any record is rejected
+ * Set with ?verbose=true / ?strict=true, or X-Headlog-Ingest-Mode: verbose, strict
+ * @param {Object} request - Fastify request
+ * @returns {{verbose: boolean, strict: boolean}} Response mode
+ */
+function getIngestMode(request) {
+  const header = String(request.headers[INGEST_MODE_HEADER] || '')
+    .toLowerCase()
+    .split(',')
+    .map(mode => mode.trim());
+  const flag = value => value === 'true' || value === '1';
+
+  return {
+    verbose: header.includes('verbose') || flag(request.query.verbose),
+    strict: header.includes('strict') || flag(request.query.strict)
+  };
+}
+
+/**
+ * Build log records from a text/plain POST /logs body
+ * Each non-blank line becomes a record whose raw_line ingestLogs parses. The
+ * website, host and log type come from X-Headlog-Website / X-Headlog-Host /
+ * X-Headlog-Log-Type or ?website, ?host, ?type.
+ * @param {Object} request - Fastify request
+ * @returns {{records: Array<Object>, lineNumbers: Array<number>}|{error: string}} Records
+ *   with the line number of each, or an error message
+ */
+function plainTextRecords(request) {
+  const param = name => request.headers[PLAIN_TEXT_HEADERS[name]] || request.query[name] || null;
+  const website = param('website');
+  const host = param('host');
+  const type = param('type');
+
+  if (!host) {
+    return { error: 'Plain-text logs need a host (X-Headlog-Host header or host parameter)' };
+  }
+
+  if (website && !isValidDomain(website)) {
+    return { error: 'Invalid website domain' };
+  }
+
+  if (type && type !== 'access' && type !== 'error') {
+    return { error: "Invalid type. Expected 'access' or 'error'" };
+  }
+
+  const lines = splitLogLines(request.body);
+
+  return {
+    records: lines.map(line => ({
+      raw_line: line.text,
+      host,
+      ...(website && { domain: website }),
+      ...(type && { log_type: type })
+    })),
+    lineNumbers: lines.map(line => line.number)
+  };
+}
+
+/**
+ * Summarise rejected records for a response
+ * @param {Array<Object>} rejected - [{ index, reason }] from ingestLogs
+ * @param {Array<number>|null} lineNumbers - Line number of each record (text/plain uploads)
+ * @returns {Array<Object>} [{ index, reason }], or [{ line, reason }] for text/plain uploads
+ */
+function summariseRejected(rejected, lineNumbers = null) {
+  return rejected.map(({ index, reason }) =>
+    lineNumbers ? { line: lineNumbers[index], reason } : { index, reason }
+  );
+}
+
+/**
+ * Send the 422 response for a batch refused in strict mode
+ * @param {Object} reply - Fastify reply object
+ * @param {number} received - Records in the batch
+ * @param {Array<Object>} rejected - [{ index, reason }] from ingestLogs
+ * @param {Array<number>|null} lineNumbers - Line number of each record (text/plain uploads)
+ * @returns {Object} Reply
+ */
+function sendStrictRejection(reply, received, rejected, lineNumbers = null) {
+  return reply.code(422).send({
+    error: 'Unprocessable Entity',
+    message: `${rejected.length} of ${received} records failed validation; no records were stored`,
+    received,
+    processed: 0,
+    rejected: summariseRejected(rejected, lineNumbers)
+  });
+}
+
+/**
+ * Validate the log filters shared by GET /logs and GET /logs/export
+ * @param {Object} query - Request query string
+ * @returns {Object} { filters } for queryLogs / openLogExport, or { error } with the 400 message
+ */
+function parseLogFilters(query) {
+  const { website, host, type, code, remote, from, to, search } = query;
+  const { method, path, agent, severity, module } = query;
+  const errorCode = query.error_code;
+  const excludeOwn = query.exclude_own;
+
+  if (type && type !== 'access' && type !== 'error') {
+    return { error: "Invalid type. Expected 'access' or 'error'" };
+  }
+
+  if (excludeOwn !== undefined && !['true', 'false', '1', '0'].includes(excludeOwn)) {
+    return { error: "Invalid exclude_own. Expected 'true' or 'false'" };
+  }
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && isNaN(new Date(value).getTime())) {
+      return { error: `Invalid '${name}' date. Expected ISO 8601 format` };
+    }
+  }
+
+  if (method && !HTTP_METHODS.includes(String(method).toUpperCase())) {
+    return { error: 'Invalid method. Expected one of: ' + HTTP_METHODS.join(', ') };
+  }
+
+  if (severity && !normaliseLevel(severity)) {
+    return { error: 'Invalid severity. Expected one of: ' + ERROR_LEVELS.join(', ') };
+  }
+
+  if (errorCode && !/^AH\d{5}$/i.test(errorCode)) {
+    return { error: 'Invalid error_code. Expected an Apache error code such as AH01071' };
+  }
+
+  return {
+    filters: {
+      website,
+      host,
+      type,
+      code,
+      remote,
+      method,
+      path,
+      agent,
+      severity,
+      errorCode,
+      module,
+      excludeOwn: excludeOwn === 'true' || excludeOwn === '1',
+      from,
+      to,
+      search
+    }
+  };
+}
+
+/**
+ * Admission control for ingestion (onRequest, before the body is read)
+ * Answers 503 with Retry-After while the database is saturated.
+ * @param {Object} request - Fastify request object
+ * @param {Object} reply - Fastify reply object
+ * @returns {Promise<Object|undefined>} 503 response, or nothing when admitted
+ */
+async function admitIngestion(request, reply) {
+  const admission = tryAdmit();
+
+  if (!admission.admitted) {
+    return reply
+      .code(503)
+      .header('Retry-After', String(admission.retryAfter))
+      .send({
+        error: 'Service Unavailable',
+        message: `Ingestion is overloaded (${admission.reason}); retry after ${admission.retryAfter}s`,
+        retry_after: admission.retryAfter
+      });
+  }
+
+  // Response sent or connection closed
+  reply.raw.once('close', admission.release);
+}
 
 /**
  * Handle upstream hierarchical batch with deduplication
  * @param {Object} payload - Batch payload with batch_uuid, source_instance, records
  * @param {Object} reply - Fastify reply object
+ * @param {Object} options - Ingestion options
+ * @param {number|null} options.apiKeyId - API key that sent the batch (kept with rejected records)
+ * @param {boolean} options.verbose - List rejected records in the response
+ * @param {boolean} options.strict - Refuse the whole batch if any record is rejected
  * @returns {Promise<Object>} Response
  */
-async function handleUpstreamBatch(payload, reply) {
+async function handleUpstreamBatch(payload, reply, options = {}) {
+  const { apiKeyId = null, verbose = false, strict = false } = options;
   const { batch_uuid, source_instance, records } = payload;
   const pool = getPool();
 
@@ -57,7 +264,29 @@ async function handleUpstreamBatch(payload, reply) {
     );
 
     // Process logs normally
-    const processed = await ingestLogs(records);
+    const rejected = [];
+    const duplicates = [];
+    const processed = await ingestLogs(records, {
+      apiKeyId,
+      strict,
+      rejected,
+      duplicates,
+      trackClockSkew: false // Buffered upstream, so the delay says nothing about the host clock
+    });
+
+    if (strict && rejected.length > 0) {
+      // Nothing was stored - let the batch be sent again once it has been fixed
+      await pool.query(
+        'DELETE FROM batch_deduplication WHERE batch_uuid = ? AND source_instance = ?',
+        [batchUuidBinary, source_instance]
+      );
+
+      console.log(
+        `[UpstreamBatch] Refused batch ${batch_uuid} from ${source_instance} (strict): ` +
+          `${rejected.length} records rejected`
+      );
+      return sendStrictRejection(reply, records.length, rejected);
+    }
 
     console.log(
       `[UpstreamBatch] Processed batch ${batch_uuid} from ${source_instance}: ${processed} records`
@@ -67,7 +296,9 @@ async function handleUpstreamBatch(payload, reply) {
       status: 'ok',
       received: records.length,
       processed: processed,
-      deduplicated: false
+      deduplicated: false,
+      ...(config.logProcessing.deduplicateRecords && { duplicates: duplicates.length }),
+      ...(verbose && { rejected: summariseRejected(rejected) })
     });
   } catch (error) {
     console.error(`[UpstreamBatch] Error processing batch ${batch_uuid}:`, error);
@@ -83,8 +314,14 @@ async function handleUpstreamBatch(payload, reply) {
  * @param {import('fastify').FastifyInstance} fastify
  */
 async function logRoutes(fastify) {
+  // API key scopes (requests with a UI session are not scope-checked)
+  const logsRead = { onRequest: requireScope('logs:read') };
+  const logsWrite = { onRequest: requireScope('logs:write') };
+  // Ingestion: scope first, so refused keys do not count as in flight
+  const logsIngest = { onRequest: [logsWrite.onRequest, admitIngestion] };
+
   // POST /logs - Ingest log records
-  fastify.post('/logs', async (request, reply) => {
+  fastify.post('/logs', logsIngest, async (request, reply) => {
     try {
       // Log request details for debugging Content-Length issues
       const contentLength = request.headers['content-length'];
@@ -99,14 +336,27 @@ async function logRoutes(fastify) {
       }, 'Log ingestion request received');
 
       const payload = request.body;
+      const apiKeyId = request.apiKey ? request.apiKey.id : null;
+      const { verbose, strict } = getIngestMode(request);
 
-      // Check if this is a hierarchical batch upload
-      if (payload.batch_uuid && payload.source_instance && payload.records) {
-        return await handleUpstreamBatch(payload, reply);
-      }
+      // Raw Apache log lines (text/plain), one per line
+      let logRecords = payload;
+      let lineNumbers = null;
 
-      // Regular direct ingestion (Fluent Bit, etc.)
-      const logRecords = payload;
+      if (typeof payload === 'string') {
+        const plainText = plainTextRecords(request);
+        if (plainText.error) {
+          return reply.code(400).send({
+            error: 'Bad Request',
+            message: plainText.error
+          });
+        }
+
+        ({ records: logRecords, lineNumbers } = plainText);
+      } else if (payload.batch_uuid && payload.source_instance && payload.records) {
+        // Hierarchical batch upload
+        return await handleUpstreamBatch(payload, reply, { apiKeyId, verbose, strict });
+      }
 
       // Validate payload
       if (!Array.isArray(logRecords)) {
@@ -124,12 +374,20 @@ async function logRoutes(fastify) {
       }
 
       // Process logs
-      const processed = await ingestLogs(logRecords);
+      const rejected = [];
+      const duplicates = [];
+      const processed = await ingestLogs(logRecords, { apiKeyId, strict, rejected, duplicates });
+
+      if (strict && rejected.length > 0) {
+        return sendStrictRejection(reply, logRecords.length, rejected, lineNumbers);
+      }
 
       return reply.code(200).send({
         status: 'ok',
         received: logRecords.length,
-        processed: processed
+        processed: processed,
+        ...(config.logProcessing.deduplicateRecords && { duplicates: duplicates.length }),
+        ...(verbose && { rejected: summariseRejected(rejected, lineNumbers) })
       });
     } catch (error) {
       console.error('Log ingestion error:', error);
@@ -140,17 +398,50 @@ async function logRoutes(fastify) {
     }
   });
 
-  // GET /logs - Query logs (Phase #2)
-  fastify.get('/logs', async (request, reply) => {
+  /**
+   * GET /logs - Query logs with filters and cursor pagination
+   * Filters: website (domain or ID), host (hostname or ID), type, code (comma-separated),
+   * remote, method, path (exact), agent (substring), severity (minimum error level),
+   * error_code (AH#####), module, exclude_own (true|false), from, to (ISO 8601), search.
+   * Paging: limit, sort (asc|desc), cursor.
+   */
+  fastify.get('/logs', logsRead, async (request, reply) => {
     try {
-      // TODO: Parse query parameters for filtering
-      const logs = await queryLogs();
+      const { cursor, limit, sort } = request.query;
 
-      return reply.code(200).send({
-        logs: logs,
-        total: logs.length
-      });
+      if (sort && sort !== 'asc' && sort !== 'desc') {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: "Invalid sort. Expected 'asc' or 'desc'"
+        });
+      }
+
+      const { filters, error } = parseLogFilters(request.query);
+      if (error) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: error
+        });
+      }
+
+      if (cursor && !decodeCursor(cursor)) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Invalid cursor'
+        });
+      }
+
+      const result = await queryLogs({ ...filters, cursor, limit, sort });
+
+      return reply.code(200).send(result);
     } catch (error) {
+      if (isQueryTimeout(error)) {
+        return reply.code(504).send({
+          error: 'Gateway Timeout',
+          message: 'Query exceeded the time limit. Narrow the time range or filters.'
+        });
+      }
+
       console.error('Log query error:', error);
       return reply.code(500).send({
         error: 'Internal Server Error',
@@ -159,12 +450,359 @@ async function logRoutes(fastify) {
     }
   });
 
+  /**
+   * GET /logs/metrics - Ingestion metrics (write buffer, backpressure) of the worker that answers
+   */
+  fastify.get('/logs/metrics', logsRead, async (request, reply) => {
+    return reply.code(200).send({
+      status: 'ok',
+      worker: config.pm2.appInstance,
+      writeBuffer: getWriteBufferStats(),
+      admission: getAdmissionStats()
+    });
+  });
+
+  /**
+   * GET /logs/queries - List available query templates and their parameters
+   */
+  fastify.get('/logs/queries', logsRead, async (request, reply) => {
+    return reply.code(200).send({
+      status: 'ok',
+      templates: listTemplates()
+    });
+  });
+
+  /**
+   * GET /logs/query/:template - Execute a predefined query template
+   * Accepts the common filters (website, host, remote, from, to, limit, sort, cursor)
+   * plus any template-specific parameters listed by GET /logs/queries
+   */
+  fastify.get('/logs/query/:template', logsRead, async (request, reply) => {
+    const { template } = request.params;
+
+    try {
+      const { website, host, remote, from, to, limit, sort, cursor, threshold } = request.query;
+
+      if (!getTemplate(template)) {
+        return reply.code(404).send({
+          error: 'Not Found',
+          message: `Query template '${template}' not found`,
+          available_templates: getTemplateNames()
+        });
+      }
+
+      if (sort && sort !== 'asc' && sort !== 'desc') {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: "Invalid sort. Expected 'asc' or 'desc'"
+        });
+      }
+
+      for (const [name, value] of [['from', from], ['to', to]]) {
+        if (value && isNaN(new Date(value).getTime())) {
+          return reply.code(400).send({
+            error: 'Bad Request',
+            message: `Invalid '${name}' date. Expected ISO 8601 format`
+          });
+        }
+      }
+
+      if (cursor && !decodeCursor(cursor)) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: 'Invalid cursor'
+        });
+      }
+
+      const result = await executeTemplate(template, {
+        website,
+        host,
+        remote,
+        from,
+        to,
+        limit,
+        sort,
+        cursor,
+        threshold
+      });
+
+      return reply.code(200).send({
+        status: 'ok',
+        ...result
+      });
+    } catch (error) {
+      if (isQueryTimeout(error)) {
+        return reply.code(504).send({
+          error: 'Gateway Timeout',
+          message: 'Query exceeded the time limit. Narrow the time range or filters.'
+        });
+      }
+
+      console.error(`Query template '${template}' error:`, error);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to execute query template'
+      });
+    }
+  });
+
+  /**
+   * GET /logs/export - Stream log records as CSV, NDJSON or a JSON array
+   * Filters: same as GET /logs (website, host, type, code, remote, method, path, agent,
+   * severity, error_code, module, exclude_own, from, to, search); from defaults to 7 days ago.
+   * format (csv|ndjson|json), sort (asc|desc).
+   * Sessions need the logs:export capability. Responses are gzipped when the client
+   * sends Accept-Encoding: gzip. Every export is written to the audit log.
+   */
+  fastify.get('/logs/export', logsRead, async (request, reply) => {
+    try {
+      let userId = null;
+
+      // Check for session authentication (from browser)
+      if (request.session && request.session.user_id) {
+        const authService = require('../services/authService');
+        const authorizationService = require('../services/authorizationService');
+
+        const user = await authService.validateSession(request.session.user_id);
+        if (!user) {
+          return reply.code(401).send({ error: 'Unauthorized: Invalid session' });
+        }
+
+        const capabilities = await authorizationService.getUserCapabilities(user.id);
+        const hasLogsExport =
+          user.is_superuser || capabilities.some(cap => cap.name === 'logs:export');
+
+        if (!hasLogsExport) {
+          return reply.code(403).send({ error: 'Access denied: logs:export capability required' });
+        }
+
+        userId = user.id;
+      }
+      // If no session, the API key auth from onRequest hook handles it
+
+      const { sort } = request.query;
+      const format = request.query.format || 'csv';
+
+      if (!EXPORT_FORMATS[format]) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: `Invalid format. Expected one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`
+        });
+      }
+
+      if (sort && sort !== 'asc' && sort !== 'desc') {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: "Invalid sort. Expected 'asc' or 'desc'"
+        });
+      }
+
+      const { filters, error } = parseLogFilters(request.query);
+      if (error) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: error
+        });
+      }
+
+      // Record the export before any data leaves the server
+      await auditService.logAction({
+        user_id: userId,
+        api_key_id: userId ? null : request.apiKey ? request.apiKey.id : null,
+        action: 'logs.exported',
+        resource_type: 'log',
+        details: {
+          format,
+          sort: sort || 'desc',
+          filters: Object.fromEntries(
+            Object.entries(filters).filter(([, value]) => value !== undefined && value !== '')
+          )
+        },
+        ip_address: request.ip,
+        user_agent: request.headers['user-agent'] || null
+      });
+
+      const startedAt = Date.now();
+      const output = await openLogExport(filters, {
+        format,
+        sort,
+        onFinish: (error, count) => {
+          const seconds = ((Date.now() - startedAt) / 1000).toFixed(1);
+          if (error) {
+            console.error(
+              `[LogExport] ${format} export aborted after ${count} records:`,
+              error.message
+            );
+          } else {
+            console.log(`[LogExport] ${format} export completed: ${count} records in ${seconds}s`);
+          }
+        }
+      });
+
+      const stamp = new Date()
+        .toISOString()
+        .replace(/[-:]/g, '')
+        .replace('T', '-')
+        .substring(0, 15);
+      reply
+        .type(EXPORT_FORMATS[format].contentType)
+        .header(
+          'Content-Disposition',
+          `attachment; filename="headlog-logs-${stamp}.${EXPORT_FORMATS[format].extension}"`
+        )
+        .compress(output);
+      return reply;
+    } catch (error) {
+      console.error('Log export error:', error);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to export logs'
+      });
+    }
+  });
+
+  /**
+   * GET /logs/rejected - Browse quarantined records that ingestion rejected
+   * Returns a count per reason plus a page of records.
+   * Filters: reason. Paging: limit (default 50, max 500), offset.
+   * Sessions need the logs:read capability.
+   */
+  fastify.get('/logs/rejected', logsRead, async (request, reply) => {
+    try {
+      // Check for session authentication (from browser)
+      if (request.session && request.session.user_id) {
+        const authService = require('../services/authService');
+        const authorizationService = require('../services/authorizationService');
+
+        const user = await authService.validateSession(request.session.user_id);
+        if (!user) {
+          return reply.code(401).send({ error: 'Unauthorized: Invalid session' });
+        }
+
+        const capabilities = await authorizationService.getUserCapabilities(user.id);
+        const hasLogsRead = user.is_superuser || capabilities.some(cap => cap.name === 'logs:read');
+
+        if (!hasLogsRead) {
+          return reply.code(403).send({ error: 'Access denied: logs:read capability required' });
+        }
+      }
+      // If no session, the API key auth from onRequest hook handles it
+
+      const { reason } = request.query;
+      const limit = Math.min(Math.max(1, parseInt(request.query.limit) || 50), 500);
+      const offset = Math.max(0, parseInt(request.query.offset) || 0);
+
+      if (reason && !RejectedRecord.REASONS[reason]) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message:
+            'Invalid reason. Expected one of: ' + Object.keys(RejectedRecord.REASONS).join(', ')
+        });
+      }
+
+      const reasons = await RejectedRecord.getReasonSummary();
+      const records = await RejectedRecord.listRecords({ reason, limit, offset });
+      const total = await RejectedRecord.getRecordCount({ reason });
+
+      return reply.code(200).send({
+        status: 'ok',
+        reasons,
+        records,
+        count: records.length,
+        total,
+        limit,
+        offset
+      });
+    } catch (error) {
+      console.error('Rejected records query error:', error);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to query rejected records'
+      });
+    }
+  });
+
+  /**
+   * POST /logs/rejected/replay - Re-run quarantined records through ingestion
+   * Body: { reason, ids } - both optional; replays up to REPLAY_BATCH_SIZE records per call.
+   * Accepted records leave the quarantine. Sessions need the logs:write capability.
+   */
+  fastify.post('/logs/rejected/replay', logsWrite, async (request, reply) => {
+    try {
+      let userId = null;
+
+      // Check for session authentication (from browser)
+      if (request.session && request.session.user_id) {
+        const authService = require('../services/authService');
+        const authorizationService = require('../services/authorizationService');
+
+        const user = await authService.validateSession(request.session.user_id);
+        if (!user) {
+          return reply.code(401).send({ error: 'Unauthorized: Invalid session' });
+        }
+
+        const capabilities = await authorizationService.getUserCapabilities(user.id);
+        const hasLogsWrite =
+          user.is_superuser || capabilities.some(cap => cap.name === 'logs:write');
+
+        if (!hasLogsWrite) {
+          return reply.code(403).send({ error: 'Access denied: logs:write capability required' });
+        }
+
+        userId = user.id;
+      }
+      // If no session, the API key auth from onRequest hook handles it
+
+      const { reason, ids } = request.body || {};
+
+      if (reason && !RejectedRecord.REASONS[reason]) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message:
+            'Invalid reason. Expected one of: ' + Object.keys(RejectedRecord.REASONS).join(', ')
+        });
+      }
+
+      if (
+        ids !== undefined &&
+        (!Array.isArray(ids) ||
+          ids.length > REPLAY_BATCH_SIZE ||
+          ids.some(id => !Number.isInteger(id) || id < 1))
+      ) {
+        return reply.code(400).send({
+          error: 'Bad Request',
+          message: `ids must be an array of up to ${REPLAY_BATCH_SIZE} record IDs`
+        });
+      }
+
+      const result = await replayRejectedRecords(
+        { reason, ids },
+        {
+          user_id: userId,
+          api_key_id: userId ? null : request.apiKey ? request.apiKey.id : null,
+          ip_address: request.ip
+        }
+      );
+
+      return reply.code(200).send({
+        status: 'ok',
+        ...result
+      });
+    } catch (error) {
+      console.error('Rejected records replay error:', error);
+      return reply.code(500).send({
+        error: 'Internal Server Error',
+        message: 'Failed to replay rejected records'
+      });
+    }
+  });
+
   /**
    * GET /logs/:id - Get single log record details
    * Used by the log explorer modal
    * Supports both session-based (browser) and API key authentication
    */
-  fastify.get('/logs/:id', async (request, reply) => {
+  fastify.get('/logs/:id', logsRead, async (request, reply) => {
     try {
       // Check for session authentication (from browser)
       if (request.session && request.session.user_id) {
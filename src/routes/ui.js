@@ -7,6 +7,8 @@ const authorizationService = require('../services/authorizationService');
 const config = require('../config');
 const { getPool } = require('../config/database');
 const { getNavigationMenu } = require('../utils/uiHelpers');
+const { HTTP_METHODS } = require('../utils/accessFields');
+const { ERROR_LEVELS } = require('../utils/apacheErrorLog');
 const User = require('../models/User');
 const Role = require('../models/Role');
 
@@ -1425,6 +1427,7 @@ async function uiRoutes(fastify, _options) {
   }, async (request, reply) => {
     try {
       const Host = require('../models/Host');
+      const IPAddress = require('../models/IPAddress');
       const hostId = parseInt(request.params.id);
 
       if (isNaN(hostId)) {
@@ -1439,6 +1442,8 @@ async function uiRoutes(fastify, _options) {
       const logCount = await Host.getLogCount(hostId);
       const recentLogs = await Host.getRecentLogs(hostId, 10);
       const associatedWebsites = await Host.getAssociatedWebsites(hostId);
+      const ipAddresses = await IPAddress.listByHost(hostId);
+      const clockSkew = await Host.getClockSkew(hostId, 24);
 
       // Get log type breakdown for last 7 days
       const pool = getPool();
@@ -1489,6 +1494,8 @@ async function uiRoutes(fastify, _options) {
         dailyStats: dailyRows,
         recentLogs,
         associatedWebsites,
+        ipAddresses,
+        clockSkew,
         canEdit,
         canDelete,
         success: request.query.success || null,
@@ -1535,6 +1542,7 @@ async function uiRoutes(fastify, _options) {
   }, async (request, reply) => {
     try {
       const Host = require('../models/Host');
+      const IPAddress = require('../models/IPAddress');
       const hostId = parseInt(request.params.id);
 
       if (isNaN(hostId)) {
@@ -1546,6 +1554,8 @@ async function uiRoutes(fastify, _options) {
         return reply.code(404).send('Host not found');
       }
 
+      const ipAddresses = await IPAddress.listByHost(hostId);
+
       const navigationMenu = getNavigationMenu(request.user);
 
       return reply.renderView('hosts/form', {
@@ -1553,6 +1563,8 @@ async function uiRoutes(fastify, _options) {
         navigationMenu,
         currentPath: '/hosts',
         targetHost,
+        ipAddresses,
+        success: request.query.success || null,
         error: request.query.error || null,
         config: {
           appName: 'Headlog',
@@ -1615,6 +1627,123 @@ async function uiRoutes(fastify, _options) {
     }
   });
 
+  /**
+   * POST /hosts/:id/ip-addresses
+   * Register an IP address or CIDR block for a host (requires hosts:write capability)
+   */
+  fastify.post('/hosts/:id/ip-addresses', {
+    preHandler: async (request, reply) => {
+      if (!request.session || !request.session.user_id) {
+        return reply.redirect('/login');
+      }
+
+      const authService = require('../services/authService');
+      const user = await authService.validateSession(request.session.user_id);
+      if (!user) {
+        request.session.destroy();
+        return reply.redirect('/login');
+      }
+
+      const capabilities = await authorizationService.getUserCapabilities(user.id);
+      user.capabilities = capabilities.map(cap => cap.name);
+
+      if (!user.is_superuser && !user.capabilities.includes('hosts:write')) {
+        return reply.code(403).send('Access denied: hosts:write capability required');
+      }
+
+      request.user = user;
+    }
+  }, async (request, reply) => {
+    const hostId = parseInt(request.params.id);
+    const returnTo = request.body && request.body.return_to === 'edit' ? '/edit' : '';
+    const returnPath = '/hosts/' + request.params.id + returnTo;
+
+    try {
+      const Host = require('../models/Host');
+      const IPAddress = require('../models/IPAddress');
+
+      if (isNaN(hostId)) {
+        return reply.code(400).send('Invalid host ID');
+      }
+
+      const host = await Host.findById(hostId);
+      if (!host) {
+        return reply.code(404).send('Host not found');
+      }
+
+      const { address, description } = request.body;
+
+      const created = await IPAddress.createAddress({
+        host_id: hostId,
+        address,
+        description,
+        created_by: request.user.id,
+        ip_address: request.ip
+      });
+
+      return reply.redirect(returnPath + '?success=' + encodeURIComponent(`Added ${created.cidr}`));
+    } catch (error) {
+      fastify.log.error('Add host IP address error:', error.message);
+      return reply.redirect(returnPath + '?error=' + encodeURIComponent(error.message));
+    }
+  });
+
+  /**
+   * POST /hosts/:id/ip-addresses/:ipId/delete
+   * Remove an IP address from a host (requires hosts:write capability)
+   */
+  fastify.post('/hosts/:id/ip-addresses/:ipId/delete', {
+    preHandler: async (request, reply) => {
+      if (!request.session || !request.session.user_id) {
+        return reply.redirect('/login');
+      }
+
+      const authService = require('../services/authService');
+      const user = await authService.validateSession(request.session.user_id);
+      if (!user) {
+        request.session.destroy();
+        return reply.redirect('/login');
+      }
+
+      const capabilities = await authorizationService.getUserCapabilities(user.id);
+      user.capabilities = capabilities.map(cap => cap.name);
+
+      if (!user.is_superuser && !user.capabilities.includes('hosts:write')) {
+        return reply.code(403).send('Access denied: hosts:write capability required');
+      }
+
+      request.user = user;
+    }
+  }, async (request, reply) => {
+    const hostId = parseInt(request.params.id);
+    const ipId = parseInt(request.params.ipId);
+    const returnTo = request.body && request.body.return_to === 'edit' ? '/edit' : '';
+    const returnPath = '/hosts/' + request.params.id + returnTo;
+
+    try {
+      const IPAddress = require('../models/IPAddress');
+
+      if (isNaN(hostId) || isNaN(ipId)) {
+        return reply.code(400).send('Invalid ID');
+      }
+
+      const ipAddress = await IPAddress.findById(ipId);
+      if (!ipAddress || ipAddress.host_id !== hostId) {
+        return reply.code(404).send('IP address not found');
+      }
+
+      await IPAddress.deleteAddress(ipId, {
+        user_id: request.user.id,
+        ip_address: request.ip
+      });
+
+      return reply.redirect(returnPath + '?success=' + encodeURIComponent(`Removed ${ipAddress.cidr}`));
+    } catch (error) {
+      fastify.log.error('Remove host IP address error:', error.message);
+      return reply.redirect(returnPath + '?error=' + encodeURIComponent(error.message));
+    }
+  });
+
   /**
    * POST /hosts/:id/delete
    * Delete host (requires hosts:delete capability)
@@ -2251,13 +2380,21 @@ async function uiRoutes(fastify, _options) {
         type,
         code,
         remote,
+        method = '',
+        path = '',
+        agent = '',
+        severity = '',
+        error_code = '',
+        group = '',
         from,
         to,
         search,
+        exclude_own,
         page = 1,
         limit = 50,
         dateRange = '7d'
       } = request.query;
+      const excludeOwn = exclude_own === '1';
 
       // Handle date range presets
       let fromDate = from;
@@ -2291,13 +2428,36 @@ async function uiRoutes(fastify, _options) {
         type,
         code,
         remote,
+        method,
+        path,
+        agent,
+        severity,
+        errorCode: error_code,
         from: fromDate,
         to: toDate,
         search,
+        excludeOwn,
         page,
         limit
       });
 
+      // Grouping by AH code summarises error records instead of listing them
+      let errorCodeGroups = null;
+      if (group === 'error_code') {
+        errorCodeGroups = await LogRecord.getErrorCodeSummary({
+          website,
+          host,
+          code,
+          remote,
+          severity,
+          errorCode: error_code,
+          from: fromDate,
+          to: toDate,
+          search,
+          excludeOwn
+        });
+      }
+
       // Pass filters back to view for maintaining state
       const filters = {
         website,
@@ -2305,9 +2465,16 @@ async function uiRoutes(fastify, _options) {
         type,
         code,
         remote,
+        method,
+        path,
+        agent,
+        severity,
+        error_code,
+        group,
         from: fromDate,
         to: toDate,
         search,
+        exclude_own: excludeOwn ? '1' : '',
         dateRange,
         limit
       };
@@ -2330,16 +2497,1075 @@ async function uiRoutes(fastify, _options) {
         type,
         code,
         remote,
+        method,
+        path,
+        agent,
+        httpMethods: HTTP_METHODS,
+        severity,
+        errorCode: error_code,
+        errorLevels: ERROR_LEVELS,
+        errorCodeGroups,
         from: fromDate,
         to: toDate,
         search,
-        dateRange
+        excludeOwn,
+        dateRange,
+        canExport: request.user.is_superuser || request.user.capabilities.includes('logs:export')
       });
     } catch (error) {
       fastify.log.error('Log explorer error:', error);
       return reply.code(500).send('Failed to load log explorer');
     }
   });
+
+  // ============================================================================
+  // SECURITY EVENTS ROUTES
+  // ============================================================================
+
+  /**
+   * Where to send the user after an acknowledge/dismiss action
+   * Only paths under /security/events are accepted (no open redirects).
+   * @param {Object} request - Fastify request
+   * @returns {string} Redirect path without success/error parameters
+   */
+  function securityEventReturnPath(request) {
+    const returnTo = request.body && request.body.return_to;
+    if (typeof returnTo === 'string' && /^\/security\/events(?:[/?]|$)/.test(returnTo)) {
+      return returnTo.replace(/[?&](success|error)=[^&]*/g, '');
+    }
+    return '/security/events/' + request.params.id;
+  }
+
+  /**
+   * GET /security/events
+   * Display security events list page (requires security-events:read capability)
+   */
+  fastify.get('/security/events', {
+    preHandler: async (request, reply) => {
+      if (!request.session || !request.session.user_id) {
+        return reply.redirect('/login');
+      }
+
+      const authService = require('../services/authService');
+      const user = await authService.validateSession(request.session.user_id);
+      if (!user) {
+        request.session.destroy();
+        return reply.redirect('/login');
+      }
+
+      const capabilities = await authorizationService.getUserCapabilities(user.id);
+      user.capabilities = capabilities.map(cap => cap.name);
+
+      if (!user.is_superuser && !user.capabilities.includes('security-events:read')) {
+        return reply.code(403).send('Access denied: security-events:read capability required');
+      }
+
+      request.user = user;
+    }
+  }, async (request, reply) => {
+    try {
+      const SecurityEvent = require('../models/SecurityEvent');
+      const {
+        event_type = '',
+        severity = '',
+        website = '',
+        remote = '',
+        status = '',
+        from = '',
+        to = '',
+        page = 1
+      } = request.query;
+      const limit = 25;
+      const currentPage = Math.max(1, parseInt(page) || 1);
+      const offset = (currentPage - 1) * limit;
+
+      // Date inputs are plain dates - make "to" inclusive of the whole day
+      const validDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(value).getTime());
+      const filters = {
+        eventType: event_type,
+        severity,
+        website,
+        remote,
+        status,
+        from: validDate(from) ? new Date(from + 'T00:00:00').toISOString() : null,
+        to: validDate(to) ? new Date(to + 'T23:59:59.999').toISOString() : null
+      };
+
+      const events = await SecurityEvent.listEvents({ ...filters, limit, offset });
+      const totalCount = await SecurityEvent.getEventCount(filters);
+      const totalPages = Math.ceil(totalCount / limit);
+      const filterOptions = await SecurityEvent.getFilterOptions();
+
+      const navigationMenu = getNavigationMenu(request.user);
+
+      return reply.renderView('security/events/list', {
+        user: request.user,
+        navigationMenu,
+        currentPath: '/security/events',
+        events,
+        filterOptions,
+        severities: SecurityEvent.SEVERITIES,
+        statuses: SecurityEvent.STATUSES,
+        filters: { event_type, severity, website, remote, status, from, to },
+        canReview: request.user.is_superuser || request.user.capabilities.includes('security-events:write'),
+        pagination: {
+          currentPage,
+          totalPages,
+          totalCount,
+          limit
+        },
+        success: request.query.success || null,
+        error: request.query.error || null,
+        config: {
+          appName: 'Headlog',
+          version: require('../../package.json').version,
+          env: config.env
+        }
+      });
+    } catch (error) {
+      fastify.log.error('Security events list error:', error.message);
+      return reply.code(500).send('An error occurred loading security events');
+    }
+  });
+
+  /**
+   * GET /security/events/:id
+   * Display security event details (requires security-events:read capability)
+   */
+  fastify.get('/security/events/:id', {
+    preHandler: async (request, reply) => {
+      if (!request.session || !request.session.user_id) {
+        return reply.redirect('/login');
+      }
+
+      const authService = require('../services/authService');
+      const user = await authService.validateSession(request.session.user_id);
+      if (!user) {
+        request.session.destroy();
+        return reply.redirect('/login');
+      }
+
+      const capabilities = await authorizationService.getUserCapabilities(user.id);
+      user.capabilities = capabilities.map(cap => cap.name);
+
+      if (!user.is_superuser && !user.capabilities.includes('security-events:read')) {
+        return reply.code(403).send('Access denied: security-events:read capability required');
+      }
+
+      request.user = user;
+    }
+  }, async (request, reply) => {
+    try {
+      const SecurityEvent = require('../models/SecurityEvent');
+      const LogRecord = require('../models/LogRecord');
+      const eventId = parseInt(request.params.id);
+
+      if (isNaN(eventId)) {
+        return reply.code(400).send('Invalid event ID');
+      }
+
+      const event = await SecurityEvent.findById(eventId);
+      if (!event) {
+        return reply.code(404).send('Security event not found');
+      }
+
+      // The log record may have been purged by retention since the event was raised
+      const logRecord = await LogRecord.findById(event.log_record_id);
+      const matchedRules = await SecurityEvent.getMatchedRules(event.matched_rules);
+
+      // Explorer link: same website and IP, one minute either side of the event
+      const eventTime = new Date(event.log_timestamp).getTime();
+      const explorerUrl = '/logs?' + new URLSearchParams({
+        website: String(event.website_id),
+        remote: event.remote || '',
+        dateRange: 'custom',
+        from: new Date(eventTime - 60000).toISOString(),
+        to: new Date(eventTime + 60000).toISOString()
+      }).toString();
+
+      const canReview = request.user.is_superuser || request.user.capabilities.includes('security-events:write');
+      const canViewLogs = request.user.is_superuser || request.user.capabilities.includes('logs:read');
+      const canViewRules = request.user.is_superuser || request.user.capabilities.includes('security-rules:read');
+
+      const navigationMenu = getNavigationMenu(request.user);
+
+      return reply.renderView('security/events/detail', {
+        user: request.user,
+        navigationMenu,
+        currentPath: '/security/events',
+        event,
+        logRecord,
+        matchedRules,
+        explorerUrl,
+        canReview,
+        canViewLogs,
+        canViewRules,
+        success: request.query.success || null,
+        error: request.query.error || null,
+        config: {
+          appName: 'Headlog',
+          version: require('../../package.json').version,
+          env: config.env
+        }
+      });
+    } catch (error) {
+      fastify.log.error('Security event detail error:', error.message);
+      return reply.code(500).send('An error occurred loading the security event');
+    }
+  });
+
+  /**
+   * POST /security/events/:id/acknowledge
+   * Mark a security event as acknowledged (requires security-events:write capability)
+   */
+  fastify.post('/security/events/:id/acknowledge', {
+    preHandler: async (request, reply) => {
+      if (!request.session || !request.session.user_id) {
+        return reply.redirect('/login');
+      }
+
+      const authService = require('../services/authService');
+      const user = await authService.validateSession(request.session.user_id);
+      if (!user) {
+        request.session.destroy();
+        return reply.redirect('/login');
+      }
+
+      const capabilities = await authorizationService.getUserCapabilities(user.id);
+      user.capabilities = capabilities.map(cap => cap.name);
+
+      if (!user.is_superuser && !user.capabilities.includes('security-events:write')) {
+        return reply.code(403).send('Access denied: security-events:write capability required');
+      }
+
+      request.user = user;
+    }
+  }, async (request, reply) => {
+    const returnPath = securityEventReturnPath(request);
+
+    try {
+      const SecurityEvent = require('../models/SecurityEvent');
+      const eventId = parseInt(request.params.id);
+
+      if (isNaN(eventId)) {
+        return reply.code(400).send('Invalid event ID');
+      }
+
+      await SecurityEvent.updateStatus(eventId, 'acknowledged', {
+        user_id: request.user.id,
+        ip_address: request.ip
+      });
+
+      return reply.redirect(returnPath + (returnPath.includes('?') ? '&' : '?') + 'success=' + encodeURIComponent('Event #' + eventId + ' acknowledged'));
+    } catch (error) {
+      fastify.log.error('Acknowledge security event error:', error.message);
+      return reply.redirect(returnPath + (returnPath.includes('?') ? '&' : '?') + 'error=' + encodeURIComponent(error.message));
+    }
+  });
+
+  /**
+   * POST /security/events/:id/dismiss
+   * Mark a security event as dismissed (requires security-events:write capability)
+   */
+  fastify.post('/security/events/:id/dismiss', {
+    preHandler: async (request, reply) => {
+      if (!request.session || !request.session.user_id) {
+        return reply.redirect('/login');
+      }
+
+      const authService = require('../services/authService');
+      const user = await authService.validateSession(request.session.user_id);
+      if (!user) {
+        request.session.destroy();
+        return reply.redirect('/login');
+      }
+
+      const capabilities = await authorizationService.getUserCapabilities(user.id);
+      user.capabilities = capabilities.map(cap => cap.name);
+
+      if (!user.is_superuser && !user.capabilities.includes('security-events:write')) {
+        return reply.code(403).send('Access denied: security-events:write capability required');
+      }
+
+      request.user = user;
+    }
+  }, async (request, reply) => {
+    const returnPath = securityEventReturnPath(request);
+
+    try {
+      const SecurityEvent = require('../models/SecurityEvent');
+      const eventId = parseInt(request.params.id);
+
+      if (isNaN(eventId)) {
+        return reply.code(400).send('Invalid event ID');
+      }
+
+      await SecurityEvent.updateStatus(eventId, 'dismissed', {
+        user_id: request.user.id,
+        ip_address: request.ip
+      });
+
+      return reply.redirect(returnPath + (returnPath.includes('?') ? '&' : '?') + 'success=' + encodeURIComponent('Event #' + eventId + ' dismissed'));
+    } catch (error) {
+      fastify.log.error('Dismiss security event error:', error.message);
+      return reply.redirect(returnPath + (returnPath.includes('?') ? '&' : '?') + 'error=' + encodeURIComponent(error.message));
+    }
+  });
+
+  // ============================================================================
+  // SECURITY RULES ROUTES
+  // ============================================================================
+
+  /**
+   * Render the security rule form, optionally with test results or an error
+   * Used for new/edit pages and when a submitted form is tested or rejected,
+   * so the submitted pattern is not lost.
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   * @param {Object} data - { targetRule, rule, testResult, testError, error }
+   * @returns {Promise} Rendered view
+   */
+  async function renderSecurityRuleForm(request, reply, data) {
+    const SecurityRule = require('../models/SecurityRule');
+    const { TEST_SAMPLE_SIZES } = require('../services/securityAnalysisService');
+    const eventTypes = await SecurityRule.getEventTypes();
+    const navigationMenu = getNavigationMenu(request.user);
+
+    return reply.renderView('security/rules/form', {
+      user: request.user,
+      navigationMenu,
+      currentPath: '/security/rules',
+      targetRule: data.targetRule || null,
+      rule: data.rule,
+      eventTypes,
+      logTypes: SecurityRule.LOG_TYPES,
+      severities: SecurityRule.SEVERITIES,
+      sampleSizes: TEST_SAMPLE_SIZES,
+      canTest: request.user.is_superuser || request.user.capabilities.includes('logs:read'),
+      testResult: data.testResult || null,
+      testError: data.testError || null,
+      error: data.error || request.query.error || null,
+      config: {
+        appName: 'Headlog',
+        version: require('../../package.json').version,
+        env: config.env
+      }
+    });
+  }
+
+  /**
+   * Read security rule fields from a submitted form
+   * @param {Object} body - Request body
+   * @returns {Object} Rule fields as strings, with enabled as a boolean
+   */
+  function securityRuleFromBody(body) {
+    return {
+      name: body.name || '',
+      log_type: body.log_type || 'access',
+      event_type_id: body.event_type_id || '',
+      new_event_type_name: body.new_event_type_name || '',
+      new_event_type_severity: body.new_event_type_severity || 'medium',
+      trigger_pattern: body.trigger_pattern || '',
+      ignore_pattern: body.ignore_pattern || '',
+      description: body.description || '',
+      enabled: body.enabled === '1',
+      sample_size: parseInt(body.sample_size) || 500
+    };
+  }
+
+  /**
+   * Handle a submitted rule form: run the pattern tester, or save the rule
+   * @param {Object} request - Fastify request
+   * @param {Object} reply - Fastify reply
+   * @param {Object|null} targetRule - Rule being edited (null when creating)
+   * @returns {Promise} Redirect on save, otherwise the re-rendered form
+   */
+  async function submitSecurityRuleForm(request, reply, targetRule) {
+    const SecurityRule = require('../models/SecurityRule');
+    const rule = securityRuleFromBody(request.body);
+
+    if (request.body.action === 'test') {
+      if (!request.user.is_superuser && !request.user.capabilities.includes('logs:read')) {
+        return reply.code(403).send('Access denied: logs:read capability required');
+      }
+
+      try {
+        const { testRulePattern } = require('../services/securityAnalysisService');
+        const testResult = await testRulePattern({
+          logType: rule.log_type,
+          triggerPattern: rule.trigger_pattern.trim(),
+          ignorePattern: rule.ignore_pattern.trim(),
+          sampleSize: rule.sample_size
+        });
+        return renderSecurityRuleForm(request, reply, { targetRule, rule, testResult });
+      } catch (error) {
+        return renderSecurityRuleForm(request, reply, { targetRule, rule, testError: error.message });
+      }
+    }
+
+    try {
+      const auditData = { user_id: request.user.id, ip_address: request.ip };
+
+      if (rule.event_type_id === 'new') {
+        rule.event_type_id = String(await SecurityRule.createEventType({
+          name: rule.new_event_type_name,
+          severity: rule.new_event_type_severity,
+          created_by: request.user.id,
+          ip_address: request.ip
+        }));
+        rule.new_event_type_name = '';
+      }
+
+      if (targetRule) {
+        await SecurityRule.updateRule(targetRule.id, rule, auditData);
+        return reply.redirect('/security/rules/' + targetRule.id + '?success=' + encodeURIComponent('Rule updated successfully'));
+      }
+
+      const created = await SecurityRule.createRule({
+        ...rule,
+        created_by: request.user.id,
+        ip_address: request.ip
+      });
+      return reply.redirect('/security/rules/' + created.id + '?success=' + encodeURIComponent('Rule created successfully'));
+    } catch (error) {
+      fastify.log.error('Save security rule error:', error.message);
+      return renderSecurityRuleForm(request, reply, { targetRule, rule, error: error.message });
+    }
+  }
+
+  /**
+   * GET /security/rules
+   * Display security rules list page (requires security-rules:read capability)
+   */
+  fastify.get('/security/rules', {
+    preHandler: async (request, reply) => {
+      if (!request.session || !request.session.user_id) {
+        return reply.redirect('/login');
+      }
+
+      const authService = require('../services/authService');
+      const user = await authService.validateSession(request.session.user_id);
+      if (!user) {
+        request.session.destroy();
+        return reply.redirect('/login');
+      }
+
+      const capabilities = await authorizationService.getUserCapabilities(user.id);
+      user.capabilities = capabilities.map(cap => cap.name);
+
+      if (!user.is_superuser && !user.capabilities.includes('security-rules:read')) {
+        return reply.code(403).send('Access denied: security-rules:read capability required');
+      }
+
+      request.user = user;
+    }
+  }, async (request, reply) => {
+    try {
+      const SecurityRule = require('../models/SecurityRule');
+      const {
+        search = '',
+        log_type = '',
+        event_type = '',
+        source = '',
+        enabled = '',
+        page = 1
+      } = request.query;
+      const limit = 25;
+      const currentPage = Math.max(1, parseInt(page) || 1);
+      const offset = (currentPage - 1) * limit;
+
+      const filters = { search, logType: log_type, eventType: event_type, source, enabled };
+
+      const rules = await SecurityRule.listRules({ ...filters, limit, offset });
+      const totalCount = await SecurityRule.getRuleCount(filters);
+      const totalPages = Math.ceil(totalCount / limit);
+      const eventTypes = await SecurityRule.getEventTypes();
+
+      const navigationMenu = getNavigationMenu(request.user);
+
+      return reply.renderView('security/rules/list', {
+        user: request.user,
+        navigationMenu,
+        currentPath: '/security/rules',
+        rules,
+        eventTypes,
+        logTypes: SecurityRule.LOG_TYPES,
+        sources: SecurityRule.SOURCES,
+        filters: { search, log_type, event_type, source, enabled },
+        canEdit: request.user.is_superuser || request.user.capabilities.includes('security-rules:write'),
+        canDelete: request.user.is_superuser || request.user.capabilities.includes('security-rules:delete'),
+        pagination: {
+          currentPage,
+          totalPages,
+          totalCount,
+          limit
+        },
+        success: request.query.success || null,
+        error: request.query.error || null,
+        config: {
+          appName: 'Headlog',
+          version: require('../../package.json').version,
+          env: config.env
+        }
+      });
+    } catch (error) {
+      fastify.log.error('Security rules list error:', error.message);
+      return reply.code(500).send('An error occurred loading security rules');
+    }
+  });
+
+  /**
+   * GET /security/rules/new
+   * Display create rule form (requires security-rules:write capability)
+   */
+  fastify.get('/security/rules/new', {
+    preHandler: async (request, reply) => {
+      if (!request.session || !request.session.user_id) {
+        return reply.redirect('/login');
+      }
+
+      const authService = require('../services/authService');
+      const user = await authService.validateSession(request.session.user_id);
+      if (!user) {
+        request.session.destroy();
+        return reply.redirect('/login');
+      }
+
+      const capabilities = await authorizationService.getUserCapabilities(user.id);
+      user.capabilities = capabilities.map(cap => cap.name);
+
+      if (!user.is_superuser && !user.capabilities.includes('security-rules:write')) {
+        return reply.code(403).send('Access denied: security-rules:write capability required');
+      }
+
+      request.user = user;
+    }
+  }, async (request, reply) => {
+    try {
+      return await renderSecurityRuleForm(request, reply, {
+        rule: securityRuleFromBody({ enabled: '1' })
+      });
+    } catch (error) {
+      fastify.log.error('New security rule form error:', error.message);
+      return reply.code(500).send('An error occurred loading the rule form');
+    }
+  });
+
+  /**
+   * POST /security/rules/new
+   * Test or create a rule (requires security-rules:write capability)
+   */
+  fastify.post('/security/rules/new', {
+    preHandler: async (request, reply) => {
+      if (!request.session || !request.session.user_id) {
+        return reply.redirect('/login');
+      }
+
+      const authService = require('../services/authService');
+      const user = await authService.validateSession(request.session.user_id);
+      if (!user) {
+        request.session.destroy();
+        return reply.redirect('/login');
+      }
+
+      const capabilities = await authorizationService.getUserCapabilities(user.id);
+      user.capabilities = capabilities.map(cap => cap.name);
+
+      if (!user.is_superuser && !user.capabilities.includes('security-rules:write')) {
+        return reply.code(403).send('Access denied: security-rules:write capability required');
+      }
+
+      request.user = user;
+    }
+  }, async (request, reply) => {
+    return submitSecurityRuleForm(request, reply, null);
+  });
+
+  /**
+   * GET /security/rules/:id
+   * Display rule details and the pattern tester (requires security-rules:read capability)
+   * ?test=1&sample=N runs the saved pattern against the last N records (requires logs:read)
+   */
+  fastify.get('/security/rules/:id', {
+    preHandler: async (request, reply) => {
+      if (!request.session || !request.session.user_id) {
+        return reply.redirect('/login');
+      }
+
+      const authService = require('../services/authService');
+      const user = await authService.validateSession(request.session.user_id);
+      if (!user) {
+        request.session.destroy();
+        return reply.redirect('/login');
+      }
+
+      const capabilities = await authorizationService.getUserCapabilities(user.id);
+      user.capabilities = capabilities.map(cap => cap.name);
+
+      if (!user.is_superuser && !user.capabilities.includes('security-rules:read')) {
+        return reply.code(403).send('Access denied: security-rules:read capability required');
+      }
+
+      request.user = user;
+    }
+  }, async (request, reply) => {
+    try {
+      const SecurityRule = require('../models/SecurityRule');
+      const { testRulePattern, TEST_SAMPLE_SIZES } = require('../services/securityAnalysisService');
+      const ruleId = parseInt(request.params.id);
+
+      if (isNaN(ruleId)) {
+        return reply.code(400).send('Invalid rule ID');
+      }
+
+      const rule = await SecurityRule.findById(ruleId);
+      if (!rule) {
+        return reply.code(404).send('Security rule not found');
+      }
+
+      const canTest = request.user.is_superuser || request.user.capabilities.includes('logs:read');
+      const sampleSize = parseInt(request.query.sample) || 500;
+      let testResult = null;
+      let testError = null;
+
+      if (request.query.test === '1' && canTest) {
+        try {
+          testResult = await testRulePattern({
+            logType: rule.log_type,
+            triggerPattern: rule.trigger_pattern,
+            ignorePattern: rule.ignore_pattern,
+            sampleSize
+          });
+        } catch (error) {
+          testError = error.message;
+        }
+      }
+
+      const navigationMenu = getNavigationMenu(request.user);
+
+      return reply.renderView('security/rules/detail', {
+        user: request.user,
+        navigationMenu,
+        currentPath: '/security/rules',
+        rule,
+        canEdit: request.user.is_superuser || request.user.capabilities.includes('security-rules:write'),
+        canDelete: request.user.is_superuser || request.user.capabilities.includes('security-rules:delete'),
+        canTest,
+        sampleSizes: TEST_SAMPLE_SIZES,
+        sampleSize,
+        testResult,
+        testError,
+        success: request.query.success || null,
+        error: request.query.error || null,
+        config: {
+          appName: 'Headlog',
+          version: require('../../package.json').version,
+          env: config.env
+        }
+      });
+    } catch (error) {
+      fastify.log.error('Security rule detail error:', error.message);
+      return reply.code(500).send('An error occurred loading the security rule');
+    }
+  });
+
+  /**
+   * GET /security/rules/:id/edit
+   * Display edit rule form (requires security-rules:write capability)
+   */
+  fastify.get('/security/rules/:id/edit', {
+    preHandler: async (request, reply) => {
+      if (!request.session || !request.session.user_id) {
+        return reply.redirect('/login');
+      }
+
+      const authService = require('../services/authService');
+      const user = await authService.validateSession(request.session.user_id);
+      if (!user) {
+        request.session.destroy();
+        return reply.redirect('/login');
+      }
+
+      const capabilities = await authorizationService.getUserCapabilities(user.id);
+      user.capabilities = capabilities.map(cap => cap.name);
+
+      if (!user.is_superuser && !user.capabilities.includes('security-rules:write')) {
+        return reply.code(403).send('Access denied: security-rules:write capability required');
+      }
+
+      request.user = user;
+    }
+  }, async (request, reply) => {
+    try {
+      const SecurityRule = require('../models/SecurityRule');
+      const ruleId = parseInt(request.params.id);
+
+      if (isNaN(ruleId)) {
+        return reply.code(400).send('Invalid rule ID');
+      }
+
+      const targetRule = await SecurityRule.findById(ruleId);
+      if (!targetRule) {
+        return reply.code(404).send('Security rule not found');
+      }
+
+      if (targetRule.source === 'fail2ban') {
+        return reply.redirect('/security/rules/' + ruleId + '?error=' + encodeURIComponent('Fail2ban rules are read-only - re-import the filter to change them'));
+      }
+
+      return await renderSecurityRuleForm(request, reply, {
+        targetRule,
+        rule: securityRuleFromBody({
+          ...targetRule,
+          event_type_id: String(targetRule.event_type_id),
+          enabled: targetRule.enabled ? '1' : ''
+        })
+      });
+    } catch (error) {
+      fastify.log.error('Edit security rule form error:', error.message);
+      return reply.code(500).send('An error occurred loading the rule form');
+    }
+  });
+
+  /**
+   * POST /security/rules/:id/edit
+   * Test or update a rule (requires security-rules:write capability)
+   */
+  fastify.post('/security/rules/:id/edit', {
+    preHandler: async (request, reply) => {
+      if (!request.session || !request.session.user_id) {
+        return reply.redirect('/login');
+      }
+
+      const authService = require('../services/authService');
+      const user = await authService.validateSession(request.session.user_id);
+      if (!user) {
+        request.session.destroy();
+        return reply.redirect('/login');
+      }
+
+      const capabilities = await authorizationService.getUserCapabilities(user.id);
+      user.capabilities = capabilities.map(cap => cap.name);
+
+      if (!user.is_superuser && !user.capabilities.includes('security-rules:write')) {
+        return reply.code(403).send('Access denied: security-rules:write capability required');
+      }
+
+      request.user = user;
+    }
+  }, async (request, reply) => {
+    try {
+      const SecurityRule = require('../models/SecurityRule');
+      const ruleId = parseInt(request.params.id);
+
+      if (isNaN(ruleId)) {
+        return reply.code(400).send('Invalid rule ID');
+      }
+
+      const targetRule = await SecurityRule.findById(ruleId);
+      if (!targetRule) {
+        return reply.code(404).send('Security rule not found');
+      }
+
+      return await submitSecurityRuleForm(request, reply, targetRule);
+    } catch (error) {
+      fastify.log.error('Update security rule error:', error.message);
+      return reply.redirect('/security/rules/' + request.params.id + '/edit?error=' + encodeURIComponent(error.message));
+    }
+  });
+
+  /**
+   * POST /security/rules/:id/toggle
+   * Enable or disable a rule, including fail2ban rules (requires security-rules:write capability)
+   */
+  fastify.post('/security/rules/:id/toggle', {
+    preHandler: async (request, reply) => {
+      if (!request.session || !request.session.user_id) {
+        return reply.redirect('/login');
+      }
+
+      const authService = require('../services/authService');
+      const user = await authService.validateSession(request.session.user_id);
+      if (!user) {
+        request.session.destroy();
+        return reply.redirect('/login');
+      }
+
+      const capabilities = await authorizationService.getUserCapabilities(user.id);
+      user.capabilities = capabilities.map(cap => cap.name);
+
+      if (!user.is_superuser && !user.capabilities.includes('security-rules:write')) {
+        return reply.code(403).send('Access denied: security-rules:write capability required');
+      }
+
+      request.user = user;
+    }
+  }, async (request, reply) => {
+    const returnPath = request.body && request.body.return_to === 'list' ? '/security/rules' : '/security/rules/' + request.params.id;
+
+    try {
+      const SecurityRule = require('../models/SecurityRule');
+      const ruleId = parseInt(request.params.id);
+
+      if (isNaN(ruleId)) {
+        return reply.code(400).send('Invalid rule ID');
+      }
+
+      const enabled = request.body.enabled === '1';
+      await SecurityRule.setEnabled(ruleId, enabled, {
+        user_id: request.user.id,
+        ip_address: request.ip
+      });
+
+      return reply.redirect(returnPath + '?success=' + encodeURIComponent(enabled ? 'Rule enabled' : 'Rule disabled'));
+    } catch (error) {
+      fastify.log.error('Toggle security rule error:', error.message);
+      return reply.redirect(returnPath + '?error=' + encodeURIComponent(error.message));
+    }
+  });
+
+  /**
+   * POST /security/rules/:id/delete
+   * Delete a user-defined rule (requires security-rules:delete capability)
+   */
+  fastify.post('/security/rules/:id/delete', {
+    preHandler: async (request, reply) => {
+      if (!request.session || !request.session.user_id) {
+        return reply.redirect('/login');
+      }
+
+      const authService = require('../services/authService');
+      const user = await authService.validateSession(request.session.user_id);
+      if (!user) {
+        request.session.destroy();
+        return reply.redirect('/login');
+      }
+
+      const capabilities = await authorizationService.getUserCapabilities(user.id);
+      user.capabilities = capabilities.map(cap => cap.name);
+
+      if (!user.is_superuser && !user.capabilities.includes('security-rules:delete')) {
+        return reply.code(403).send('Access denied: security-rules:delete capability required');
+      }
+
+      request.user = user;
+    }
+  }, async (request, reply) => {
+    try {
+      const SecurityRule = require('../models/SecurityRule');
+      const ruleId = parseInt(request.params.id);
+
+      if (isNaN(ruleId)) {
+        return reply.code(400).send('Invalid rule ID');
+      }
+
+      await SecurityRule.deleteRule(ruleId, {
+        user_id: request.user.id,
+        ip_address: request.ip
+      });
+
+      return reply.redirect('/security/rules?success=' + encodeURIComponent('Rule deleted successfully'));
+    } catch (error) {
+      fastify.log.error('Delete security rule error:', error.message);
+      return reply.redirect('/security/rules/' + request.params.id + '?error=' + encodeURIComponent(error.message));
+    }
+  });
+
+  // ============================================================================
+  // REJECTED RECORDS ROUTES
+  // ============================================================================
+
+  /**
+   * Read the reason/record selection posted by the rejected records page
+   * @param {Object} request - Fastify request
+   * @returns {{reason: string|undefined, ids: Array<number>|undefined}} Selection
+   */
+  function rejectedRecordSelection(request) {
+    const RejectedRecord = require('../models/RejectedRecord');
+    const body = request.body || {};
+    const reason = RejectedRecord.REASONS[body.reason] ? body.reason : undefined;
+    const id = parseInt(body.id);
+
+    return { reason, ids: id > 0 ? [id] : undefined };
+  }
+
+  /**
+   * Where to send the user after a replay/discard action
+   * @param {Object} request - Fastify request
+   * @returns {string} Redirect path, ending in ? or & ready for success/error
+   */
+  function rejectedRecordReturnPath(request) {
+    const RejectedRecord = require('../models/RejectedRecord');
+    const reason = request.body && request.body.return_reason;
+    return RejectedRecord.REASONS[reason] ? '/rejected?reason=' + reason + '&' : '/rejected?';
+  }
+
+  /**
+   * GET /rejected
+   * Display quarantined ingestion records grouped by reason (requires logs:read capability)
+   */
+  fastify.get('/rejected', {
+    preHandler: async (request, reply) => {
+      if (!request.session || !request.session.user_id) {
+        return reply.redirect('/login');
+      }
+
+      const authService = require('../services/authService');
+      const user = await authService.validateSession(request.session.user_id);
+      if (!user) {
+        request.session.destroy();
+        return reply.redirect('/login');
+      }
+
+      const capabilities = await authorizationService.getUserCapabilities(user.id);
+      user.capabilities = capabilities.map(cap => cap.name);
+
+      if (!user.is_superuser && !user.capabilities.includes('logs:read')) {
+        return reply.code(403).send('Access denied: logs:read capability required');
+      }
+
+      request.user = user;
+    }
+  }, async (request, reply) => {
+    try {
+      const RejectedRecord = require('../models/RejectedRecord');
+      const { REPLAY_BATCH_SIZE } = require('../services/rejectedRecordService');
+      const reason = RejectedRecord.REASONS[request.query.reason] ? request.query.reason : '';
+      const limit = 50;
+      const currentPage = Math.max(1, parseInt(request.query.page) || 1);
+      const offset = (currentPage - 1) * limit;
+
+      const reasons = await RejectedRecord.getReasonSummary();
+      const records = await RejectedRecord.listRecords({ reason, limit, offset });
+      const totalCount = await RejectedRecord.getRecordCount({ reason });
+      const totalPages = Math.ceil(totalCount / limit);
+
+      const navigationMenu = getNavigationMenu(request.user);
+
+      return reply.renderView('logs/rejected', {
+        user: request.user,
+        navigationMenu,
+        currentPath: '/rejected',
+        reasons,
+        records,
+        reason,
+        replayBatchSize: REPLAY_BATCH_SIZE,
+        catchAllWebsite: config.logProcessing.catchAllWebsite,
+        canReplay: request.user.is_superuser || request.user.capabilities.includes('logs:write'),
+        canDiscard: request.user.is_superuser || request.user.capabilities.includes('logs:delete'),
+        pagination: {
+          currentPage,
+          totalPages,
+          totalCount,
+          limit
+        },
+        success: request.query.success || null,
+        error: request.query.error || null,
+        config: {
+          appName: 'Headlog',
+          version: require('../../package.json').version,
+          env: config.env
+        }
+      });
+    } catch (error) {
+      fastify.log.error('Rejected records list error:', error.message);
+      return reply.code(500).send('An error occurred loading rejected records');
+    }
+  });
+
+  /**
+   * POST /rejected/replay
+   * Re-run rejected records (one reason, one record, or all) through ingestion
+   * (requires logs:write capability)
+   */
+  fastify.post('/rejected/replay', {
+    preHandler: async (request, reply) => {
+      if (!request.session || !request.session.user_id) {
+        return reply.redirect('/login');
+      }
+
+      const authService = require('../services/authService');
+      const user = await authService.validateSession(request.session.user_id);
+      if (!user) {
+        request.session.destroy();
+        return reply.redirect('/login');
+      }
+
+      const capabilities = await authorizationService.getUserCapabilities(user.id);
+      user.capabilities = capabilities.map(cap => cap.name);
+
+      if (!user.is_superuser && !user.capabilities.includes('logs:write')) {
+        return reply.code(403).send('Access denied: logs:write capability required');
+      }
+
+      request.user = user;
+    }
+  }, async (request, reply) => {
+    const returnPath = rejectedRecordReturnPath(request);
+
+    try {
+      const { replayRejectedRecords } = require('../services/rejectedRecordService');
+
+      const result = await replayRejectedRecords(rejectedRecordSelection(request), {
+        user_id: request.user.id,
+        ip_address: request.ip
+      });
+
+      let message = `Replayed ${result.replayed} records: ${result.ingested} ingested, ${result.rejected} rejected again`;
+      if (result.remaining > result.rejected) {
+        message += ` (${result.remaining - result.rejected} more waiting - replay again to continue)`;
+      }
+
+      return reply.redirect(returnPath + 'success=' + encodeURIComponent(message));
+    } catch (error) {
+      fastify.log.error('Replay rejected records error:', error.message);
+      return reply.redirect(returnPath + 'error=' + encodeURIComponent(error.message));
+    }
+  });
+
+  /**
+   * POST /rejected/discard
+   * Delete rejected records without replaying them (requires logs:delete capability)
+   */
+  fastify.post('/rejected/discard', {
+    preHandler: async (request, reply) => {
+      if (!request.session || !request.session.user_id) {
+        return reply.redirect('/login');
+      }
+
+      const authService = require('../services/authService');
+      const user = await authService.validateSession(request.session.user_id);
+      if (!user) {
+        request.session.destroy();
+        return reply.redirect('/login');
+      }
+
+      const capabilities = await authorizationService.getUserCapabilities(user.id);
+      user.capabilities = capabilities.map(cap => cap.name);
+
+      if (!user.is_superuser && !user.capabilities.includes('logs:delete')) {
+        return reply.code(403).send('Access denied: logs:delete capability required');
+      }
+
+      request.user = user;
+    }
+  }, async (request, reply) => {
+    const returnPath = rejectedRecordReturnPath(request);
+
+    try {
+      const RejectedRecord = require('../models/RejectedRecord');
+
+      const deleted = await RejectedRecord.discard(rejectedRecordSelection(request), {
+        user_id: request.user.id,
+        ip_address: request.ip
+      });
+
+      return reply.redirect(returnPath + 'success=' + encodeURIComponent(`Discarded ${deleted} rejected records`));
+    } catch (error) {
+      fastify.log.error('Discard rejected records error:', error.message);
+      return reply.redirect(returnPath + 'error=' + encodeURIComponent(error.message));
+    }
+  });
 }
 
 module.exports = uiRoutes;
@@ -4,14 +4,19 @@ const {
   updateWebsite,
   deleteWebsite
 } = require('../services/websiteService');
+const { requireScope } = require('../middleware/auth');
 
 /**
  * Register website-related routes
  * @param {import('fastify').FastifyInstance} fastify
  */
 async function websiteRoutes(fastify) {
+  // API key scopes (requests with a UI session are not scope-checked)
+  const websitesRead = { onRequest: requireScope('websites:read') };
+  const websitesWrite = { onRequest: requireScope('websites:write') };
+
   // GET /websites - List all websites
-  fastify.get('/websites', async (request, reply) => {
+  fastify.get('/websites', websitesRead, async (request, reply) => {
     try {
       const { active, limit = 100, offset = 0 } = request.query;
 
@@ -35,7 +40,7 @@ async function websiteRoutes(fastify) {
   });
 
   // GET /websites/:domain - Get specific website
-  fastify.get('/websites/:domain', async (request, reply) => {
+  fastify.get('/websites/:domain', websitesRead, async (request, reply) => {
     try {
       const { domain } = request.params;
 
@@ -59,7 +64,7 @@ async function websiteRoutes(fastify) {
   });
 
   // PUT /websites/:domain - Update website metadata
-  fastify.put('/websites/:domain', async (request, reply) => {
+  fastify.put('/websites/:domain', websitesWrite, async (request, reply) => {
     try {
       const { domain } = request.params;
       const updates = request.body;
@@ -88,7 +93,7 @@ async function websiteRoutes(fastify) {
   });
 
   // DELETE /websites/:domain - Delete website
-  fastify.delete('/websites/:domain', async (request, reply) => {
+  fastify.delete('/websites/:domain', websitesWrite, async (request, reply) => {
     try {
       const { domain } = request.params;
 
@@ -21,6 +21,14 @@ const { initHousekeeping } = require('./housekeeping/tasks');
 const { runMigrations } = require('./services/migrationService');
 const { initializeCodeCache } = require('./services/httpCodeService');
 const { prewarmCache: prewarmHostCache } = require('./services/hostService');
+const {
+  prewarmCache: prewarmWebsiteCache,
+  flushWebsiteActivity
+} = require('./services/websiteService');
+const { startSyslogListener, stopSyslogListener } = require('./services/syslogService');
+const { startForwardListener, stopForwardListener } = require('./services/forwardService');
+const { flushWriteBuffer } = require('./services/logService');
+const { startAdmissionMonitor, stopAdmissionMonitor } = require('./services/admissionService');
 
 // Initialize Fastify
 const app = fastify({
@@ -101,6 +109,56 @@ function checkEnvPermissions() {
   }
 }
 
+/**
+ * Read a request body, decompressing gzip or deflate Content-Encoding
+ * @param {Object} request - Fastify request
+ * @param {stream.Readable} payload - Raw request body
+ * @param {number|null} limit - Largest decompressed size accepted (null for no limit)
+ * @param {Function} callback - Called with (err, Buffer)
+ */
+function readRequestBody(request, payload, limit, callback) {
+  const chunks = [];
+  let size = 0;
+  let finished = false;
+
+  // Check if we need to decompress (gzip or deflate)
+  const encoding = request.headers['content-encoding'];
+  let stream = payload;
+
+  if (encoding === 'gzip') {
+    stream = payload.pipe(zlib.createGunzip());
+  } else if (encoding === 'deflate') {
+    stream = payload.pipe(zlib.createInflate());
+  }
+
+  const finish = (err, body) => {
+    if (!finished) {
+      finished = true;
+      callback(err, body);
+    }
+  };
+
+  stream.on('data', chunk => {
+    size += chunk.length;
+    if (limit !== null && size > limit) {
+      const err = new Error(`Request body exceeds the ${limit} byte limit`);
+      err.statusCode = 413;
+      stream.destroy();
+      finish(err);
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  stream.on('end', () => {
+    finish(null, Buffer.concat(chunks));
+  });
+
+  stream.on('error', (err) => {
+    finish(err);
+  });
+}
+
 /**
  * Initialize server
  */
@@ -125,35 +183,27 @@ async function start() {
     // the compressed size, but Fastify validates against the uncompressed size
     app.removeContentTypeParser(['application/json']);
     app.addContentTypeParser('application/json', function (request, payload, done) {
-      const chunks = [];
-      
-      // Check if we need to decompress (gzip or deflate)
-      const encoding = request.headers['content-encoding'];
-      let stream = payload;
-      
-      if (encoding === 'gzip') {
-        stream = payload.pipe(zlib.createGunzip());
-      } else if (encoding === 'deflate') {
-        stream = payload.pipe(zlib.createInflate());
-      }
-      
-      stream.on('data', chunk => {
-        chunks.push(chunk);
-      });
-      
-      stream.on('end', () => {
+      readRequestBody(request, payload, null, (err, body) => {
+        if (err) {
+          done(err, undefined);
+          return;
+        }
+
         try {
-          const body = Buffer.concat(chunks).toString('utf8');
-          const json = JSON.parse(body);
+          const json = JSON.parse(body.toString('utf8'));
           done(null, json);
         } catch (err) {
           err.statusCode = 400;
           done(err, undefined);
         }
       });
-      
-      stream.on('error', (err) => {
-        done(err, undefined);
+    });
+
+    // Plain-text log lines (POST /api/logs), which may be compressed the same way
+    app.removeContentTypeParser(['text/plain']);
+    app.addContentTypeParser('text/plain', function (request, payload, done) {
+      readRequestBody(request, payload, config.server.bodyLimit, (err, body) => {
+        done(err, err ? undefined : body.toString('utf8'));
       });
     });
 
@@ -256,6 +306,14 @@ async function start() {
     await prewarmHostCache(1000); // Load top 1000 hosts by last_seen_at
     app.log.info('Host cache pre-warmed successfully');
 
+    // Pre-warm website cache with the most recently active websites
+    app.log.info('Pre-warming website cache...');
+    await prewarmWebsiteCache(1000); // Load top 1000 websites by last_activity_at
+    app.log.info('Website cache pre-warmed successfully');
+
+    // Sample database connection wait for ingestion backpressure
+    startAdmissionMonitor();
+
     // Register CORS plugin
     if (config.cors.enabled) {
       await app.register(cors, {
@@ -465,6 +523,16 @@ async function start() {
     console.log(`✓ Headlog server started on ${host}:${port} (worker ${config.pm2.appInstance})`);
     console.log(`✓ Environment: ${config.env}`);
 
+    // Start syslog listener (if enabled)
+    if (config.syslog.enabled) {
+      await startSyslogListener();
+    }
+
+    // Start Fluent Forward listener (if enabled)
+    if (config.forward.enabled) {
+      await startForwardListener();
+    }
+
     // Signal PM2 that app is ready
     if (process.send) {
       process.send('ready');
@@ -483,6 +551,11 @@ async function shutdown(signal) {
 
   try {
     await app.close();
+    await stopSyslogListener();
+    await stopForwardListener();
+    await flushWriteBuffer();
+    await flushWebsiteActivity();
+    stopAdmissionMonitor();
     await closeDatabase();
     console.log('✓ Server shutdown complete');
     process.exit(0);
@@ -0,0 +1,156 @@
+/**
+ * Access Field Backfill Service
+ * Fills the structured field columns for records stored before they existed:
+ * access fields (method, path_hash, user_agent_id, response_bytes) since
+ * migration 1.11.6, error fields (error_level, error_module, error_code,
+ * error_pid) since 1.11.7
+ *
+ * New records get the columns at ingestion, so only records up to the end of
+ * log_records at migration time need work. The backfill walks down from there:
+ * last_processed_id in processing_watermark is the highest id still to be
+ * backfilled, and 0 once everything is done.
+ */
+
+const { getPool } = require('../config/database');
+const { extractAccessFields } = require('../utils/accessFields');
+const { parseApacheError } = require('../utils/apacheErrorLog');
+const { getOrCreateUserAgentIds } = require('./userAgentService');
+const { FIELD_COLUMNS, buildFieldColumns } = require('./logService');
+
+const PROCESSOR_NAME = 'access-field-backfill';
+
+// Records read per batch, and batches per run (one run per minute)
+const BATCH_SIZE = 1000;
+const MAX_BATCHES = 10;
+
+// Prevent overlapping runs when a run takes longer than the cron interval
+let backfillInProgress = false;
+
+/**
+ * Get the highest log record id still to be backfilled
+ * @returns {Promise<number>} Watermark (0 when complete or never initialised)
+ */
+async function getWatermark() {
+  const pool = getPool();
+
+  const [rows] = await pool.query(
+    'SELECT last_processed_id FROM processing_watermark WHERE processor_name = ?',
+    [PROCESSOR_NAME]
+  );
+
+  return rows.length > 0 ? Number(rows[0].last_processed_id) : 0;
+}
+
+/**
+ * Backfill one batch of records at or below the watermark
+ * Column updates and the new watermark are committed together.
+ * @param {number} fromId - Highest id to backfill
+ * @returns {Promise<Object>} { scanned, updated, watermark }
+ */
+async function backfillBatch(fromId) {
+  const pool = getPool();
+
+  const [rows] = await pool.query(
+    `SELECT id, log_type, raw_data
+    FROM log_records
+    WHERE id <= ?
+    ORDER BY id DESC
+    LIMIT ?`,
+    [fromId, BATCH_SIZE]
+  );
+
+  const updates = [];
+  for (const row of rows) {
+    let data;
+    try {
+      data = typeof row.raw_data === 'string' ? JSON.parse(row.raw_data) : row.raw_data;
+    } catch {
+      continue;
+    }
+
+    if (data && typeof data === 'object') {
+      updates.push({
+        id: row.id,
+        accessFields: row.log_type === 'access' ? extractAccessFields(data) : null,
+        errorFields: row.log_type === 'error' ? parseApacheError(data) : null
+      });
+    }
+  }
+
+  const userAgents = updates.map(u => u.accessFields && u.accessFields.userAgent).filter(Boolean);
+  const userAgentMap = await getOrCreateUserAgentIds([...new Set(userAgents)]);
+
+  // A short batch means the start of the table has been reached
+  const watermark = rows.length < BATCH_SIZE ? 0 : Number(rows[rows.length - 1].id) - 1;
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const assignments = FIELD_COLUMNS.map(column => `${column} = ?`).join(', ');
+
+    for (const { id, accessFields, errorFields } of updates) {
+      await connection.query(`UPDATE log_records SET ${assignments} WHERE id = ?`, [
+        ...buildFieldColumns(accessFields, errorFields, userAgentMap),
+        id
+      ]);
+    }
+
+    await connection.query(
+      `UPDATE processing_watermark
+       SET last_processed_id = ?,
+           last_run_at = NOW(),
+           records_processed = records_processed + ?
+       WHERE processor_name = ?`,
+      [watermark, rows.length, PROCESSOR_NAME]
+    );
+
+    await connection.commit();
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+
+  return { scanned: rows.length, updated: updates.length, watermark };
+}
+
+/**
+ * Run the backfill for up to MAX_BATCHES batches
+ * @returns {Promise<Object|null>} { records_scanned, records_updated, watermark, complete },
+ *   or null if skipped (already complete or a run is in progress)
+ */
+async function runAccessFieldBackfill() {
+  if (backfillInProgress) {
+    return null;
+  }
+
+  backfillInProgress = true;
+
+  try {
+    let watermark = await getWatermark();
+    if (watermark === 0) {
+      return null;
+    }
+
+    const summary = { records_scanned: 0, records_updated: 0 };
+
+    for (let batch = 0; batch < MAX_BATCHES && watermark > 0; batch++) {
+      const result = await backfillBatch(watermark);
+      summary.records_scanned += result.scanned;
+      summary.records_updated += result.updated;
+      watermark = result.watermark;
+    }
+
+    summary.watermark = watermark;
+    summary.complete = watermark === 0;
+    return summary;
+  } finally {
+    backfillInProgress = false;
+  }
+}
+
+module.exports = {
+  runAccessFieldBackfill
+};
@@ -0,0 +1,175 @@
+/**
+ * Admission Service
+ * Ingestion backpressure: sheds POST /api/logs requests with 503 and
+ * Retry-After while the database cannot keep up, instead of letting them
+ * queue on the connection pool until they time out
+ *
+ * Two signals, per worker:
+ *   In-flight   - ingestion requests admitted and not yet answered
+ *   Pool wait   - how long a connection takes to get from the pool, sampled
+ *                 every second (a sample still waiting counts as it stands)
+ * A limit of 0 disables that check.
+ */
+
+const { getPool } = require('../config/database');
+const config = require('../config');
+
+// Pool wait sampling
+const PROBE_INTERVAL = 1000; // Milliseconds
+const PROBE_SMOOTHING = 0.5; // Weight of the newest sample
+
+// Retry-After at the limit; grows with the overload, plus up to 100% jitter
+const RETRY_AFTER_BASE = 5; // Seconds
+
+let probeTimer = null;
+let probeStartedAt = null;
+let poolWaitMs = 0;
+let inFlight = 0;
+let shedding = false;
+
+const stats = {
+  admitted: 0,
+  shed: 0
+};
+
+/**
+ * Sample the pool wait by taking and releasing a connection
+ * @returns {Promise<void>}
+ */
+async function probePool() {
+  if (probeStartedAt !== null) {
+    return; // Previous sample still waiting
+  }
+
+  probeStartedAt = Date.now();
+
+  try {
+    const connection = await getPool().getConnection();
+    connection.release();
+  } catch (error) {
+    console.error('[Admission] Pool probe failed:', error.message);
+  } finally {
+    const waitMs = Date.now() - probeStartedAt;
+    poolWaitMs = Math.round(PROBE_SMOOTHING * waitMs + (1 - PROBE_SMOOTHING) * poolWaitMs);
+    probeStartedAt = null;
+  }
+}
+
+/**
+ * Current pool wait, including a sample still waiting
+ * @returns {number} Milliseconds
+ */
+function getPoolWait() {
+  const pendingMs = probeStartedAt !== null ? Date.now() - probeStartedAt : 0;
+  return Math.max(poolWaitMs, pendingMs);
+}
+
+/**
+ * Current load relative to the limits (1 = at a limit)
+ * @returns {{load: number, reason: string|null}} Highest load and the limit it is against
+ */
+function getLoad() {
+  const { maxInFlight, maxPoolWaitMs } = config.backpressure;
+  let load = 0;
+  let reason = null;
+
+  if (maxInFlight > 0 && inFlight / maxInFlight > load) {
+    load = inFlight / maxInFlight;
+    reason = `${inFlight} requests in flight`;
+  }
+
+  const waitMs = getPoolWait();
+  if (maxPoolWaitMs > 0 && waitMs / maxPoolWaitMs > load) {
+    load = waitMs / maxPoolWaitMs;
+    reason = `database connections take ${waitMs}ms`;
+  }
+
+  return { load, reason };
+}
+
+/**
+ * Admit an ingestion request, unless a limit is reached
+ * @returns {Object} { admitted: true, release } - call release() once the request is answered -
+ *   or { admitted: false, retryAfter, reason }
+ */
+function tryAdmit() {
+  const { load, reason } = getLoad();
+
+  if (load >= 1) {
+    stats.shed++;
+
+    if (!shedding) {
+      shedding = true;
+      console.warn(`[Admission] Shedding ingestion requests: ${reason}`);
+    }
+
+    const retryAfter = Math.min(
+      config.backpressure.retryAfterMax,
+      Math.ceil(RETRY_AFTER_BASE * load * (1 + Math.random()))
+    );
+
+    return { admitted: false, retryAfter, reason };
+  }
+
+  if (shedding) {
+    shedding = false;
+    console.log(`[Admission] Accepting ingestion requests again (${stats.shed} shed so far)`);
+  }
+
+  inFlight++;
+  stats.admitted++;
+
+  let released = false;
+  const release = () => {
+    if (!released) {
+      released = true;
+      inFlight--;
+    }
+  };
+
+  return { admitted: true, release };
+}
+
+/**
+ * Start sampling the pool wait (no-op if INGEST_MAX_POOL_WAIT_MS is 0)
+ */
+function startAdmissionMonitor() {
+  if (probeTimer || config.backpressure.maxPoolWaitMs <= 0) {
+    return;
+  }
+
+  probeTimer = setInterval(probePool, PROBE_INTERVAL);
+  probeTimer.unref();
+}
+
+/**
+ * Stop sampling the pool wait
+ */
+function stopAdmissionMonitor() {
+  if (probeTimer) {
+    clearInterval(probeTimer);
+    probeTimer = null;
+  }
+}
+
+/**
+ * Get admission counters and current signals
+ * @returns {Object} { inFlight, poolWaitMs, maxInFlight, maxPoolWaitMs, shedding, admitted, shed }
+ */
+function getAdmissionStats() {
+  return {
+    inFlight,
+    poolWaitMs: getPoolWait(),
+    maxInFlight: config.backpressure.maxInFlight,
+    maxPoolWaitMs: config.backpressure.maxPoolWaitMs,
+    shedding,
+    ...stats
+  };
+}
+
+module.exports = {
+  tryAdmit,
+  startAdmissionMonitor,
+  stopAdmissionMonitor,
+  getAdmissionStats
+};
@@ -0,0 +1,371 @@
+/**
+ * API Key Service
+ * Restrictions on what an API key may do, and from where
+ *
+ *   Scopes       api_keys.permissions - JSON array of API_KEY_SCOPES
+ *                (NULL: all scopes, as for keys created before scopes)
+ *   Expiry       api_keys.expires_at - the key is refused from then on
+ *   Allowlist    api_keys.allowed_ips - JSON array of addresses / CIDR blocks
+ *                (NULL: any address)
+ *
+ * Lookup: keys have the form hl_<prefix>_<secret>, and api_keys.key_prefix
+ * finds the one row to bcrypt-compare against. Legacy 40-character keys use
+ * their first 8 characters as prefix, stored the first time they are used.
+ * A successful comparison is remembered for API_KEY_CACHE_SECONDS, so repeat
+ * requests skip bcrypt; the row is still read on every request, so
+ * deactivating or restricting a key takes effect immediately.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { getPool } = require('../config/database');
+const config = require('../config');
+const { parseCidr, formatCidr, toBuffer } = require('../utils/ipAddress');
+
+// Scopes an API key can be granted
+const API_KEY_SCOPES = ['logs:write', 'logs:read', 'websites:read', 'websites:write'];
+
+// Key formats: hl_<prefix>_<secret>, and legacy keys (40 alphanumeric characters)
+const KEY_PATTERN = /^hl_([A-Za-z0-9]{8})_[A-Za-z0-9]{40}$/;
+const LEGACY_KEY_PATTERN = /^[A-Za-z0-9]{40}$/;
+const KEY_PREFIX_LENGTH = 8;
+
+// api_keys columns needed to authenticate and apply restrictions
+const KEY_COLUMNS = 'id, `key`, description, permissions, expires_at, allowed_ips';
+
+// Successful comparisons, by SHA-256 of the key: { id, hash, expiresAt }
+const CACHE_MAX_ENTRIES = 10000;
+const verifiedKeys = new Map();
+
+// Units accepted by parseExpiry (e.g., 90d)
+const EXPIRY_UNITS = {
+  h: 3600000,
+  d: 86400000,
+  w: 604800000
+};
+
+/**
+ * Parse a JSON column value (MariaDB returns JSON columns as strings)
+ * @param {*} value - Column value
+ * @returns {*} Parsed value, or null
+ */
+function parseJsonColumn(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (typeof value !== 'string') {
+    return value;
+  }
+
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parse a list of scopes
+ * @param {string} value - Comma-separated scopes (e.g., 'logs:write' or 'logs:read,websites:read')
+ * @returns {Array<string>} Scopes, without duplicates
+ * @throws {Error} If a scope is unknown
+ */
+function parseScopes(value) {
+  const scopes = [
+    ...new Set(
+      String(value || '')
+        .split(',')
+        .map(scope => scope.trim())
+        .filter(Boolean)
+    )
+  ];
+
+  if (scopes.length === 0) {
+    throw new Error(`At least one scope is required (${API_KEY_SCOPES.join(', ')})`);
+  }
+
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown scope: ${unknown.join(', ')} (expected ${API_KEY_SCOPES.join(', ')})`);
+  }
+
+  return scopes;
+}
+
+/**
+ * Parse an allowlist
+ * @param {string} value - Comma-separated addresses or CIDR blocks
+ * @returns {Array<string>} Normalised entries (e.g., '192.0.2.0/24', '2001:db8::1')
+ * @throws {Error} If an entry is not a valid address or CIDR block
+ */
+function parseAllowedIps(value) {
+  const entries = String(value || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => formatCidr(parseCidr(entry)));
+
+  if (entries.length === 0) {
+    throw new Error('At least one IP address or CIDR block is required');
+  }
+
+  return [...new Set(entries)];
+}
+
+/**
+ * Parse an expiry time
+ * @param {string} value - Duration from now (e.g., 12h, 90d, 4w) or a date (2026-06-30,
+ *   2026-06-30T12:00:00Z)
+ * @param {Date} now - Reference time for durations
+ * @returns {Date} Expiry time
+ * @throws {Error} If the value is not a duration or date, or is not in the future
+ */
+function parseExpiry(value, now = new Date()) {
+  const text = String(value || '').trim();
+  const duration = /^(\d+)([hdw])$/.exec(text);
+  let expiresAt;
+
+  if (duration) {
+    expiresAt = new Date(now.getTime() + Number(duration[1]) * EXPIRY_UNITS[duration[2]]);
+  } else if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    expiresAt = new Date(text);
+  } else {
+    throw new Error(`Invalid expiry: ${text} (expected e.g. 90d, 12h, 4w or 2026-06-30)`);
+  }
+
+  if (isNaN(expiresAt.getTime())) {
+    throw new Error(`Invalid expiry date: ${text}`);
+  }
+
+  if (expiresAt <= now) {
+    throw new Error(`Expiry must be in the future: ${text}`);
+  }
+
+  return expiresAt;
+}
+
+/**
+ * Build the restrictions of a key from its api_keys row
+ * @param {Object} row - api_keys row (id, description, permissions, expires_at, allowed_ips)
+ * @returns {Object} { id, description, scopes, expiresAt, allowedIps, allowedRanges }
+ *   (scopes / allowedIps null: unrestricted)
+ */
+function toApiKey(row) {
+  const scopes = parseJsonColumn(row.permissions);
+  const allowedIps = parseJsonColumn(row.allowed_ips);
+  const ranges = [];
+
+  if (Array.isArray(allowedIps)) {
+    allowedIps.forEach(entry => {
+      try {
+        ranges.push(parseCidr(entry));
+      } catch {
+        console.error(`[ApiKeys] Ignoring invalid allowed IP for key ${row.id}: ${entry}`);
+      }
+    });
+  }
+
+  return {
+    id: row.id,
+    description: row.description,
+    scopes: Array.isArray(scopes) ? scopes : null,
+    expiresAt: row.expires_at ? new Date(row.expires_at) : null,
+    allowedIps: Array.isArray(allowedIps) ? allowedIps : null,
+    allowedRanges: Array.isArray(allowedIps) ? ranges : null
+  };
+}
+
+/**
+ * Check whether a key has expired
+ * @param {Object} apiKey - From toApiKey
+ * @param {Date} now - Reference time
+ * @returns {boolean} True once expires_at has passed
+ */
+function isKeyExpired(apiKey, now = new Date()) {
+  return apiKey.expiresAt !== null && apiKey.expiresAt <= now;
+}
+
+/**
+ * Check whether a key has a scope
+ * @param {Object} apiKey - From toApiKey
+ * @param {string} scope - One of API_KEY_SCOPES
+ * @returns {boolean} True if granted
+ */
+function hasScope(apiKey, scope) {
+  return apiKey.scopes === null || apiKey.scopes.includes(scope);
+}
+
+/**
+ * Check a client address against a key's allowlist
+ * @param {Object} apiKey - From toApiKey
+ * @param {string} address - Client address (IPv4-mapped IPv6 addresses match IPv4 entries)
+ * @returns {boolean} True if the key may be used from the address
+ */
+function isAddressAllowed(apiKey, address) {
+  if (apiKey.allowedRanges === null) {
+    return true;
+  }
+
+  const text = String(address || '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, '$1');
+  const bytes = toBuffer(text);
+  if (!bytes) {
+    return false;
+  }
+
+  return apiKey.allowedRanges.some(
+    range =>
+      range.start.length === bytes.length &&
+      Buffer.compare(bytes, range.start) >= 0 &&
+      Buffer.compare(bytes, range.end) <= 0
+  );
+}
+
+/**
+ * Parse the prefix of an API key
+ * @param {string} token - Key as presented by the client
+ * @returns {Object|null} { prefix, legacy }, or null if the key is not in a known format
+ */
+function parseApiKey(token) {
+  const match = KEY_PATTERN.exec(token);
+  if (match) {
+    return { prefix: match[1], legacy: false };
+  }
+
+  if (LEGACY_KEY_PATTERN.test(token)) {
+    return { prefix: token.substring(0, KEY_PREFIX_LENGTH), legacy: true };
+  }
+
+  return null;
+}
+
+/**
+ * Compare a key against a row's bcrypt hash, using the cache if possible
+ * @param {string} token - Key as presented by the client
+ * @param {string} digest - SHA-256 of the key (cache key)
+ * @param {Object} row - api_keys row
+ * @returns {Promise<boolean>} True if the key matches the row
+ */
+async function verifyKey(token, digest, row) {
+  const cached = verifiedKeys.get(digest);
+  if (cached && cached.expiresAt > Date.now() && cached.id === row.id && cached.hash === row.key) {
+    return true;
+  }
+
+  if (!(await bcrypt.compare(token, row.key))) {
+    return false;
+  }
+
+  const ttl = config.security.apiKeyCacheSeconds;
+  if (ttl > 0) {
+    verifiedKeys.delete(digest);
+    if (verifiedKeys.size >= CACHE_MAX_ENTRIES) {
+      verifiedKeys.delete(verifiedKeys.keys().next().value); // Oldest entry
+    }
+    verifiedKeys.set(digest, { id: row.id, hash: row.key, expiresAt: Date.now() + ttl * 1000 });
+  }
+
+  return true;
+}
+
+/**
+ * Find a legacy key that has no prefix yet, and store its prefix
+ * Compares against every active key without a prefix (the lookup used
+ * before key prefixes), so each legacy key normally takes this path once.
+ * @param {string} token - Legacy key
+ * @param {string} digest - SHA-256 of the key
+ * @param {string} prefix - Its first 8 characters
+ * @returns {Promise<Object|null>} api_keys row, or null
+ */
+async function findLegacyKey(token, digest, prefix) {
+  const pool = getPool();
+  const [rows] = await pool.query(
+    `SELECT ${KEY_COLUMNS} FROM api_keys WHERE key_prefix IS NULL AND is_active = 1`
+  );
+
+  for (const row of rows) {
+    if (await verifyKey(token, digest, row)) {
+      try {
+        await pool.query('UPDATE api_keys SET key_prefix = ? WHERE id = ? AND key_prefix IS NULL', [
+          prefix,
+          row.id
+        ]);
+        console.log(`[ApiKeys] Legacy key ${row.id} now uses prefix lookup`);
+      } catch (error) {
+        // Another key has this prefix: the key keeps working via this path
+        console.warn(`[ApiKeys] Could not store prefix of legacy key ${row.id}:`, error.message);
+      }
+
+      return row;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find the active api_keys row of a key
+ * Reads the row with the key's prefix and runs one bcrypt comparison
+ * (none if the key was verified recently).
+ * @param {string} token - Key as presented by the client
+ * @returns {Promise<Object|null>} api_keys row, or null if the key is unknown, inactive or
+ *   malformed
+ */
+async function findApiKey(token) {
+  const parsed = parseApiKey(token);
+  if (!parsed) {
+    return null;
+  }
+
+  const digest = crypto.createHash('sha256').update(token).digest('hex');
+  const [rows] = await getPool().query(
+    `SELECT ${KEY_COLUMNS} FROM api_keys WHERE key_prefix = ? AND is_active = 1`,
+    [parsed.prefix]
+  );
+
+  if (rows.length === 1 && (await verifyKey(token, digest, rows[0]))) {
+    return rows[0];
+  }
+
+  return parsed.legacy ? findLegacyKey(token, digest, parsed.prefix) : null;
+}
+
+/**
+ * Forget all remembered comparisons
+ */
+function clearApiKeyCache() {
+  verifiedKeys.clear();
+}
+
+/**
+ * Check whether a key may be used now, from an address
+ * @param {Object} apiKey - From toApiKey
+ * @param {string} address - Client address
+ * @returns {string|null} Reason the key is refused, or null
+ */
+function checkKeyUse(apiKey, address) {
+  if (isKeyExpired(apiKey)) {
+    return 'API key has expired';
+  }
+
+  if (!isAddressAllowed(apiKey, address)) {
+    return 'API key is not allowed from this address';
+  }
+
+  return null;
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  parseApiKey,
+  findApiKey,
+  clearApiKeyCache,
+  parseScopes,
+  parseAllowedIps,
+  parseExpiry,
+  toApiKey,
+  isKeyExpired,
+  hasScope,
+  isAddressAllowed,
+  checkKeyUse
+};
@@ -0,0 +1,111 @@
+/**
+ * Clock Skew Service
+ * Keeps hourly per-host statistics of skew between the time records are
+ * received and the time they carry (receive time minus event time, in
+ * seconds), so hosts with drifting clocks or delayed shipping stand out
+ */
+
+const { getPool } = require('../config/database');
+
+/**
+ * Add a record's timestamp outcome to per-host statistics
+ * Only unflagged records contribute to the skew figures; flagged records are
+ * counted by flag.
+ * @param {Map<number, Object>} stats - Statistics by host ID (updated in place)
+ * @param {number} hostId - Host ID
+ * @param {Object} outcome - Result of normaliseTimestamp()
+ * @param {string|null} outcome.flag - future, past, unparseable or null
+ * @param {number|null} outcome.skewSeconds - Receive time minus event time
+ */
+function addSkewSample(stats, hostId, { flag, skewSeconds }) {
+  if (!flag && skewSeconds === null) {
+    return; // Record carried no timestamp
+  }
+
+  let entry = stats.get(hostId);
+  if (!entry) {
+    entry = { samples: 0, sum: 0, min: null, max: null, future: 0, past: 0, unparseable: 0 };
+    stats.set(hostId, entry);
+  }
+
+  if (flag) {
+    entry[flag]++;
+    return;
+  }
+
+  entry.samples++;
+  entry.sum += skewSeconds;
+  entry.min = entry.min === null ? skewSeconds : Math.min(entry.min, skewSeconds);
+  entry.max = entry.max === null ? skewSeconds : Math.max(entry.max, skewSeconds);
+}
+
+/**
+ * Merge per-host statistics into the current hour's host_clock_skew rows
+ * Race-safe for PM2 cluster mode (single upsert per host).
+ * @param {Map<number, Object>} stats - Statistics by host ID from addSkewSample()
+ * @returns {Promise<void>}
+ */
+async function recordClockSkew(stats) {
+  if (stats.size === 0) {
+    return;
+  }
+
+  const pool = getPool();
+
+  for (const [hostId, entry] of stats) {
+    // Hours with only flagged records keep min/max at 0 until a sample arrives.
+    // Assignments run in order, so min/max read samples before it is incremented.
+    const hasSamples = entry.samples > 0;
+
+    await pool.query(
+      `INSERT INTO host_clock_skew
+         (host_id, period_start, samples, skew_sum, skew_min, skew_max,
+          future_count, past_count, unparseable_count)
+       VALUES (?, DATE_FORMAT(NOW(), '%Y-%m-%d %H:00:00'), ?, ?, ?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE
+         skew_min = IF(?, IF(samples = 0, VALUES(skew_min), LEAST(skew_min, VALUES(skew_min))),
+           skew_min),
+         skew_max = IF(?, IF(samples = 0, VALUES(skew_max), GREATEST(skew_max, VALUES(skew_max))),
+           skew_max),
+         samples = samples + VALUES(samples),
+         skew_sum = skew_sum + VALUES(skew_sum),
+         future_count = future_count + VALUES(future_count),
+         past_count = past_count + VALUES(past_count),
+         unparseable_count = unparseable_count + VALUES(unparseable_count)`,
+      [
+        hostId,
+        entry.samples,
+        entry.sum,
+        hasSamples ? entry.min : 0,
+        hasSamples ? entry.max : 0,
+        entry.future,
+        entry.past,
+        entry.unparseable,
+        hasSamples,
+        hasSamples
+      ]
+    );
+  }
+}
+
+/**
+ * Delete clock skew statistics older than the given number of days
+ * @param {number} retentionDays - Days to keep
+ * @returns {Promise<number>} Number of rows deleted
+ */
+async function purgeClockSkew(retentionDays) {
+  const pool = getPool();
+
+  const [result] = await pool.query(
+    'DELETE FROM host_clock_skew WHERE period_start < DATE_SUB(NOW(), INTERVAL ? DAY)',
+    [retentionDays]
+  );
+
+  return result.affectedRows;
+}
+
+module.exports = {
+  addSkewSample,
+  recordClockSkew,
+  purgeClockSkew
+};
@@ -0,0 +1,265 @@
+/**
+ * Fail2ban Import Service
+ * Imports fail2ban filter.d/*.conf files as read-only security rules
+ *
+ * Each failregex line becomes one rule named 'fail2ban:<filter>' (or
+ * 'fail2ban:<filter>:<n>' when a filter has several). Re-importing updates
+ * those rules in place and removes rules whose failregex line has gone.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getPool } = require('../config/database');
+const { parseFilterFile } = require('../utils/fail2banFilter');
+
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Build the rule name for a failregex entry
+ * @param {string} filter - Filter name (file name without .conf)
+ * @param {number} index - 1-based failregex index
+ * @param {number} total - Number of failregex entries in the filter
+ * @returns {string}
+ */
+function buildRuleName(filter, index, total) {
+  return total > 1 ? `fail2ban:${filter}:${index}` : `fail2ban:${filter}`;
+}
+
+/**
+ * List filter files in a fail2ban filter directory
+ * @param {string} dir - Directory (e.g., /etc/fail2ban/filter.d)
+ * @param {Array<string>} only - Optional filter names to restrict to
+ * @returns {Array<string>} Absolute file paths
+ */
+function listFilterFiles(dir, only = []) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new Error(`Not a directory: ${dir}`);
+  }
+
+  return fs
+    .readdirSync(dir)
+    .filter(file => file.endsWith('.conf'))
+    .filter(file => only.length === 0 || only.includes(path.basename(file, '.conf')))
+    .sort()
+    .map(file => path.resolve(dir, file));
+}
+
+/**
+ * Find an event type by name, creating it if it does not exist
+ * @param {Object} connection - Database connection
+ * @param {string} name - Event type name
+ * @param {string} severity - Severity used when creating
+ * @returns {Promise<Object>} { id, created }
+ */
+async function resolveEventType(connection, name, severity) {
+  const [rows] = await connection.query('SELECT id FROM event_types WHERE name = ?', [name]);
+  if (rows.length > 0) {
+    return { id: rows[0].id, created: false };
+  }
+
+  const [result] = await connection.query(
+    'INSERT INTO event_types (name, description, severity) VALUES (?, ?, ?)',
+    [name, 'Created by fail2ban import', severity]
+  );
+  return { id: result.insertId, created: true };
+}
+
+/**
+ * Store the rules parsed from one filter file
+ * @param {Object} connection - Database connection (inside a transaction)
+ * @param {Object} parsed - Result of parseFilterFile()
+ * @param {string} filePath - Filter file path
+ * @param {number} eventTypeId - Event type for new and updated rules
+ * @returns {Promise<Object>} { created, updated, unchanged, removed, conflicts }
+ */
+async function storeFilterRules(connection, parsed, filePath, eventTypeId) {
+  const counts = { created: 0, updated: 0, unchanged: 0, removed: 0, conflicts: [] };
+  const total = parsed.rules.length + parsed.skipped.filter(s => s.index > 0).length;
+  const names = [];
+
+  for (const rule of parsed.rules) {
+    const name = buildRuleName(parsed.filter, rule.index, total);
+    const description = `Imported from fail2ban filter ${parsed.filter}`;
+    names.push(name);
+
+    const [existing] = await connection.query(
+      `SELECT id, source, log_type, event_type_id, trigger_pattern, ignore_pattern, source_file
+      FROM security_rules WHERE name = ?`,
+      [name]
+    );
+
+    if (existing.length === 0) {
+      await connection.query(
+        `INSERT INTO security_rules
+         (name, source, source_file, log_type, event_type_id, trigger_pattern, ignore_pattern, description)
+         VALUES (?, 'fail2ban', ?, ?, ?, ?, ?, ?)`,
+        [
+          name,
+          filePath,
+          rule.log_type,
+          eventTypeId,
+          rule.trigger_pattern,
+          parsed.ignore_pattern,
+          description
+        ]
+      );
+      counts.created++;
+      continue;
+    }
+
+    const current = existing[0];
+
+    // Never overwrite a user-defined rule that happens to share the name
+    if (current.source !== 'fail2ban') {
+      counts.conflicts.push(name);
+      continue;
+    }
+
+    const changed =
+      current.log_type !== rule.log_type ||
+      current.event_type_id !== eventTypeId ||
+      current.trigger_pattern !== rule.trigger_pattern ||
+      current.ignore_pattern !== parsed.ignore_pattern ||
+      current.source_file !== filePath;
+
+    if (!changed) {
+      counts.unchanged++;
+      continue;
+    }
+
+    await connection.query(
+      `UPDATE security_rules
+       SET source_file = ?, log_type = ?, event_type_id = ?, trigger_pattern = ?,
+           ignore_pattern = ?, description = ?
+       WHERE id = ?`,
+      [
+        filePath,
+        rule.log_type,
+        eventTypeId,
+        rule.trigger_pattern,
+        parsed.ignore_pattern,
+        description,
+        current.id
+      ]
+    );
+    counts.updated++;
+  }
+
+  // Remove rules for failregex lines that no longer exist in the filter
+  const [result] = await connection.query(
+    `DELETE FROM security_rules
+     WHERE source = 'fail2ban'
+       AND (name = ? OR name LIKE ?)
+       ${names.length > 0 ? 'AND name NOT IN (?)' : ''}`,
+    [
+      `fail2ban:${parsed.filter}`,
+      `fail2ban:${parsed.filter.replace(/[\\%_]/g, '\\$&')}:%`,
+      ...(names.length > 0 ? [names] : [])
+    ]
+  );
+  counts.removed = result.affectedRows;
+
+  return counts;
+}
+
+/**
+ * Import fail2ban filters from a directory
+ * @param {string} dir - fail2ban filter directory
+ * @param {Object} options
+ * @param {string} options.eventType - Event type name for imported rules (required)
+ * @param {string} options.severity - Severity if the event type has to be created (default: medium)
+ * @param {string} options.logType - Force log type ('access' or 'error') instead of detecting it
+ * @param {Array<string>} options.filters - Only import these filter names
+ * @param {boolean} options.dryRun - Parse and report without writing to the database
+ * @returns {Promise<Object>} { eventTypeCreated, results: [{ filter, file, rules, ignore_pattern, skipped, ...counts }] }
+ */
+async function importFail2banFilters(dir, options = {}) {
+  const { eventType, severity = 'medium', logType = null, filters = [], dryRun = false } = options;
+
+  if (!eventType) {
+    throw new Error('Event type is required');
+  }
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Invalid severity '${severity}' (expected: ${SEVERITIES.join(', ')})`);
+  }
+  if (logType && !['access', 'error'].includes(logType)) {
+    throw new Error(`Invalid log type '${logType}' (expected: access, error)`);
+  }
+
+  const parsedFilters = listFilterFiles(dir, filters)
+    .map(file => {
+      try {
+        return { file, parsed: parseFilterFile(file, { logType }) };
+      } catch (error) {
+        const filter = path.basename(file, '.conf');
+        return {
+          file,
+          parsed: {
+            filter,
+            rules: [],
+            ignore_pattern: null,
+            skipped: [{ index: 0, reason: error.message }]
+          },
+          unreadable: true
+        };
+      }
+    })
+    .filter(({ parsed }) => parsed.rules.length > 0 || parsed.skipped.length > 0);
+
+  if (dryRun) {
+    return {
+      eventTypeCreated: false,
+      results: parsedFilters.map(({ file, parsed }) => ({
+        filter: parsed.filter,
+        file,
+        rules: parsed.rules,
+        ignore_pattern: parsed.ignore_pattern,
+        skipped: parsed.skipped,
+        created: 0,
+        updated: 0,
+        unchanged: 0,
+        removed: 0,
+        conflicts: []
+      }))
+    };
+  }
+
+  const pool = getPool();
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const resolved = await resolveEventType(connection, eventType, severity);
+    const results = [];
+
+    for (const { file, parsed, unreadable } of parsedFilters) {
+      // Leave previously imported rules alone if the file could not be read
+      const counts = unreadable
+        ? { created: 0, updated: 0, unchanged: 0, removed: 0, conflicts: [] }
+        : await storeFilterRules(connection, parsed, file, resolved.id);
+      results.push({
+        filter: parsed.filter,
+        file,
+        rules: parsed.rules,
+        ignore_pattern: parsed.ignore_pattern,
+        skipped: parsed.skipped,
+        ...counts
+      });
+    }
+
+    await connection.commit();
+
+    return { eventTypeCreated: resolved.created, results };
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = {
+  importFail2banFilters,
+  buildRuleName
+};
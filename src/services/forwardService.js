@@ -0,0 +1,410 @@
+/**
+ * Fluent Forward Listener
+ * Native input for Fluent Bit's forward output: MessagePack over TCP (or
+ * TLS), without the JSON re-serialisation of the HTTP output
+ *
+ * Every connection must pass the shared-key handshake (HELO / PING / PONG).
+ * Each API key has its own shared key, derived from FORWARD_SECRET and the
+ * key (see deriveSharedKey, or `headlog keys:forward-key <id>`), because
+ * the API keys themselves are only stored as bcrypt hashes. The key's expiry,
+ * IP allowlist and logs:write scope apply as on the HTTP API.
+ *
+ * Message, Forward, PackedForward and CompressedPackedForward (gzip) modes
+ * are accepted. When a message carries a chunk ID it is acknowledged only
+ * after its records have been stored, so delivery is at-least-once: if
+ * ingestion fails the connection is closed without an ack and Fluent Bit
+ * sends the chunk again.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const tls = require('tls');
+const zlib = require('zlib');
+const config = require('../config');
+const { getPool } = require('../config/database');
+const { createStreamDecoder, decodeStream, encode } = require('../utils/msgpack');
+const { ingestLogs } = require('./logService');
+const { toApiKey, checkKeyUse, hasScope } = require('./apiKeyService');
+
+// Fluent's EventTime extension type (seconds and nanoseconds, big-endian)
+const EVENT_TIME_EXT_TYPE = 0;
+
+// Largest incomplete value accepted before the handshake (a PING is a few hundred bytes)
+const MAX_HANDSHAKE_BYTES = 65536;
+
+let server = null;
+const connections = new Set();
+
+const stats = {
+  connections: 0,
+  authFailures: 0,
+  events: 0,
+  ingested: 0,
+  rejected: 0,
+  duplicates: 0,
+  acks: 0
+};
+
+/**
+ * Derive the forward shared key of an API key
+ * @param {Object} apiKey - api_keys row
+ * @param {number} apiKey.id - Key ID
+ * @param {string} apiKey.key - Stored bcrypt hash
+ * @returns {string} Shared key (hex)
+ * @throws {Error} If FORWARD_SECRET is not set
+ */
+function deriveSharedKey(apiKey) {
+  if (!config.forward.secret) {
+    throw new Error('FORWARD_SECRET is not set');
+  }
+
+  return crypto
+    .createHmac('sha256', config.forward.secret)
+    .update(`${apiKey.id}:${apiKey.key}`)
+    .digest('hex');
+}
+
+/**
+ * SHA-512 hex digest of the concatenated parts (strings or Buffers)
+ * @param {...(string|Buffer)} parts - Digest input
+ * @returns {string} Hex digest
+ */
+function sha512Hex(...parts) {
+  const hash = crypto.createHash('sha512');
+  parts.forEach(part => hash.update(Buffer.isBuffer(part) ? part : String(part)));
+  return hash.digest('hex');
+}
+
+/**
+ * Find the API key whose shared key produced a PING digest
+ * The key must also be unexpired, allowed from the client address and have
+ * the logs:write scope.
+ * @param {Array} ping - ['PING', hostname, salt, digest, username, password]
+ * @param {Buffer} nonce - Nonce sent in HELO
+ * @param {string} address - Client address
+ * @returns {Promise<Object>} { apiKeyId, sharedKey }, or { error } if no key matches or the
+ *   matching key may not be used
+ */
+async function authenticatePing(ping, nonce, address) {
+  const [, hostname, salt, digest] = ping;
+  if (hostname === undefined || salt === undefined || typeof digest !== 'string') {
+    return { error: 'shared_key mismatch' };
+  }
+
+  const pool = getPool();
+  const [rows] = await pool.query(
+    'SELECT id, `key`, permissions, expires_at, allowed_ips FROM api_keys WHERE is_active = 1'
+  );
+
+  for (const row of rows) {
+    const sharedKey = deriveSharedKey(row);
+    const expected = Buffer.from(sha512Hex(salt, hostname, nonce, sharedKey));
+    const received = Buffer.from(digest);
+
+    if (expected.length === received.length && crypto.timingSafeEqual(expected, received)) {
+      const apiKey = toApiKey(row);
+      const refused = checkKeyUse(apiKey, address);
+      if (refused) {
+        return { error: refused };
+      }
+      if (!hasScope(apiKey, 'logs:write')) {
+        return { error: 'API key lacks the required scope: logs:write' };
+      }
+
+      pool
+        .query('UPDATE api_keys SET last_used_at = NOW(), last_used_ip = ? WHERE id = ?', [
+          address,
+          row.id
+        ])
+        .catch(err => {
+          console.error('Failed to update last_used_at:', err.message);
+        });
+
+      return { apiKeyId: row.id, sharedKey };
+    }
+  }
+
+  return { error: 'shared_key mismatch' };
+}
+
+/**
+ * Convert a Fluent event time to a date
+ * @param {number|Object} time - Seconds (integer or float) or EventTime ext
+ * @returns {Date|null} Event time
+ */
+function eventTime(time) {
+  if (typeof time === 'number') {
+    return new Date(time * 1000);
+  }
+
+  if (time && time.type === EVENT_TIME_EXT_TYPE && time.data && time.data.length === 8) {
+    return new Date(time.data.readUInt32BE(0) * 1000 + Math.floor(time.data.readUInt32BE(4) / 1e6));
+  }
+
+  return null;
+}
+
+/**
+ * Build a log record from a Fluent event
+ * bin values become strings; the event time becomes log_timestamp unless
+ * the record has its own.
+ * @param {number|Object} time - Event time
+ * @param {*} record - Event record
+ * @returns {*} Log record (non-objects are passed on for ingestLogs to reject)
+ */
+function toLogRecord(time, record) {
+  if (!record || typeof record !== 'object' || Array.isArray(record) || Buffer.isBuffer(record)) {
+    return record;
+  }
+
+  const logRecord = {};
+  for (const [name, value] of Object.entries(record)) {
+    logRecord[name] = Buffer.isBuffer(value) ? value.toString('utf8') : value;
+  }
+
+  const date = eventTime(time);
+  if (logRecord.log_timestamp === undefined && date && !isNaN(date.getTime())) {
+    logRecord.log_timestamp = date.toISOString();
+  }
+
+  return logRecord;
+}
+
+/**
+ * Split a forward message into its events and options
+ * @param {Array} message - [tag, time, record, option?], [tag, entries, option?]
+ *   or [tag, packedEntries, option?]
+ * @returns {{events: Array<Array>, option: Object}} [time, record] pairs and the option map
+ * @throws {Error} If the message is not in a forward mode
+ */
+function unpackMessage(message) {
+  if (!Array.isArray(message) || typeof message[0] !== 'string' || message.length < 2) {
+    throw new Error('Invalid forward message');
+  }
+
+  // Forward mode: [tag, [[time, record], ...], option]
+  if (Array.isArray(message[1])) {
+    return { events: message[1], option: message[2] || {} };
+  }
+
+  // PackedForward / CompressedPackedForward: [tag, bin, option]
+  if (Buffer.isBuffer(message[1])) {
+    const option = message[2] || {};
+    let data = message[1];
+
+    if (option.compressed === 'gzip') {
+      data = zlib.gunzipSync(data, { maxOutputLength: config.forward.maxChunkSize });
+    }
+
+    const { values, rest } = decodeStream(data);
+    if (rest.length > 0) {
+      throw new Error('Truncated PackedForward entries');
+    }
+    return { events: values, option };
+  }
+
+  // Message mode: [tag, time, record, option]
+  return { events: [[message[1], message[2]]], option: message[3] || {} };
+}
+
+/**
+ * Handle one decoded value from a connection
+ * @param {net.Socket} socket - Client connection
+ * @param {Object} state - Connection state ({ nonce, apiKeyId, closed })
+ * @param {*} value - Decoded MessagePack value
+ * @returns {Promise<void>}
+ */
+async function handleValue(socket, state, value) {
+  if (state.apiKeyId === null) {
+    if (!Array.isArray(value) || value[0] !== 'PING') {
+      throw new Error('Expected PING before events');
+    }
+
+    const auth = await authenticatePing(value, state.nonce, socket.remoteAddress);
+    if (auth.error) {
+      stats.authFailures++;
+      state.closed = true;
+      socket.end(encode(['PONG', false, auth.error, '', '']));
+      return;
+    }
+
+    state.apiKeyId = auth.apiKeyId;
+    const { selfHostname } = config.forward;
+    socket.write(
+      encode([
+        'PONG',
+        true,
+        '',
+        selfHostname,
+        sha512Hex(value[2], selfHostname, state.nonce, auth.sharedKey)
+      ])
+    );
+    return;
+  }
+
+  const { events, option } = unpackMessage(value);
+  const records = events.map(event =>
+    Array.isArray(event) ? toLogRecord(event[0], event[1]) : event
+  );
+  stats.events += records.length;
+
+  // Throws (no ack) if the records could not be stored
+  const rejected = [];
+  const duplicates = [];
+  stats.ingested += await ingestLogs(records, { apiKeyId: state.apiKeyId, rejected, duplicates });
+  stats.rejected += rejected.length;
+  stats.duplicates += duplicates.length;
+
+  if (option.chunk) {
+    socket.write(encode({ ack: option.chunk }));
+    stats.acks++;
+  }
+}
+
+/**
+ * Handle a connection: send HELO, then decode and process values in order
+ * The socket is paused while values are processed, so a slow database slows
+ * the sender instead of buffering without limit. A client that has not
+ * authenticated within FORWARD_HANDSHAKE_TIMEOUT, or that sends nothing for
+ * FORWARD_IDLE_TIMEOUT, is disconnected, and so is one whose incomplete
+ * message grows past the size limit.
+ * @param {net.Socket} socket - Client connection
+ */
+function handleConnection(socket) {
+  const remote = socket.remoteAddress;
+  const state = { nonce: crypto.randomBytes(16), apiKeyId: null, closed: false };
+  const decoder = createStreamDecoder();
+  const { handshakeTimeout, idleTimeout, maxChunkSize } = config.forward;
+  let queue = Promise.resolve();
+
+  stats.connections++;
+  connections.add(socket);
+  socket.write(encode(['HELO', { nonce: state.nonce, auth: '', keepalive: true }]));
+
+  const fail = error => {
+    console.warn(`[Forward] Closing connection from ${remote}: ${error.message}`);
+    state.closed = true;
+    socket.destroy();
+  };
+
+  const handshakeTimer = setTimeout(() => {
+    if (state.apiKeyId === null) {
+      fail(new Error(`No handshake within ${handshakeTimeout}s`));
+    }
+  }, handshakeTimeout * 1000);
+
+  socket.setTimeout(idleTimeout * 1000);
+  socket.on('timeout', () => fail(new Error(`Idle for ${idleTimeout}s`)));
+
+  socket.on('data', chunk => {
+    if (state.closed) {
+      return;
+    }
+
+    let values;
+    try {
+      values = decoder.write(chunk);
+    } catch (error) {
+      fail(error);
+      return;
+    }
+
+    const limit = state.apiKeyId === null ? MAX_HANDSHAKE_BYTES : maxChunkSize;
+    if (decoder.pending > limit) {
+      fail(new Error(`Message exceeds the ${limit} byte limit`));
+      return;
+    }
+
+    if (values.length === 0) {
+      return;
+    }
+
+    // Processing may outlast the idle timeout while the sender waits for its ack
+    socket.pause();
+    socket.setTimeout(0);
+    queue = queue
+      .then(async () => {
+        for (const value of values) {
+          if (state.closed) {
+            break;
+          }
+          await handleValue(socket, state, value);
+        }
+        socket.setTimeout(idleTimeout * 1000);
+        if (!state.closed) {
+          socket.resume();
+        }
+      })
+      .catch(fail);
+  });
+
+  socket.on('close', () => {
+    clearTimeout(handshakeTimer);
+    connections.delete(socket);
+  });
+  socket.on('error', error => {
+    console.warn(`[Forward] Connection error from ${remote}:`, error.message);
+  });
+}
+
+/**
+ * Start the forward listener
+ * @returns {Promise<void>}
+ * @throws {Error} If FORWARD_SECRET is missing or the port cannot be bound
+ */
+async function startForwardListener() {
+  const { host, port, secret, tlsCert, tlsKey } = config.forward;
+
+  if (!secret) {
+    throw new Error('FORWARD_SECRET is required when FORWARD_ENABLED=true');
+  }
+
+  if (tlsCert && tlsKey) {
+    const options = { cert: fs.readFileSync(tlsCert), key: fs.readFileSync(tlsKey) };
+    server = tls.createServer(options, handleConnection);
+  } else {
+    server = net.createServer(handleConnection);
+  }
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => {
+      server.off('error', reject);
+      resolve();
+    });
+  });
+
+  console.log(`✓ Fluent Forward listener on ${host}:${port}${tlsCert && tlsKey ? ' (TLS)' : ''}`);
+}
+
+/**
+ * Stop the forward listener
+ * Open connections are closed; unacknowledged chunks are resent by Fluent Bit.
+ * @returns {Promise<void>}
+ */
+async function stopForwardListener() {
+  if (!server) {
+    return;
+  }
+
+  connections.forEach(socket => socket.destroy());
+  await new Promise(resolve => server.close(resolve));
+  server = null;
+}
+
+/**
+ * Get listener counters since startup
+ * @returns {Object} { connections, authFailures, events, ingested, rejected, duplicates, acks }
+ */
+function getForwardStats() {
+  return { ...stats };
+}
+
+module.exports = {
+  deriveSharedKey,
+  handleConnection,
+  startForwardListener,
+  stopForwardListener,
+  getForwardStats
+};
@@ -0,0 +1,214 @@
+/**
+ * Log Export Service
+ * Streams filtered log records as CSV, NDJSON or a JSON array
+ *
+ * Rows come from a MySQL row stream on a dedicated connection and are
+ * formatted one at a time, so exports of any size run in constant memory.
+ * Exports are not bound by QUERY_TIMEOUT_MS - they are expected to be long.
+ */
+
+const { Transform, pipeline } = require('stream');
+const { getPool } = require('../config/database');
+const { buildFilterConditions } = require('../models/LogRecord');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// CSV columns: record fields, then the common access/error log fields from raw_data
+const CSV_COLUMNS = [
+  'id',
+  'timestamp',
+  'domain',
+  'host',
+  'log_type',
+  'remote',
+  'code',
+  'method',
+  'path',
+  'protocol',
+  'size',
+  'referer',
+  'agent',
+  'level',
+  'message'
+];
+
+// Rows buffered by the MySQL stream before it pauses for the client to catch up
+const STREAM_HIGH_WATER_MARK = 500;
+
+/**
+ * Convert a database row to an export record (same shape as GET /api/logs)
+ * @param {Object} row - Row with raw_data, domain, hostname, code
+ * @returns {Object} Export record
+ */
+function toExportRecord(row) {
+  let data = null;
+  try {
+    data = typeof row.raw_data === 'string' ? JSON.parse(row.raw_data) : row.raw_data;
+  } catch {
+    data = null;
+  }
+
+  return {
+    id: row.id,
+    domain: row.domain,
+    log_type: row.log_type,
+    timestamp: row.timestamp,
+    host: row.hostname,
+    code: row.code,
+    remote: row.remote,
+    data
+  };
+}
+
+/**
+ * Escape a value for CSV
+ * Values that a spreadsheet would treat as a formula (log data is attacker
+ * controlled) are prefixed with a single quote.
+ * @param {*} value - Field value
+ * @returns {string} CSV field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (/^[=+@\t\r]/.test(text) || /^-./.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format an export record as a CSV line
+ * @param {Object} record - Export record
+ * @returns {string} CSV line including the trailing newline
+ */
+function toCsvLine(record) {
+  const data = record.data || {};
+  const fields = CSV_COLUMNS.map(column =>
+    csvField(column in record ? record[column] : data[column])
+  );
+  return fields.join(',') + '\r\n';
+}
+
+/**
+ * Create a transform that formats export records
+ * @param {string} format - csv, ndjson or json
+ * @returns {Transform} Object-mode writable side, string readable side
+ */
+function createFormatter(format) {
+  let count = 0;
+
+  const formatter = new Transform({
+    writableObjectMode: true,
+    transform(row, _encoding, callback) {
+      const record = toExportRecord(row);
+      let chunk;
+
+      if (format === 'csv') {
+        chunk = (count === 0 ? CSV_COLUMNS.join(',') + '\r\n' : '') + toCsvLine(record);
+      } else if (format === 'ndjson') {
+        chunk = JSON.stringify(record) + '\n';
+      } else {
+        chunk = (count === 0 ? '[\n' : ',\n') + JSON.stringify(record);
+      }
+
+      count++;
+      callback(null, chunk);
+    },
+    flush(callback) {
+      if (format === 'csv' && count === 0) {
+        callback(null, CSV_COLUMNS.join(',') + '\r\n');
+      } else if (format === 'json') {
+        callback(null, count === 0 ? '[]\n' : '\n]\n');
+      } else {
+        callback();
+      }
+    }
+  });
+
+  formatter.getCount = () => count;
+  return formatter;
+}
+
+/**
+ * Open a streaming export of log records
+ * The connection is released when the stream ends, and destroyed if the
+ * client disconnects or the query fails part-way through.
+ * @param {Object} filters - Same filters as LogRecord.searchLogs (website, host,
+ *   type, code, remote, method, path, agent, severity, errorCode, module, from, to,
+ *   search, excludeOwn); from defaults to 7 days ago
+ * @param {Object} options - Export options
+ * @param {string} options.format - csv, ndjson or json
+ * @param {string} options.sort - 'desc' (newest first, default) or 'asc'
+ * @param {Function} options.onFinish - Called with (error, rowCount) when the export ends
+ * @returns {Promise<Transform>} Readable stream of formatted output
+ */
+async function openLogExport(filters, options = {}) {
+  const { format = 'csv', sort = 'desc', onFinish = () => {} } = options;
+
+  if (!EXPORT_FORMATS[format]) {
+    throw new Error(`Invalid export format: ${format}`);
+  }
+
+  const direction = sort === 'asc' ? 'ASC' : 'DESC';
+
+  // Same default window as the Log Explorer, so an unfiltered export is bounded
+  const { conditions, params } = buildFilterConditions({
+    ...filters,
+    from: filters.from || new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString(),
+    to: filters.to || new Date().toISOString()
+  });
+
+  const connection = await getPool().getConnection();
+
+  // The promise wrapper does not expose streaming; use the underlying connection
+  const rows = connection.connection
+    .query(
+      `SELECT
+        lr.id,
+        lr.log_type,
+        lr.timestamp,
+        lr.remote,
+        lr.raw_data,
+        w.domain,
+        h.hostname,
+        c.code
+      FROM log_records lr
+      INNER JOIN websites w ON lr.website_id = w.id
+      INNER JOIN hosts h ON lr.host_id = h.id
+      INNER JOIN http_codes c ON lr.code_id = c.id
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY lr.timestamp ${direction}, lr.id ${direction}`,
+      params
+    )
+    .stream({ highWaterMark: STREAM_HIGH_WATER_MARK });
+
+  const formatter = createFormatter(format);
+
+  pipeline(rows, formatter, error => {
+    if (error) {
+      // The connection may still be receiving rows - do not return it to the pool
+      connection.destroy();
+    } else {
+      connection.release();
+    }
+    onFinish(error || null, formatter.getCount());
+  });
+
+  return formatter;
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  CSV_COLUMNS,
+  csvField,
+  openLogExport
+};
@@ -0,0 +1,251 @@
+/**
+ * Log Import Service
+ * Imports historical Apache log files (plain or gzip) through ingestLogs, so
+ * a server's history from before Fluent Bit can be loaded
+ *
+ * Progress is kept in log_imports, keyed by a fingerprint of the target
+ * (website, host, log type) and the file's first line. Each batch is stored
+ * in the same transaction that saves its offset, so an interrupted import
+ * resumes after the last batch stored, and importing a file again - also
+ * under another name after rotation, compressed or not - only adds the lines
+ * appended since.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const zlib = require('zlib');
+const { getPool } = require('../config/database');
+const { ingestLogs } = require('./logService');
+
+// Lines ingested per batch (progress is saved after each)
+const IMPORT_BATCH_SIZE = 1000;
+
+// gzip magic number - compressed files are detected by content, not extension
+const GZIP_MAGIC = Buffer.from([0x1f, 0x8b]);
+
+/**
+ * Check whether a file is gzip compressed
+ * @param {string} filePath - Log file
+ * @returns {Promise<boolean>} True for gzip files
+ */
+async function isGzipFile(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(2), 0, 2, 0);
+    return bytesRead === 2 && buffer.equals(GZIP_MAGIC);
+  } finally {
+    await handle.close();
+  }
+}
+
+/**
+ * Read the lines of a file with their uncompressed end offsets
+ * Lines before startOffset are skipped (read and discarded for gzip files).
+ * An unterminated last line of a plain file is left out, as the file may
+ * still be written to.
+ * @param {string} filePath - Log file
+ * @param {Object} options - Read options
+ * @param {boolean} options.gzip - Decompress the file
+ * @param {number} options.startOffset - Uncompressed offset to start at (a line boundary)
+ * @param {Function} options.onRead - Called with the number of file bytes read so far
+ * @returns {AsyncGenerator<{text: string, end: number}>} Lines without line breaks
+ */
+async function* readLines(filePath, options) {
+  const { gzip, startOffset, onRead } = options;
+  const file = fs.createReadStream(filePath, gzip ? {} : { start: startOffset });
+  const stream = gzip ? file.pipe(zlib.createGunzip()) : file;
+
+  let offset = gzip ? 0 : startOffset;
+  let pending = Buffer.alloc(0);
+
+  file.on('data', () => onRead(file.bytesRead + (gzip ? 0 : startOffset)));
+
+  try {
+    for await (const chunk of stream) {
+      let data = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      let newline;
+
+      while ((newline = data.indexOf(0x0a)) !== -1) {
+        const line = data.subarray(0, newline);
+        data = data.subarray(newline + 1);
+        offset += newline + 1;
+
+        if (offset > startOffset) {
+          yield { text: line.toString('utf8').replace(/\r$/, ''), end: offset };
+        }
+      }
+
+      pending = data;
+    }
+  } finally {
+    // Also closes the file when the caller stops reading early
+    file.destroy();
+  }
+
+  if (gzip && pending.length > 0 && offset + pending.length > startOffset) {
+    yield { text: pending.toString('utf8'), end: offset + pending.length };
+  }
+}
+
+/**
+ * Fingerprint a file for an import target
+ * @param {string} filePath - Log file
+ * @param {boolean} gzip - Decompress the file
+ * @param {Object} target - { website, host, logType }
+ * @returns {Promise<Buffer|null>} SHA-256 of the target and first non-blank line, or null
+ *   if the file has no complete line
+ */
+async function fingerprintFile(filePath, gzip, target) {
+  for await (const line of readLines(filePath, { gzip, startOffset: 0, onRead: () => {} })) {
+    if (line.text.trim() !== '') {
+      return crypto
+        .createHash('sha256')
+        .update([target.website || '', target.host, target.logType || '', line.text].join('\n'))
+        .digest();
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find or create the log_imports row for a file
+ * @param {Buffer} fingerprint - From fingerprintFile
+ * @param {string} filePath - Log file
+ * @param {Object} target - { website, host, logType }
+ * @returns {Promise<Object>} log_imports row
+ */
+async function getImportState(fingerprint, filePath, target) {
+  const pool = getPool();
+
+  await pool.query(
+    `INSERT INTO log_imports (fingerprint, file_path, website, host, log_type)
+     VALUES (?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE file_path = VALUES(file_path)`,
+    [fingerprint, filePath, target.website || null, target.host, target.logType || null]
+  );
+
+  const [rows] = await pool.query('SELECT * FROM log_imports WHERE fingerprint = ?', [fingerprint]);
+  return rows[0];
+}
+
+/**
+ * Import one log file
+ * @param {string} filePath - Plain or gzip compressed log file
+ * @param {Object} target - Where the lines belong
+ * @param {string|null} target.website - Website domain (null: the vhost of each line)
+ * @param {string} target.host - Host the file came from
+ * @param {string|null} target.logType - 'access' or 'error' (null: detected per line)
+ * @param {Object} options - Import options
+ * @param {number} options.batchSize - Lines per batch (default: 1000)
+ * @param {Function} options.onProgress - Called after each batch with
+ *   { bytesRead, fileSize, lines, stored, rejected }
+ * @returns {Promise<Object>} { status: 'new'|'resumed'|'unchanged'|'empty', lines, stored,
+ *   rejected } for this run
+ */
+async function importLogFile(filePath, target, options = {}) {
+  const { batchSize = IMPORT_BATCH_SIZE, onProgress = () => {} } = options;
+  const { size: fileSize } = await fs.promises.stat(filePath);
+  const gzip = await isGzipFile(filePath);
+  const result = { status: 'empty', lines: 0, stored: 0, rejected: 0 };
+
+  const fingerprint = await fingerprintFile(filePath, gzip, target);
+  if (!fingerprint) {
+    return result;
+  }
+
+  const state = await getImportState(fingerprint, filePath, target);
+  const startOffset = Number(state.bytes_done);
+  result.status = startOffset > 0 ? 'resumed' : 'new';
+
+  let bytesRead = 0;
+  let batch = [];
+  let batchEnd = startOffset;
+
+  const flush = async () => {
+    const rejected = [];
+    const connection = await getPool().getConnection();
+    let stored;
+
+    try {
+      await connection.beginTransaction();
+
+      // Historical lines say nothing about the host's clock
+      stored = await ingestLogs(batch, { rejected, trackClockSkew: false, connection });
+
+      await connection.query(
+        `UPDATE log_imports
+         SET bytes_done = ?, lines_done = lines_done + ?,
+             records_stored = records_stored + ?, records_rejected = records_rejected + ?
+         WHERE id = ?`,
+        [batchEnd, batch.length, stored, rejected.length, state.id]
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    result.lines += batch.length;
+    result.stored += stored;
+    result.rejected += rejected.length;
+
+    batch = [];
+    onProgress({ bytesRead, fileSize, ...result });
+  };
+
+  const lines = readLines(filePath, {
+    gzip,
+    startOffset,
+    onRead: count => {
+      bytesRead = count;
+    }
+  });
+
+  for await (const line of lines) {
+    batchEnd = line.end;
+
+    if (line.text.trim() === '') {
+      continue;
+    }
+
+    batch.push({
+      raw_line: line.text,
+      host: target.host,
+      ...(target.website && { domain: target.website }),
+      ...(target.logType && { log_type: target.logType })
+    });
+
+    if (batch.length >= batchSize) {
+      await flush();
+    }
+  }
+
+  if (batch.length > 0) {
+    await flush();
+  } else if (batchEnd > startOffset) {
+    // Only blank lines since the last batch
+    await getPool().query('UPDATE log_imports SET bytes_done = ? WHERE id = ?', [
+      batchEnd,
+      state.id
+    ]);
+  }
+
+  if (result.lines === 0 && result.status === 'resumed') {
+    result.status = 'unchanged';
+  }
+
+  return result;
+}
+
+module.exports = {
+  IMPORT_BATCH_SIZE,
+  isGzipFile,
+  readLines,
+  fingerprintFile,
+  importLogFile
+};
@@ -1,9 +1,41 @@
-const { getPool } = require('../config/database');
+const { getPool, queryWithTimeout } = require('../config/database');
 const config = require('../config');
-const { extractDomain, extractLogType } = require('../utils/extractDomain');
-const { findOrCreateWebsite, updateWebsiteActivity } = require('./websiteService');
+const { loadPathPatterns, resolveLogSource } = require('../utils/extractDomain');
+const {
+  getOrCreateWebsiteIds,
+  touchWebsites,
+  clearCache: clearWebsiteCache
+} = require('./websiteService');
 const { findOrCreateHttpCode } = require('./httpCodeService');
 const { getOrCreateHostIds } = require('./hostService');
+const { getOrCreateUserAgentIds } = require('./userAgentService');
+const { extractAccessFields } = require('../utils/accessFields');
+const { parseApacheError } = require('../utils/apacheErrorLog');
+const { normaliseTimestamp } = require('../utils/logTimestamp');
+const { expandRawLine } = require('../utils/rawLogLine');
+const { addSkewSample, recordClockSkew } = require('./clockSkewService');
+const { fingerprintRecords, claimFingerprints } = require('./recordFingerprintService');
+const { createWriteBuffer } = require('../utils/writeBuffer');
+const { buildFilterConditions } = require('../models/LogRecord');
+const RejectedRecord = require('../models/RejectedRecord');
+
+// hosts.hostname column size
+const MAX_HOSTNAME_LENGTH = 255;
+
+// Compiled source_file path patterns, loaded on first ingest
+let pathPatterns = null;
+
+/**
+ * Get the configured source_file path patterns
+ * @returns {Array<Object>} Compiled patterns in match order
+ */
+function getPathPatterns() {
+  if (!pathPatterns) {
+    pathPatterns = loadPathPatterns(config.logProcessing.pathPatternsConfig);
+    console.log(`[LogPaths] Loaded ${pathPatterns.length} source_file path patterns`);
+  }
+  return pathPatterns;
+}
 
 /**
  * Strip port number from IP address (both IPv4 and IPv6)
@@ -21,138 +53,589 @@ function stripPortFromIP(address) {
   return address.replace(/:(\d+)$/, '');
 }
 
+// Structured field columns of log_records, in buildFieldColumns() order
+const FIELD_COLUMNS = [
+  'method',
+  'path_hash',
+  'user_agent_id',
+  'response_bytes',
+  'error_level',
+  'error_module',
+  'error_code',
+  'error_pid'
+];
+
+/**
+ * Build the structured field column values of a record (FIELD_COLUMNS order)
+ * @param {Object|null} accessFields - From extractAccessFields (access records)
+ * @param {Object|null} errorFields - From parseApacheError (error records)
+ * @param {Map<string, number>} userAgentMap - User agent -> user_agent_id
+ * @returns {Array} Column values
+ */
+function buildFieldColumns(accessFields, errorFields, userAgentMap) {
+  const access = accessFields || {};
+  const error = errorFields || {};
+
+  return [
+    access.method || null,
+    access.pathHash || null,
+    access.userAgent ? userAgentMap.get(access.userAgent) || null : null,
+    access.responseBytes ?? null,
+    error.level || null,
+    error.module || null,
+    error.errorCode || null,
+    error.pid ?? null
+  ];
+}
+
+/**
+ * Quarantine rejected records in rejected_records
+ * Failures are logged rather than thrown - the accepted records are already stored.
+ * @param {Array} logRecords - The submitted records
+ * @param {Array<Object>} rejected - [{ index, reason, detail }]
+ * @param {number|null} apiKeyId - API key that submitted the records
+ * @param {Object|null} connection - Insert inside this connection's transaction
+ * @returns {Promise<void>}
+ */
+async function quarantineRejected(logRecords, rejected, apiKeyId, connection) {
+  try {
+    await RejectedRecord.createMany(
+      rejected.map(({ index, reason, detail }) => ({ record: logRecords[index], reason, detail })),
+      apiKeyId,
+      connection
+    );
+  } catch (error) {
+    console.error(`[LogIngest] Failed to quarantine ${rejected.length} rejected records:`, error);
+  }
+}
+
+/**
+ * Insert prepared log_records rows
+ * @param {Object} executor - Pool or connection
+ * @param {Array<Array>} rows - Column values, in the order of the INSERT below
+ * @returns {Promise<void>}
+ */
+async function insertLogRecords(executor, rows) {
+  await executor.query(
+    `INSERT INTO log_records
+     (website_id, log_type, timestamp, host_id, code_id, remote,
+      ${FIELD_COLUMNS.join(', ')}, timestamp_flag, raw_data)
+     VALUES ?`,
+    [rows]
+  );
+}
+
+/**
+ * Claim the fingerprints of prepared records and insert those not already stored
+ * Must run inside a transaction, so a failed insert releases its claims.
+ * @param {Object} connection - Connection with an open transaction
+ * @param {Array<Object>} records - Prepared records ({ fingerprint, row })
+ * @returns {Promise<Array<Object>>} The records stored
+ */
+async function claimAndInsertRecords(connection, records) {
+  const claimed = await claimFingerprints(
+    connection,
+    records.map(record => record.fingerprint)
+  );
+  // A buffered write can hold the same record from two requests - store it once
+  const stored = records.filter(record => {
+    const fingerprint = record.fingerprint.toString('hex');
+    return claimed.delete(fingerprint);
+  });
+
+  if (stored.length > 0) {
+    await insertLogRecords(
+      connection,
+      stored.map(record => record.row)
+    );
+  }
+
+  return stored;
+}
+
+/**
+ * Insert prepared records, skipping those whose fingerprint is already stored
+ * Fingerprints are claimed in the same transaction, so a failed insert can be retried.
+ * @param {Array<Object>} records - Prepared records ({ fingerprint, row })
+ * @returns {Promise<Array<Object>>} The records stored
+ */
+async function insertNewRecords(records) {
+  const connection = await getPool().getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const stored = await claimAndInsertRecords(connection, records);
+
+    await connection.commit();
+    return stored;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Store prepared records
+ * @param {Array<Object>} records - Prepared records ({ row, fingerprint })
+ * @param {boolean} deduplicate - Skip records whose fingerprint is already stored
+ * @param {Object|null} connection - Store inside this connection's open transaction
+ *   (committed by the caller) instead of through the pool
+ * @returns {Promise<Array<Object>>} The records stored
+ */
+async function storeRecords(records, deduplicate, connection = null) {
+  if (connection && deduplicate) {
+    return claimAndInsertRecords(connection, records);
+  }
+
+  if (connection) {
+    await insertLogRecords(
+      connection,
+      records.map(record => record.row)
+    );
+    return records;
+  }
+
+  if (deduplicate) {
+    return insertNewRecords(records);
+  }
+
+  await insertLogRecords(
+    getPool(),
+    records.map(record => record.row)
+  );
+  return records;
+}
+
+// Cross-request write buffer (WRITE_BUFFER_ENABLED)
+const writeBuffer = createWriteBuffer({
+  write: storeRecords,
+  maxRecords: config.writeBuffer.maxRecords,
+  maxAgeMs: config.writeBuffer.maxAgeMs
+});
+
 /**
  * Process and store log records from Fluent Bit
+ * A record may carry an unparsed Apache line in raw_line instead of parsed
+ * fields (see expandRawLine). Records that cannot be stored are written to rejected_records (see
+ * RejectedRecord.REASONS) unless options.quarantine is false. In strict mode
+ * nothing is stored or quarantined if any record is rejected.
  * @param {Array} logRecords - Array of log record objects
- * @returns {Promise<number>} Number of records processed
+ * @param {Object} options - Ingestion options
+ * @param {number|null} options.apiKeyId - API key that submitted the records (stored with rejects)
+ * @param {boolean} options.quarantine - Store rejected records (default: true)
+ * @param {boolean} options.strict - All-or-nothing: reject the whole batch if any record fails
+ * @param {boolean} options.trackClockSkew - Record per-host clock skew statistics (default: true)
+ * @param {boolean} options.deduplicate - Skip records already stored within the deduplication
+ *   window (default: DEDUPLICATE_RECORDS)
+ * @param {Array} options.rejected - Empty array that receives { index, reason, detail } per
+ *   rejected record
+ * @param {Array} options.duplicates - Empty array that receives the index of each record
+ *   skipped as a duplicate
+ * @param {Object|null} options.connection - Insert the records (and quarantine rejects) inside
+ *   this connection's open transaction, bypassing the write buffer; the caller commits or
+ *   rolls back
+ * @returns {Promise<number>} Number of records stored
  */
-async function ingestLogs(logRecords) {
+async function ingestLogs(logRecords, options = {}) {
   if (!Array.isArray(logRecords) || logRecords.length === 0) {
     return 0;
   }
 
-  const pool = getPool();
+  const {
+    apiKeyId = null,
+    quarantine = true,
+    strict = false,
+    trackClockSkew = true,
+    deduplicate = config.logProcessing.deduplicateRecords,
+    rejected = [],
+    duplicates = [],
+    connection = null
+  } = options;
   const processedRecords = [];
   const websiteIds = new Set();
+  const skewStats = new Map();
+  const receivedAt = new Date();
+  const timestampLimits = {
+    maxFutureSeconds: config.logProcessing.timestampMaxFutureSeconds,
+    maxPastDays: config.logProcessing.timestampMaxPastDays
+  };
+  const domains = [];
   const hostnames = [];
+  const userAgents = [];
+
+  const patterns = getPathPatterns();
+  const catchAllDomain = config.logProcessing.catchAllWebsite;
+  let unmatched = 0;
 
-  // First pass: validate and collect unique hostnames
+  const reject = (index, reason, detail = null) => {
+    rejected.push({ index, reason, detail });
+  };
+
+  // First pass: validate and normalise every record, collecting unique domains,
+  // hostnames and user agents. Records are only rejected here, so strict mode
+  // refuses a batch before any website, host or user agent is created.
   const validRecords = [];
-  for (const record of logRecords) {
+  logRecords.forEach((submitted, index) => {
     try {
+      if (!submitted || typeof submitted !== 'object' || Array.isArray(submitted)) {
+        reject(index, 'invalid_record');
+        return;
+      }
+
+      // Unparsed Apache lines (plain-text uploads) are expanded into the usual fields
+      const record = submitted.raw_line === undefined ? submitted : expandRawLine(submitted);
+      if (!record) {
+        reject(index, 'unparseable_line', String(submitted.raw_line).substring(0, 500));
+        return;
+      }
+
       // Validate required fields
-      if (!record.source_file || !record.host) {
-        console.error('Skipping record - missing source_file or host:', record);
-        continue;
+      if (!record.host) {
+        reject(index, 'missing_host');
+        return;
+      }
+
+      // Hostnames that cannot be stored as given would find no host ID
+      if (typeof record.host !== 'string' || record.host.length > MAX_HOSTNAME_LENGTH) {
+        reject(index, 'invalid_host', String(record.host).substring(0, 500));
+        return;
+      }
+
+      // Resolve domain and log type (explicit fields, then path patterns, then catch-all)
+      const { domain, logType, matched } = resolveLogSource(record, patterns, catchAllDomain);
+
+      if (!domain) {
+        reject(index, 'unmatched_path', record.source_file || null);
+        return;
+      }
+
+      if (!matched) {
+        unmatched++;
       }
 
-      // Extract domain and log type
-      const domain = extractDomain(record.source_file);
-      const logType = extractLogType(record.source_file);
+      // Structured fields for the indexed access and error log columns
+      const accessFields = logType === 'access' ? extractAccessFields(record) : null;
+      const errorFields = logType === 'error' ? parseApacheError(record) : null;
 
-      if (!domain || !logType) {
-        console.error('Skipping record - invalid source_file format:', record.source_file);
-        continue;
+      // Event time from log_timestamp (or timestamp/time) in UTC, receive time if
+      // missing or implausible
+      const { timestamp, flag, skewSeconds } = normaliseTimestamp(
+        record,
+        receivedAt,
+        timestampLimits
+      );
+
+      // Process remote IP (try 'remote' first, then 'client', then the [client] of an
+      // error line, strip port if configured)
+      let remoteIP = record.remote || record.client || (errorFields && errorFields.client) || null;
+      if (remoteIP && config.logProcessing.stripPortFromRemoteIP) {
+        remoteIP = stripPortFromIP(remoteIP);
       }
 
-      validRecords.push({ record, domain, logType });
+      validRecords.push({
+        index,
+        submitted,
+        record,
+        domain,
+        logType,
+        accessFields,
+        errorFields,
+        timestamp,
+        flag,
+        skewSeconds,
+        remoteIP,
+        rawData: JSON.stringify(record)
+      });
+      domains.push(domain);
       hostnames.push(record.host);
+      if (accessFields && accessFields.userAgent) {
+        userAgents.push(accessFields.userAgent);
+      }
     } catch (error) {
-      console.error('Error validating log record:', error.message, record);
-      // Continue processing other records
+      reject(index, 'processing_error', error.message);
     }
+  });
+
+  if (unmatched > 0) {
+    console.warn(
+      `[LogPaths] ${unmatched} record(s) matched no source_file pattern, stored under ${catchAllDomain}`
+    );
   }
 
-  if (validRecords.length === 0) {
+  if (strict && rejected.length > 0) {
+    console.warn(`[LogIngest] Strict mode: batch of ${logRecords.length} records rejected`);
     return 0;
   }
 
-  // Batch fetch/create all host IDs (race-safe for PM2 cluster)
-  const uniqueHostnames = [...new Set(hostnames)];
-  const hostMap = await getOrCreateHostIds(uniqueHostnames);
+  if (validRecords.length > 0) {
+    // Batch fetch/create all website and host IDs (race-safe for PM2 cluster)
+    const websiteMap = await getOrCreateWebsiteIds([...new Set(domains)]);
+    const uniqueHostnames = [...new Set(hostnames)];
+    const hostMap = await getOrCreateHostIds(uniqueHostnames);
+    const userAgentMap = await getOrCreateUserAgentIds([...new Set(userAgents)]);
 
-  // Second pass: process validated records with host IDs
-  for (const { record, domain, logType } of validRecords) {
-    try {
-      // Find or create website
-      const websiteId = await findOrCreateWebsite(domain);
+    // Second pass: build rows of the validated records with website, host and user agent IDs.
+    // Nothing is rejected here: a missing ID fails the whole batch, like a database error.
+    for (const valid of validRecords) {
+      const { index, submitted, record, domain, logType, accessFields, errorFields } = valid;
+      const { timestamp, flag, skewSeconds, remoteIP, rawData } = valid;
+
+      // Get website and host IDs from the batch-fetched maps
+      const websiteId = websiteMap.get(domain);
+      if (websiteId === undefined) {
+        throw new Error(`No website ID for ${domain}`);
+      }
       websiteIds.add(websiteId);
 
-      // Extract timestamp from log_timestamp field (actual event time) or use current time
-      const timestamp = record.log_timestamp || new Date();
+      const hostId = hostMap.get(record.host);
+      if (hostId === undefined) {
+        throw new Error(`No host ID for ${record.host}`);
+      }
 
       // Find or create HTTP code (use 0 for N/A if no code present)
       const codeId = record.code ? await findOrCreateHttpCode(record.code) : 0;
 
-      // Get host ID from batch-fetched map
-      const hostId = hostMap.get(record.host);
-
-      // Process remote IP (try 'remote' first, then 'client', strip port if configured)
-      let remoteIP = record.remote || record.client || null;
-      if (remoteIP && config.logProcessing.stripPortFromRemoteIP) {
-        remoteIP = stripPortFromIP(remoteIP);
-      }
-
       // Prepare record for insertion
-      processedRecords.push([
-        websiteId,
-        logType,
-        timestamp,
+      processedRecords.push({
+        index,
+        submitted,
         hostId,
-        codeId,
-        remoteIP,
-        JSON.stringify(record)
-      ]);
-    } catch (error) {
-      console.error('Error processing log record:', error.message, record);
-      // Continue processing other records
+        flag,
+        skewSeconds,
+        row: [
+          websiteId,
+          logType,
+          timestamp,
+          hostId,
+          codeId,
+          remoteIP,
+          ...buildFieldColumns(accessFields, errorFields, userAgentMap),
+          flag,
+          rawData
+        ]
+      });
     }
   }
 
-  if (processedRecords.length === 0) {
-    return 0;
+  let storedRecords = processedRecords;
+
+  if (processedRecords.length > 0) {
+    // Bulk insert all records (through the write buffer if enabled - resolves once committed)
+    try {
+      if (deduplicate) {
+        fingerprintRecords(processedRecords.map(r => r.submitted)).forEach((fingerprint, i) => {
+          processedRecords[i].fingerprint = fingerprint;
+        });
+      }
+
+      if (config.writeBuffer.enabled && !connection) {
+        storedRecords = await writeBuffer.add(processedRecords, deduplicate);
+      } else {
+        storedRecords = await storeRecords(processedRecords, deduplicate, connection);
+      }
+
+      if (deduplicate) {
+        const storedIndexes = new Set(storedRecords.map(r => r.index));
+        processedRecords
+          .filter(r => !storedIndexes.has(r.index))
+          .forEach(r => duplicates.push(r.index));
+      }
+
+      if (trackClockSkew) {
+        storedRecords.forEach(({ hostId, flag, skewSeconds }) => {
+          addSkewSample(skewStats, hostId, { flag, skewSeconds });
+        });
+      }
+
+      // Update last_activity_at for all affected websites (coalesced, flushed periodically)
+      touchWebsites(websiteIds);
+
+      recordClockSkew(skewStats).catch(err => {
+        console.error('Failed to record clock skew:', err.message);
+      });
+    } catch (error) {
+      // A cached website was deleted (possibly by another worker) - look the
+      // domains up again when the batch is retried
+      if (error.code === 'ER_NO_REFERENCED_ROW_2') {
+        clearWebsiteCache();
+      }
+
+      console.error('Bulk insert failed:', error);
+      throw error;
+    }
   }
 
-  // Bulk insert all records
-  try {
-    await pool.query(
-      `INSERT INTO log_records 
-       (website_id, log_type, timestamp, host_id, code_id, remote, raw_data) 
-       VALUES ?`,
-      [processedRecords]
+  if (rejected.length > 0) {
+    console.warn(
+      `[LogIngest] Rejected ${rejected.length} of ${logRecords.length} records` +
+        (quarantine ? ' (quarantined)' : '')
     );
 
-    // Update last_activity_at for all affected websites
-    for (const websiteId of websiteIds) {
-      updateWebsiteActivity(websiteId).catch(err => {
-        console.error('Failed to update website activity:', err.message);
-      });
+    if (quarantine) {
+      await quarantineRejected(logRecords, rejected, apiKeyId, connection);
     }
+  }
 
-    return processedRecords.length;
-  } catch (error) {
-    console.error('Bulk insert failed:', error);
-    throw error;
+  if (duplicates.length > 0) {
+    console.log(`[LogIngest] Skipped ${duplicates.length} duplicate records`);
   }
+
+  return storedRecords.length;
 }
 
 /**
- * Query log records with filtering (Phase #2)
- * @param {Object} _filters
- * @returns {Promise<Array>}
+ * Encode a keyset pagination cursor from the last row of a page
+ * @param {Object} row - Log record row with timestamp and id
+ * @returns {string} Opaque cursor (base64url of "<epoch_ms>:<id>")
  */
-async function queryLogs(_filters = {}) {
-  const pool = getPool();
+function encodeCursor(row) {
+  const timestampMs = new Date(row.timestamp).getTime();
+  return Buffer.from(`${timestampMs}:${row.id}`).toString('base64url');
+}
 
-  // TODO: Implement in Phase #2
-  // This is a placeholder for future implementation
+/**
+ * Decode a keyset pagination cursor
+ * @param {string} cursor - Cursor previously returned by queryLogs
+ * @returns {{timestamp: Date, id: number}|null} Decoded position or null if invalid
+ */
+function decodeCursor(cursor) {
+  if (!cursor || typeof cursor !== 'string') {
+    return null;
+  }
 
-  const [rows] = await pool.query('SELECT * FROM log_records LIMIT 100');
+  const match = Buffer.from(cursor, 'base64url')
+    .toString('utf8')
+    .match(/^(\d+):(\d+)$/);
 
-  return rows;
+  if (!match) {
+    return null;
+  }
+
+  return {
+    timestamp: new Date(parseInt(match[1])),
+    id: parseInt(match[2])
+  };
+}
+
+/**
+ * Query log records with filtering and keyset (cursor) pagination
+ * Pages are ordered by (timestamp, id) so the cursor stays stable while new
+ * records arrive, and each page is an index range scan rather than an OFFSET.
+ * @param {Object} filters - Same filters as LogRecord.searchLogs (website, host,
+ *   type, code, remote, method, path, agent, severity, errorCode, module, from, to,
+ *   search, excludeOwn), plus:
+ * @param {string} filters.cursor - Cursor from a previous page (optional)
+ * @param {number} filters.limit - Results per page (default: 100, max: 1000)
+ * @param {string} filters.sort - 'desc' (newest first, default) or 'asc'
+ * @param {Object} options - Additional query options
+ * @param {Array<string>} options.conditions - Extra WHERE conditions (e.g. from a query template)
+ * @param {Array} options.params - Parameters for the extra conditions
+ * @returns {Promise<Object>} { logs: Array, count: number, next_cursor: string|null, has_more: boolean }
+ */
+async function queryLogs(filters = {}, options = {}) {
+  const { cursor = null, limit = 100, sort = 'desc' } = filters;
+
+  const actualLimit = Math.min(Math.max(1, parseInt(limit) || 100), 1000);
+  const descending = sort !== 'asc';
+  const direction = descending ? 'DESC' : 'ASC';
+
+  const { conditions, params } = buildFilterConditions(filters);
+  conditions.push(...(options.conditions || []));
+  params.push(...(options.params || []));
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) {
+      throw new Error('Invalid cursor');
+    }
+
+    const op = descending ? '<' : '>';
+    conditions.push(`(lr.timestamp ${op} ? OR (lr.timestamp = ? AND lr.id ${op} ?))`);
+    params.push(position.timestamp, position.timestamp, position.id);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  // Fetch one extra row to find out whether another page exists
+  const [rows] = await queryWithTimeout(
+    `SELECT
+      lr.id,
+      lr.log_type,
+      lr.timestamp,
+      lr.remote,
+      lr.raw_data,
+      w.domain,
+      h.hostname,
+      c.code
+    FROM log_records lr
+    INNER JOIN websites w ON lr.website_id = w.id
+    INNER JOIN hosts h ON lr.host_id = h.id
+    INNER JOIN http_codes c ON lr.code_id = c.id
+    ${whereClause}
+    ORDER BY lr.timestamp ${direction}, lr.id ${direction}
+    LIMIT ?`,
+    [...params, actualLimit + 1],
+    config.queries.timeout
+  );
+
+  const hasMore = rows.length > actualLimit;
+  const page = hasMore ? rows.slice(0, actualLimit) : rows;
+
+  const logs = page.map(row => {
+    let data = null;
+    try {
+      data = typeof row.raw_data === 'string' ? JSON.parse(row.raw_data) : row.raw_data;
+    } catch {
+      data = null;
+    }
+
+    return {
+      id: row.id,
+      domain: row.domain,
+      log_type: row.log_type,
+      timestamp: row.timestamp,
+      host: row.hostname,
+      code: row.code,
+      remote: row.remote,
+      data
+    };
+  });
+
+  return {
+    logs,
+    count: logs.length,
+    next_cursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+    has_more: hasMore
+  };
+}
+
+/**
+ * Write everything waiting in the write buffer (on shutdown)
+ * @returns {Promise<void>}
+ */
+async function flushWriteBuffer() {
+  await writeBuffer.flush();
+}
+
+/**
+ * Get write buffer metrics
+ * @returns {Object} { enabled, depth, waiting, flushes, failures, records, batchSize,
+ *   flushLatencyMs }
+ */
+function getWriteBufferStats() {
+  return { enabled: config.writeBuffer.enabled, ...writeBuffer.getStats() };
 }
 
 module.exports = {
+  FIELD_COLUMNS,
+  buildFieldColumns,
   ingestLogs,
-  queryLogs
+  flushWriteBuffer,
+  getWriteBufferStats,
+  queryLogs,
+  encodeCursor,
+  decodeCursor
 };
@@ -0,0 +1,147 @@
+/**
+ * Query Template Service
+ * Executes predefined query templates from the query library
+ */
+
+const config = require('../config');
+const { queryWithTimeout } = require('../config/database');
+const { buildFilterConditions } = require('../models/LogRecord');
+const { getTemplate } = require('../queries/library');
+const { queryLogs } = require('./logService');
+
+/**
+ * Build the SQL condition for a template's pattern
+ * Field names come from the library whitelist, never from the request.
+ * @param {Object} template - Template definition
+ * @returns {{conditions: Array<string>, params: Array}}
+ */
+function buildTemplateConditions(template) {
+  const conditions = [];
+  const params = [];
+
+  if (template.pattern) {
+    conditions.push(
+      `JSON_UNQUOTE(JSON_EXTRACT(lr.raw_data, '$.${template.pattern.field}')) REGEXP ?`
+    );
+    params.push(`(?i)${template.pattern.regex}`);
+  }
+
+  if (template.codes && template.codes.length > 0) {
+    conditions.push('lr.code_id IN (?)');
+    params.push(template.codes);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Apply the template's default time window when no 'from' is supplied
+ * @param {Object} template - Template definition
+ * @param {Object} filters - Request filters
+ * @returns {Object} Filters with from/to populated
+ */
+function applyDefaultWindow(template, filters) {
+  const to = filters.to || new Date().toISOString();
+  const from =
+    filters.from ||
+    new Date(new Date(to).getTime() - template.defaultWindowHours * 60 * 60 * 1000).toISOString();
+
+  return { ...filters, from, to };
+}
+
+/**
+ * Execute an aggregate template (requests grouped by client IP)
+ * @param {Object} template - Template definition
+ * @param {Object} filters - Common filters plus template parameters
+ * @returns {Promise<Object>} { results: Array, count: number }
+ */
+async function executeAggregateTemplate(template, filters) {
+  const threshold = Math.max(1, parseInt(filters.threshold) || 100);
+
+  const { conditions, params } = buildFilterConditions({
+    ...filters,
+    type: template.log_type
+  });
+  conditions.push('lr.remote IS NOT NULL');
+
+  const [rows] = await queryWithTimeout(
+    `SELECT
+      lr.remote,
+      COUNT(*) as request_count,
+      COUNT(DISTINCT lr.website_id) as website_count,
+      MIN(lr.timestamp) as first_seen,
+      MAX(lr.timestamp) as last_seen
+    FROM log_records lr
+    WHERE ${conditions.join(' AND ')}
+    GROUP BY lr.remote
+    HAVING request_count >= ?
+    ORDER BY request_count DESC
+    LIMIT 1000`,
+    [...params, threshold],
+    config.queries.timeout
+  );
+
+  return {
+    results: rows,
+    count: rows.length,
+    threshold
+  };
+}
+
+/**
+ * Execute a predefined query template
+ * @param {string} name - Template name
+ * @param {Object} filters - Common filters (website, host, remote, from, to, limit, sort, cursor)
+ *   plus any template-specific parameters
+ * @returns {Promise<Object|null>} Query result, or null if the template does not exist
+ */
+async function executeTemplate(name, filters = {}) {
+  const template = getTemplate(name);
+
+  if (!template) {
+    return null;
+  }
+
+  const windowedFilters = applyDefaultWindow(template, filters);
+
+  const query = {
+    name: template.name,
+    title: template.title,
+    filters: {
+      log_type: template.log_type,
+      website: windowedFilters.website || null,
+      host: windowedFilters.host || null,
+      remote: windowedFilters.remote || null,
+      from: windowedFilters.from,
+      to: windowedFilters.to
+    }
+  };
+
+  if (template.special === 'aggregate') {
+    const result = await executeAggregateTemplate(template, windowedFilters);
+    return { query, ...result };
+  }
+
+  const { conditions, params } = buildTemplateConditions(template);
+
+  const result = await queryLogs(
+    {
+      website: windowedFilters.website,
+      host: windowedFilters.host,
+      remote: windowedFilters.remote,
+      from: windowedFilters.from,
+      to: windowedFilters.to,
+      type: template.log_type,
+      limit: windowedFilters.limit,
+      sort: windowedFilters.sort,
+      cursor: windowedFilters.cursor
+    },
+    { conditions, params }
+  );
+
+  return { query, ...result };
+}
+
+module.exports = {
+  executeTemplate
+};
@@ -0,0 +1,108 @@
+/**
+ * Record Fingerprint Service
+ * Content fingerprints for optional deduplication of ingested records
+ * (DEDUPLICATE_RECORDS), so a chunk Fluent Bit retries after a timeout is
+ * not stored twice
+ *
+ * A fingerprint covers the record's host, source_file, timestamp and content
+ * (raw_line, or the whole record as received). Identical records within one
+ * batch are numbered, so genuine repeats in a batch are all kept while a
+ * resent batch matches record for record.
+ */
+
+const crypto = require('crypto');
+const { getPool } = require('../config/database');
+const { TIMESTAMP_FIELDS } = require('../utils/logTimestamp');
+
+// Bytes of the SHA-256 kept (record_fingerprints.fingerprint)
+const FINGERPRINT_LENGTH = 16;
+
+/**
+ * Build the fingerprint input of a record
+ * @param {Object} record - Record as submitted
+ * @returns {string} Host, source_file, timestamp and content, one per line
+ */
+function fingerprintSource(record) {
+  const timestamp = TIMESTAMP_FIELDS.map(field => record[field]).find(
+    value => value !== undefined && value !== null
+  );
+  const content = typeof record.raw_line === 'string' ? record.raw_line : JSON.stringify(record);
+
+  return [record.host, record.source_file, timestamp, content]
+    .map(value => (value === undefined || value === null ? '' : String(value)))
+    .join('\n');
+}
+
+/**
+ * Fingerprint the records of a batch
+ * @param {Array<Object>} records - Records as submitted, in batch order
+ * @returns {Array<Buffer>} One fingerprint per record
+ */
+function fingerprintRecords(records) {
+  const occurrences = new Map();
+
+  return records.map(record => {
+    const source = fingerprintSource(record);
+    const occurrence = occurrences.get(source) || 0;
+    occurrences.set(source, occurrence + 1);
+
+    return crypto
+      .createHash('sha256')
+      .update(`${source}\n${occurrence}`)
+      .digest()
+      .subarray(0, FINGERPRINT_LENGTH);
+  });
+}
+
+/**
+ * Claim fingerprints for a batch (INSERT IGNORE)
+ * Run in the transaction that stores the records, so a failed insert releases
+ * its claims. A fingerprint held by another uncommitted batch blocks until
+ * that batch commits or rolls back.
+ * @param {Object} connection - Connection with an open transaction
+ * @param {Array<Buffer>} fingerprints - Fingerprints of the batch
+ * @returns {Promise<Set<string>>} Hex fingerprints claimed by this batch (the rest are duplicates)
+ */
+async function claimFingerprints(connection, fingerprints) {
+  if (fingerprints.length === 0) {
+    return new Set();
+  }
+
+  const token = crypto.randomBytes(16);
+  const [result] = await connection.query(
+    'INSERT IGNORE INTO record_fingerprints (fingerprint, batch_token) VALUES ?',
+    [fingerprints.map(fingerprint => [fingerprint, token])]
+  );
+
+  if (result.affectedRows === fingerprints.length) {
+    return new Set(fingerprints.map(fingerprint => fingerprint.toString('hex')));
+  }
+
+  const [rows] = await connection.query(
+    'SELECT fingerprint FROM record_fingerprints WHERE fingerprint IN (?) AND batch_token = ?',
+    [fingerprints, token]
+  );
+
+  return new Set(rows.map(row => row.fingerprint.toString('hex')));
+}
+
+/**
+ * Delete fingerprints older than the deduplication window
+ * @param {number} windowHours - DEDUPLICATION_WINDOW_HOURS
+ * @returns {Promise<number>} Fingerprints deleted
+ */
+async function purgeFingerprints(windowHours) {
+  const pool = getPool();
+  const [result] = await pool.query(
+    'DELETE FROM record_fingerprints WHERE created_at < DATE_SUB(NOW(), INTERVAL ? HOUR)',
+    [windowHours]
+  );
+
+  return result.affectedRows;
+}
+
+module.exports = {
+  fingerprintRecords,
+  claimFingerprints,
+  purgeFingerprints
+};
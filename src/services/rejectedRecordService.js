@@ -0,0 +1,119 @@
+/**
+ * Rejected Record Service
+ * Replays quarantined ingestion records through ingestLogs, typically after
+ * the path patterns or catch-all website have been fixed
+ */
+
+const { getPool } = require('../config/database');
+const { ingestLogs } = require('./logService');
+const RejectedRecord = require('../models/RejectedRecord');
+const auditService = require('./auditService');
+
+// Records replayed per call - larger quarantines are replayed in several calls
+const REPLAY_BATCH_SIZE = 1000;
+
+/**
+ * Replay rejected records
+ * The selected rows are locked for the duration of the replay, so two
+ * concurrent replays cannot ingest the same record twice. Accepted records
+ * are stored and removed from the quarantine in the same transaction, so a
+ * failed replay leaves nothing half done; records that are rejected again stay,
+ * with their new reason and an incremented replay_count, and are picked after
+ * records that have not been replayed yet.
+ * @param {Object} filters - { reason, ids } (both optional - all records, oldest first)
+ * @param {Object} auditData - { user_id, api_key_id, ip_address }
+ * @returns {Promise<Object>} { replayed, ingested, rejected, remaining }
+ */
+async function replayRejectedRecords(filters, auditData) {
+  const { where, params } = RejectedRecord.buildFilters(filters);
+  const connection = await getPool().getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    const [rows] = await connection.query(
+      `SELECT rr.id, rr.raw_data
+       FROM rejected_records rr
+       ${where}
+       ORDER BY rr.replay_count, rr.id
+       LIMIT ?
+       FOR UPDATE`,
+      [...params, REPLAY_BATCH_SIZE]
+    );
+
+    if (rows.length === 0) {
+      await connection.commit();
+      return { replayed: 0, ingested: 0, rejected: 0, remaining: 0 };
+    }
+
+    const records = rows.map(row =>
+      typeof row.raw_data === 'string' ? JSON.parse(row.raw_data) : row.raw_data
+    );
+
+    // Rejected again: update the existing quarantine row instead of adding a new one.
+    // Replayed records arrive late by design, so they are kept out of the clock skew statistics.
+    const rejected = [];
+    const ingested = await ingestLogs(records, {
+      quarantine: false,
+      trackClockSkew: false,
+      rejected,
+      connection
+    });
+
+    const rejectedIndexes = new Set(rejected.map(r => r.index));
+    const acceptedIds = rows.filter((_row, index) => !rejectedIndexes.has(index)).map(r => r.id);
+
+    if (acceptedIds.length > 0) {
+      await connection.query('DELETE FROM rejected_records WHERE id IN (?)', [acceptedIds]);
+    }
+
+    for (const { index, reason, detail } of rejected) {
+      await connection.query(
+        `UPDATE rejected_records
+         SET reason = ?, detail = ?, replay_count = replay_count + 1, last_replayed_at = NOW()
+         WHERE id = ?`,
+        [reason, detail ? String(detail).substring(0, 500) : null, rows[index].id]
+      );
+    }
+
+    await connection.commit();
+
+    const remaining = await RejectedRecord.getRecordCount(filters);
+    const summary = {
+      replayed: rows.length,
+      ingested,
+      rejected: rejected.length,
+      remaining
+    };
+
+    console.log(
+      `[RejectedRecords] Replayed ${summary.replayed} records: ${summary.ingested} ingested, ` +
+        `${summary.rejected} rejected again`
+    );
+
+    await auditService.logAction({
+      user_id: auditData.user_id || null,
+      api_key_id: auditData.api_key_id || null,
+      action: 'rejected_records.replayed',
+      resource_type: 'rejected_record',
+      details: {
+        reason: filters.reason || null,
+        ids: filters.ids || null,
+        ...summary
+      },
+      ip_address: auditData.ip_address
+    });
+
+    return summary;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+module.exports = {
+  REPLAY_BATCH_SIZE,
+  replayRejectedRecords
+};
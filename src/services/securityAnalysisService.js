@@ -0,0 +1,680 @@
+/**
+ * Security Analysis Service
+ * Batch analysis of ingested log records against enabled security rules
+ *
+ * Records are read in id order past a high-water mark (processing_watermark),
+ * so each record is analysed exactly once. The watermark does not pass a
+ * missing id that may still be committed (see takeSettledRecords).
+ *
+ * A record produces at most one security event: when several rules match,
+ * the event takes the highest severity event type and lists every matching
+ * rule. Records from our own IP addresses (registered per host, plus
+ * loopback) are skipped.
+ */
+
+const crypto = require('crypto');
+const { getPool } = require('../config/database');
+const { dispatchAnalysisTools } = require('./toolExecutionService');
+const IPAddress = require('../models/IPAddress');
+const { buildMatcher } = require('../utils/ipAddress');
+const { validatePattern, matchLines } = require('../utils/regexSafety');
+
+const PROCESSOR_NAME = 'security-analyzer';
+
+// A missing id below a record younger than this may belong to an insert that has
+// not committed yet (a long batch, a buffered write, a replay or an import), so the
+// watermark waits for it. Afterwards the id is taken to be rolled back or deleted:
+// a transaction that keeps a log_records id uncommitted for longer is not analysed.
+const GAP_WAIT_SECONDS = 300;
+
+// Maximum length of the matched excerpt stored with an event
+const MAX_EXCERPT_LENGTH = 1000;
+
+// Rule tester limits: records sampled, hits returned and total matching time
+const TEST_SAMPLE_SIZES = [100, 500, 1000, 5000];
+const TEST_MAX_HITS = 50;
+const TEST_TIMEOUT_MS = 2000;
+
+// Prevent overlapping runs when a run takes longer than the cron interval
+let analysisInProgress = false;
+
+// validatePattern results by pattern, so each pattern is probed once per process
+const patternChecks = new Map();
+
+/**
+ * Check a stored pattern with validatePattern, caching the result
+ * @param {string} pattern - Regex source
+ * @returns {string|null} Error message, or null if the pattern is safe
+ */
+function checkPattern(pattern) {
+  if (!patternChecks.has(pattern)) {
+    patternChecks.set(pattern, validatePattern(pattern));
+  }
+
+  return patternChecks.get(pattern);
+}
+
+/**
+ * Load enabled rules with their event types, highest severity first
+ * Rules with an invalid or unsafe pattern (see regexSafety.validatePattern)
+ * are logged and skipped, since rules run on the event loop without a time limit.
+ * @returns {Promise<Array<Object>>} Rules with a compiled `regex` property
+ */
+async function loadRules() {
+  const pool = getPool();
+
+  const [rows] = await pool.query(
+    `SELECT
+      sr.id,
+      sr.name,
+      sr.log_type,
+      sr.trigger_pattern,
+      sr.ignore_pattern,
+      et.id as event_type_id,
+      et.name as event_type,
+      et.severity
+    FROM security_rules sr
+    JOIN event_types et ON sr.event_type_id = et.id
+    WHERE sr.enabled = TRUE
+    ORDER BY FIELD(et.severity, 'critical', 'high', 'medium', 'low'), sr.id`
+  );
+
+  const rules = [];
+  for (const row of rows) {
+    const patternError =
+      checkPattern(row.trigger_pattern) || (row.ignore_pattern && checkPattern(row.ignore_pattern));
+
+    if (patternError) {
+      console.error(`[SecurityAnalysis] Skipping rule '${row.name}' - ${patternError}`);
+      continue;
+    }
+
+    rules.push({
+      ...row,
+      regex: new RegExp(row.trigger_pattern, 'i'),
+      ignoreRegex: row.ignore_pattern ? new RegExp(row.ignore_pattern, 'i') : null
+    });
+  }
+
+  return rules;
+}
+
+/**
+ * Reconstruct an Apache log line from a stored record
+ * Rules are written against log lines (as they would be for fail2ban), so
+ * access records are rebuilt in combined format and error records in
+ * error log format.
+ * @param {string} logType - 'access' or 'error'
+ * @param {Object} data - Parsed raw_data
+ * @param {string} remote - Remote IP stored with the record
+ * @returns {string} Log line
+ */
+function buildLogLine(logType, data, remote) {
+  const time = data.time || data.timestamp || '';
+
+  if (logType === 'error') {
+    // Apache 2.4 messages already carry [pid ...] [client ...]; add the client if missing
+    const message = data.message || '';
+    const client = remote && !message.includes('[client ') ? `[client ${remote}] ` : '';
+    return `[${time}] [${data.level || ''}] ${client}${message}`;
+  }
+
+  const request = [data.method, data.path, data.protocol].filter(Boolean).join(' ');
+  return (
+    `${remote || '-'} - ${data.user || '-'} [${time}] "${request}" ` +
+    `${data.code || '-'} ${data.size || '-'} "${data.referer || '-'}" "${data.agent || '-'}"`
+  );
+}
+
+/**
+ * Apply rules to a single log record
+ * @param {Object} record - Log record row (log_type, remote, raw_data)
+ * @param {Array<Object>} rules - Compiled rules, highest severity first
+ * @returns {Object|null} { event_type_id, matched_rules, excerpt } or null if no rule matched
+ */
+function analyzeRecord(record, rules) {
+  let data;
+  try {
+    data = typeof record.raw_data === 'string' ? JSON.parse(record.raw_data) : record.raw_data;
+  } catch {
+    return null;
+  }
+
+  const line = buildLogLine(record.log_type, data || {}, record.remote);
+  const matchedRules = [];
+  let primary = null;
+
+  for (const rule of rules) {
+    if (rule.log_type !== record.log_type) {
+      continue;
+    }
+
+    const match = rule.regex.exec(line);
+    if (!match || (rule.ignoreRegex && rule.ignoreRegex.test(line))) {
+      continue;
+    }
+
+    matchedRules.push(rule.name);
+
+    // Rules are ordered by severity, so the first match is the primary one
+    if (!primary) {
+      primary = { rule, excerpt: match[0] };
+    }
+  }
+
+  if (!primary) {
+    return null;
+  }
+
+  return {
+    event_type_id: primary.rule.event_type_id,
+    matched_rules: matchedRules,
+    excerpt: primary.excerpt.substring(0, MAX_EXCERPT_LENGTH)
+  };
+}
+
+/**
+ * Get the current watermark (highest log record id already analysed)
+ * Creates the watermark row if it does not exist yet.
+ * @returns {Promise<number>} Last processed log record id
+ */
+async function getWatermark() {
+  const pool = getPool();
+
+  await pool.query(
+    'INSERT IGNORE INTO processing_watermark (processor_name, last_processed_id) VALUES (?, 0)',
+    [PROCESSOR_NAME]
+  );
+
+  const [rows] = await pool.query(
+    'SELECT last_processed_id FROM processing_watermark WHERE processor_name = ?',
+    [PROCESSOR_NAME]
+  );
+
+  return Number(rows[0].last_processed_id);
+}
+
+/**
+ * Fetch the next batch of log records past the watermark
+ * @param {number} afterId - Watermark
+ * @param {number} limit - Batch size
+ * @returns {Promise<Array>} Log record rows ordered by id, with age_seconds
+ */
+async function getNextBatch(afterId, limit) {
+  const pool = getPool();
+
+  const [rows] = await pool.query(
+    `SELECT id, website_id, host_id, log_type, timestamp, remote, raw_data,
+      TIMESTAMPDIFF(SECOND, created_at, NOW()) as age_seconds
+    FROM log_records
+    WHERE id > ?
+    ORDER BY id ASC
+    LIMIT ?`,
+    [afterId, limit]
+  );
+
+  return rows;
+}
+
+/**
+ * Get the step between AUTO_INCREMENT ids (more than 1 on some clusters)
+ * @returns {Promise<number>} auto_increment_increment
+ */
+async function getIdStep() {
+  const [rows] = await getPool().query('SELECT @@auto_increment_increment as step');
+  return Number(rows[0].step) || 1;
+}
+
+/**
+ * Take the leading records of a batch that the watermark can pass
+ * Stops at the first record with a missing id before it while that record is
+ * younger than GAP_WAIT_SECONDS: the missing id may be an insert that commits
+ * later, and would be skipped once the watermark is past it.
+ * @param {Array<Object>} records - Records past the watermark ordered by id (with age_seconds)
+ * @param {number} afterId - Watermark
+ * @param {number} step - Step between AUTO_INCREMENT ids
+ * @returns {Array<Object>} Records to analyse now
+ */
+function takeSettledRecords(records, afterId, step = 1) {
+  let nextId = afterId + step;
+
+  for (let i = 0; i < records.length; i++) {
+    const id = Number(records[i].id);
+
+    if (id > nextId && Number(records[i].age_seconds) < GAP_WAIT_SECONDS) {
+      return records.slice(0, i);
+    }
+
+    nextId = id + step;
+  }
+
+  return records;
+}
+
+/**
+ * Store events and advance the watermark in one transaction
+ * @param {number} runId - analysis_runs.id
+ * @param {Array<Object>} events - Events built from analyzeRecord() plus record fields
+ * @param {number} lastId - Highest log record id in the batch
+ * @param {number} recordCount - Number of records in the batch
+ * @returns {Promise<number>} Number of events inserted
+ */
+async function commitBatch(runId, events, lastId, recordCount) {
+  const pool = getPool();
+  const connection = await pool.getConnection();
+
+  try {
+    await connection.beginTransaction();
+
+    let inserted = 0;
+    if (events.length > 0) {
+      // INSERT IGNORE keeps a reset watermark from failing on existing events
+      const [result] = await connection.query(
+        `INSERT IGNORE INTO security_events
+         (analysis_run_id, log_record_id, event_type_id, website_id, host_id, log_type, remote,
+          log_timestamp, matched_rules, excerpt)
+         VALUES ?`,
+        [
+          events.map(e => [
+            runId,
+            e.log_record_id,
+            e.event_type_id,
+            e.website_id,
+            e.host_id,
+            e.log_type,
+            e.remote,
+            e.log_timestamp,
+            JSON.stringify(e.matched_rules),
+            e.excerpt
+          ])
+        ]
+      );
+      inserted = result.affectedRows;
+    }
+
+    await connection.query(
+      `UPDATE processing_watermark
+       SET last_processed_id = ?,
+           last_run_at = NOW(),
+           records_processed = records_processed + ?,
+           events_found = events_found + ?
+       WHERE processor_name = ?`,
+      [lastId, recordCount, inserted, PROCESSOR_NAME]
+    );
+
+    await connection.commit();
+    return inserted;
+  } catch (error) {
+    await connection.rollback();
+    throw error;
+  } finally {
+    connection.release();
+  }
+}
+
+/**
+ * Advance the watermark to the newest record without analysing
+ * Used when no rules are enabled, so enabling a rule later does not
+ * trigger a scan of the whole backlog.
+ * @returns {Promise<number>} New watermark
+ */
+async function skipToLatest() {
+  const pool = getPool();
+
+  const [rows] = await pool.query('SELECT id FROM log_records ORDER BY id DESC LIMIT 1');
+  const maxId = rows.length > 0 ? Number(rows[0].id) : 0;
+
+  await pool.query(
+    `UPDATE processing_watermark
+     SET last_processed_id = GREATEST(last_processed_id, ?), last_run_at = NOW()
+     WHERE processor_name = ?`,
+    [maxId, PROCESSOR_NAME]
+  );
+
+  return maxId;
+}
+
+/**
+ * Create an analysis run record
+ * @param {Date} startedAt - Run start time
+ * @param {number} rulesApplied - Number of enabled rules
+ * @returns {Promise<Object>} { id, batch_id }
+ */
+async function createRun(startedAt, rulesApplied) {
+  const pool = getPool();
+  const stamp = startedAt.toISOString().replace(/[-:]/g, '').replace('T', '-').substring(0, 15);
+  const batchId = `${stamp}-${crypto.randomBytes(3).toString('hex')}`;
+
+  const [result] = await pool.query(
+    'INSERT INTO analysis_runs (batch_id, started_at, rules_applied) VALUES (?, ?, ?)',
+    [batchId, startedAt, rulesApplied]
+  );
+
+  return { id: result.insertId, batch_id: batchId };
+}
+
+/**
+ * Mark an analysis run as finished
+ * @param {number} runId - analysis_runs.id
+ * @param {Object} summary - Run summary
+ * @param {string|null} errorMessage - Error message if the run failed
+ */
+async function finishRun(runId, summary, errorMessage = null) {
+  const pool = getPool();
+
+  await pool.query(
+    `UPDATE analysis_runs
+     SET status = ?, first_record_id = ?, last_record_id = ?, records_scanned = ?,
+         events_created = ?, error_message = ?, finished_at = NOW()
+     WHERE id = ?`,
+    [
+      errorMessage ? 'failed' : 'completed',
+      summary.first_record_id,
+      summary.last_processed_id,
+      summary.records_scanned,
+      summary.events_created,
+      errorMessage,
+      runId
+    ]
+  );
+}
+
+/**
+ * Build the structured analysis output passed to external tools
+ * @param {Object} run - { id, batch_id }
+ * @param {Object} summary - Run summary
+ * @returns {Promise<Object>} { analysis: {...}, violations: [...] }
+ */
+async function buildAnalysisOutput(run, summary) {
+  const pool = getPool();
+
+  const [rows] = await pool.query(
+    `SELECT
+      se.id,
+      se.log_timestamp,
+      w.domain as website,
+      h.hostname,
+      se.remote,
+      se.log_type,
+      et.name as event_type,
+      et.severity as event_severity,
+      se.matched_rules,
+      se.excerpt
+    FROM security_events se
+    JOIN event_types et ON se.event_type_id = et.id
+    JOIN websites w ON se.website_id = w.id
+    LEFT JOIN hosts h ON se.host_id = h.id
+    WHERE se.analysis_run_id = ?
+    ORDER BY se.id`,
+    [run.id]
+  );
+
+  return {
+    analysis: {
+      batch_id: run.batch_id,
+      started: summary.started,
+      finished: summary.finished,
+      records_scanned: summary.records_scanned,
+      records_matched: rows.length,
+      rules_applied: summary.rules_applied
+    },
+    violations: rows.map(row => ({
+      violation_id: row.id,
+      timestamp: new Date(row.log_timestamp).toISOString(),
+      website: row.website,
+      hostname: row.hostname,
+      remote_ip: row.remote,
+      log_type: row.log_type,
+      event_type: row.event_type,
+      event_severity: row.event_severity,
+      matched_rules:
+        typeof row.matched_rules === 'string' ? JSON.parse(row.matched_rules) : row.matched_rules,
+      matched_pattern: row.excerpt
+    }))
+  };
+}
+
+/**
+ * Run security analysis over newly ingested log records
+ * @param {Object} config - Application configuration
+ * @returns {Promise<Object|null>} Run summary, or null if a run is already in progress
+ */
+async function runSecurityAnalysis(config) {
+  if (analysisInProgress) {
+    return null;
+  }
+
+  analysisInProgress = true;
+  const startedAt = new Date();
+
+  const summary = {
+    batch_id: null,
+    started: startedAt.toISOString(),
+    finished: null,
+    batches: 0,
+    records_scanned: 0,
+    records_excluded: 0,
+    events_created: 0,
+    rules_applied: 0,
+    first_record_id: null,
+    last_processed_id: 0,
+    tools_invoked: 0,
+    tools_failed: 0
+  };
+
+  // Created on the first non-empty batch, so idle runs leave no trace
+  let run = null;
+
+  try {
+    const rules = await loadRules();
+    summary.rules_applied = rules.length;
+
+    let watermark = await getWatermark();
+
+    if (rules.length === 0) {
+      summary.last_processed_id = await skipToLatest();
+      return summary;
+    }
+
+    const { batchSize, maxBatchesPerRun } = config.securityAnalysis;
+    const isOwnIp = buildMatcher(await IPAddress.listRanges());
+    const idStep = await getIdStep();
+
+    while (summary.batches < maxBatchesPerRun) {
+      const batch = await getNextBatch(watermark, batchSize);
+      const records = takeSettledRecords(batch, watermark, idStep);
+      if (records.length === 0) {
+        break;
+      }
+
+      const events = [];
+      for (const record of records) {
+        if (isOwnIp(record.remote)) {
+          summary.records_excluded++;
+          continue;
+        }
+
+        const result = analyzeRecord(record, rules);
+        if (result) {
+          events.push({
+            ...result,
+            log_record_id: record.id,
+            website_id: record.website_id,
+            host_id: record.host_id,
+            log_type: record.log_type,
+            remote: record.remote,
+            log_timestamp: record.timestamp
+          });
+        }
+      }
+
+      if (!run) {
+        run = await createRun(startedAt, rules.length);
+        summary.batch_id = run.batch_id;
+        summary.first_record_id = records[0].id;
+      }
+
+      const lastId = records[records.length - 1].id;
+      summary.events_created += await commitBatch(run.id, events, lastId, records.length);
+      summary.records_scanned += records.length;
+      summary.batches++;
+      watermark = lastId;
+
+      // Short batch, or stopped before a missing id that may still be committed
+      if (records.length < batchSize) {
+        break;
+      }
+    }
+
+    summary.last_processed_id = watermark;
+
+    if (run) {
+      summary.finished = new Date().toISOString();
+      await finishRun(run.id, summary);
+
+      if (summary.events_created > 0) {
+        const output = await buildAnalysisOutput(run, summary);
+        const tools = await dispatchAnalysisTools(run.id, output, config);
+        summary.tools_invoked = tools.invoked;
+        summary.tools_failed = tools.failed;
+      }
+    }
+
+    return summary;
+  } catch (error) {
+    if (run) {
+      await finishRun(run.id, summary, error.message).catch(() => {});
+    }
+    throw error;
+  } finally {
+    summary.finished = summary.finished || new Date().toISOString();
+    analysisInProgress = false;
+  }
+}
+
+/**
+ * Test a rule pattern against the most recent log records of a type
+ * Lines are built and own-IP records skipped exactly as the analyzer does, so
+ * the hits shown are the events the rule would raise on that sample.
+ * @param {Object} options - Test options
+ * @param {string} options.logType - 'access' or 'error'
+ * @param {string} options.triggerPattern - Trigger regex
+ * @param {string} options.ignorePattern - Optional ignore regex
+ * @param {number} options.sampleSize - Number of recent records to scan (one of TEST_SAMPLE_SIZES)
+ * @returns {Promise<Object>} { scanned, excluded, hit_count, ignored_count, hits, duration_ms }
+ * @throws {Error} If a pattern is invalid or unsafe, or matching exceeds the time limit
+ */
+async function testRulePattern(options) {
+  const { logType, triggerPattern, ignorePattern } = options;
+  const sampleSize = TEST_SAMPLE_SIZES.includes(options.sampleSize)
+    ? options.sampleSize
+    : TEST_SAMPLE_SIZES[1];
+
+  const triggerError = validatePattern(triggerPattern);
+  if (triggerError) {
+    throw new Error(`Trigger pattern: ${triggerError}`);
+  }
+
+  if (ignorePattern) {
+    const ignoreError = validatePattern(ignorePattern);
+    if (ignoreError) {
+      throw new Error(`Ignore pattern: ${ignoreError}`);
+    }
+  }
+
+  const pool = getPool();
+  const [rows] = await pool.query(
+    `SELECT lr.id, lr.timestamp, lr.remote, lr.raw_data, w.domain as website
+    FROM log_records lr
+    JOIN websites w ON lr.website_id = w.id
+    WHERE lr.log_type = ?
+    ORDER BY lr.id DESC
+    LIMIT ?`,
+    [logType, sampleSize]
+  );
+
+  const startedAt = Date.now();
+  const isOwnIp = buildMatcher(await IPAddress.listRanges());
+  const records = [];
+  const lines = [];
+  let excluded = 0;
+
+  for (const row of rows) {
+    if (isOwnIp(row.remote)) {
+      excluded++;
+      continue;
+    }
+
+    let data;
+    try {
+      data = typeof row.raw_data === 'string' ? JSON.parse(row.raw_data) : row.raw_data;
+    } catch {
+      data = {};
+    }
+
+    records.push(row);
+    lines.push(buildLogLine(logType, data || {}, row.remote));
+  }
+
+  let triggerMatches;
+  let ignoreMatches;
+  try {
+    triggerMatches = matchLines(triggerPattern, lines, TEST_TIMEOUT_MS);
+    ignoreMatches = ignorePattern
+      ? matchLines(ignorePattern, lines, TEST_TIMEOUT_MS)
+      : lines.map(() => null);
+  } catch (error) {
+    if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw new Error(`Matching took longer than ${TEST_TIMEOUT_MS}ms - simplify the pattern`);
+    }
+    throw error;
+  }
+
+  const hits = [];
+  let hitCount = 0;
+  let ignoredCount = 0;
+
+  records.forEach((record, i) => {
+    if (triggerMatches[i] === null) {
+      return;
+    }
+
+    if (ignoreMatches[i] !== null) {
+      ignoredCount++;
+      return;
+    }
+
+    hitCount++;
+    if (hits.length < TEST_MAX_HITS) {
+      hits.push({
+        id: record.id,
+        timestamp: record.timestamp,
+        website: record.website,
+        remote: record.remote,
+        line: lines[i],
+        excerpt: triggerMatches[i].substring(0, MAX_EXCERPT_LENGTH)
+      });
+    }
+  });
+
+  return {
+    sample_size: sampleSize,
+    scanned: records.length,
+    excluded,
+    hit_count: hitCount,
+    ignored_count: ignoredCount,
+    hits,
+    duration_ms: Date.now() - startedAt
+  };
+}
+
+module.exports = {
+  TEST_SAMPLE_SIZES,
+  runSecurityAnalysis,
+  testRulePattern,
+  loadRules,
+  analyzeRecord,
+  buildLogLine,
+  getWatermark,
+  takeSettledRecords
+};
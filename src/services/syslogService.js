@@ -0,0 +1,340 @@
+/**
+ * Syslog Listener
+ * Optional UDP/TCP listener for hosts that cannot run Fluent Bit. Messages
+ * (RFC 5424 or 3164, octet-counted or newline framed over TCP) are turned
+ * into log records and passed to ingestLogs() in batches.
+ *
+ * Syslog has no API key, so only addresses in SYSLOG_ALLOWED_IPS (plus
+ * loopback) may send. Website and log type come from, in order:
+ *   - a [headlog domain="..." log_type="..."] structured data element
+ *   - an app-name / tag of the form example.com-access or example.com_error
+ *   - the virtual host of a vhost_combined access line
+ *   - otherwise the catch-all website (see resolveLogSource)
+ */
+
+const dgram = require('dgram');
+const net = require('net');
+const config = require('../config');
+const { parseSyslogMessage, splitFrames } = require('../utils/syslogMessage');
+const { parseApacheAccessLine } = require('../utils/apacheAccessLog');
+const { parseCidr, buildMatcher } = require('../utils/ipAddress');
+const { ingestLogs } = require('./logService');
+
+// Structured data element with explicit record fields
+const SD_ID = 'headlog';
+const SD_FIELDS = ['domain', 'log_type', 'source_file', 'host'];
+
+// Tags such as example.com-access, example.com_error_log
+const APP_NAME_PATTERN = /^(.+\..+?)[-_](access|error)(?:_log)?$/i;
+
+// Denied addresses are logged once each, up to this many
+const MAX_DENIED_LOGGED = 1000;
+
+let udpSocket = null;
+let tcpServer = null;
+const connections = new Set();
+
+let isAllowed = null;
+const deniedLogged = new Set();
+
+let pending = [];
+let flushTimer = null;
+let flushChain = Promise.resolve();
+
+const stats = {
+  received: 0,
+  invalid: 0,
+  denied: 0,
+  dropped: 0,
+  ingested: 0,
+  rejected: 0
+};
+
+/**
+ * Normalise a socket address (IPv4-mapped IPv6 becomes plain IPv4)
+ * @param {string} address - Remote address
+ * @returns {string} Address
+ */
+function normaliseAddress(address) {
+  return String(address || '').replace(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i, '$1');
+}
+
+/**
+ * Check a sender against the allowlist, logging each denied address once
+ * @param {string} address - Normalised remote address
+ * @returns {boolean} True if the sender may submit logs
+ */
+function checkSender(address) {
+  if (isAllowed(address)) {
+    return true;
+  }
+
+  stats.denied++;
+  if (!deniedLogged.has(address) && deniedLogged.size < MAX_DENIED_LOGGED) {
+    deniedLogged.add(address);
+    console.warn(`[Syslog] Denied message from ${address} (not in SYSLOG_ALLOWED_IPS)`);
+  }
+  return false;
+}
+
+/**
+ * Build a log record from a parsed syslog message
+ * @param {Object} message - Result of parseSyslogMessage()
+ * @param {string} sourceIp - Address the message came from
+ * @returns {Object} Log record for ingestLogs()
+ */
+function toLogRecord(message, sourceIp) {
+  const record = {
+    host: message.hostname || sourceIp,
+    message: message.message,
+    facility: message.facility,
+    severity: message.severity,
+    syslog_source: sourceIp
+  };
+
+  if (message.timestamp) {
+    record.log_timestamp = message.timestamp;
+  }
+
+  if (message.appName) {
+    record.app_name = message.appName;
+
+    const match = message.appName.match(APP_NAME_PATTERN);
+    if (match) {
+      record.domain = match[1];
+      record.log_type = match[2].toLowerCase();
+    }
+  }
+
+  const sdId = Object.keys(message.structuredData).find(
+    id => id === SD_ID || id.startsWith(`${SD_ID}@`)
+  );
+  if (sdId) {
+    for (const field of SD_FIELDS) {
+      if (message.structuredData[sdId][field]) {
+        record[field] = message.structuredData[sdId][field];
+      }
+    }
+  }
+
+  const access = record.log_type === 'error' ? null : parseApacheAccessLine(message.message);
+
+  if (access) {
+    // The line's own timestamp carries its offset, so it wins over the header's
+    const { vhost, ...fields } = access;
+    Object.assign(record, fields);
+    record.domain = record.domain || vhost;
+    record.log_type = record.log_type || 'access';
+  } else {
+    // Apache error lines carry [module:level]; the syslog severity is the fallback
+    record.level = message.severity;
+  }
+
+  return record;
+}
+
+/**
+ * Ingest the buffered records
+ * Flushes run one after another so batches keep their order.
+ * @returns {Promise<void>}
+ */
+function flush() {
+  if (flushTimer) {
+    clearTimeout(flushTimer);
+    flushTimer = null;
+  }
+
+  if (pending.length === 0) {
+    return flushChain;
+  }
+
+  const records = pending;
+  pending = [];
+
+  flushChain = flushChain.then(async () => {
+    const rejected = [];
+
+    try {
+      stats.ingested += await ingestLogs(records, { rejected });
+      stats.rejected += rejected.length;
+    } catch (error) {
+      stats.dropped += records.length;
+      console.error(`[Syslog] Failed to ingest ${records.length} records:`, error.message);
+    }
+
+    // Let paused TCP senders continue once the buffer has room again
+    if (pending.length < config.syslog.maxBuffered) {
+      connections.forEach(socket => socket.resume());
+    }
+  });
+
+  return flushChain;
+}
+
+/**
+ * Parse one message and queue it for ingestion
+ * @param {string} text - Syslog message
+ * @param {string} sourceIp - Address the message came from
+ */
+function handleMessage(text, sourceIp) {
+  stats.received++;
+
+  const message = parseSyslogMessage(text);
+  if (!message) {
+    stats.invalid++;
+    return;
+  }
+
+  if (pending.length >= config.syslog.maxBuffered) {
+    stats.dropped++;
+    return;
+  }
+
+  pending.push(toLogRecord(message, sourceIp));
+
+  if (pending.length >= config.syslog.batchSize) {
+    flush();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(flush, config.syslog.flushInterval);
+  }
+}
+
+/**
+ * Handle a TCP connection: split the stream into messages
+ * Reading pauses while the buffer is full, so TCP senders are slowed down
+ * rather than losing messages.
+ * @param {net.Socket} socket - Client connection
+ */
+function handleConnection(socket) {
+  const sourceIp = normaliseAddress(socket.remoteAddress);
+
+  if (!checkSender(sourceIp)) {
+    socket.destroy();
+    return;
+  }
+
+  connections.add(socket);
+  let buffer = Buffer.alloc(0);
+
+  socket.on('data', chunk => {
+    buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+
+    try {
+      const { messages, rest } = splitFrames(buffer, config.syslog.maxMessageSize);
+      buffer = rest;
+      messages.forEach(text => handleMessage(text, sourceIp));
+    } catch (error) {
+      stats.invalid++;
+      console.warn(`[Syslog] Closing connection from ${sourceIp}: ${error.message}`);
+      socket.destroy();
+      return;
+    }
+
+    if (pending.length >= config.syslog.maxBuffered) {
+      socket.pause();
+    }
+  });
+
+  socket.on('end', () => {
+    // A final message without a trailing newline
+    if (buffer.length > 0) {
+      handleMessage(buffer.toString('utf8'), sourceIp);
+    }
+  });
+
+  socket.on('close', () => connections.delete(socket));
+  socket.on('error', error => {
+    console.warn(`[Syslog] Connection error from ${sourceIp}:`, error.message);
+  });
+}
+
+/**
+ * Start the configured UDP and TCP listeners
+ * @returns {Promise<void>}
+ * @throws {Error} If SYSLOG_ALLOWED_IPS contains an invalid entry or a port cannot be bound
+ */
+async function startSyslogListener() {
+  const { host, port, protocols, allowedIps, maxMessageSize } = config.syslog;
+
+  isAllowed = buildMatcher(allowedIps.map(parseCidr));
+
+  if (protocols.includes('udp')) {
+    udpSocket = dgram.createSocket({ type: net.isIPv6(host) ? 'udp6' : 'udp4' });
+
+    udpSocket.on('message', (data, remote) => {
+      const sourceIp = normaliseAddress(remote.address);
+      if (!checkSender(sourceIp)) {
+        return;
+      }
+
+      if (data.length > maxMessageSize) {
+        stats.invalid++;
+        return;
+      }
+
+      handleMessage(data.toString('utf8'), sourceIp);
+    });
+    udpSocket.on('error', error => {
+      console.error('[Syslog] UDP socket error:', error.message);
+    });
+
+    await new Promise((resolve, reject) => {
+      udpSocket.once('error', reject);
+      udpSocket.bind(port, host, () => {
+        udpSocket.off('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  if (protocols.includes('tcp')) {
+    tcpServer = net.createServer(handleConnection);
+
+    await new Promise((resolve, reject) => {
+      tcpServer.once('error', reject);
+      tcpServer.listen(port, host, () => {
+        tcpServer.off('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  console.log(
+    `✓ Syslog listener on ${host}:${port} (${protocols.join('/')}, ` +
+      `${allowedIps.length} allowed address(es) plus loopback)`
+  );
+}
+
+/**
+ * Stop the listeners and ingest anything still buffered
+ * @returns {Promise<void>}
+ */
+async function stopSyslogListener() {
+  if (udpSocket) {
+    udpSocket.close();
+    udpSocket = null;
+  }
+
+  if (tcpServer) {
+    connections.forEach(socket => socket.destroy());
+    await new Promise(resolve => tcpServer.close(resolve));
+    tcpServer = null;
+  }
+
+  await flush();
+}
+
+/**
+ * Get listener counters since startup
+ * @returns {Object} { received, invalid, denied, dropped, ingested, rejected, buffered }
+ */
+function getSyslogStats() {
+  return { ...stats, buffered: pending.length };
+}
+
+module.exports = {
+  toLogRecord,
+  startSyslogListener,
+  stopSyslogListener,
+  getSyslogStats
+};
@@ -0,0 +1,359 @@
+/**
+ * Tool Execution Service
+ * Dispatches security analysis results to external tools (firewall updaters,
+ * customer alerts, IP reputation feeds, ...)
+ *
+ * Tools are defined only in the analysis tools config file - never in the
+ * database - so a compromised database cannot be turned into code execution.
+ * Tools are spawned directly (no shell), receive JSON on stdin, run with a
+ * minimal environment, and are killed when they exceed their timeout or
+ * output limit. Every invocation is recorded against its analysis run.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { getPool } = require('../config/database');
+
+// Grace period between SIGTERM and SIGKILL for tools that overrun
+const KILL_GRACE_MS = 5000;
+
+// Characters of tool output echoed to the application log
+const OUTPUT_LOG_LENGTH = 500;
+
+// Characters of stderr stored per execution (fits a TEXT column in utf8mb4)
+const STDERR_STORE_LENGTH = 16000;
+
+/**
+ * Resolve the tools config path (relative paths are relative to the project root)
+ * @param {Object} config - Application configuration
+ * @returns {string} Absolute path
+ */
+function getToolsConfigPath(config) {
+  return path.resolve(__dirname, '../..', config.securityAnalysis.toolsConfig);
+}
+
+/**
+ * Check an optional numeric tool limit
+ * @param {*} value - Value from the config file
+ * @returns {boolean} True if absent (the default applies) or a positive integer
+ */
+function isValidLimit(value) {
+  return value === undefined || (Number.isSafeInteger(value) && value > 0);
+}
+
+/**
+ * Validate a single tool definition
+ * timeout (seconds) and max_output (bytes) are optional; when given they must be
+ * positive integers, or the tool would be killed at once or have no output limit.
+ * @param {Object} tool - Tool definition from the config file
+ * @param {string} type - 'batch' or 'violation'
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateTool(tool, type) {
+  if (!tool || typeof tool.name !== 'string' || tool.name.trim() === '') {
+    return 'missing name';
+  }
+  if (typeof tool.command !== 'string' || !path.isAbsolute(tool.command)) {
+    return 'command must be an absolute path';
+  }
+  if (!isValidLimit(tool.timeout)) {
+    return 'timeout must be a positive integer (seconds)';
+  }
+  if (!isValidLimit(tool.max_output)) {
+    return 'max_output must be a positive integer (bytes)';
+  }
+  if (
+    tool.args !== undefined &&
+    (!Array.isArray(tool.args) || tool.args.some(a => typeof a !== 'string'))
+  ) {
+    return 'args must be an array of strings';
+  }
+  if (type === 'violation' && (!Array.isArray(tool.event_types) || tool.event_types.length === 0)) {
+    return 'event_types must list at least one event type';
+  }
+
+  try {
+    fs.accessSync(tool.command, fs.constants.X_OK);
+  } catch {
+    return `command is not executable: ${tool.command}`;
+  }
+
+  return null;
+}
+
+/**
+ * Load and validate the analysis tools config file
+ * A missing file means no tools are configured. Invalid tools are logged and skipped.
+ * @param {Object} config - Application configuration
+ * @returns {{batchProcessors: Array<Object>, violationProcessors: Array<Object>}}
+ */
+function loadToolConfig(config) {
+  const empty = { batchProcessors: [], violationProcessors: [] };
+  const configPath = getToolsConfigPath(config);
+
+  if (!fs.existsSync(configPath)) {
+    return empty;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    console.error(`[ToolExecution] Invalid tools config ${configPath}:`, error.message);
+    return empty;
+  }
+
+  const tools = (parsed && parsed.tools) || {};
+  const defaults = {
+    timeout: config.securityAnalysis.toolTimeout,
+    max_output: config.securityAnalysis.toolMaxOutput
+  };
+
+  // Defaults are validated with the tool (ANALYSIS_TOOL_TIMEOUT=0 would kill every tool)
+  const load = (list, type) => {
+    const seen = new Set();
+    return (Array.isArray(list) ? list : [])
+      .map(tool => ({ ...defaults, args: [], ...tool }))
+      .filter(tool => {
+        const error = validateTool(tool, type) || (seen.has(tool.name) ? 'duplicate name' : null);
+        if (error) {
+          console.error(`[ToolExecution] Skipping ${type} processor '${tool.name}': ${error}`);
+          return false;
+        }
+        seen.add(tool.name);
+        return true;
+      });
+  };
+
+  return {
+    batchProcessors: load(tools.batch_processors, 'batch'),
+    violationProcessors: load(tools.violation_processors, 'violation')
+  };
+}
+
+/**
+ * Spawn a tool and feed it JSON on stdin
+ * @param {Object} tool - Validated tool definition
+ * @param {Object} input - Data written to stdin as JSON
+ * @param {Object} env - Extra environment variables for the tool
+ * @returns {Promise<Object>} { status, exit_code, exit_signal, duration_ms, stdout_bytes, stdout, stderr }
+ */
+function executeTool(tool, input, env = {}) {
+  return new Promise(resolve => {
+    const startedAt = Date.now();
+    const maxOutput = tool.max_output;
+    let outputBytes = 0;
+    let stdoutBytes = 0;
+    let stdout = '';
+    let stderr = '';
+    let status = null;
+    let timeoutTimer = null;
+    let killTimer = null;
+    let settled = false;
+
+    const finish = result => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timeoutTimer);
+      clearTimeout(killTimer);
+      resolve({
+        duration_ms: Date.now() - startedAt,
+        stdout_bytes: stdoutBytes,
+        stdout,
+        stderr,
+        ...result
+      });
+    };
+
+    // Minimal environment - the tool must not inherit database credentials.
+    // Detached so the tool gets its own process group: a killed script cannot
+    // leave children behind holding the output pipes open.
+    const child = spawn(tool.command, tool.args, {
+      shell: false,
+      detached: true,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      env: {
+        PATH: process.env.PATH,
+        LANG: process.env.LANG || 'C.UTF-8',
+        ...env
+      }
+    });
+
+    const killGroup = signal => {
+      try {
+        process.kill(-child.pid, signal);
+      } catch {
+        // Process group already gone
+      }
+    };
+
+    const terminate = reason => {
+      if (status) return;
+      status = reason;
+      killGroup('SIGTERM');
+      killTimer = setTimeout(() => killGroup('SIGKILL'), KILL_GRACE_MS);
+    };
+
+    timeoutTimer = setTimeout(() => terminate('timeout'), tool.timeout * 1000);
+
+    const collect = (chunk, isStderr) => {
+      outputBytes += chunk.length;
+      if (outputBytes > maxOutput) {
+        terminate('output_limit');
+        return;
+      }
+      if (isStderr) {
+        stderr += chunk.toString();
+      } else {
+        stdoutBytes += chunk.length;
+        stdout += chunk.toString();
+      }
+    };
+
+    child.stdout.on('data', chunk => collect(chunk, false));
+    child.stderr.on('data', chunk => collect(chunk, true));
+
+    child.on('error', error => {
+      finish({ status: 'spawn_error', exit_code: null, exit_signal: null, stderr: error.message });
+    });
+
+    child.on('close', (code, signal) => {
+      finish({
+        status: status || (code === 0 ? 'success' : 'failed'),
+        exit_code: code,
+        exit_signal: signal
+      });
+    });
+
+    // Tools that exit without reading stdin cause EPIPE - not an error in itself
+    child.stdin.on('error', () => {});
+    child.stdin.end(JSON.stringify(input));
+  });
+}
+
+/**
+ * Record a tool invocation against its analysis run
+ * @param {number} runId - analysis_runs.id
+ * @param {Object} tool - Tool definition
+ * @param {string} type - 'batch' or 'violation'
+ * @param {string|null} eventType - Event type (violation processors only)
+ * @param {number} violationCount - Number of violations passed to the tool
+ * @param {Object} result - Result of executeTool()
+ */
+async function recordExecution(runId, tool, type, eventType, violationCount, result) {
+  const pool = getPool();
+
+  await pool.query(
+    `INSERT INTO analysis_tool_executions
+     (analysis_run_id, tool_name, tool_type, event_type, violation_count, status,
+      exit_code, exit_signal, duration_ms, stdout_bytes, stderr)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      runId,
+      tool.name,
+      type,
+      eventType,
+      violationCount,
+      result.status,
+      result.exit_code,
+      result.exit_signal,
+      result.duration_ms,
+      result.stdout_bytes,
+      result.stderr ? result.stderr.substring(0, STDERR_STORE_LENGTH) : null
+    ]
+  );
+}
+
+/**
+ * Run one tool, log the outcome and record it
+ * @param {number} runId - analysis_runs.id
+ * @param {Object} tool - Tool definition
+ * @param {string} type - 'batch' or 'violation'
+ * @param {string|null} eventType - Event type (violation processors only)
+ * @param {Object} input - JSON passed on stdin
+ * @param {number} violationCount - Number of violations in the input
+ * @returns {Promise<boolean>} True if the tool succeeded
+ */
+async function runTool(runId, tool, type, eventType, input, violationCount) {
+  const label = eventType ? `${tool.name} (${eventType})` : tool.name;
+  const result = await executeTool(tool, input, {
+    HEADLOG_ANALYSIS_RUN_ID: String(runId),
+    HEADLOG_TOOL_NAME: tool.name,
+    HEADLOG_EVENT_TYPE: eventType || ''
+  });
+
+  if (result.status === 'success') {
+    console.log(
+      `[ToolExecution] ✓ ${label}: ${violationCount} violations (${result.duration_ms}ms)`
+    );
+  } else {
+    console.error(
+      `[ToolExecution] ✗ ${label}: ${result.status}` +
+        (result.exit_code !== null ? ` (exit ${result.exit_code})` : '') +
+        (result.stderr ? ` - ${result.stderr.trim().substring(0, OUTPUT_LOG_LENGTH)}` : '')
+    );
+  }
+  if (result.stdout.trim()) {
+    console.log(
+      `[ToolExecution] ${label} output: ${result.stdout.trim().substring(0, OUTPUT_LOG_LENGTH)}`
+    );
+  }
+
+  try {
+    await recordExecution(runId, tool, type, eventType, violationCount, result);
+  } catch (error) {
+    console.error('[ToolExecution] Failed to record tool execution:', error.message);
+  }
+
+  return result.status === 'success';
+}
+
+/**
+ * Invoke configured tools with the results of an analysis run
+ * Batch processors receive the full analysis; violation processors are
+ * invoked once per configured event type that has violations, with only
+ * those violations. Tool failures are recorded but never thrown.
+ * @param {number} runId - analysis_runs.id
+ * @param {Object} analysis - { analysis: {...}, violations: [...] }
+ * @param {Object} config - Application configuration
+ * @returns {Promise<Object>} { invoked, failed }
+ */
+async function dispatchAnalysisTools(runId, analysis, config) {
+  const { batchProcessors, violationProcessors } = loadToolConfig(config);
+  const counts = { invoked: 0, failed: 0 };
+
+  if (analysis.violations.length === 0) {
+    return counts;
+  }
+
+  // Tools run one at a time so a slow tool cannot pile up processes
+  for (const tool of batchProcessors) {
+    const ok = await runTool(runId, tool, 'batch', null, analysis, analysis.violations.length);
+    counts.invoked++;
+    if (!ok) counts.failed++;
+  }
+
+  for (const tool of violationProcessors) {
+    for (const eventType of tool.event_types) {
+      const violations = analysis.violations.filter(v => v.event_type === eventType);
+      if (violations.length === 0) {
+        continue;
+      }
+
+      const input = { analysis: analysis.analysis, event_type: eventType, violations };
+      const ok = await runTool(runId, tool, 'violation', eventType, input, violations.length);
+      counts.invoked++;
+      if (!ok) counts.failed++;
+    }
+  }
+
+  return counts;
+}
+
+module.exports = {
+  dispatchAnalysisTools,
+  loadToolConfig,
+  validateTool,
+  executeTool
+};
@@ -8,6 +8,9 @@ const gzipAsync = promisify(zlib.gzip);
 // Adaptive batch sizing state
 let batchSizeMultiplier = 1.0; // Start at 100% of target batch size
 
+// Earliest next sync after the upstream server asked to back off (503 + Retry-After)
+let backoffUntil = 0;
+
 /**
  * Get current adaptive batch size
  * @param {Object} config - Application configuration
@@ -134,7 +137,16 @@ async function postToUpstream(payload, config) {
     clearTimeout(timeoutId);
 
     if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+      const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+      error.status = response.status;
+
+      // Upstream is shedding load - Retry-After is in seconds
+      const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+      if (response.status === 503 && retryAfter > 0) {
+        error.retryAfter = retryAfter;
+      }
+
+      throw error;
     }
 
     return await response.json();
@@ -170,6 +182,10 @@ async function performUpstreamSync(config) {
     return;
   }
 
+  if (Date.now() < backoffUntil) {
+    return; // Upstream asked us to back off
+  }
+
   const pool = getPool();
   const batchSize = getAdaptiveBatchSize(config);
 
@@ -264,6 +280,11 @@ async function performUpstreamSync(config) {
 
     // Reduce batch size for next attempt
     reduceBatchSize(config);
+
+    if (error.retryAfter) {
+      backoffUntil = Date.now() + error.retryAfter * 1000;
+      console.warn(`[UpstreamSync] Upstream overloaded, next attempt in ${error.retryAfter}s`);
+    }
   }
 }
 
@@ -278,7 +299,8 @@ function getBatchSizeStats(config) {
     currentMultiplier: batchSizeMultiplier,
     currentSize: getAdaptiveBatchSize(config),
     minSize: Math.round(config.upstream.batchSize * config.upstream.batchSizeMin),
-    percentOfTarget: Math.round(batchSizeMultiplier * 100)
+    percentOfTarget: Math.round(batchSizeMultiplier * 100),
+    backoffUntil: backoffUntil > Date.now() ? new Date(backoffUntil).toISOString() : null
   };
 }
 
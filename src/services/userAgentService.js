@@ -0,0 +1,100 @@
+const { getPool } = require('../config/database');
+const { hashUserAgent } = require('../utils/accessFields');
+
+// In-memory cache for user agent IDs (user agent -> id)
+const userAgentCache = new Map();
+let cacheLastCleared = Date.now();
+const CACHE_TTL = 3600000; // 1 hour in milliseconds
+
+// Scanners rotate user agents, so the cache is also cleared when it gets this big
+const CACHE_MAX_SIZE = 50000;
+
+/**
+ * Get or create user agent IDs for a batch of user agents
+ * Race-safe for PM2 cluster mode using INSERT IGNORE on the agent hash
+ *
+ * @param {Array<string>} userAgents - Normalised user agent strings (see accessFields)
+ * @returns {Promise<Map<string, number>>} Map of user agent -> user_agent_id
+ */
+async function getOrCreateUserAgentIds(userAgents) {
+  if (!userAgents || userAgents.length === 0) {
+    return new Map();
+  }
+
+  const pool = getPool();
+  const now = Date.now();
+
+  // Periodically clear cache to keep memory bounded
+  if (now - cacheLastCleared > CACHE_TTL || userAgentCache.size > CACHE_MAX_SIZE) {
+    const oldSize = userAgentCache.size;
+    userAgentCache.clear();
+    cacheLastCleared = now;
+    console.log(`[UserAgentService] Cache cleared (${oldSize} entries)`);
+  }
+
+  const uncachedAgents = [...new Set(userAgents)].filter(agent => !userAgentCache.has(agent));
+
+  if (uncachedAgents.length > 0) {
+    try {
+      const hashes = uncachedAgents.map(hashUserAgent);
+
+      // INSERT IGNORE skips agents another worker has already created
+      await pool.query('INSERT IGNORE INTO user_agents (agent_hash, user_agent) VALUES ?', [
+        uncachedAgents.map((agent, i) => [hashes[i], agent])
+      ]);
+
+      const [rows] = await pool.query(
+        'SELECT id, user_agent FROM user_agents WHERE agent_hash IN (?)',
+        [hashes]
+      );
+
+      rows.forEach(row => {
+        userAgentCache.set(row.user_agent, row.id);
+      });
+    } catch (error) {
+      console.error('[UserAgentService] Error creating/fetching user agents:', error.message);
+      throw error;
+    }
+  }
+
+  const userAgentMap = new Map();
+  userAgents.forEach(agent => {
+    const userAgentId = userAgentCache.get(agent);
+    if (userAgentId !== undefined) {
+      userAgentMap.set(agent, userAgentId);
+    } else {
+      console.error(`[UserAgentService] User agent not found in cache after fetch: ${agent}`);
+    }
+  });
+
+  return userAgentMap;
+}
+
+/**
+ * Clear the in-memory cache (for testing or manual refresh)
+ */
+function clearCache() {
+  const oldSize = userAgentCache.size;
+  userAgentCache.clear();
+  cacheLastCleared = Date.now();
+  console.log(`[UserAgentService] Cache manually cleared (${oldSize} entries)`);
+}
+
+/**
+ * Get current cache statistics (for monitoring)
+ * @returns {Object} Cache statistics
+ */
+function getCacheStats() {
+  return {
+    size: userAgentCache.size,
+    maxSize: CACHE_MAX_SIZE,
+    lastCleared: new Date(cacheLastCleared).toISOString(),
+    ttl: CACHE_TTL
+  };
+}
+
+module.exports = {
+  getOrCreateUserAgentIds,
+  clearCache,
+  getCacheStats
+};
@@ -1,40 +1,147 @@
 const { getPool } = require('../config/database');
 
+// In-memory cache for website IDs (lowercased domain -> id). websites.domain
+// compares case-insensitively, so Example.com resolves to the example.com row
+const websiteCache = new Map();
+let cacheLastCleared = Date.now();
+const CACHE_TTL = 3600000; // 1 hour in milliseconds
+
+// Website IDs with activity not yet written to last_activity_at
+const pendingActivity = new Set();
+let activityTimer = null;
+const ACTIVITY_FLUSH_INTERVAL = 60000; // 1 minute in milliseconds
+
 /**
- * Find website by domain, create if doesn't exist
- * @param {string} domain
- * @returns {Promise<number>} Website ID
+ * Get or create website IDs for a batch of domains
+ * Race-safe for PM2 cluster mode using INSERT IGNORE
+ *
+ * @param {Array<string>} domains - Array of website domains (matched case-insensitively)
+ * @returns {Promise<Map<string, number>>} Map of domain (as given) -> website_id
  */
-async function findOrCreateWebsite(domain) {
+async function getOrCreateWebsiteIds(domains) {
+  if (!domains || domains.length === 0) {
+    return new Map();
+  }
+
   const pool = getPool();
+  const now = Date.now();
+
+  // Periodically clear cache so deletions by other workers are picked up
+  if (now - cacheLastCleared > CACHE_TTL) {
+    const oldSize = websiteCache.size;
+    websiteCache.clear();
+    cacheLastCleared = now;
+    console.log(`[WebsiteService] Cache cleared (${oldSize} entries, TTL: ${CACHE_TTL}ms)`);
+  }
 
-  // Try to find existing website
-  const [rows] = await pool.query('SELECT id FROM websites WHERE domain = ?', [domain]);
+  // Find domains not in cache (once per case-insensitive domain)
+  const uncachedDomains = [
+    ...new Map(
+      domains.filter(d => !websiteCache.has(d.toLowerCase())).map(d => [d.toLowerCase(), d])
+    ).values()
+  ];
 
-  if (rows.length > 0) {
-    return rows[0].id;
+  if (uncachedDomains.length > 0) {
+    try {
+      // Step 1: Attempt to create all uncached websites (skips existing domains)
+      const [result] = await pool.query('INSERT IGNORE INTO websites (domain) VALUES ?', [
+        uncachedDomains.map(d => [d])
+      ]);
+
+      // Step 2: Fetch IDs for all uncached websites (now guaranteed to exist)
+      const [websites] = await pool.query(
+        'SELECT id, domain, last_activity_at FROM websites WHERE domain IN (?)',
+        [uncachedDomains]
+      );
+
+      // Websites created above have no activity yet - set it now rather than at the
+      // next activity flush, so they are listed as active straight away
+      if (result.affectedRows > 0) {
+        const created = websites.filter(w => w.last_activity_at === null);
+
+        if (created.length > 0) {
+          await pool.query('UPDATE websites SET last_activity_at = NOW() WHERE id IN (?)', [
+            created.map(w => w.id)
+          ]);
+          created.forEach(w => {
+            console.log(`✓ Auto-created website: ${w.domain} (ID: ${w.id})`);
+          });
+        }
+      }
+
+      // Step 3: Update cache
+      websites.forEach(w => {
+        websiteCache.set(w.domain.toLowerCase(), w.id);
+      });
+    } catch (error) {
+      console.error('[WebsiteService] Error creating/fetching websites:', error.message);
+      throw error;
+    }
   }
 
-  // Create new website
-  const [result] = await pool.query(
-    'INSERT INTO websites (domain, last_activity_at) VALUES (?, NOW())',
-    [domain]
-  );
+  // Build result map from cache
+  const websiteMap = new Map();
+  domains.forEach(domain => {
+    const websiteId = websiteCache.get(domain.toLowerCase());
+    if (websiteId !== undefined) {
+      websiteMap.set(domain, websiteId);
+    } else {
+      console.error(`[WebsiteService] Domain not found in cache after fetch: ${domain}`);
+    }
+  });
+
+  return websiteMap;
+}
 
-  console.log(`✓ Auto-created website: ${domain} (ID: ${result.insertId})`);
+/**
+ * Record activity for websites
+ * Coalesced in memory and written by flushWebsiteActivity() within
+ * ACTIVITY_FLUSH_INTERVAL, instead of one UPDATE per website per request.
+ * @param {Iterable<number>} websiteIds
+ */
+function touchWebsites(websiteIds) {
+  for (const websiteId of websiteIds) {
+    pendingActivity.add(websiteId);
+  }
 
-  return result.insertId;
+  if (pendingActivity.size > 0 && !activityTimer) {
+    activityTimer = setTimeout(() => {
+      flushWebsiteActivity().catch(err => {
+        console.error('[WebsiteService] Failed to flush website activity:', err.message);
+      });
+    }, ACTIVITY_FLUSH_INTERVAL);
+    activityTimer.unref();
+  }
 }
 
 /**
- * Update website last_activity_at timestamp
- * @param {number} websiteId
- * @returns {Promise<void>}
+ * Write pending website activity (last_activity_at = NOW())
+ * Called by the flush timer, and on shutdown so no activity is lost.
+ * @returns {Promise<number>} Websites updated
  */
-async function updateWebsiteActivity(websiteId) {
-  const pool = getPool();
+async function flushWebsiteActivity() {
+  if (activityTimer) {
+    clearTimeout(activityTimer);
+    activityTimer = null;
+  }
 
-  await pool.query('UPDATE websites SET last_activity_at = NOW() WHERE id = ?', [websiteId]);
+  if (pendingActivity.size === 0) {
+    return 0;
+  }
+
+  const websiteIds = [...pendingActivity];
+  pendingActivity.clear();
+
+  try {
+    const pool = getPool();
+    await pool.query('UPDATE websites SET last_activity_at = NOW() WHERE id IN (?)', [websiteIds]);
+  } catch (error) {
+    // Keep the activity for the next flush
+    touchWebsites(websiteIds);
+    throw error;
+  }
+
+  return websiteIds.length;
 }
 
 /**
@@ -120,14 +227,73 @@ async function deleteWebsite(domain) {
 
   const [result] = await pool.query('DELETE FROM websites WHERE domain = ?', [domain]);
 
+  if (result.affectedRows > 0) {
+    clearCache();
+  }
+
   return result.affectedRows > 0;
 }
 
+/**
+ * Clear the in-memory cache (after websites are deleted)
+ */
+function clearCache() {
+  const oldSize = websiteCache.size;
+  websiteCache.clear();
+  cacheLastCleared = Date.now();
+  console.log(`[WebsiteService] Cache cleared (${oldSize} entries)`);
+}
+
+/**
+ * Get current cache statistics (for monitoring)
+ * @returns {Object} Cache statistics
+ */
+function getCacheStats() {
+  return {
+    size: websiteCache.size,
+    pendingActivity: pendingActivity.size,
+    lastCleared: new Date(cacheLastCleared).toISOString(),
+    ttl: CACHE_TTL,
+    nextClear: new Date(cacheLastCleared + CACHE_TTL).toISOString()
+  };
+}
+
+/**
+ * Pre-warm cache with the most recently active websites (called on startup)
+ * @param {number} limit - Number of websites to pre-load
+ * @returns {Promise<void>}
+ */
+async function prewarmCache(limit = 1000) {
+  const pool = getPool();
+
+  try {
+    const [websites] = await pool.query(
+      'SELECT id, domain FROM websites ORDER BY last_activity_at DESC LIMIT ?',
+      [limit]
+    );
+
+    websiteCache.clear();
+    websites.forEach(w => {
+      websiteCache.set(w.domain.toLowerCase(), w.id);
+    });
+
+    cacheLastCleared = Date.now();
+    console.log(`[WebsiteService] Cache pre-warmed with ${websites.length} websites`);
+  } catch (error) {
+    console.error('[WebsiteService] Failed to pre-warm cache:', error.message);
+    // Non-fatal - cache will populate on first use
+  }
+}
+
 module.exports = {
-  findOrCreateWebsite,
-  updateWebsiteActivity,
+  getOrCreateWebsiteIds,
+  touchWebsites,
+  flushWebsiteActivity,
   getWebsites,
   getWebsiteByDomain,
   updateWebsite,
-  deleteWebsite
+  deleteWebsite,
+  clearCache,
+  getCacheStats,
+  prewarmCache
 };
@@ -0,0 +1,162 @@
+/**
+ * Access Log Field Extraction
+ * Pulls the request fields the Log Explorer filters on out of an access record,
+ * so they can be stored in indexed log_records columns next to raw_data
+ */
+
+const crypto = require('crypto');
+
+// Values of the log_records.method enum - anything else is stored as OTHER
+const HTTP_METHODS = [
+  'GET',
+  'HEAD',
+  'POST',
+  'PUT',
+  'DELETE',
+  'PATCH',
+  'OPTIONS',
+  'CONNECT',
+  'TRACE',
+  'PROPFIND',
+  'OTHER'
+];
+
+// User agents longer than this are truncated before they are stored and hashed
+const MAX_USER_AGENT_LENGTH = 1000;
+
+// Largest value of an INT UNSIGNED column
+const MAX_RESPONSE_BYTES = 4294967295;
+
+/**
+ * Treat empty strings and Apache's "-" placeholder as missing
+ * @param {*} value - Field value
+ * @returns {string|null} Trimmed string or null
+ */
+function fieldValue(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const text = String(value).trim();
+  return text === '' || text === '-' ? null : text;
+}
+
+/**
+ * Normalise a request method for the method enum
+ * @param {string} method - Method from the record
+ * @returns {string|null} Upper-case method, OTHER if unknown, null if missing
+ */
+function normaliseMethod(method) {
+  const value = fieldValue(method);
+  if (!value) {
+    return null;
+  }
+
+  const upper = value.toUpperCase();
+  return HTTP_METHODS.includes(upper) ? upper : 'OTHER';
+}
+
+/**
+ * Normalise a request path so equivalent requests hash the same
+ * The query string and fragment are dropped, percent-encoding is decoded and
+ * repeated slashes are collapsed: "//wp-login.php?redirect_to=x" and
+ * "/wp-login%2Ephp" both become "/wp-login.php".
+ * @param {string} path - Request path from the record (may include the query string)
+ * @returns {string|null} Normalised path or null if missing
+ */
+function normalisePath(path) {
+  let value = fieldValue(path);
+  if (!value) {
+    return null;
+  }
+
+  value = value.replace(/[?#].*$/, '');
+
+  try {
+    value = decodeURIComponent(value);
+  } catch {
+    // Malformed escape sequence - keep the path as sent
+  }
+
+  value = value.replace(/\/{2,}/g, '/');
+  return value === '' ? null : value;
+}
+
+/**
+ * Hash a normalised path for the path_hash column
+ * @param {string} path - Request path (normalised first)
+ * @returns {Buffer|null} 16-byte MD5 digest or null if there is no path
+ */
+function hashPath(path) {
+  const normalised = normalisePath(path);
+  return normalised ? crypto.createHash('md5').update(normalised).digest() : null;
+}
+
+/**
+ * Normalise a user agent for the user_agents dictionary
+ * @param {string} agent - User agent from the record
+ * @returns {string|null} User agent (truncated to MAX_USER_AGENT_LENGTH) or null if missing
+ */
+function normaliseUserAgent(agent) {
+  const value = fieldValue(agent);
+  return value ? value.substring(0, MAX_USER_AGENT_LENGTH) : null;
+}
+
+/**
+ * Hash a user agent for the user_agents.agent_hash unique key
+ * @param {string} agent - Normalised user agent
+ * @returns {Buffer} 16-byte MD5 digest
+ */
+function hashUserAgent(agent) {
+  return crypto.createHash('md5').update(agent).digest();
+}
+
+/**
+ * Parse the response size
+ * @param {*} size - size field from the record
+ * @returns {number|null} Bytes sent or null if missing or out of range
+ */
+function parseResponseBytes(size) {
+  const value = fieldValue(size);
+  if (!value || !/^\d+$/.test(value)) {
+    return null;
+  }
+
+  const bytes = Number(value);
+  return bytes <= MAX_RESPONSE_BYTES ? bytes : null;
+}
+
+/**
+ * Extract the structured fields of an access record
+ * Records that only carry the request line ("request": "GET /path HTTP/1.1")
+ * are split into method and path.
+ * @param {Object} record - Access log record
+ * @returns {{method: string|null, pathHash: Buffer|null, userAgent: string|null,
+ *   responseBytes: number|null}} Column values
+ */
+function extractAccessFields(record) {
+  let { method, path } = record;
+
+  if (!method && !path && typeof record.request === 'string') {
+    [method, path] = record.request.trim().split(/\s+/);
+  }
+
+  return {
+    method: normaliseMethod(method),
+    pathHash: hashPath(path),
+    userAgent: normaliseUserAgent(record.agent),
+    responseBytes: parseResponseBytes(record.size)
+  };
+}
+
+module.exports = {
+  HTTP_METHODS,
+  MAX_USER_AGENT_LENGTH,
+  normaliseMethod,
+  normalisePath,
+  hashPath,
+  normaliseUserAgent,
+  hashUserAgent,
+  parseResponseBytes,
+  extractAccessFields
+};
@@ -0,0 +1,85 @@
+/**
+ * Apache Access Log Line Parsing
+ * Turns a raw access log line into the fields Fluent Bit's apache2 parser
+ * produces (remote, user, method, path, code, size, referer, agent), for
+ * sources that send plain lines instead of parsed records
+ *
+ * Formats:
+ *   common          %h %l %u %t "%r" %>s %b
+ *   combined        common + "%{Referer}i" "%{User-agent}i"
+ *   vhost_combined  %v:%p + combined (the virtual host is returned as vhost)
+ */
+
+// %h %l %u %t "%r" %>s %b, then optional "%{Referer}i" "%{User-agent}i"
+const CORE_PATTERN =
+  '(\\S+)\\s+(\\S+)\\s+(\\S+)\\s+\\[([^\\]]+)\\]\\s+"((?:[^"\\\\]|\\\\.)*)"\\s+(\\d{3}|-)\\s+(\\d+|-)' +
+  '(?:\\s+"((?:[^"\\\\]|\\\\.)*)"\\s+"((?:[^"\\\\]|\\\\.)*)")?\\s*$';
+
+const VHOST_LINE = new RegExp('^(\\S+?):(\\d+)\\s+' + CORE_PATTERN);
+const ACCESS_LINE = new RegExp('^' + CORE_PATTERN);
+
+/**
+ * Convert a log field to a value, treating "-" as missing
+ * @param {string} value - Field text
+ * @returns {string|null} Unescaped value or null
+ */
+function fieldValue(value) {
+  if (value === undefined || value === '-' || value === '') {
+    return null;
+  }
+
+  return value.replace(/\\(["\\])/g, '$1');
+}
+
+/**
+ * Parse an Apache access log line
+ * @param {string} line - Log line in common, combined or vhost_combined format
+ * @returns {Object|null} { remote, user, log_timestamp, request, method, path, protocol,
+ *   code, size, referer, agent, vhost } (missing fields omitted), or null if the
+ *   line is not an access log line
+ */
+function parseApacheAccessLine(line) {
+  if (typeof line !== 'string') {
+    return null;
+  }
+
+  const text = line.trim();
+  let vhost = null;
+  let match = text.match(VHOST_LINE);
+
+  if (match) {
+    vhost = match[1];
+    match = [match[0], ...match.slice(3)];
+  } else {
+    match = text.match(ACCESS_LINE);
+  }
+
+  if (!match) {
+    return null;
+  }
+
+  const [, remote, , user, time, request, code, size, referer, agent] = match;
+  const requestText = fieldValue(request);
+  const [method, path, protocol] = requestText ? requestText.split(/\s+/) : [];
+
+  const fields = {
+    remote: fieldValue(remote),
+    user: fieldValue(user),
+    log_timestamp: time,
+    request: requestText,
+    method: method || null,
+    path: path || null,
+    protocol: protocol || null,
+    code: fieldValue(code),
+    size: fieldValue(size),
+    referer: fieldValue(referer),
+    agent: fieldValue(agent),
+    vhost
+  };
+
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== null));
+}
+
+module.exports = {
+  parseApacheAccessLine
+};
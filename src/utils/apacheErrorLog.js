@@ -0,0 +1,169 @@
+/**
+ * Apache Error Log Parsing
+ * Extracts level, module, AH error code, pid and client from Apache 2.4 error
+ * records, so they can be stored in indexed log_records columns
+ *
+ * Apache 2.4 format:
+ *   [time] [module:level] [pid N:tid N] [client ip:port] AH01071: message
+ *
+ * Records parsed by Fluent Bit's apache_error parser carry the bracketed parts
+ * as fields (level "proxy_fcgi:error", pid, client) with the rest in message;
+ * unparsed records carry the whole line in log or message. Both are handled.
+ */
+
+// Values of the log_records.error_level enum, most severe first
+const ERROR_LEVELS = [
+  'emerg',
+  'alert',
+  'crit',
+  'error',
+  'warn',
+  'notice',
+  'info',
+  'debug',
+  'trace'
+];
+
+// Spellings used by other servers and older Apache versions
+const LEVEL_ALIASES = {
+  emergency: 'emerg',
+  critical: 'crit',
+  err: 'error',
+  warning: 'warn'
+};
+
+// Longest module name stored (log_records.error_module)
+const MAX_MODULE_LENGTH = 32;
+
+// Leading "[...]" group of an error line
+const BRACKET_GROUP = /^\s*\[([^\]]*)\]/;
+
+// Apache error code, e.g. "AH01071:"
+const ERROR_CODE_PATTERN = /\b(AH\d{5}):/;
+
+/**
+ * Normalise an error level
+ * trace1 to trace8 are stored as trace.
+ * @param {string} level - Level from the record or line
+ * @returns {string|null} One of ERROR_LEVELS, or null if unknown
+ */
+function normaliseLevel(level) {
+  if (typeof level !== 'string') {
+    return null;
+  }
+
+  let value = level.trim().toLowerCase();
+  value = LEVEL_ALIASES[value] || value.replace(/^trace\d$/, 'trace');
+  return ERROR_LEVELS.includes(value) ? value : null;
+}
+
+/**
+ * Get the levels at least as severe as the given one
+ * @param {string} level - Minimum severity
+ * @returns {Array<string>} Levels from emerg down to level (empty if unknown)
+ */
+function levelsAtLeast(level) {
+  const index = ERROR_LEVELS.indexOf(normaliseLevel(level));
+  return index === -1 ? [] : ERROR_LEVELS.slice(0, index + 1);
+}
+
+/**
+ * Split a "[module:level]" group
+ * mod_php logs "[:error]" (no module); older formats log "[error]".
+ * @param {string} value - Group contents
+ * @returns {{module: string|null, level: string|null}} Module and normalised level
+ */
+function parseLevelGroup(value) {
+  const separator = value.lastIndexOf(':');
+  const module = separator > 0 ? value.substring(0, separator).trim() : '';
+
+  return {
+    module: module ? module.substring(0, MAX_MODULE_LENGTH) : null,
+    level: normaliseLevel(separator === -1 ? value : value.substring(separator + 1))
+  };
+}
+
+/**
+ * Parse the pid from "1234:tid 5678" or "pid 1234:tid 5678"
+ * @param {*} value - pid field or group contents
+ * @returns {number|null} Process ID
+ */
+function parsePid(value) {
+  const match = String(value === undefined || value === null ? '' : value).match(
+    /^(?:pid\s+)?(\d+)/
+  );
+  return match ? parseInt(match[1], 10) : null;
+}
+
+/**
+ * Strip the port from a "[client ip:port]" address
+ * @param {string} value - Client address
+ * @returns {string|null} IP address
+ */
+function parseClient(value) {
+  if (typeof value !== 'string' || value.trim() === '') {
+    return null;
+  }
+
+  return value.trim().replace(/:(\d+)$/, '');
+}
+
+/**
+ * Parse an Apache error record
+ * @param {Object} record - Error log record
+ * @returns {{level: string|null, module: string|null, errorCode: string|null,
+ *   pid: number|null, client: string|null}} Column values
+ */
+function parseApacheError(record) {
+  const fields = {
+    level: null,
+    module: null,
+    errorCode: null,
+    pid: parsePid(record.pid),
+    client: parseClient(record.client)
+  };
+
+  if (typeof record.level === 'string') {
+    Object.assign(fields, parseLevelGroup(record.level));
+  }
+
+  // A whole line: read the bracketed groups that lead it
+  let message = [record.log, record.message].find(
+    value => typeof value === 'string' && value.trim().startsWith('[')
+  );
+
+  if (message) {
+    let match;
+
+    while ((match = message.match(BRACKET_GROUP))) {
+      const value = match[1].trim();
+      message = message.substring(match[0].length);
+
+      if (/^pid\s/.test(value)) {
+        fields.pid = parsePid(value);
+      } else if (/^client\s/.test(value)) {
+        fields.client = parseClient(value.substring(7));
+      } else {
+        // The time group never parses as a level; [remote ...] is skipped too
+        const parsed = parseLevelGroup(value);
+        if (parsed.level) {
+          Object.assign(fields, parsed);
+        }
+      }
+    }
+  } else {
+    message = typeof record.message === 'string' ? record.message : '';
+  }
+
+  const code = message.match(ERROR_CODE_PATTERN);
+  fields.errorCode = code ? code[1] : null;
+
+  return fields;
+}
+
+module.exports = {
+  ERROR_LEVELS,
+  normaliseLevel,
+  levelsAtLeast,
+  parseApacheError
+};
@@ -1,49 +1,254 @@
 /**
- * Extract domain from Apache log source_file path
- * Expected format: /var/www/{domain}/log/{access|error}.log
+ * Resolve the website domain and log type of an ingested record
  *
- * @param {string} sourceFile - Full path to log file
- * @returns {string|null} Extracted domain or null if invalid format
+ * The source_file path is matched against an ordered list of path patterns
+ * (first match wins). Each pattern is a regular expression with a named
+ * `domain` capture and either a named `log_type` capture or a fixed log_type.
+ * Records may also carry explicit `domain` / `log_type` fields, which take
+ * precedence over the path.
  *
- * @example
- * extractDomain('/var/www/example.com/log/access.log') // 'example.com'
- * extractDomain('/var/www/subdomain.example.org/log/error.log') // 'subdomain.example.org'
+ * Patterns come from the log paths config file (see config/log-paths-sample.json);
+ * without one, DEFAULT_PATH_PATTERNS is used.
  */
-function extractDomain(sourceFile) {
-  if (!sourceFile || typeof sourceFile !== 'string') {
+
+const fs = require('fs');
+const path = require('path');
+const { validatePattern } = require('./regexSafety');
+
+const LOG_TYPES = ['access', 'error'];
+
+// Built-in layouts, used when no log paths config file exists
+const DEFAULT_PATH_PATTERNS = [
+  {
+    name: 'headwall',
+    description: '/var/www/{domain}/log/access.log, ssl_access.log, access.log.1, access.log.2.gz',
+    pattern:
+      '/var/www/(?<domain>[^/]+)/log/(?:ssl[_-])?(?<log_type>access|error)\\.log(?:[.-]\\d+)?(?:\\.gz)?$'
+  },
+  {
+    name: 'plesk',
+    description: '/var/www/vhosts/system/{domain}/logs/access_ssl_log, proxy_error_log',
+    pattern:
+      '/var/www/vhosts/system/(?<domain>[^/]+)/logs/(?:proxy_)?(?<log_type>access|error)_(?:ssl_)?log(?:[.-]\\d+)?(?:\\.gz)?$'
+  },
+  {
+    name: 'cpanel',
+    description: '/usr/local/apache/domlogs/{domain}, {domain}-ssl_log, domlogs/{user}/{domain}',
+    pattern:
+      '/domlogs/(?:[^/]+/)?(?!.*-bytes_log(?:\\.gz)?$)(?<domain>[^/]+?)(?:-ssl_log)?(?:[.-]\\d+)?(?:\\.gz)?$',
+    log_type: 'access'
+  },
+  {
+    name: 'vhost-logs',
+    description:
+      '/var/log/{nginx,apache2,httpd}/{domain}.access.log, {domain}-error.log (domain must contain a dot)',
+    pattern:
+      '/var/log/(?:nginx|apache2|httpd)/(?:ssl[._-])?(?<domain>[^/]+?\\.[^/.]+?)[._-](?:ssl[._-])?(?<log_type>access|error)[._]log(?:[.-]\\d+)?(?:\\.gz)?$'
+  }
+];
+
+/**
+ * Normalise a log type value (captured or explicit) to 'access' or 'error'
+ * Accepts values such as 'access', 'ACCESS' or 'ssl_access'.
+ * @param {*} value - Raw log type
+ * @returns {'access'|'error'|null} Log type or null if not recognised
+ */
+function normaliseLogType(value) {
+  if (typeof value !== 'string') {
     return null;
   }
 
-  // Match pattern: /var/www/{domain}/log/*.log
-  const match = sourceFile.match(/\/var\/www\/([^/]+)\/log\/(access|error)\.log$/);
+  const lower = value.toLowerCase();
+  return LOG_TYPES.find(type => lower.includes(type)) || null;
+}
 
-  if (!match || !match[1]) {
-    return null;
+/**
+ * Check that a captured or explicit domain is usable as a website domain
+ * @param {*} value - Domain value
+ * @returns {boolean} True if valid
+ */
+function isValidDomain(value) {
+  return typeof value === 'string' && value.length <= 255 && /^[^\s/\\]+$/.test(value);
+}
+
+/**
+ * Compile path pattern definitions
+ * @param {Array<Object>} definitions - [{ name, pattern, log_type?, description? }]
+ * @returns {{patterns: Array<Object>, errors: Array<string>}} Compiled patterns
+ *   ({ name, regex, logType }) and one error message per skipped definition
+ */
+function compilePathPatterns(definitions) {
+  const patterns = [];
+  const errors = [];
+
+  (Array.isArray(definitions) ? definitions : []).forEach((definition, index) => {
+    const name = (definition && definition.name) || `#${index + 1}`;
+    const source = definition && definition.pattern;
+
+    const patternError = typeof source === 'string' ? validatePattern(source) : 'missing pattern';
+    if (patternError) {
+      errors.push(`${name}: ${patternError}`);
+      return;
+    }
+
+    if (!/\(\?<domain>/.test(source)) {
+      errors.push(`${name}: pattern must have a named (?<domain>...) capture`);
+      return;
+    }
+
+    const logType = definition.log_type ? normaliseLogType(definition.log_type) : null;
+    if (definition.log_type && !logType) {
+      errors.push(`${name}: log_type must be 'access' or 'error'`);
+      return;
+    }
+    if (!logType && !/\(\?<log_type>/.test(source)) {
+      errors.push(`${name}: pattern needs a (?<log_type>...) capture or a fixed log_type`);
+      return;
+    }
+
+    patterns.push({ name, regex: new RegExp(source), logType });
+  });
+
+  return { patterns, errors };
+}
+
+/**
+ * Load path patterns from the log paths config file
+ * A missing file means the built-in defaults are used. Invalid patterns are
+ * logged and skipped; a file that cannot be parsed falls back to the defaults.
+ * @param {string} configFile - Config path (relative paths are relative to the project root)
+ * @returns {Array<Object>} Compiled patterns in match order
+ */
+function loadPathPatterns(configFile) {
+  const configPath = path.resolve(__dirname, '../..', configFile);
+  let definitions = DEFAULT_PATH_PATTERNS;
+
+  if (fs.existsSync(configPath)) {
+    try {
+      const parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      definitions = (parsed && parsed.patterns) || [];
+    } catch (error) {
+      console.error(`[LogPaths] Invalid log paths config ${configPath}:`, error.message);
+      console.error('[LogPaths] Using built-in path patterns');
+    }
   }
 
-  return match[1];
+  const { patterns, errors } = compilePathPatterns(definitions);
+  errors.forEach(error => console.error(`[LogPaths] Skipping path pattern ${error}`));
+
+  return patterns;
 }
 
 /**
- * Determine log type from source_file path
+ * Match a source_file path against path patterns
  * @param {string} sourceFile - Full path to log file
- * @returns {'access'|'error'|null} Log type or null if cannot determine
+ * @param {Array<Object>} patterns - Compiled patterns (first match wins)
+ * @returns {{domain: string, logType: string|null, pattern: string}|null} Match or null
  */
-function extractLogType(sourceFile) {
+function matchSourceFile(sourceFile, patterns) {
   if (!sourceFile || typeof sourceFile !== 'string') {
     return null;
   }
 
-  if (sourceFile.includes('/access.log')) {
-    return 'access';
-  } else if (sourceFile.includes('/error.log')) {
-    return 'error';
+  for (const { name, regex, logType } of patterns) {
+    const match = sourceFile.match(regex);
+    const domain = match && match.groups && match.groups.domain;
+
+    if (domain && isValidDomain(domain)) {
+      return {
+        domain,
+        logType: logType || normaliseLogType(match.groups.log_type),
+        pattern: name
+      };
+    }
   }
 
   return null;
 }
 
+/**
+ * Guess the log type of a record whose path did not give one
+ * Uses the file name first, then the record shape (access logs carry a status code).
+ * @param {Object} record - Log record
+ * @returns {'access'|'error'} Log type
+ */
+function inferLogType(record) {
+  const fileName = typeof record.source_file === 'string' ? path.basename(record.source_file) : '';
+  return normaliseLogType(fileName) || (record.code ? 'access' : 'error');
+}
+
+/**
+ * Resolve the website domain and log type for a record
+ * Explicit `domain` / `log_type` fields override the path; records whose path
+ * matches no pattern are routed to the catch-all website.
+ * @param {Object} record - Log record
+ * @param {Array<Object>} patterns - Compiled path patterns
+ * @param {string} catchAllDomain - Website for records that match no pattern
+ * @returns {{domain: string, logType: 'access'|'error', matched: boolean}}
+ *   matched is false when the record was routed to the catch-all website
+ */
+function resolveLogSource(record, patterns, catchAllDomain) {
+  const explicitDomain =
+    typeof record.domain === 'string' && isValidDomain(record.domain.trim())
+      ? record.domain.trim()
+      : null;
+  const explicitLogType = LOG_TYPES.includes(record.log_type) ? record.log_type : null;
+
+  const match =
+    explicitDomain && explicitLogType ? null : matchSourceFile(record.source_file, patterns);
+
+  return {
+    domain: explicitDomain || (match && match.domain) || catchAllDomain,
+    logType: explicitLogType || (match && match.logType) || inferLogType(record),
+    matched: Boolean(explicitDomain || match)
+  };
+}
+
+/**
+ * Extract domain from Apache log source_file path using the built-in patterns
+ *
+ * @param {string} sourceFile - Full path to log file
+ * @returns {string|null} Extracted domain or null if invalid format
+ *
+ * @example
+ * extractDomain('/var/www/example.com/log/access.log') // 'example.com'
+ * extractDomain('/var/www/subdomain.example.org/log/error.log.1') // 'subdomain.example.org'
+ */
+function extractDomain(sourceFile) {
+  const match = matchSourceFile(sourceFile, defaultPatterns());
+  return match ? match.domain : null;
+}
+
+/**
+ * Determine log type from source_file path using the built-in patterns
+ * @param {string} sourceFile - Full path to log file
+ * @returns {'access'|'error'|null} Log type or null if cannot determine
+ */
+function extractLogType(sourceFile) {
+  const match = matchSourceFile(sourceFile, defaultPatterns());
+  return match ? match.logType : null;
+}
+
+let compiledDefaults = null;
+
+/**
+ * Compiled DEFAULT_PATH_PATTERNS (compiled once on first use)
+ * @returns {Array<Object>} Compiled patterns
+ */
+function defaultPatterns() {
+  if (!compiledDefaults) {
+    compiledDefaults = compilePathPatterns(DEFAULT_PATH_PATTERNS).patterns;
+  }
+  return compiledDefaults;
+}
+
 module.exports = {
+  DEFAULT_PATH_PATTERNS,
+  compilePathPatterns,
+  loadPathPatterns,
+  matchSourceFile,
+  isValidDomain,
+  resolveLogSource,
   extractDomain,
   extractLogType
 };
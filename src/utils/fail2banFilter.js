@@ -0,0 +1,416 @@
+/**
+ * Fail2ban Filter Parsing
+ * Reads fail2ban filter.d/*.conf files and translates failregex/ignoreregex
+ * entries into JavaScript regular expressions for the security analyzer.
+ *
+ * Translation targets the log line rebuilt by securityAnalysisService:
+ *   access: <remote> - <user> [<time>] "<request>" <code> <size> "<referer>" "<agent>"
+ *   error:  [<time>] [<level>] <message>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { validatePattern } = require('./regexSafety');
+
+// Maximum depth for %(name)s interpolation (guards against self-references)
+const MAX_INTERPOLATION_DEPTH = 10;
+
+// Fail2ban host/address tags and their regex equivalents
+const TAG_PATTERNS = {
+  HOST: '(?:::f{4,6}:)?(?:[\\w\\-.^_]*\\w)',
+  ADDR: '(?:::f{4,6}:)?(?:\\d{1,3}(?:\\.\\d{1,3}){3}|\\[?[0-9a-fA-F:]{2,}(?:\\]|\\b))',
+  IP4: '(?:\\d{1,3}(?:\\.\\d{1,3}){3})',
+  IP6: '(?:\\[?[0-9a-fA-F:]{2,}(?:\\]|\\b))',
+  DNS: '(?:[\\w\\-.^_]*\\w)',
+  CIDR: '(?:\\d{1,3}(?:\\.\\d{1,3}){3}/\\d{1,2})'
+};
+
+// <name> option tags: not a group name ((?P<name>, (?<name>, \k<name>) and not a closing tag
+const OPTION_TAG = /(?<!\(\?P?|\\k)<([A-Za-z_][A-Za-z0-9_-]*)>/g;
+
+// Tags handled by translateRegex rather than taken from the filter's options
+const BUILTIN_TAGS = new Set([...Object.keys(TAG_PATTERNS), 'SKIPLINES']);
+
+// The prefregex group replaced by each failregex
+const CONTENT_TAG = /<F-CONTENT>[\s\S]*?<\/F-CONTENT>/;
+
+/**
+ * Parse fail2ban INI-style config content
+ * Continuation lines (indented) are joined to the previous key with newlines,
+ * which is how fail2ban expresses multiple failregex entries.
+ * @param {string} content - File content
+ * @returns {Object} { sectionName: { key: value } }
+ */
+function parseConfig(content) {
+  const sections = {};
+  let section = null;
+  let key = null;
+
+  for (const rawLine of content.split(/\r?\n/)) {
+    const trimmed = rawLine.trim();
+
+    if (trimmed === '' || trimmed.startsWith('#') || trimmed.startsWith(';')) {
+      continue;
+    }
+
+    const sectionMatch = /^\[([^\]]+)\]$/.exec(trimmed);
+    if (sectionMatch && !/^\s/.test(rawLine)) {
+      section = sectionMatch[1].trim();
+      sections[section] = sections[section] || {};
+      key = null;
+      continue;
+    }
+
+    if (!section) {
+      continue;
+    }
+
+    // Continuation of a multi-line value
+    if (/^\s/.test(rawLine) && key) {
+      sections[section][key] += `\n${trimmed}`;
+      continue;
+    }
+
+    const keyMatch = /^([^=:\s][^=:]*?)\s*[=:]\s?(.*)$/.exec(rawLine);
+    if (keyMatch) {
+      key = keyMatch[1].trim();
+      sections[section][key] = keyMatch[2].trim();
+    }
+  }
+
+  return sections;
+}
+
+/**
+ * Load a filter with its [INCLUDES] and .local override merged
+ * @param {string} filePath - Path to the .conf file
+ * @param {number} depth - Include depth (internal)
+ * @returns {Object} Merged sections
+ */
+function loadFilterConfig(filePath, depth = 0) {
+  const dir = path.dirname(filePath);
+  const files = [filePath];
+  const localPath = filePath.replace(/\.conf$/, '.local');
+  if (localPath !== filePath && fs.existsSync(localPath)) {
+    files.push(localPath);
+  }
+
+  const own = {};
+  for (const file of files) {
+    mergeSections(own, parseConfig(fs.readFileSync(file, 'utf8')));
+  }
+
+  const includes = own.INCLUDES || {};
+  const merged = {};
+
+  const loadIncludes = list => {
+    if (!list || depth >= MAX_INTERPOLATION_DEPTH) return;
+    for (const name of list.split(/\s+/).filter(Boolean)) {
+      const includePath = path.resolve(dir, name);
+      if (fs.existsSync(includePath)) {
+        mergeSections(merged, loadFilterConfig(includePath, depth + 1));
+      }
+    }
+  };
+
+  loadIncludes(includes.before);
+  mergeSections(merged, own);
+  loadIncludes(includes.after);
+
+  return merged;
+}
+
+/**
+ * Merge config sections (later values win)
+ * @param {Object} target
+ * @param {Object} source
+ */
+function mergeSections(target, source) {
+  for (const [section, values] of Object.entries(source)) {
+    target[section] = { ...(target[section] || {}), ...values };
+  }
+}
+
+/**
+ * Expand %(name)s references using the filter's variables
+ * @param {string} value - Raw value
+ * @param {Object} vars - Variables from [DEFAULT], [Init] and [Definition]
+ * @param {number} depth - Recursion depth (internal)
+ * @returns {string} Interpolated value
+ */
+function interpolate(value, vars, depth = 0) {
+  if (depth >= MAX_INTERPOLATION_DEPTH) {
+    throw new Error('Interpolation depth exceeded (recursive variable?)');
+  }
+
+  return value.replace(/%\(([^)]+)\)s/g, (match, name) => {
+    if (!Object.prototype.hasOwnProperty.call(vars, name)) {
+      throw new Error(`Undefined variable '${name}'`);
+    }
+    return interpolate(vars[name], vars, depth + 1);
+  });
+}
+
+/**
+ * Substitute <name> option tags using the filter's variables
+ * Fail2ban fills tags such as <block> (nginx-botsearch) from the filter's
+ * options, the same way as %(name)s. <HOST> and the other built-in tags, F-tags
+ * and named groups are left for translateRegex.
+ * @param {string} value - Interpolated value
+ * @param {Object} vars - Variables from [DEFAULT], [Init] and [Definition]
+ * @param {number} depth - Recursion depth (internal)
+ * @returns {string} Value with option tags substituted
+ * @throws {Error} If a tag is not defined (the pattern could never match)
+ */
+function substituteTags(value, vars, depth = 0) {
+  if (depth >= MAX_INTERPOLATION_DEPTH) {
+    throw new Error('Tag substitution depth exceeded (recursive tag?)');
+  }
+
+  return value.replace(OPTION_TAG, (match, name) => {
+    if (BUILTIN_TAGS.has(name) || name.startsWith('F-')) {
+      return match;
+    }
+    if (!Object.prototype.hasOwnProperty.call(vars, name)) {
+      throw new Error(`Undefined tag <${name}>`);
+    }
+    return substituteTags(interpolate(vars[name], vars), vars, depth + 1);
+  });
+}
+
+/**
+ * Expand a filter value: %(name)s variables, then <name> option tags
+ * @param {string} value - Raw value
+ * @param {Object} vars - Variables from [DEFAULT], [Init] and [Definition]
+ * @returns {string} Expanded value
+ */
+function expandValue(value, vars) {
+  return substituteTags(interpolate(value, vars), vars);
+}
+
+/**
+ * Put a failregex into the filter's prefregex
+ * Fail2ban matches the prefregex first and then searches its <F-CONTENT> group
+ * with the failregex, so the failregex replaces that group: a leading anchor
+ * ties it to the start of the content (otherwise it may start anywhere in it),
+ * and the rest of the content is matched by `.*`. Leading inline flags are dropped.
+ * @param {string|null} prefregex - Expanded prefregex, or null if the filter has none
+ * @param {string} failregex - Expanded failregex
+ * @returns {string} Combined pattern
+ * @throws {Error} If the prefregex has no <F-CONTENT> group
+ */
+function applyPrefregex(prefregex, failregex) {
+  if (!prefregex) {
+    return failregex;
+  }
+  if (!CONTENT_TAG.test(prefregex)) {
+    throw new Error('prefregex has no <F-CONTENT> group');
+  }
+
+  const unflagged = failregex.trim().replace(/^\(\?[aiLmsux]+\)/, '');
+  const content = unflagged.replace(/^(?:\^|\\A)/, '');
+  const lead = content === unflagged ? '.*?' : '';
+
+  return prefregex.replace(CONTENT_TAG, () => `${lead}(?:${content}).*`);
+}
+
+/**
+ * Translate a fail2ban (Python) regex into a JavaScript regex source
+ * @param {string} pattern - Interpolated fail2ban regex
+ * @param {Object} options
+ * @param {boolean} options.stripGroupNames - Turn named groups into non-capturing groups
+ * @returns {string} JavaScript regex source
+ * @throws {Error} If the pattern uses features that cannot be translated
+ */
+function translateRegex(pattern, { stripGroupNames = false } = {}) {
+  let source = pattern.trim();
+
+  if (source.includes('<SKIPLINES>')) {
+    throw new Error('Multi-line patterns (<SKIPLINES>) are not supported');
+  }
+
+  // Leading inline flags - rules are always matched case-insensitively
+  source = source.replace(/^\(\?[aiLmsux]+\)/, '');
+  if (/\(\?[aiLmsux]+\)/.test(source)) {
+    throw new Error('Inline flags inside the pattern are not supported');
+  }
+
+  // Fail2ban tags
+  source = source.replace(/<(HOST|ADDR|IP4|IP6|DNS|CIDR)>/g, (match, tag) => TAG_PATTERNS[tag]);
+  source = source.replace(/<F-[A-Z0-9_-]+>/g, '(?:').replace(/<\/F-[A-Z0-9_-]+>/g, ')');
+
+  // Python-specific syntax
+  source = source
+    .replace(/\(\?P<([A-Za-z_][A-Za-z0-9_]*)>/g, stripGroupNames ? '(?:' : '(?<$1>')
+    .replace(/\(\?P=([A-Za-z_][A-Za-z0-9_]*)\)/g, '\\k<$1>')
+    .replace(/\\A/g, '^')
+    .replace(/\\Z/g, '$');
+
+  return escapeLeadingClassBracket(source);
+}
+
+/**
+ * Escape a literal ']' at the start of a character class
+ * Python reads `[^]]` as "not ]", JavaScript reads it as "any character, then ]".
+ * @param {string} source - Regex source
+ * @returns {string} Regex source
+ */
+function escapeLeadingClassBracket(source) {
+  let result = '';
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '\\') {
+      result += char + (source[i + 1] || '');
+      i++;
+      continue;
+    }
+
+    if (char === '[') {
+      result += char;
+      if (source[i + 1] === '^') {
+        result += '^';
+        i++;
+      }
+      if (source[i + 1] === ']') {
+        result += '\\]';
+        i++;
+      }
+
+      // Copy the rest of the class verbatim
+      while (i + 1 < source.length && source[i + 1] !== ']') {
+        i++;
+        result += source[i];
+        if (source[i] === '\\' && i + 1 < source.length) {
+          i++;
+          result += source[i];
+        }
+      }
+      continue;
+    }
+
+    result += char;
+  }
+
+  return result;
+}
+
+/**
+ * Guess which log type a translated failregex targets
+ * @param {string} pattern - Expanded (untranslated) failregex, with the prefregex applied
+ * @returns {string|null} 'access', 'error' or null if unknown
+ */
+function detectLogType(pattern) {
+  if (/client(?:\|remote)?\)?\s+<(HOST|ADDR|IP4|IP6)>/.test(pattern)) {
+    return 'error';
+  }
+  if (/^(?:\^|\\A)?\s*(\\s\*)?<(HOST|ADDR|IP4|IP6)>/.test(pattern.trim())) {
+    return 'access';
+  }
+  return null;
+}
+
+/**
+ * Split a multi-line regex value into individual patterns
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+function splitPatterns(value) {
+  return (value || '')
+    .split('\n')
+    .map(line => line.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Check a translated pattern with the same safety checks as user-defined rules
+ * Imported rules are read-only in the UI, so an unsafe one could not be fixed there.
+ * @param {string} source - Regex source
+ * @throws {Error} If the pattern is invalid or unsafe
+ */
+function assertSafePattern(source) {
+  const patternError = validatePattern(source);
+  if (patternError) {
+    throw new Error(patternError);
+  }
+}
+
+/**
+ * Parse a fail2ban filter file into importable rules
+ * Each failregex is combined with the filter's prefregex, if any. Patterns with
+ * an undefined <name> tag or that fail regexSafety.validatePattern are skipped
+ * with the reason.
+ * @param {string} filePath - Path to filter.d/<name>.conf
+ * @param {Object} options
+ * @param {string} options.logType - Force log type instead of detecting it
+ * @returns {Object} { filter, rules: [{ index, trigger_pattern, log_type }], ignore_pattern, skipped: [{ index, reason }] }
+ */
+function parseFilterFile(filePath, { logType = null } = {}) {
+  const filter = path.basename(filePath, '.conf');
+  const sections = loadFilterConfig(filePath);
+  const vars = { ...sections.DEFAULT, ...sections.Init, ...sections.Definition };
+  const definition = sections.Definition || {};
+
+  const result = { filter, rules: [], ignore_pattern: null, skipped: [] };
+
+  const failregexes = splitPatterns(definition.failregex);
+  let prefregex = null;
+
+  if (definition.prefregex) {
+    try {
+      prefregex = expandValue(definition.prefregex, vars);
+    } catch (error) {
+      failregexes.forEach((raw, i) => {
+        result.skipped.push({ index: i + 1, reason: `prefregex: ${error.message}` });
+      });
+      return result;
+    }
+  }
+
+  failregexes.forEach((raw, i) => {
+    const index = i + 1;
+    try {
+      const expanded = applyPrefregex(prefregex, expandValue(raw, vars));
+      const type = logType || detectLogType(expanded);
+      if (!type) {
+        throw new Error('Cannot determine log type (use --log-type)');
+      }
+
+      const source = translateRegex(expanded);
+      assertSafePattern(source);
+
+      result.rules.push({ index, trigger_pattern: source, log_type: type });
+    } catch (error) {
+      result.skipped.push({ index, reason: error.message });
+    }
+  });
+
+  const ignoreregexes = splitPatterns(definition.ignoreregex);
+  if (ignoreregexes.length > 0) {
+    try {
+      const combined = ignoreregexes
+        .map(raw => applyPrefregex(prefregex, expandValue(raw, vars)))
+        .map(expanded => `(?:${translateRegex(expanded, { stripGroupNames: true })})`)
+        .join('|');
+      assertSafePattern(combined);
+      result.ignore_pattern = combined;
+    } catch (error) {
+      // Importing without the ignore pattern would raise false positives
+      result.rules = [];
+      result.skipped.push({ index: 0, reason: `ignoreregex: ${error.message}` });
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  parseConfig,
+  parseFilterFile,
+  translateRegex,
+  detectLogType,
+  interpolate,
+  substituteTags,
+  applyPrefregex
+};
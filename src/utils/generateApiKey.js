@@ -1,19 +1,32 @@
 const crypto = require('crypto');
 
+const KEY_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
 /**
- * Generate a secure 40-character alphanumeric API key
- * @returns {string} 40-character alphanumeric key
+ * Generate a secure random alphanumeric string
+ * @param {number} length - Number of characters
+ * @returns {string} Alphanumeric string
  */
-function generateApiKey() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  const bytes = crypto.randomBytes(40);
+function randomAlphanumeric(length) {
+  const bytes = crypto.randomBytes(length);
 
-  let key = '';
-  for (let i = 0; i < 40; i++) {
-    key += chars[bytes[i] % chars.length];
+  let value = '';
+  for (let i = 0; i < length; i++) {
+    value += KEY_CHARS[bytes[i] % KEY_CHARS.length];
   }
 
-  return key;
+  return value;
+}
+
+/**
+ * Generate a secure API key: hl_<8-character prefix>_<40-character secret>
+ * The prefix is stored in clear (api_keys.key_prefix) to find the key's row.
+ * @returns {{key: string, prefix: string}} Key and its prefix
+ */
+function generateApiKey() {
+  const prefix = randomAlphanumeric(8);
+
+  return { key: `hl_${prefix}_${randomAlphanumeric(40)}`, prefix };
 }
 
 module.exports = { generateApiKey };
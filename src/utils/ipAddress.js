@@ -0,0 +1,176 @@
+/**
+ * IP Address Utilities
+ * Parsing and range matching for IPv4/IPv6 addresses and CIDR blocks
+ *
+ * Ranges are represented as { start, end } Buffers (4 bytes for IPv4, 16 for
+ * IPv6) in the same binary form MariaDB's INET6_ATON() returns, so ranges
+ * computed here can be stored and compared in SQL directly.
+ */
+
+const net = require('net');
+
+// Loopback ranges are always treated as our own addresses
+const LOOPBACK_CIDRS = ['127.0.0.0/8', '::1/128'];
+
+/**
+ * Convert an IP address string to its binary form
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {Buffer|null} 4 or 16 byte buffer, or null if not a valid address
+ */
+function toBuffer(address) {
+  const version = net.isIP(address);
+
+  if (version === 4) {
+    return Buffer.from(address.split('.').map(Number));
+  }
+
+  if (version !== 6) {
+    return null;
+  }
+
+  // Zone IDs (fe80::1%eth0) do not affect the address itself
+  let text = address.toLowerCase().split('%')[0];
+
+  // Embedded IPv4 tail (e.g., ::ffff:192.0.2.1) becomes two hextets
+  const ipv4Tail = /(\d+\.\d+\.\d+\.\d+)$/.exec(text);
+  if (ipv4Tail) {
+    const [a, b, c, d] = ipv4Tail[1].split('.').map(Number);
+    text =
+      text.substring(0, ipv4Tail.index) +
+      ((a << 8) | b).toString(16) +
+      ':' +
+      ((c << 8) | d).toString(16);
+  }
+
+  const [head, tail] = text.includes('::') ? text.split('::') : [text, null];
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail ? tail.split(':') : [];
+  const fill = tail === null ? [] : new Array(8 - headParts.length - tailParts.length).fill('0');
+  const hextets = [...headParts, ...fill, ...tailParts];
+
+  const buffer = Buffer.alloc(16);
+  hextets.forEach((hextet, i) => buffer.writeUInt16BE(parseInt(hextet, 16), i * 2));
+  return buffer;
+}
+
+/**
+ * Convert a binary address back to its canonical string form
+ * @param {Buffer} buffer - 4 or 16 byte buffer
+ * @returns {string} IP address
+ */
+function fromBuffer(buffer) {
+  if (buffer.length === 4) {
+    return Array.from(buffer).join('.');
+  }
+
+  const hextets = [];
+  for (let i = 0; i < 16; i += 2) {
+    hextets.push(buffer.readUInt16BE(i).toString(16));
+  }
+
+  // Compress the longest run of zero hextets (RFC 5952)
+  let bestStart = -1;
+  let bestLength = 0;
+  for (let i = 0; i < 8; i++) {
+    let length = 0;
+    while (i + length < 8 && hextets[i + length] === '0') length++;
+    if (length > bestLength && length > 1) {
+      bestStart = i;
+      bestLength = length;
+    }
+  }
+
+  if (bestStart === -1) {
+    return hextets.join(':');
+  }
+
+  const head = hextets.slice(0, bestStart).join(':');
+  const tail = hextets.slice(bestStart + bestLength).join(':');
+  return `${head}::${tail}`;
+}
+
+/**
+ * Parse an address or CIDR block
+ * Host bits are cleared, so '192.0.2.10/24' is stored as '192.0.2.0/24'.
+ * @param {string} value - Address (e.g., 203.0.113.5, 2001:db8::1) or CIDR (e.g., 10.0.0.0/8)
+ * @returns {Object} { address, prefix_length, ip_version, start, end }
+ * @throws {Error} If the value is not a valid address or CIDR block
+ */
+function parseCidr(value) {
+  const text = String(value || '').trim();
+  if (text === '') {
+    throw new Error('IP address is required');
+  }
+
+  const [address, prefix, extra] = text.split('/');
+  const bytes = toBuffer(address);
+  if (!bytes || extra !== undefined) {
+    throw new Error(`Invalid IP address or CIDR block: ${text}`);
+  }
+
+  const maxPrefix = bytes.length * 8;
+  const prefixLength = prefix === undefined ? maxPrefix : Number(prefix);
+  if (!/^\d+$/.test(prefix === undefined ? '0' : prefix) || prefixLength > maxPrefix) {
+    throw new Error(`Invalid prefix length for ${text} (0-${maxPrefix})`);
+  }
+
+  const start = Buffer.alloc(bytes.length);
+  const end = Buffer.alloc(bytes.length);
+  for (let i = 0; i < bytes.length; i++) {
+    const bits = Math.min(Math.max(prefixLength - i * 8, 0), 8);
+    const mask = (0xff << (8 - bits)) & 0xff;
+    start[i] = bytes[i] & mask;
+    end[i] = start[i] | (~mask & 0xff);
+  }
+
+  return {
+    address: fromBuffer(start),
+    prefix_length: prefixLength,
+    ip_version: bytes.length === 4 ? 4 : 6,
+    start,
+    end
+  };
+}
+
+/**
+ * Build a matcher for a set of ranges (loopback ranges are always included)
+ * @param {Array<Object>} ranges - Ranges with start/end Buffers
+ * @returns {Function} (address) => boolean
+ */
+function buildMatcher(ranges) {
+  const all = [...LOOPBACK_CIDRS.map(parseCidr), ...ranges];
+
+  return address => {
+    const bytes = address ? toBuffer(String(address)) : null;
+    if (!bytes) {
+      return false;
+    }
+    return all.some(
+      range =>
+        range.start.length === bytes.length &&
+        Buffer.compare(bytes, range.start) >= 0 &&
+        Buffer.compare(bytes, range.end) <= 0
+    );
+  };
+}
+
+/**
+ * Format an address with its prefix length, omitting single-address prefixes
+ * @param {Object} row - { address, prefix_length, ip_version }
+ * @returns {string} e.g., '203.0.113.5' or '10.0.0.0/8'
+ */
+function formatCidr(row) {
+  const maxPrefix = Number(row.ip_version) === 4 ? 32 : 128;
+  return Number(row.prefix_length) === maxPrefix
+    ? row.address
+    : `${row.address}/${row.prefix_length}`;
+}
+
+module.exports = {
+  LOOPBACK_CIDRS,
+  toBuffer,
+  fromBuffer,
+  parseCidr,
+  buildMatcher,
+  formatCidr
+};
@@ -0,0 +1,210 @@
+/**
+ * Log Timestamp Normalisation
+ * Parses the event time of a record in the formats log shippers send and
+ * converts it to UTC, flagging times that are implausibly far from the time
+ * the record was received
+ *
+ * Supported formats:
+ *   ISO 8601 / SQL  2025-10-10T13:55:36.123+01:00, 2025-10-10 13:55:36Z
+ *   Apache access   10/Oct/2025:13:55:36 +0100 (brackets optional)
+ *   Apache error    Fri Oct 10 13:55:36.123456 2025
+ *   Epoch           seconds, milliseconds, microseconds or nanoseconds
+ *                   (number or numeric string, fractions allowed)
+ * Times without an offset (Apache error, ISO without a zone) are read as UTC.
+ */
+
+// Record fields holding the event time, in order of preference
+const TIMESTAMP_FIELDS = ['log_timestamp', 'timestamp', 'time'];
+
+// Earliest value a MySQL TIMESTAMP column accepts
+const MIN_STORABLE_TIME = Date.UTC(1970, 0, 2);
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+const ISO_PATTERN =
+  /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const APACHE_ACCESS_PATTERN =
+  /^\[?(\d{1,2})\/([A-Za-z]{3})\/(\d{4}):(\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?(?:\s*([+-]\d{4}))?\]?$/;
+const APACHE_ERROR_PATTERN =
+  /^\[?(?:[A-Za-z]{3}\s+)?([A-Za-z]{3})\s+(\d{1,2})\s+(\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?\s+(\d{4})\]?$/;
+const EPOCH_PATTERN = /^\d+(?:\.\d+)?$/;
+
+/**
+ * Parse a "+0100" / "+01:00" / "Z" offset
+ * @param {string} offset - Offset text (optional)
+ * @returns {number} Offset from UTC in minutes
+ */
+function parseOffset(offset) {
+  if (!offset || offset.toUpperCase() === 'Z') {
+    return 0;
+  }
+
+  const digits = offset.replace(':', '');
+  const minutes = parseInt(digits.substring(1, 3), 10) * 60 + parseInt(digits.substring(3, 5), 10);
+  return digits[0] === '-' ? -minutes : minutes;
+}
+
+/**
+ * Build a UTC date from local date parts and an offset
+ * Rejects out-of-range parts (month 13, 31 February, hour 25).
+ * @returns {Date|null} Date or null if the parts are invalid
+ */
+function buildDate(year, month, day, hour, minute, second, fraction, offsetMinutes) {
+  const milliseconds = fraction ? Math.min(999, Math.round(Number('0.' + fraction) * 1000)) : 0;
+  const time = Date.UTC(year, month, day, hour, minute, second, milliseconds);
+  const check = new Date(time);
+
+  if (
+    month < 0 ||
+    check.getUTCMonth() !== month ||
+    check.getUTCDate() !== day ||
+    hour > 23 ||
+    minute > 59 ||
+    second > 60
+  ) {
+    return null;
+  }
+
+  return new Date(time - offsetMinutes * 60000);
+}
+
+/**
+ * Convert an epoch number to a date, guessing the unit from its size
+ * @param {number} value - Seconds, milliseconds, microseconds or nanoseconds
+ * @returns {Date|null} Date or null if not finite
+ */
+function fromEpoch(value) {
+  if (!Number.isFinite(value) || value < 0) {
+    return null;
+  }
+
+  let milliseconds;
+  if (value < 1e11) {
+    milliseconds = value * 1000;
+  } else if (value < 1e14) {
+    milliseconds = value;
+  } else if (value < 1e17) {
+    milliseconds = value / 1000;
+  } else {
+    milliseconds = value / 1e6;
+  }
+
+  return new Date(Math.round(milliseconds));
+}
+
+/**
+ * Parse a log timestamp
+ * @param {*} value - Date, epoch number or timestamp string
+ * @returns {Date|null} Date (UTC instant) or null if unparseable
+ */
+function parseLogTimestamp(value) {
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : value;
+  }
+
+  if (typeof value === 'number') {
+    return fromEpoch(value);
+  }
+
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const text = value.trim();
+  let match;
+
+  if (EPOCH_PATTERN.test(text)) {
+    return fromEpoch(Number(text));
+  }
+
+  if ((match = text.match(ISO_PATTERN))) {
+    const [, year, month, day, hour, minute, second, fraction, offset] = match;
+    return buildDate(
+      Number(year),
+      Number(month) - 1,
+      Number(day),
+      Number(hour),
+      Number(minute),
+      Number(second || 0),
+      fraction,
+      parseOffset(offset)
+    );
+  }
+
+  if ((match = text.match(APACHE_ACCESS_PATTERN))) {
+    const [, day, monthName, year, hour, minute, second, fraction, offset] = match;
+    return buildDate(
+      Number(year),
+      MONTHS.indexOf(monthName.toLowerCase()),
+      Number(day),
+      Number(hour),
+      Number(minute),
+      Number(second),
+      fraction,
+      parseOffset(offset)
+    );
+  }
+
+  if ((match = text.match(APACHE_ERROR_PATTERN))) {
+    const [, monthName, day, hour, minute, second, fraction, year] = match;
+    return buildDate(
+      Number(year),
+      MONTHS.indexOf(monthName.toLowerCase()),
+      Number(day),
+      Number(hour),
+      Number(minute),
+      Number(second),
+      fraction,
+      0
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Work out the timestamp to store for a record
+ * Records without a time, with an unparseable time or with a time in the
+ * future are stored at the receive time. Records from further back than
+ * maxPastDays keep their time but are flagged.
+ * @param {Object} record - Log record
+ * @param {Date} receivedAt - When the record was received
+ * @param {Object} limits - Plausibility limits
+ * @param {number} limits.maxFutureSeconds - Tolerated clock lead of the sender
+ * @param {number} limits.maxPastDays - Age after which a record is flagged as past
+ * @returns {{timestamp: Date, flag: string|null, skewSeconds: number|null}} Stored time,
+ *   flag (future, past or unparseable) and receive time minus event time
+ */
+function normaliseTimestamp(record, receivedAt, limits) {
+  const field = TIMESTAMP_FIELDS.find(
+    name => record[name] !== undefined && record[name] !== null && record[name] !== ''
+  );
+
+  if (!field) {
+    return { timestamp: receivedAt, flag: null, skewSeconds: null };
+  }
+
+  const eventTime = parseLogTimestamp(record[field]);
+  if (!eventTime) {
+    return { timestamp: receivedAt, flag: 'unparseable', skewSeconds: null };
+  }
+
+  const skewSeconds = Math.round((receivedAt.getTime() - eventTime.getTime()) / 1000);
+
+  if (-skewSeconds > limits.maxFutureSeconds) {
+    return { timestamp: receivedAt, flag: 'future', skewSeconds };
+  }
+
+  if (skewSeconds > limits.maxPastDays * 86400) {
+    const storable = eventTime.getTime() >= MIN_STORABLE_TIME;
+    return { timestamp: storable ? eventTime : receivedAt, flag: 'past', skewSeconds };
+  }
+
+  return { timestamp: eventTime, flag: null, skewSeconds };
+}
+
+module.exports = {
+  TIMESTAMP_FIELDS,
+  parseLogTimestamp,
+  normaliseTimestamp
+};
@@ -0,0 +1,427 @@
+/**
+ * MessagePack Encoding and Decoding
+ * Minimal implementation of the MessagePack format for the Fluent Forward
+ * protocol: values are decoded from a TCP stream as they complete, and the
+ * handful of replies the server sends (HELO, PONG, ack) are encoded
+ *
+ * Decoded types: nil, booleans, integers (uint64/int64 as Number), floats,
+ * str (string), bin (Buffer), arrays, maps (plain objects with string keys)
+ * and ext ({ type, data }), which Fluent uses for EventTime.
+ */
+
+// Thrown internally when a value is cut off at the end of the buffer
+const INCOMPLETE = Symbol('incomplete');
+
+/**
+ * Decoder over one buffer
+ * @param {Buffer} buffer - Data to decode
+ * @param {number} maxDepth - Deepest nesting of arrays and maps accepted
+ */
+function createReader(buffer, maxDepth) {
+  let offset = 0;
+
+  const need = length => {
+    if (offset + length > buffer.length) {
+      throw INCOMPLETE;
+    }
+  };
+
+  const take = length => {
+    need(length);
+    const slice = buffer.subarray(offset, offset + length);
+    offset += length;
+    return slice;
+  };
+
+  // 64-bit integers lose precision beyond 2^53 (never reached by Fluent data)
+  const readUInt = bytes => {
+    need(bytes);
+    const value =
+      bytes === 8 ? Number(buffer.readBigUInt64BE(offset)) : buffer.readUIntBE(offset, bytes);
+    offset += bytes;
+    return value;
+  };
+
+  const readInt = bytes => {
+    need(bytes);
+    const value =
+      bytes === 8 ? Number(buffer.readBigInt64BE(offset)) : buffer.readIntBE(offset, bytes);
+    offset += bytes;
+    return value;
+  };
+
+  const readArray = (length, depth) => {
+    const array = [];
+    for (let i = 0; i < length; i++) {
+      array.push(read(depth + 1));
+    }
+    return array;
+  };
+
+  const readMap = (length, depth) => {
+    const map = {};
+    for (let i = 0; i < length; i++) {
+      const key = read(depth + 1);
+      setEntry(map, key, read(depth + 1));
+    }
+    return map;
+  };
+
+  const readExt = length => {
+    const type = readInt(1);
+    return { type, data: Buffer.from(take(length)) };
+  };
+
+  // Readers for the single-byte type codes (fix ranges are handled in read())
+  const types = {
+    0xc0: () => null,
+    0xc2: () => false,
+    0xc3: () => true,
+    0xc4: () => Buffer.from(take(readUInt(1))),
+    0xc5: () => Buffer.from(take(readUInt(2))),
+    0xc6: () => Buffer.from(take(readUInt(4))),
+    0xc7: () => readExt(readUInt(1)),
+    0xc8: () => readExt(readUInt(2)),
+    0xc9: () => readExt(readUInt(4)),
+    0xca: () => {
+      need(4);
+      offset += 4;
+      return buffer.readFloatBE(offset - 4);
+    },
+    0xcb: () => {
+      need(8);
+      offset += 8;
+      return buffer.readDoubleBE(offset - 8);
+    },
+    0xcc: () => readUInt(1),
+    0xcd: () => readUInt(2),
+    0xce: () => readUInt(4),
+    0xcf: () => readUInt(8),
+    0xd0: () => readInt(1),
+    0xd1: () => readInt(2),
+    0xd2: () => readInt(4),
+    0xd3: () => readInt(8),
+    0xd4: () => readExt(1),
+    0xd5: () => readExt(2),
+    0xd6: () => readExt(4),
+    0xd7: () => readExt(8),
+    0xd8: () => readExt(16),
+    0xd9: () => take(readUInt(1)).toString('utf8'),
+    0xda: () => take(readUInt(2)).toString('utf8'),
+    0xdb: () => take(readUInt(4)).toString('utf8'),
+    0xdc: depth => readArray(readUInt(2), depth),
+    0xdd: depth => readArray(readUInt(4), depth),
+    0xde: depth => readMap(readUInt(2), depth),
+    0xdf: depth => readMap(readUInt(4), depth)
+  };
+
+  function read(depth = 0) {
+    if (depth > maxDepth) {
+      throw new Error(`MessagePack nesting deeper than ${maxDepth}`);
+    }
+
+    const byte = readUInt(1);
+
+    // Positive and negative fixint
+    if (byte <= 0x7f || byte >= 0xe0) {
+      return byte <= 0x7f ? byte : byte - 0x100;
+    }
+
+    // fixmap, fixarray, fixstr
+    if (byte <= 0x8f) {
+      return readMap(byte & 0x0f, depth);
+    }
+    if (byte <= 0x9f) {
+      return readArray(byte & 0x0f, depth);
+    }
+    if (byte <= 0xbf) {
+      return take(byte & 0x1f).toString('utf8');
+    }
+
+    const reader = types[byte];
+    if (!reader) {
+      throw new Error(`Invalid MessagePack type byte 0x${byte.toString(16)}`);
+    }
+    return reader(depth);
+  }
+
+  // Read one value, but only the header of an array or map: its items are
+  // read by the caller, so a long container is never decoded twice
+  function readItem(depth) {
+    if (depth > maxDepth) {
+      throw new Error(`MessagePack nesting deeper than ${maxDepth}`);
+    }
+
+    need(1);
+    const byte = buffer[offset];
+
+    if (byte >= 0x80 && byte <= 0x9f) {
+      offset++;
+      return { isMap: byte <= 0x8f, length: byte & 0x0f };
+    }
+    if (byte >= 0xdc && byte <= 0xdf) {
+      offset++;
+      return { isMap: byte >= 0xde, length: readUInt(byte & 1 ? 4 : 2) };
+    }
+
+    return { value: read(depth) };
+  }
+
+  return {
+    read,
+    readItem,
+    get offset() {
+      return offset;
+    }
+  };
+}
+
+/**
+ * Decode all complete values at the start of a buffer
+ * @param {Buffer} buffer - Data received so far
+ * @param {number} maxDepth - Deepest nesting accepted (default: 32)
+ * @returns {{values: Array, rest: Buffer}} Decoded values and the unconsumed remainder
+ * @throws {Error} If the data is not valid MessagePack
+ */
+function decodeStream(buffer, maxDepth = 32) {
+  const reader = createReader(buffer, maxDepth);
+  const values = [];
+  let consumed = 0;
+
+  while (consumed < buffer.length) {
+    try {
+      values.push(reader.read());
+      consumed = reader.offset;
+    } catch (error) {
+      if (error === INCOMPLETE) {
+        break;
+      }
+      throw error;
+    }
+  }
+
+  return { values, rest: buffer.subarray(consumed) };
+}
+
+/**
+ * Incremental decoder for a stream of values
+ * Completed values are returned as soon as their last byte arrives. A value
+ * cut off by the end of a chunk is resumed from the last complete item
+ * inside it, so the data received so far is not decoded again.
+ * @param {number} maxDepth - Deepest nesting accepted (default: 32)
+ * @returns {{write: function(Buffer): Array, pending: number}} write() returns the values
+ *   completed by a chunk; pending is the size in bytes of the value still incomplete
+ */
+function createStreamDecoder(maxDepth = 32) {
+  let buffer = Buffer.alloc(0);
+  // Open arrays and maps of the incomplete value, outermost first
+  const stack = [];
+  // Bytes of the incomplete value already decoded into the stack
+  let decodedBytes = 0;
+
+  // Add an item to the innermost open container; returns a completed top-level value, or
+  // INCOMPLETE while a container is still open
+  const place = value => {
+    while (stack.length > 0) {
+      const frame = stack[stack.length - 1];
+
+      if (frame.isMap && !frame.hasKey) {
+        frame.key = value;
+        frame.hasKey = true;
+        return INCOMPLETE;
+      }
+
+      if (frame.isMap) {
+        setEntry(frame.value, frame.key, value);
+        frame.hasKey = false;
+      } else {
+        frame.value.push(value);
+      }
+
+      if (--frame.remaining > 0) {
+        return INCOMPLETE;
+      }
+
+      stack.pop();
+      value = frame.value;
+    }
+
+    return value;
+  };
+
+  const write = chunk => {
+    buffer = buffer.length > 0 ? Buffer.concat([buffer, chunk]) : chunk;
+    const reader = createReader(buffer, maxDepth);
+    const values = [];
+    let consumed = 0;
+
+    while (consumed < buffer.length) {
+      let item;
+      try {
+        item = reader.readItem(stack.length);
+      } catch (error) {
+        if (error === INCOMPLETE) {
+          break;
+        }
+        throw error;
+      }
+
+      decodedBytes += reader.offset - consumed;
+      consumed = reader.offset;
+
+      let value = item.value;
+      if (!('value' in item)) {
+        value = item.isMap ? {} : [];
+        if (item.length > 0) {
+          stack.push({ isMap: item.isMap, value, remaining: item.length, hasKey: false });
+          continue;
+        }
+      }
+
+      const done = place(value);
+      if (done !== INCOMPLETE) {
+        values.push(done);
+        decodedBytes = 0;
+      }
+    }
+
+    buffer = buffer.subarray(consumed);
+    return values;
+  };
+
+  return {
+    write,
+    get pending() {
+      return decodedBytes + buffer.length;
+    }
+  };
+}
+
+/**
+ * Set a decoded map entry
+ * @param {Object} map - Map being decoded
+ * @param {*} key - Decoded key (converted to a string)
+ * @param {*} value - Decoded value
+ */
+function setEntry(map, key, value) {
+  const name = Buffer.isBuffer(key) ? key.toString('utf8') : String(key);
+  // Keys such as __proto__ must not reach the prototype
+  Object.defineProperty(map, name, {
+    value,
+    enumerable: true,
+    writable: true,
+    configurable: true
+  });
+}
+
+/**
+ * Encode a value
+ * Supports null, booleans, numbers, strings, Buffers (bin), arrays and plain objects.
+ * @param {*} value - Value to encode
+ * @returns {Buffer} MessagePack bytes
+ */
+function encode(value) {
+  if (value === null || value === undefined) {
+    return Buffer.from([0xc0]);
+  }
+
+  if (typeof value === 'boolean') {
+    return Buffer.from([value ? 0xc3 : 0xc2]);
+  }
+
+  if (typeof value === 'number') {
+    return encodeNumber(value);
+  }
+
+  if (typeof value === 'string') {
+    const data = Buffer.from(value, 'utf8');
+    return Buffer.concat([lengthHeader(data.length, [0xa0, 0xd9, 0xda, 0xdb], 31), data]);
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return Buffer.concat([lengthHeader(value.length, [null, 0xc4, 0xc5, 0xc6]), value]);
+  }
+
+  if (Array.isArray(value)) {
+    return Buffer.concat([
+      lengthHeader(value.length, [0x90, null, 0xdc, 0xdd], 15),
+      ...value.map(encode)
+    ]);
+  }
+
+  if (typeof value === 'object') {
+    const entries = Object.entries(value);
+    return Buffer.concat([
+      lengthHeader(entries.length, [0x80, null, 0xde, 0xdf], 15),
+      ...entries.flatMap(([key, item]) => [encode(key), encode(item)])
+    ]);
+  }
+
+  throw new Error(`Cannot encode ${typeof value} as MessagePack`);
+}
+
+/**
+ * Encode a number as the smallest fitting int type, or float64
+ * @param {number} value - Number to encode
+ * @returns {Buffer} MessagePack bytes
+ */
+function encodeNumber(value) {
+  if (!Number.isInteger(value) || value > 0xffffffff || value < -0x80000000) {
+    const buffer = Buffer.alloc(9);
+    buffer[0] = 0xcb;
+    buffer.writeDoubleBE(value, 1);
+    return buffer;
+  }
+
+  if (value >= -32 && value <= 0x7f) {
+    return Buffer.from([value & 0xff]);
+  }
+
+  if (value < 0) {
+    const buffer = Buffer.alloc(5);
+    buffer[0] = 0xd2;
+    buffer.writeInt32BE(value, 1);
+    return buffer;
+  }
+
+  const bytes = value <= 0xff ? 1 : value <= 0xffff ? 2 : 4;
+  const buffer = Buffer.alloc(1 + bytes);
+  buffer[0] = { 1: 0xcc, 2: 0xcd, 4: 0xce }[bytes];
+  buffer.writeUIntBE(value, 1, bytes);
+  return buffer;
+}
+
+/**
+ * Build a type byte and length for str, bin, array or map
+ * @param {number} length - Number of bytes or items
+ * @param {Array<number|null>} types - [fix, 8-bit, 16-bit, 32-bit] type bytes (null if absent)
+ * @param {number} fixMax - Largest length of the fix form
+ * @returns {Buffer} Header bytes
+ */
+function lengthHeader(length, types, fixMax = -1) {
+  const [fix, type8, type16, type32] = types;
+
+  if (fix !== null && length <= fixMax) {
+    return Buffer.from([fix | length]);
+  }
+  if (type8 !== null && length <= 0xff) {
+    return Buffer.from([type8, length]);
+  }
+  if (length <= 0xffff) {
+    const header = Buffer.alloc(3);
+    header[0] = type16;
+    header.writeUInt16BE(length, 1);
+    return header;
+  }
+
+  const header = Buffer.alloc(5);
+  header[0] = type32;
+  header.writeUInt32BE(length, 1);
+  return header;
+}
+
+module.exports = {
+  createStreamDecoder,
+  decodeStream,
+  encode
+};
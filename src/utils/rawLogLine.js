@@ -0,0 +1,72 @@
+/**
+ * Raw Log Lines
+ * Expands records that carry an unparsed Apache log line (raw_line) into the
+ * fields Fluent Bit's parsers produce, for plain-text uploads and imports
+ *
+ * Access lines (common, combined, vhost_combined) become remote, method,
+ * path, code, size, referer, agent and log_timestamp. Error lines are kept
+ * whole in log, which parseApacheError() reads, with their leading time as
+ * log_timestamp.
+ */
+
+const { parseApacheAccessLine } = require('./apacheAccessLog');
+
+// Leading [time] group of an Apache error line
+const ERROR_LINE = /^\s*\[([^\]]+)\]/;
+
+/**
+ * Split a plain-text body into log lines
+ * @param {string} text - One log line per line (LF or CRLF)
+ * @returns {Array<{number: number, text: string}>} Non-blank lines with their 1-based line numbers
+ */
+function splitLogLines(text) {
+  return String(text)
+    .split(/\r?\n/)
+    .map((line, index) => ({ number: index + 1, text: line }))
+    .filter(line => line.text.trim() !== '');
+}
+
+/**
+ * Expand a record's raw_line into parsed fields
+ * Fields already on the record win, except log_timestamp, which the line
+ * carries with its offset. Without a log_type the line is tried as an access
+ * line, then as an error line.
+ * @param {Object} record - Record with raw_line and optionally host, domain, log_type
+ * @returns {Object|null} Record with parsed fields and without raw_line, or null if the
+ *   line is not an Apache access or error line
+ */
+function expandRawLine(record) {
+  const { raw_line: line, ...fields } = record;
+
+  if (typeof line !== 'string') {
+    return null;
+  }
+
+  if (fields.log_type !== 'error') {
+    const access = parseApacheAccessLine(line);
+
+    if (access) {
+      const { vhost, log_timestamp: logTimestamp, ...accessFields } = access;
+      return {
+        ...accessFields,
+        ...fields,
+        log_timestamp: logTimestamp,
+        domain: fields.domain || vhost,
+        log_type: 'access'
+      };
+    }
+  }
+
+  const error = fields.log_type === 'access' ? null : line.match(ERROR_LINE);
+
+  if (error) {
+    return { ...fields, log: line.trim(), log_timestamp: error[1], log_type: 'error' };
+  }
+
+  return null;
+}
+
+module.exports = {
+  splitLogLines,
+  expandRawLine
+};
@@ -0,0 +1,272 @@
+/**
+ * Regex Safety Checks
+ * Validates user-supplied security rule patterns before they are saved, and
+ * runs patterns against sample data with a time limit.
+ *
+ * Rules are matched against every ingested log record, so a pattern with
+ * catastrophic backtracking (e.g., (a+)+$) would stall the analyzer. Patterns
+ * are rejected if they nest unbounded quantifiers (also inside a bounded
+ * repeat such as (.*,){15}), repeat identical alternatives, or take too long
+ * against adversarial probe strings.
+ */
+
+const vm = require('vm');
+
+// Longest pattern accepted for a rule
+const MAX_PATTERN_LENGTH = 2000;
+
+// Time allowed per probe string when checking a pattern
+const PROBE_TIMEOUT_MS = 50;
+
+// Length of each probe string (a little longer than a typical log line; quadratic
+// patterns such as \S+\.php are acceptable at this size, exponential ones are not)
+const PROBE_LENGTH = 2000;
+
+// Characters repeated to build probe strings (plus the pattern's own literals)
+const PROBE_CHARACTERS = ['a', 'A', '0', ' ', '/', '.', '-', '_', '%', '=', '"', '\t'];
+
+// Most literal characters taken from a pattern for probe strings
+const MAX_PROBE_LITERALS = 40;
+
+// Regex syntax characters (not literals unless escaped)
+const SYNTAX_CHARACTERS = new Set('\\^$.|?*+()[]{}'.split(''));
+
+/**
+ * Find the end of a character class starting at `start`
+ * @param {string} source - Regex source
+ * @param {number} start - Index of the opening '['
+ * @returns {number} Index of the closing ']' (or source length if unterminated)
+ */
+function findClassEnd(source, start) {
+  let i = start + 1;
+  if (source[i] === '^') i++;
+
+  while (i < source.length && source[i] !== ']') {
+    if (source[i] === '\\') i++;
+    i++;
+  }
+
+  return i;
+}
+
+/**
+ * Length of a group prefix such as ?:, ?=, ?!, ?<=, ?<! or ?<name>
+ * @param {string} source - Regex source
+ * @param {number} index - Index just after '('
+ * @returns {number} Number of characters to skip
+ */
+function groupPrefixLength(source, index) {
+  const match = /^\?(?::|=|!|<=|<!|<[A-Za-z_$][\w$]*>)/.exec(source.substring(index));
+  return match ? match[0].length : 0;
+}
+
+/**
+ * Statically check a pattern for constructs that backtrack catastrophically
+ * Tracks the "star height" of each element: an unbounded quantifier applied
+ * to something that already contains one (e.g., (a+)+, (\s*\w+)*) is rejected,
+ * as is a bounded repeat of more than one (e.g., (.*,){15}).
+ * @param {string} source - Regex source
+ * @returns {string|null} Reason the pattern is unsafe, or null
+ */
+function findNestedQuantifiers(source) {
+  const newFrame = start => ({
+    max: 0,
+    last: null,
+    lastAlternatives: null,
+    alternatives: [],
+    start
+  });
+  const stack = [newFrame(0)];
+
+  for (let i = 0; i < source.length; i++) {
+    const frame = stack[stack.length - 1];
+    const char = source[i];
+
+    if (char === '\\') {
+      frame.last = 0;
+      frame.lastAlternatives = null;
+      i++;
+      continue;
+    }
+
+    if (char === '[') {
+      frame.last = 0;
+      frame.lastAlternatives = null;
+      i = findClassEnd(source, i);
+      continue;
+    }
+
+    if (char === '(') {
+      const skip = groupPrefixLength(source, i + 1);
+      stack.push(newFrame(i + 1 + skip));
+      i += skip;
+      continue;
+    }
+
+    if (char === ')' && stack.length > 1) {
+      const group = stack.pop();
+      group.alternatives.push(source.substring(group.start, i));
+      const parent = stack[stack.length - 1];
+      parent.last = group.max;
+      parent.lastAlternatives = group.alternatives;
+      parent.max = Math.max(parent.max, group.max);
+      continue;
+    }
+
+    if (char === '|') {
+      frame.alternatives.push(source.substring(frame.start, i));
+      frame.start = i + 1;
+      frame.last = null;
+      frame.lastAlternatives = null;
+      continue;
+    }
+
+    const bounded = /^\{(\d+)(?:,(\d+))?\}/.exec(source.substring(i));
+    const unbounded = char === '*' || char === '+' ? char : /^\{\d+,\}/.exec(source.substring(i));
+
+    if (unbounded && frame.last !== null) {
+      if (frame.last > 0) {
+        return 'nested quantifiers such as (a+)+ can cause catastrophic backtracking';
+      }
+      const alternatives = frame.lastAlternatives || [];
+      if (new Set(alternatives).size < alternatives.length) {
+        return 'repeated group has identical alternatives, e.g. (a|a)+';
+      }
+
+      frame.max = Math.max(frame.max, 1);
+      frame.last = null;
+      frame.lastAlternatives = null;
+      i += unbounded === char ? 0 : unbounded[0].length - 1;
+      if (source[i + 1] === '?') i++;
+      continue;
+    }
+
+    if ((char === '?' || bounded) && frame.last !== null) {
+      if (bounded && frame.last > 0 && Number(bounded[2] ?? bounded[1]) > 1) {
+        return 'bounded repeats of unbounded quantifiers such as (.*,){15} can cause catastrophic backtracking';
+      }
+
+      frame.last = null;
+      frame.lastAlternatives = null;
+      i += bounded ? bounded[0].length - 1 : 0;
+      if (source[i + 1] === '?') i++;
+      continue;
+    }
+
+    frame.last = 0;
+    frame.lastAlternatives = null;
+  }
+
+  return null;
+}
+
+/**
+ * Collect the literal characters of a pattern
+ * Includes punctuation and escaped characters (e.g., \, or \.), but not
+ * syntax characters or class escapes such as \d.
+ * @param {string} source - Regex source
+ * @returns {Array<string>} Distinct literal characters
+ */
+function findLiterals(source) {
+  const literals = new Set();
+
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\\') {
+      i++;
+      if (i < source.length && !/[A-Za-z0-9]/.test(source[i])) {
+        literals.add(source[i]);
+      }
+    } else if (!SYNTAX_CHARACTERS.has(source[i])) {
+      literals.add(source[i]);
+    }
+  }
+
+  return [...literals].slice(0, MAX_PROBE_LITERALS);
+}
+
+/**
+ * Build probe strings for a pattern
+ * Long runs of a single character, terminated by a character that is unlikely
+ * to match, exercise the backtracking paths of most vulnerable patterns.
+ * @param {string} source - Regex source
+ * @returns {Array<string>} Probe strings
+ */
+function buildProbes(source) {
+  const characters = [...new Set([...PROBE_CHARACTERS, ...findLiterals(source)])];
+  return characters.map(char => char.repeat(PROBE_LENGTH) + '\u0000');
+}
+
+/**
+ * Validate a security rule pattern before saving
+ * @param {string} pattern - Regex source (matched case-insensitively)
+ * @returns {string|null} Error message, or null if the pattern is acceptable
+ */
+function validatePattern(pattern) {
+  if (typeof pattern !== 'string' || pattern.trim() === '') {
+    return 'Pattern is required';
+  }
+
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `Pattern is too long (maximum ${MAX_PATTERN_LENGTH} characters)`;
+  }
+
+  try {
+    new RegExp(pattern, 'i');
+  } catch (error) {
+    return error.message;
+  }
+
+  const nested = findNestedQuantifiers(pattern);
+  if (nested) {
+    return `Unsafe pattern: ${nested}`;
+  }
+
+  for (const probe of buildProbes(pattern)) {
+    try {
+      vm.runInNewContext(
+        'new RegExp(pattern, "i").test(probe)',
+        { pattern, probe },
+        {
+          timeout: PROBE_TIMEOUT_MS
+        }
+      );
+    } catch (error) {
+      if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+        return 'Unsafe pattern: matching takes too long (catastrophic backtracking)';
+      }
+      throw error;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run a pattern against lines of text with an overall time limit
+ * @param {string} pattern - Regex source (matched case-insensitively)
+ * @param {Array<string>} lines - Text to match
+ * @param {number} timeoutMs - Time limit for all lines
+ * @returns {Array<string|null>} Matched text per line (null where the line did not match)
+ * @throws {Error} With code ERR_SCRIPT_EXECUTION_TIMEOUT if the limit is exceeded
+ */
+function matchLines(pattern, lines, timeoutMs) {
+  const results = vm.runInNewContext(
+    `const regex = new RegExp(pattern, 'i');
+    lines.map(line => {
+      const match = regex.exec(line);
+      return match ? match[0] : null;
+    });`,
+    { pattern, lines },
+    { timeout: timeoutMs }
+  );
+
+  // Copy out of the sandbox context
+  return Array.from(results);
+}
+
+module.exports = {
+  MAX_PATTERN_LENGTH,
+  validatePattern,
+  findNestedQuantifiers,
+  matchLines
+};
@@ -0,0 +1,320 @@
+/**
+ * Syslog Message Parsing
+ * Parses RFC 5424 and RFC 3164 (BSD) syslog messages, and splits TCP streams
+ * into messages using octet-counting or newline framing (RFC 6587)
+ *
+ * RFC 5424: <PRI>VERSION TIMESTAMP HOSTNAME APP-NAME PROCID MSGID [SD] MSG
+ * RFC 3164: <PRI>Mmm dd hh:mm:ss HOSTNAME TAG[PID]: MSG
+ * A "-" in an RFC 5424 header field means the value is missing.
+ */
+
+const FACILITIES = [
+  'kern',
+  'user',
+  'mail',
+  'daemon',
+  'auth',
+  'syslog',
+  'lpr',
+  'news',
+  'uucp',
+  'cron',
+  'authpriv',
+  'ftp',
+  'ntp',
+  'security',
+  'console',
+  'solaris-cron',
+  'local0',
+  'local1',
+  'local2',
+  'local3',
+  'local4',
+  'local5',
+  'local6',
+  'local7'
+];
+
+const SEVERITIES = ['emerg', 'alert', 'crit', 'err', 'warning', 'notice', 'info', 'debug'];
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const PRI_PATTERN = /^<(\d{1,3})>/;
+const RFC5424_VERSION = /^[1-9]\d{0,2} /;
+const BSD_TIMESTAMP = /^([A-Z][a-z]{2}) {1,2}(\d{1,2}) (\d{2}):(\d{2}):(\d{2})\s+/;
+const ISO_TIMESTAMP = /^(\d{4}-\d{2}-\d{2}T\S+)\s+/;
+const BSD_TAG = /^([^\s:[\]]{1,48})(?:\[([^\]]*)\])?:\s?/;
+
+// Longest octet count accepted before the frame length is known to be bogus
+const MAX_OCTET_COUNT_DIGITS = 9;
+
+/**
+ * Convert an RFC 5424 header field, treating "-" as missing
+ * @param {string} value - Field text
+ * @returns {string|null} Value or null
+ */
+function headerValue(value) {
+  return value === undefined || value === '-' ? null : value;
+}
+
+/**
+ * Read the time of an RFC 3164 timestamp, which has no year or zone
+ * The time is read as UTC in the current year, or last year if that would put
+ * it more than a day in the future (messages sent around New Year).
+ * @param {Array<string>} match - BSD_TIMESTAMP match
+ * @param {Date} now - Current time
+ * @returns {string|null} ISO 8601 timestamp
+ */
+function bsdTimestamp(match, now) {
+  const [, monthName, day, hour, minute, second] = match;
+  const month = MONTHS.indexOf(monthName);
+  if (month === -1) {
+    return null;
+  }
+
+  let year = now.getUTCFullYear();
+  let time = Date.UTC(year, month, Number(day), Number(hour), Number(minute), Number(second));
+  if (time > now.getTime() + 86400000) {
+    year--;
+    time = Date.UTC(year, month, Number(day), Number(hour), Number(minute), Number(second));
+  }
+
+  return new Date(time).toISOString();
+}
+
+/**
+ * Parse RFC 5424 structured data
+ * @param {string} text - Text starting at the STRUCTURED-DATA field
+ * @returns {{data: Object, rest: string}|null} Elements by SD-ID ({ id: { param: value } })
+ *   and the text after them, or null if malformed
+ */
+function parseStructuredData(text) {
+  if (text.startsWith('-')) {
+    return { data: {}, rest: text.substring(1) };
+  }
+
+  const data = {};
+  let position = 0;
+
+  while (text[position] === '[') {
+    const idMatch = text.substring(position + 1).match(/^[^\s\]="]+/);
+    if (!idMatch) {
+      return null;
+    }
+
+    const element = {};
+    data[idMatch[0]] = element;
+    position += 1 + idMatch[0].length;
+
+    // SD-PARAMs: name="value" with \" \\ \] escapes
+    while (text[position] === ' ') {
+      const paramMatch = text.substring(position + 1).match(/^([^\s\]="]+)="/);
+      if (!paramMatch) {
+        return null;
+      }
+
+      position += 1 + paramMatch[0].length;
+      let value = '';
+
+      while (position < text.length && text[position] !== '"') {
+        if (text[position] === '\\' && '"\\]'.includes(text[position + 1])) {
+          position++;
+        }
+        value += text[position];
+        position++;
+      }
+
+      if (position >= text.length) {
+        return null;
+      }
+
+      element[paramMatch[1]] = value;
+      position++;
+    }
+
+    if (text[position] !== ']') {
+      return null;
+    }
+    position++;
+  }
+
+  return position === 0 ? null : { data, rest: text.substring(position) };
+}
+
+/**
+ * Parse an RFC 5424 message (after the PRI)
+ * @param {string} text - Message text after <PRI>
+ * @returns {Object|null} Parsed fields, or null if malformed
+ */
+function parseRfc5424(text) {
+  const parts = text.split(' ');
+  if (parts.length < 7) {
+    return null;
+  }
+
+  const [, timestamp, hostname, appName, procId, msgId] = parts;
+  const structured = parseStructuredData(parts.slice(6).join(' '));
+  if (!structured) {
+    return null;
+  }
+
+  return {
+    format: 'rfc5424',
+    timestamp: headerValue(timestamp),
+    hostname: headerValue(hostname),
+    appName: headerValue(appName),
+    procId: headerValue(procId),
+    msgId: headerValue(msgId),
+    structuredData: structured.data,
+    // A UTF-8 message starts with a byte order mark
+    message: structured.rest.replace(/^ /, '').replace(/^\uFEFF/, '')
+  };
+}
+
+/**
+ * Parse an RFC 3164 message (after the PRI)
+ * Senders differ: some use an ISO timestamp, and relays may drop the header.
+ * @param {string} text - Message text after <PRI>
+ * @param {Date} now - Current time
+ * @returns {Object} Parsed fields
+ */
+function parseRfc3164(text, now) {
+  let rest = text;
+  let timestamp = null;
+  let hostname = null;
+
+  const bsd = rest.match(BSD_TIMESTAMP);
+  const iso = bsd ? null : rest.match(ISO_TIMESTAMP);
+
+  if (bsd || iso) {
+    timestamp = bsd ? bsdTimestamp(bsd, now) : iso[1];
+    rest = rest.substring((bsd || iso)[0].length);
+
+    // The hostname follows the timestamp unless the tag comes straight after it
+    const hostMatch = rest.match(/^(\S+)\s+/);
+    if (hostMatch && !BSD_TAG.test(hostMatch[0])) {
+      hostname = hostMatch[1];
+      rest = rest.substring(hostMatch[0].length);
+    }
+  }
+
+  let appName = null;
+  let procId = null;
+  const tag = rest.match(BSD_TAG);
+  if (tag) {
+    appName = tag[1];
+    procId = tag[2] || null;
+    rest = rest.substring(tag[0].length);
+  }
+
+  return {
+    format: 'rfc3164',
+    timestamp,
+    hostname,
+    appName,
+    procId,
+    msgId: null,
+    structuredData: {},
+    message: rest
+  };
+}
+
+/**
+ * Parse a syslog message
+ * @param {string} text - One syslog message
+ * @param {Date} now - Current time (for RFC 3164 timestamps, which have no year)
+ * @returns {Object|null} { format, facility, severity, timestamp, hostname, appName, procId,
+ *   msgId, structuredData, message }, or null if the message has no valid PRI
+ */
+function parseSyslogMessage(text, now = new Date()) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  const pri = text.match(PRI_PATTERN);
+  if (!pri || Number(pri[1]) > 191) {
+    return null;
+  }
+
+  const rest = text.substring(pri[0].length).replace(/[\r\n]+$/, '');
+  const parsed = RFC5424_VERSION.test(rest) ? parseRfc5424(rest) : parseRfc3164(rest, now);
+  if (!parsed) {
+    return null;
+  }
+
+  return {
+    facility: FACILITIES[Math.floor(Number(pri[1]) / 8)],
+    severity: SEVERITIES[Number(pri[1]) % 8],
+    ...parsed
+  };
+}
+
+/**
+ * Split a TCP stream buffer into syslog messages
+ * Each message is octet-counted ("LEN <PRI>...") or newline terminated.
+ * @param {Buffer} buffer - Data received so far
+ * @param {number} maxLength - Largest message accepted, in bytes
+ * @returns {{messages: Array<string>, rest: Buffer}} Complete messages and the
+ *   unconsumed remainder
+ * @throws {Error} If the stream is not syslog or a message is too large
+ */
+function splitFrames(buffer, maxLength) {
+  const messages = [];
+  let offset = 0;
+
+  while (offset < buffer.length) {
+    const first = buffer[offset];
+
+    // Stray line breaks and NULs between messages
+    if (first === 0x0a || first === 0x0d || first === 0x00) {
+      offset++;
+      continue;
+    }
+
+    if (first >= 0x30 && first <= 0x39) {
+      const space = buffer.indexOf(0x20, offset);
+      if (space === -1) {
+        if (buffer.length - offset > MAX_OCTET_COUNT_DIGITS) {
+          throw new Error('Invalid octet count');
+        }
+        break;
+      }
+
+      const count = buffer.toString('latin1', offset, space);
+      if (!/^\d+$/.test(count) || count.length > MAX_OCTET_COUNT_DIGITS) {
+        throw new Error('Invalid octet count');
+      }
+      if (Number(count) > maxLength) {
+        throw new Error(`Message of ${count} bytes exceeds the ${maxLength} byte limit`);
+      }
+
+      const end = space + 1 + Number(count);
+      if (end > buffer.length) {
+        break;
+      }
+
+      messages.push(buffer.toString('utf8', space + 1, end));
+      offset = end;
+    } else {
+      const newline = buffer.indexOf(0x0a, offset);
+      if (newline === -1) {
+        if (buffer.length - offset > maxLength) {
+          throw new Error(`Message exceeds the ${maxLength} byte limit`);
+        }
+        break;
+      }
+
+      messages.push(buffer.toString('utf8', offset, newline).replace(/\r$/, ''));
+      offset = newline + 1;
+    }
+  }
+
+  return { messages, rest: buffer.subarray(offset) };
+}
+
+module.exports = {
+  FACILITIES,
+  SEVERITIES,
+  parseSyslogMessage,
+  splitFrames
+};
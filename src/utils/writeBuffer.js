@@ -0,0 +1,196 @@
+/**
+ * Write Buffer
+ * Coalesces writes from concurrent callers into fewer, larger writes
+ *
+ * Callers add items and wait: the promise settles once the write holding
+ * their items has completed (or failed), so a caller that answers its client
+ * afterwards still gives a durable acknowledgement. A write is started when
+ * maxRecords items are waiting or the oldest has waited maxAgeMs. Writes run
+ * one at a time; items added meanwhile go into the next write.
+ *
+ * Items are grouped by key, and each group is written separately. If a write
+ * that combined several callers fails, each caller's items are written again
+ * on their own, so one bad batch does not fail the others.
+ */
+
+// Flushes kept for the batch size and latency averages
+const STATS_WINDOW = 100;
+
+/**
+ * Summarise recent values
+ * @param {Array<number>} values - Most recent last
+ * @returns {Object} { last, avg, max } (0 when empty)
+ */
+function summarise(values) {
+  if (values.length === 0) {
+    return { last: 0, avg: 0, max: 0 };
+  }
+
+  const total = values.reduce((sum, value) => sum + value, 0);
+
+  return {
+    last: values[values.length - 1],
+    avg: Math.round(total / values.length),
+    max: Math.max(...values)
+  };
+}
+
+/**
+ * Create a write buffer
+ * @param {Object} options - Buffer options
+ * @param {Function} options.write - async (items, key) => items written (a subset of items)
+ * @param {number} options.maxRecords - Items waiting that trigger a write
+ * @param {number} options.maxAgeMs - Longest an item waits before a write is started
+ * @returns {Object} { add, flush, getStats }
+ */
+function createWriteBuffer({ write, maxRecords, maxAgeMs }) {
+  let entries = [];
+  let depth = 0;
+  let timer = null;
+  let flushing = null;
+
+  const stats = { flushes: 0, failures: 0, records: 0 };
+  const batchSizes = [];
+  const latencies = [];
+
+  /**
+   * Write one group of entries, settling each entry's promise
+   * @param {Array<Object>} group - Entries with the same key
+   * @param {*} key - Group key
+   * @returns {Promise<void>}
+   */
+  async function writeGroup(group, key) {
+    const items = group.flatMap(entry => entry.items);
+    const startedAt = Date.now();
+
+    try {
+      const written = new Set(await write(items, key));
+
+      stats.flushes++;
+      stats.records += items.length;
+      batchSizes.push(items.length);
+      latencies.push(Date.now() - startedAt);
+      if (batchSizes.length > STATS_WINDOW) {
+        batchSizes.shift();
+        latencies.shift();
+      }
+
+      group.forEach(entry => entry.resolve(entry.items.filter(item => written.has(item))));
+    } catch (error) {
+      stats.failures++;
+
+      if (group.length === 1) {
+        group[0].reject(error);
+        return;
+      }
+
+      console.warn(
+        `[WriteBuffer] Write of ${items.length} records failed (${error.message}), ` +
+          `retrying ${group.length} batches separately`
+      );
+
+      for (const entry of group) {
+        await writeGroup([entry], key);
+      }
+    }
+  }
+
+  /**
+   * Start a write when a threshold is reached, or schedule one for the oldest entry
+   */
+  function schedule() {
+    if (flushing || entries.length === 0) {
+      return;
+    }
+
+    if (depth >= maxRecords) {
+      flush();
+      return;
+    }
+
+    if (!timer) {
+      const delay = Math.max(0, entries[0].addedAt + maxAgeMs - Date.now());
+      timer = setTimeout(flush, delay);
+    }
+  }
+
+  /**
+   * Write everything waiting now
+   * Waits for a write already in progress first.
+   * @returns {Promise<void>}
+   */
+  async function flush() {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+
+    if (flushing) {
+      await flushing;
+      return flush();
+    }
+
+    if (entries.length === 0) {
+      return;
+    }
+
+    const batch = entries;
+    entries = [];
+    depth = 0;
+
+    const groups = new Map();
+    batch.forEach(entry => {
+      if (!groups.has(entry.key)) {
+        groups.set(entry.key, []);
+      }
+      groups.get(entry.key).push(entry);
+    });
+
+    flushing = (async () => {
+      for (const [key, group] of groups) {
+        await writeGroup(group, key);
+      }
+    })();
+
+    try {
+      await flushing;
+    } finally {
+      flushing = null;
+      schedule();
+    }
+  }
+
+  /**
+   * Add items to the buffer
+   * @param {Array} items - Items to write
+   * @param {*} key - Items are only written together with items of the same key
+   * @returns {Promise<Array>} The items written, once their write has completed
+   */
+  function add(items, key) {
+    return new Promise((resolve, reject) => {
+      entries.push({ items, key, resolve, reject, addedAt: Date.now() });
+      depth += items.length;
+      schedule();
+    });
+  }
+
+  /**
+   * Get buffer metrics
+   * @returns {Object} { depth, waiting, flushes, failures, records, batchSize, flushLatencyMs }
+   */
+  function getStats() {
+    return {
+      depth,
+      waiting: entries.length,
+      ...stats,
+      batchSize: summarise(batchSizes),
+      flushLatencyMs: summarise(latencies)
+    };
+  }
+
+  return { add, flush, getStats };
+}
+
+module.exports = {
+  createWriteBuffer
+};
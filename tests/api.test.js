@@ -16,7 +16,17 @@
  */
 
 const { test, describe, before, after } = require('node:test');
-const { initDatabase, closeDatabase } = require('../src/config/database');
+const crypto = require('crypto');
+const dgram = require('dgram');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const config = require('../src/config');
+const { initDatabase, closeDatabase, getPool } = require('../src/config/database');
+const { deriveSharedKey } = require('../src/services/forwardService');
+const { decodeStream, encode } = require('../src/utils/msgpack');
+const { importLogFile } = require('../src/services/logImportService');
 const {
   request,
   createTestApiKey,
@@ -120,7 +130,10 @@ describe('Quick Tests - Smoke Tests', { skip: !isQuick && !isComplete }, () => {
     const apiKeyData = await createTestApiKey();
     testApiKey = apiKeyData.key;
     testApiKeyId = apiKeyData.id;
-    assert(testApiKey.length === 40, 'API key should be 40 characters');
+    assert(
+      /^hl_[a-zA-Z0-9]{8}_[a-zA-Z0-9]{40}$/.test(testApiKey),
+      'API key should be hl_<prefix>_<secret>'
+    );
 
     // Generate single log record
     const logs = generateSampleLogs(1);
@@ -150,8 +163,10 @@ describe('Complete Tests - Authentication', { skip: !isComplete }, () => {
     if (!testApiKey) {
       testApiKey = await createTestApiKey();
     }
-    assert(testApiKey.length === 40, 'API key should be 40 characters');
-    assert(/^[a-zA-Z0-9]+$/.test(testApiKey), 'API key should be alphanumeric');
+    assert(
+      /^hl_[a-zA-Z0-9]{8}_[a-zA-Z0-9]{40}$/.test(testApiKey),
+      'API key should be hl_<prefix>_<secret>'
+    );
   });
 
   test('Valid API key allows access', async () => {
@@ -186,6 +201,101 @@ describe('Complete Tests - Authentication', { skip: !isComplete }, () => {
     // Reactivate for other tests
     await pool.query('UPDATE api_keys SET is_active = 1 WHERE id = ?', [testApiKeyId]);
   });
+
+  test('Legacy 40-character API key works and gets a prefix', async () => {
+    const bcrypt = require('bcrypt');
+    const pool = getPool();
+    const legacyKey = crypto.randomBytes(20).toString('hex');
+    const [result] = await pool.query('INSERT INTO api_keys (`key`, description) VALUES (?, ?)', [
+      await bcrypt.hash(legacyKey, 10),
+      'Test API key - legacy'
+    ]);
+
+    const response = await request({
+      method: 'GET',
+      path: '/websites',
+      headers: {
+        Authorization: `Bearer ${legacyKey}`
+      }
+    });
+
+    const [rows] = await pool.query('SELECT key_prefix FROM api_keys WHERE id = ?', [
+      result.insertId
+    ]);
+
+    assertEqual(response.status, 200, 'Legacy key should be accepted');
+    assertEqual(rows[0].key_prefix, legacyKey.substring(0, 8), 'Prefix stored on first use');
+  });
+
+  test('Expired API key returns 401', async () => {
+    const pool = getPool();
+    await pool.query('UPDATE api_keys SET expires_at = NOW() - INTERVAL 1 MINUTE WHERE id = ?', [
+      testApiKeyId
+    ]);
+
+    const response = await request({
+      method: 'GET',
+      path: '/websites',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    await pool.query('UPDATE api_keys SET expires_at = NULL WHERE id = ?', [testApiKeyId]);
+
+    assertEqual(response.status, 401, 'Expired key should be refused');
+    assertEqual(response.body.message, 'API key has expired', 'Error message');
+  });
+
+  test('Ingest-only API key cannot delete websites', async () => {
+    const pool = getPool();
+    await pool.query('UPDATE api_keys SET permissions = ? WHERE id = ?', [
+      JSON.stringify(['logs:write']),
+      testApiKeyId
+    ]);
+
+    const deleteResponse = await request({
+      method: 'DELETE',
+      path: '/websites/test-scope.example.com',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    const ingestResponse = await request({
+      method: 'POST',
+      path: '/logs',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      },
+      body: generateSampleLogs(1)
+    });
+
+    await pool.query('UPDATE api_keys SET permissions = NULL WHERE id = ?', [testApiKeyId]);
+
+    assertEqual(deleteResponse.status, 403, 'DELETE should need websites:write');
+    assertEqual(ingestResponse.status, 200, 'POST /logs should be allowed with logs:write');
+  });
+
+  test('API key outside its allowlist returns 403', async () => {
+    const pool = getPool();
+    await pool.query('UPDATE api_keys SET allowed_ips = ? WHERE id = ?', [
+      JSON.stringify(['192.0.2.0/24']),
+      testApiKeyId
+    ]);
+
+    const response = await request({
+      method: 'GET',
+      path: '/websites',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    await pool.query('UPDATE api_keys SET allowed_ips = NULL WHERE id = ?', [testApiKeyId]);
+
+    assertEqual(response.status, 403, 'Key should be refused from this address');
+  });
 });
 
 describe('Complete Tests - Log Ingestion', { skip: !isComplete }, () => {
@@ -241,6 +351,128 @@ describe('Complete Tests - Log Ingestion', { skip: !isComplete }, () => {
     assertEqual(response.body.processed, 5, 'Expected 5 records processed');
   });
 
+  test('Ingest rotated paths and explicit domain/log_type', async () => {
+    const [accessLog, errorLog] = generateSampleLogs(2);
+    const logs = [
+      { ...accessLog, source_file: '/var/www/test-example.com/log/ssl_access.log.1' },
+      {
+        ...errorLog,
+        source_file: '/srv/custom/app.log',
+        domain: 'test-example.com',
+        log_type: 'error'
+      }
+    ];
+
+    const response = await request({
+      method: 'POST',
+      path: '/logs',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      },
+      body: logs
+    });
+
+    assert(response.status === 200, `Expected 200, got ${response.status}`);
+    assertEqual(response.body.processed, 2, 'Expected 2 records processed');
+  });
+
+  test('Quarantine records missing a host', async () => {
+    const [valid, missingHost] = generateSampleLogs(2);
+    delete missingHost.host;
+
+    const response = await request({
+      method: 'POST',
+      path: '/logs',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      },
+      body: [valid, missingHost]
+    });
+
+    assert(response.status === 200, `Expected 200, got ${response.status}`);
+    assertEqual(response.body.received, 2, 'Expected 2 records received');
+    assertEqual(response.body.processed, 1, 'Expected 1 record processed');
+
+    const rejected = await request({
+      method: 'GET',
+      path: '/logs/rejected?reason=missing_host',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(rejected.status === 200, `Expected 200, got ${rejected.status}`);
+    assert(
+      rejected.body.records.some(r => r.source_file === missingHost.source_file),
+      'Expected the rejected record in the quarantine'
+    );
+    assert(
+      rejected.body.reasons.some(r => r.reason === 'missing_host'),
+      'Expected a missing_host reason group'
+    );
+  });
+
+  test('Verbose and strict ingestion modes', async () => {
+    const [valid, missingHost] = generateSampleLogs(2);
+    delete missingHost.host;
+
+    const verbose = await request({
+      method: 'POST',
+      path: '/logs',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      },
+      body: [valid, missingHost]
+    });
+
+    assert(verbose.status === 200, `Expected 200, got ${verbose.status}`);
+    assertEqual(verbose.body.processed, 1, 'Expected 1 record processed');
+    assertEqual(verbose.body.rejected.length, 1, 'Expected 1 rejected record listed');
+    assertEqual(verbose.body.rejected[0].index, 1, 'Expected the second record rejected');
+    assertEqual(verbose.body.rejected[0].reason, 'missing_host', 'Expected missing_host');
+
+    const strict = await request({
+      method: 'POST',
+      path: '/logs',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`,
+        'X-Headlog-Ingest-Mode': 'strict'
+      },
+      body: [valid, missingHost]
+    });
+
+    assert(strict.status === 422, `Expected 422, got ${strict.status}`);
+    assertEqual(strict.body.processed, 0, 'Expected no records processed');
+    assertEqual(strict.body.rejected[0].reason, 'missing_host', 'Expected missing_host');
+  });
+
+  test('A batch refused in strict mode creates no website or host', async () => {
+    const stamp = Date.now();
+    const domain = `test-strict-${stamp}.example.com`;
+    const hostname = `test-strict-host-${stamp}`;
+
+    const response = await request({
+      method: 'POST',
+      path: '/logs',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`,
+        'X-Headlog-Ingest-Mode': 'strict, verbose'
+      },
+      body: [
+        { source_file: `/var/www/${domain}/log/access.log`, host: hostname, code: '200' },
+        { source_file: `/var/www/${domain}/log/access.log`, host: 42 }
+      ]
+    });
+
+    assert(response.status === 422, `Expected 422, got ${response.status}`);
+    assertEqual(response.body.rejected[0].reason, 'invalid_host', 'Expected invalid_host');
+
+    const [websites] = await getPool().query('SELECT id FROM websites WHERE domain = ?', [domain]);
+    const [hosts] = await getPool().query('SELECT id FROM hosts WHERE hostname = ?', [hostname]);
+    assertEqual(websites.length, 0, 'Expected no website created');
+    assertEqual(hosts.length, 0, 'Expected no host created');
+  });
+
   test('Reject invalid log format', async () => {
     const response = await request({
       method: 'POST',
@@ -268,6 +500,358 @@ describe('Complete Tests - Log Ingestion', { skip: !isComplete }, () => {
   });
 });
 
+describe('Complete Tests - Log Querying', { skip: !isComplete }, () => {
+  test('Filter logs by website and type', async () => {
+    const response = await request({
+      method: 'GET',
+      path: '/api/logs?website=test-example.com&type=access&limit=5',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(response.status === 200, `Expected 200, got ${response.status}`);
+    assert(Array.isArray(response.body.logs), 'Expected logs array');
+    assert(response.body.logs.length > 0, 'Expected at least one access log');
+    assert(
+      response.body.logs.every(
+        log => log.domain === 'test-example.com' && log.log_type === 'access'
+      ),
+      'Expected only access logs for test-example.com'
+    );
+    assert(response.body.logs[0].host === 'test-example.com', 'Expected resolved hostname');
+  });
+
+  test('Cursor pagination returns non-overlapping pages', async () => {
+    const firstPage = await request({
+      method: 'GET',
+      path: '/api/logs?website=test-example.com&limit=3',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(firstPage.status === 200, `Expected 200, got ${firstPage.status}`);
+    assert(firstPage.body.has_more === true, 'Expected more pages');
+    assert(firstPage.body.next_cursor, 'Expected next_cursor');
+
+    const secondPage = await request({
+      method: 'GET',
+      path: `/api/logs?website=test-example.com&limit=3&cursor=${firstPage.body.next_cursor}`,
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(secondPage.status === 200, `Expected 200, got ${secondPage.status}`);
+    const firstIds = new Set(firstPage.body.logs.map(log => log.id));
+    assert(
+      secondPage.body.logs.every(log => !firstIds.has(log.id)),
+      'Expected pages not to overlap'
+    );
+  });
+
+  test('Filter logs by method, path and user agent', async () => {
+    const query = new URLSearchParams({
+      website: 'test-example.com',
+      method: 'get',
+      path: '//test-0?ignored=1',
+      agent: '(Test)',
+      limit: '5'
+    });
+
+    const response = await request({
+      method: 'GET',
+      path: `/api/logs?${query}`,
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(response.status === 200, `Expected 200, got ${response.status}`);
+    assert(response.body.logs.length > 0, 'Expected at least one matching log');
+    assert(
+      response.body.logs.every(log => log.data.method === 'GET' && log.data.path === '/test-0'),
+      'Expected only GET /test-0 records'
+    );
+  });
+
+  test('Reject invalid method', async () => {
+    const response = await request({
+      method: 'GET',
+      path: '/api/logs?method=FETCH',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(response.status === 400, `Expected 400, got ${response.status}`);
+  });
+
+  test('Filter error logs by severity and AH code', async () => {
+    const ingest = await request({
+      method: 'POST',
+      path: '/logs',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      },
+      body: [
+        {
+          host: 'test-example.com',
+          source_file: '/var/www/test-example.com/log/error.log',
+          message:
+            '[Wed Oct 11 14:32:52.123456 2023] [proxy_fcgi:error] [pid 1234:tid 5678] ' +
+            "[client 192.0.2.7:51234] AH01071: Got error 'Primary script unknown'"
+        }
+      ]
+    });
+
+    assert(ingest.status === 200, `Expected 200, got ${ingest.status}`);
+
+    const response = await request({
+      method: 'GET',
+      path: '/api/logs?website=test-example.com&severity=crit&error_code=AH01071',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(response.status === 200, `Expected 200, got ${response.status}`);
+    assertEqual(response.body.logs.length, 0, 'Expected no records at crit or above');
+
+    const matching = await request({
+      method: 'GET',
+      path: '/api/logs?website=test-example.com&severity=warn&error_code=ah01071',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(matching.status === 200, `Expected 200, got ${matching.status}`);
+    assert(matching.body.logs.length > 0, 'Expected the AH01071 record');
+    assertEqual(matching.body.logs[0].remote, '192.0.2.7', 'Expected the client IP as remote');
+  });
+
+  test('Normalise Apache access log timestamps to UTC', async () => {
+    const ingest = await request({
+      method: 'POST',
+      path: '/logs',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      },
+      body: [
+        {
+          host: 'test-example.com',
+          source_file: '/var/www/test-example.com/log/access.log',
+          log_timestamp: '10/Oct/2025:13:55:36 +0100',
+          remote: '198.51.100.15',
+          code: '200'
+        }
+      ]
+    });
+
+    assert(ingest.status === 200, `Expected 200, got ${ingest.status}`);
+
+    const response = await request({
+      method: 'GET',
+      path:
+        '/api/logs?website=test-example.com&remote=198.51.100.15' +
+        '&from=2025-10-10T12:55:00Z&to=2025-10-10T12:56:00Z',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(response.status === 200, `Expected 200, got ${response.status}`);
+    assert(response.body.logs.length > 0, 'Expected the record at its event time');
+    assertEqual(
+      new Date(response.body.logs[0].timestamp).toISOString(),
+      '2025-10-10T12:55:36.000Z',
+      'Expected the +0100 time converted to UTC'
+    );
+  });
+
+  test('Reject invalid cursor', async () => {
+    const response = await request({
+      method: 'GET',
+      path: '/api/logs?cursor=not-a-cursor',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(response.status === 400, `Expected 400, got ${response.status}`);
+  });
+
+  test('Exclude own IP addresses', async () => {
+    const response = await request({
+      method: 'GET',
+      path: '/api/logs?website=test-example.com&exclude_own=true&limit=5',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(response.status === 200, `Expected 200, got ${response.status}`);
+    assert(
+      response.body.logs.every(log => log.remote !== '127.0.0.1' && log.remote !== '::1'),
+      'Expected no loopback records'
+    );
+  });
+
+  test('Reject invalid exclude_own value', async () => {
+    const response = await request({
+      method: 'GET',
+      path: '/api/logs?exclude_own=maybe',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(response.status === 400, `Expected 400, got ${response.status}`);
+  });
+});
+
+describe('Complete Tests - Log Export', { skip: !isComplete }, () => {
+  test('Export logs as NDJSON', async () => {
+    const response = await request({
+      method: 'GET',
+      path: '/api/logs/export?format=ndjson&website=test-example.com&type=access',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(response.status === 200, `Expected 200, got ${response.status}`);
+    assert(
+      response.headers['content-type'].includes('application/x-ndjson'),
+      'Expected NDJSON content type'
+    );
+    assert(
+      response.headers['content-disposition'].includes('attachment'),
+      'Expected attachment disposition'
+    );
+
+    const records = response.body
+      .split('\n')
+      .filter(line => line.length > 0)
+      .map(line => JSON.parse(line));
+    assert(records.length > 0, 'Expected at least one exported record');
+    assert(
+      records.every(record => record.domain === 'test-example.com' && record.log_type === 'access'),
+      'Expected only access logs for test-example.com'
+    );
+  });
+
+  test('Export logs as CSV with header row', async () => {
+    const response = await request({
+      method: 'GET',
+      path: '/api/logs/export?format=csv&website=test-example.com',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(response.status === 200, `Expected 200, got ${response.status}`);
+    assert(response.headers['content-type'].includes('text/csv'), 'Expected CSV content type');
+    assert(response.body.startsWith('id,timestamp,domain,host,'), 'Expected CSV header row');
+  });
+
+  test('Export logs as JSON array', async () => {
+    const response = await request({
+      method: 'GET',
+      path: '/api/logs/export?format=json&website=test-example.com',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(response.status === 200, `Expected 200, got ${response.status}`);
+    assert(Array.isArray(response.body), 'Expected JSON array');
+  });
+
+  test('Reject invalid export format', async () => {
+    const response = await request({
+      method: 'GET',
+      path: '/api/logs/export?format=xml',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(response.status === 400, `Expected 400, got ${response.status}`);
+  });
+});
+
+describe('Complete Tests - Query Templates', { skip: !isComplete }, () => {
+  test('List available query templates', async () => {
+    const response = await request({
+      method: 'GET',
+      path: '/api/logs/queries',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(response.status === 200, `Expected 200, got ${response.status}`);
+    assert(Array.isArray(response.body.templates), 'Expected templates array');
+
+    const template = response.body.templates.find(t => t.name === 'wp-probes');
+    assert(template, 'Expected wp-probes template');
+    assert(Array.isArray(template.parameters), 'Expected template parameters');
+  });
+
+  test('Execute query template', async () => {
+    const response = await request({
+      method: 'GET',
+      path: '/api/logs/query/scanner-agents?website=test-example.com',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(response.status === 200, `Expected 200, got ${response.status}`);
+    assertEqual(response.body.query.name, 'scanner-agents', 'Expected template name');
+    assert(Array.isArray(response.body.logs), 'Expected logs array');
+  });
+
+  test('Unknown query template returns 404', async () => {
+    const response = await request({
+      method: 'GET',
+      path: '/api/logs/query/no-such-template',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(response.status === 404, `Expected 404, got ${response.status}`);
+    assert(Array.isArray(response.body.available_templates), 'Expected available templates');
+  });
+});
+
+describe('Complete Tests - Ingestion Metrics', { skip: !isComplete }, () => {
+  test('Get write buffer and backpressure metrics', async () => {
+    const response = await request({
+      method: 'GET',
+      path: '/api/logs/metrics',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(response.status === 200, `Expected 200, got ${response.status}`);
+    assertEqual(
+      response.body.writeBuffer.enabled,
+      config.writeBuffer.enabled,
+      'Expected the configured buffer state'
+    );
+    assert(typeof response.body.writeBuffer.depth === 'number', 'Expected buffer depth');
+    assert(response.body.writeBuffer.batchSize, 'Expected batch size summary');
+    assert(typeof response.body.admission.inFlight === 'number', 'Expected in-flight requests');
+    assertEqual(response.body.admission.shedding, false, 'Expected ingestion to be accepted');
+  });
+});
+
 describe('Complete Tests - Website Management', { skip: !isComplete }, () => {
   test('Website auto-created from log ingestion', async () => {
     // Verify test website was created
@@ -286,6 +870,35 @@ describe('Complete Tests - Website Management', { skip: !isComplete }, () => {
     assert(testWebsite, 'Expected test-example.com to be auto-created');
   });
 
+  test('Mixed-case domain resolves to the existing website', async () => {
+    const [log] = generateSampleLogs(1);
+    log.source_file = '/var/www/Test-Example.com/log/access.log';
+
+    const response = await request({
+      method: 'POST',
+      path: '/logs',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      },
+      body: [log]
+    });
+
+    assertEqual(response.status, 200, 'Ingestion status');
+    assertEqual(response.body.processed, 1, 'Record stored under test-example.com');
+
+    const websites = await request({
+      method: 'GET',
+      path: '/websites',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+    const matching = websites.body.websites.filter(
+      w => w.domain.toLowerCase() === 'test-example.com'
+    );
+    assertEqual(matching.length, 1, 'No second website for the mixed-case domain');
+  });
+
   test('Get specific website by domain', async () => {
     const response = await request({
       method: 'GET',
@@ -373,6 +986,261 @@ describe('Complete Tests - Website Management', { skip: !isComplete }, () => {
   });
 });
 
+// Runs only against a server with SYSLOG_ENABLED=true (same .env as the tests)
+describe('Complete Tests - Plain-Text Ingestion', { skip: !isComplete }, () => {
+  test('Ingest raw Apache lines sent as text/plain', async () => {
+    const lines = [
+      '198.51.100.25 - - [10/Oct/2025:13:55:36 +0100] "GET /plain-text HTTP/1.1" 410 0 "-" "curl/8.5"',
+      'not an access log line'
+    ].join('\n');
+
+    const response = await request({
+      method: 'POST',
+      path: '/api/logs?verbose=true&type=access',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`,
+        'Content-Type': 'text/plain',
+        'X-Headlog-Website': 'test-example.com',
+        'X-Headlog-Host': 'test-plain-host'
+      },
+      body: lines
+    });
+
+    assert(response.status === 200, `Expected 200, got ${response.status}`);
+    assertEqual(response.body.processed, 1, 'Expected the access line to be stored');
+    assertEqual(response.body.rejected[0].line, 2, 'Expected line 2 to be rejected');
+    assertEqual(response.body.rejected[0].reason, 'unparseable_line', 'Expected unparseable_line');
+
+    const logs = await request({
+      method: 'GET',
+      path: '/api/logs?website=test-example.com&remote=198.51.100.25',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`
+      }
+    });
+
+    assert(logs.body.logs.length > 0, 'Expected the parsed record');
+    assertEqual(logs.body.logs[0].code, '410', 'Expected the code from the line');
+    assertEqual(logs.body.logs[0].host, 'test-plain-host', 'Expected the host header');
+  });
+
+  test('Plain-text upload without a host returns 400', async () => {
+    const response = await request({
+      method: 'POST',
+      path: '/api/logs',
+      headers: {
+        Authorization: `Bearer ${testApiKey}`,
+        'Content-Type': 'text/plain'
+      },
+      body: '198.51.100.25 - - [10/Oct/2025:13:55:36 +0100] "GET / HTTP/1.1" 200 0'
+    });
+
+    assert(response.status === 400, `Expected 400, got ${response.status}`);
+  });
+});
+
+describe(
+  'Complete Tests - Syslog Listener',
+  { skip: !isComplete || !config.syslog.enabled },
+  () => {
+    test('Ingest an access line sent over UDP syslog', async () => {
+      const line =
+        '<190>Oct 10 12:55:36 test-syslog-host test-example.com-access: ' +
+        '198.51.100.23 - - [10/Oct/2025:13:55:36 +0100] "GET /syslog-test HTTP/1.1" 404 0 "-" "-"';
+
+      const socket = dgram.createSocket('udp4');
+      await new Promise((resolve, reject) => {
+        socket.send(line, config.syslog.port, '127.0.0.1', error =>
+          error ? reject(error) : resolve()
+        );
+      });
+      socket.close();
+
+      // Wait for the listener to flush its batch
+      await new Promise(resolve => setTimeout(resolve, config.syslog.flushInterval + 1000));
+
+      const response = await request({
+        method: 'GET',
+        path: '/api/logs?website=test-example.com&remote=198.51.100.23',
+        headers: {
+          Authorization: `Bearer ${testApiKey}`
+        }
+      });
+
+      assert(response.status === 200, `Expected 200, got ${response.status}`);
+      assert(response.body.logs.length > 0, 'Expected the syslog record');
+      assertEqual(response.body.logs[0].code, '404', 'Expected the code from the access line');
+      assertEqual(response.body.logs[0].host, 'test-syslog-host', 'Expected the syslog hostname');
+    });
+  }
+);
+
+describe(
+  'Complete Tests - Fluent Forward Listener',
+  { skip: !isComplete || !config.forward.enabled },
+  () => {
+    test('Authenticate with the shared key and receive a chunk ack', async () => {
+      const [rows] = await getPool().query('SELECT id, `key` FROM api_keys WHERE id = ?', [
+        testApiKeyId
+      ]);
+      const sharedKey = deriveSharedKey(rows[0]);
+      const sha512 = (...parts) => {
+        const hash = crypto.createHash('sha512');
+        parts.forEach(part => hash.update(part));
+        return hash.digest('hex');
+      };
+
+      const record = {
+        source_file: '/var/www/test-example.com/log/access.log',
+        host: 'test-forward-host',
+        remote: '198.51.100.24',
+        code: '418',
+        path: '/forward-test'
+      };
+
+      const replies = await new Promise((resolve, reject) => {
+        const socket = net.connect(config.forward.port, '127.0.0.1');
+        const received = [];
+        let buffer = Buffer.alloc(0);
+
+        socket.on('data', chunk => {
+          let values;
+          ({ values, rest: buffer } = decodeStream(Buffer.concat([buffer, chunk])));
+
+          for (const value of values) {
+            received.push(value);
+
+            if (value[0] === 'HELO') {
+              const digest = sha512('salt', 'test-client', value[1].nonce, sharedKey);
+              socket.write(encode(['PING', 'test-client', 'salt', digest, '', '']));
+            } else if (value[0] === 'PONG' && value[1]) {
+              const now = Math.floor(Date.now() / 1000);
+              socket.write(encode(['apache.access', [[now, record]], { chunk: 'test-chunk-1' }]));
+            } else {
+              socket.end();
+            }
+          }
+        });
+        socket.on('close', () => resolve(received));
+        socket.on('error', reject);
+      });
+
+      assertEqual(replies[1][0], 'PONG', 'Expected a PONG');
+      assert(replies[1][1] === true, `Expected authentication to succeed: ${replies[1][2]}`);
+      assertEqual(replies[2].ack, 'test-chunk-1', 'Expected the chunk to be acknowledged');
+
+      const response = await request({
+        method: 'GET',
+        path: '/api/logs?website=test-example.com&remote=198.51.100.24',
+        headers: {
+          Authorization: `Bearer ${testApiKey}`
+        }
+      });
+
+      assert(response.status === 200, `Expected 200, got ${response.status}`);
+      assert(response.body.logs.length > 0, 'Expected the forwarded record');
+      assertEqual(response.body.logs[0].code, '418', 'Expected the forwarded code');
+    });
+  }
+);
+
+describe(
+  'Complete Tests - Record Deduplication',
+  { skip: !isComplete || !config.logProcessing.deduplicateRecords },
+  () => {
+    test('Sending a batch again skips the records already stored', async () => {
+      // Unique per run, as fingerprints are kept for the deduplication window
+      const batch = [1, 2].map(n => ({
+        host: 'test-dedupe-host',
+        source_file: '/var/log/apache2/test-example.com/access.log',
+        log: `dedupe test ${Date.now()} ${n}`,
+        log_timestamp: new Date().toISOString()
+      }));
+
+      const send = () =>
+        request({
+          method: 'POST',
+          path: '/api/logs',
+          headers: {
+            Authorization: `Bearer ${testApiKey}`
+          },
+          body: batch
+        });
+
+      const first = await send();
+      assert(first.status === 200, `Expected 200, got ${first.status}`);
+      assertEqual(first.body.processed, 2, 'Expected both records to be stored');
+      assertEqual(first.body.duplicates, 0, 'Expected no duplicates');
+
+      const retry = await send();
+      assert(retry.status === 200, `Expected 200, got ${retry.status}`);
+      assertEqual(retry.body.processed, 0, 'Expected nothing stored on retry');
+      assertEqual(retry.body.duplicates, 2, 'Expected both records to be duplicates');
+    });
+  }
+);
+
+describe('Complete Tests - Log File Import', { skip: !isComplete }, () => {
+  test('An interrupted import resumes after the last batch without storing it twice', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'headlog-import-test-'));
+    const file = path.join(dir, 'access.log');
+    // Unique per run, as the fingerprint is kept in log_imports
+    const marker = `import-test-${Date.now()}`;
+    const target = { website: 'test-example.com', host: 'test-import-host', logType: 'access' };
+    const now = new Date()
+      .toUTCString()
+      .replace(/^\w+, (\d+) (\w+) (\d+) ([\d:]+) GMT$/, '$1/$2/$3:$4');
+
+    fs.writeFileSync(
+      file,
+      [1, 2, 3]
+        .map(
+          n =>
+            `198.51.100.3${n} - - [${now} +0000] "GET /${marker}/${n} HTTP/1.1" 200 ${n} "-" "-"\n`
+        )
+        .join('')
+    );
+
+    const countStored = async () => {
+      const [rows] = await getPool().query(
+        'SELECT COUNT(*) AS count FROM log_records WHERE raw_data LIKE ?',
+        [`%${marker}%`]
+      );
+      return Number(rows[0].count);
+    };
+
+    try {
+      // Stop after the first batch, as if the process had been killed
+      let interruption = null;
+      try {
+        await importLogFile(file, target, {
+          batchSize: 2,
+          onProgress: () => {
+            throw new Error('interrupted');
+          }
+        });
+      } catch (error) {
+        interruption = error;
+      }
+
+      assertEqual(interruption && interruption.message, 'interrupted', 'Expected the interruption');
+      assertEqual(await countStored(), 2, 'Expected the first batch to be stored');
+
+      const resumed = await importLogFile(file, target, { batchSize: 2 });
+      assertEqual(resumed.status, 'resumed', 'Expected the import to resume');
+      assertEqual(resumed.lines, 1, 'Expected only the line after the first batch');
+
+      const again = await importLogFile(file, target);
+      assertEqual(again.status, 'unchanged', 'Expected nothing new on a second full import');
+      assertEqual(again.stored, 0, 'Expected nothing stored on a second full import');
+
+      assertEqual(await countStored(), 3, 'Expected every line stored once');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
 describe('Complete Tests - Cleanup', { skip: !isComplete }, () => {
   test('Delete test API key', async () => {
     // Delete test keys by description pattern
@@ -106,14 +106,14 @@ async function createTestApiKey() {
   const { generateApiKey } = require('../src/utils/generateApiKey');
   const { getPool } = require('../src/config/database');
 
-  const key = generateApiKey();
+  const { key, prefix } = generateApiKey();
   const keyHash = await bcrypt.hash(key, 10);
   const pool = getPool();
 
-  const [result] = await pool.query('INSERT INTO api_keys (`key`, description) VALUES (?, ?)', [
-    keyHash,
-    'Test API key - auto-generated'
-  ]);
+  const [result] = await pool.query(
+    'INSERT INTO api_keys (`key`, key_prefix, description) VALUES (?, ?, ?)',
+    [keyHash, prefix, 'Test API key - auto-generated']
+  );
 
   return { key, id: result.insertId }; // Return plaintext key and ID
 }
@@ -141,6 +141,12 @@ async function cleanupTestData() {
 
   // Delete test websites and their logs (cascade)
   await pool.query('DELETE FROM websites WHERE domain LIKE ?', ['test-%']);
+
+  // Delete quarantined test records
+  await pool.query('DELETE FROM rejected_records WHERE source_file LIKE ?', ['/var/www/test-%']);
+
+  // Delete log file import progress
+  await pool.query('DELETE FROM log_imports WHERE host LIKE ?', ['test-%']);
 }
 
 /**
@@ -0,0 +1,673 @@
+#!/usr/bin/env node
+
+/**
+ * Unit Tests
+ *
+ * Checks of individual modules that need neither a running server nor a
+ * database.
+ *
+ * Usage:
+ *   npm run test:unit
+ *
+ * Or directly:
+ *   node tests/unit.test.js
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { test, describe, before, after } = require('node:test');
+const Fastify = require('fastify');
+const config = require('../src/config');
+const { validatePattern, findNestedQuantifiers } = require('../src/utils/regexSafety');
+const {
+  compilePathPatterns,
+  matchSourceFile,
+  extractDomain,
+  extractLogType
+} = require('../src/utils/extractDomain');
+const {
+  parseFilterFile,
+  translateRegex,
+  detectLogType,
+  substituteTags,
+  applyPrefregex
+} = require('../src/utils/fail2banFilter');
+const { importFail2banFilters, buildRuleName } = require('../src/services/fail2banImportService');
+const { isGzipFile, readLines, fingerprintFile } = require('../src/services/logImportService');
+const { takeSettledRecords } = require('../src/services/securityAnalysisService');
+const { validateTool, executeTool } = require('../src/services/toolExecutionService');
+const { tryAdmit } = require('../src/services/admissionService');
+const { handleConnection } = require('../src/services/forwardService');
+const { createStreamDecoder, decodeStream, encode } = require('../src/utils/msgpack');
+const logRoutes = require('../src/routes/logs');
+const sampleLogPaths = require('../config/log-paths-sample.json');
+const { assert, assertEqual } = require('./helpers');
+
+describe('Unit Tests - Regex Safety', () => {
+  test('Rejects a bounded repeat of a group holding an unbounded quantifier', () => {
+    const reason = findNestedQuantifiers('(.*,){15}x');
+    assert(reason && reason.includes('bounded repeats'), `Expected rejection, got ${reason}`);
+    assert(validatePattern('(.*,){15}x'), '(.*,){15}x should be rejected');
+    assert(validatePattern('(?:\\S+\\s){2,5}x'), '(?:\\S+\\s){2,5}x should be rejected');
+  });
+
+  test('Accepts bounded repeats of bounded groups', () => {
+    assertEqual(validatePattern('(?:\\d{1,3}\\.){3}\\d{1,3}'), null, 'IPv4 pattern');
+    assertEqual(validatePattern('(a+){1}'), null, 'Single repeat');
+  });
+
+  test('Probes with the pattern punctuation', () => {
+    // Passes the static checks; only a probe of commas exposes the backtracking
+    assertEqual(findNestedQuantifiers('(,|,,)*x'), null, 'Static check');
+    const reason = validatePattern('(,|,,)*x');
+    assert(reason && reason.includes('too long'), `Expected timeout rejection, got ${reason}`);
+  });
+
+  test('Accepts typical access log rules', () => {
+    assertEqual(
+      validatePattern('^(\\S+) \\S+ \\S+ \\[[^\\]]+\\] "GET /wp-login\\.php'),
+      null,
+      'wp-login rule'
+    );
+  });
+});
+
+describe('Unit Tests - Fail2ban Filters', () => {
+  let dir;
+
+  // Write filter files to a temporary filter.d directory
+  const writeFilters = files => {
+    Object.entries(files).forEach(([name, content]) => {
+      fs.writeFileSync(path.join(dir, name), content);
+    });
+  };
+
+  // Message of the error fn throws, or null
+  const thrownMessage = fn => {
+    try {
+      fn();
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'headlog-fail2ban-'));
+
+    writeFilters({
+      // Shape of the stock apache-common.conf / apache-auth.conf (prefregex)
+      'apache-common.conf': String.raw`[INCLUDES]
+after = apache-common.local
+
+[DEFAULT]
+_apache_error_client = <apache_error_client_prefix>\[[^]]*(?:error|info|warn)[^]]*\](?: \[pid \d+(?::\S+ \d+)?\])? \[client <HOST>(?::\d{1,5})?\]
+
+[Init]
+apache_error_client_prefix = \[[^]]*\]\s*
+`,
+      'apache-auth.conf': String.raw`[INCLUDES]
+before = apache-common.conf
+
+[Definition]
+prefregex = ^%(_apache_error_client)s (?:AH\d+: )?<F-CONTENT>.+</F-CONTENT>$
+
+failregex = ^client (?:denied by server configuration|used wrong authentication scheme)\b
+            ^user <F-USER>\S*</F-USER> (?:auth(?:oriz|entic)ation failure|not found|denied by provider)\b
+
+ignoreregex =
+`,
+      // Shape of the stock nginx-botsearch.conf / botsearch-common.conf (<block> tag)
+      'botsearch-common.conf': String.raw`[Init]
+block = \/?(<webmail>|<phpmyadmin>|<wordpress>|cgi-bin|mysqladmin)[^,]*
+webmail = roundcube|(ext)?mail|horde|(v-?)?webmail
+phpmyadmin = (typo3/|xampp/|admin/|)(pma|(php)?[Mm]y[Aa]dmin)
+wordpress = wp-(login|signup|admin)\.php
+`,
+      'nginx-botsearch.conf': String.raw`[INCLUDES]
+before = botsearch-common.conf
+
+[Definition]
+failregex = ^<HOST> \- \S+ \[[^]]*\] \"(GET|POST|HEAD) \/<block> \S+\" 404 .+$
+            ^<HOST> \- \S+ \[[^]]*\] \"GET \/<missing> \S+\"
+`,
+      // Includes, .local overrides, interpolation and Python syntax
+      'common.conf': String.raw`[DEFAULT]
+method = GET
+target = /common
+
+[Definition]
+target = /before
+`,
+      'overrides.conf': String.raw`[INCLUDES]
+before = common.conf
+after = overrides-after.conf
+
+[Definition]
+target = /own
+verb = %(method)s
+failregex = \A<HOST> - \S+ \[[^]]*\] "%(verb)s %(target)s(?P<rest>\S*) HTTP/(?P<ver>[\d.]+)" (?P=ver)?
+            ^<HOST> - <F-USER>\S+</F-USER> \[[^]]*\] "POST /login HTTP/[\d.]+" 401 \d+\Z
+ignoreregex = "GET /own/health
+`,
+      'overrides-after.conf': String.raw`[Definition]
+method = HEAD
+`,
+      'overrides.local': String.raw`[Definition]
+target = /local
+`
+    });
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('Failregex entries are combined with the prefregex', () => {
+    const parsed = parseFilterFile(path.join(dir, 'apache-auth.conf'));
+
+    assertEqual(parsed.skipped, [], 'Skipped');
+    assertEqual(parsed.rules.length, 2, 'Rules');
+    parsed.rules.forEach(rule =>
+      assertEqual(rule.log_type, 'error', `Rule ${rule.index} log type`)
+    );
+
+    const line =
+      '[Mon Oct 18 10:00:00.123 2026] [auth_basic:error] [pid 123] [client 203.0.113.9:51234] ' +
+      'AH01618: user bob not found: /admin';
+    assert(new RegExp(parsed.rules[1].trigger_pattern, 'i').test(line), 'User rule matches');
+    assert(!new RegExp(parsed.rules[0].trigger_pattern, 'i').test(line), 'Client rule does not');
+  });
+
+  test('A prefregex without <F-CONTENT> is reported', () => {
+    assertEqual(
+      thrownMessage(() => applyPrefregex('^\\[client <HOST>\\] .+$', '^denied')),
+      'prefregex has no <F-CONTENT> group',
+      'Error'
+    );
+  });
+
+  test('Option tags are substituted from the filter variables', () => {
+    const parsed = parseFilterFile(path.join(dir, 'nginx-botsearch.conf'));
+
+    assertEqual(parsed.rules.length, 1, 'Rules');
+    assert(!parsed.rules[0].trigger_pattern.includes('<'), 'No tag left in the pattern');
+    assert(
+      new RegExp(parsed.rules[0].trigger_pattern, 'i').test(
+        '198.51.100.7 - - [18/Oct/2026:10:00:00 +0000] "GET /wp-login.php HTTP/1.1" 404 153 "-" "-"'
+      ),
+      'Block rule matches a WordPress probe'
+    );
+    assertEqual(parsed.skipped, [{ index: 2, reason: 'Undefined tag <missing>' }], 'Skipped');
+  });
+
+  test('Includes, .local overrides and interpolation are applied in order', () => {
+    const parsed = parseFilterFile(path.join(dir, 'overrides.conf'));
+
+    assertEqual(parsed.skipped, [], 'Skipped');
+    assertEqual(parsed.rules.length, 2, 'Rules');
+
+    // .local beats the filter, which beats the before include; the after include wins last
+    const [first, second] = parsed.rules.map(rule => new RegExp(rule.trigger_pattern, 'i'));
+    assert(
+      first.test('192.0.2.1 - - [18/Oct/2026:10:00:00 +0000] "HEAD /local/x HTTP/1.1" 200'),
+      `First rule: ${parsed.rules[0].trigger_pattern}`
+    );
+    assert(
+      !first.test('192.0.2.1 - - [18/Oct/2026:10:00:00 +0000] "GET /own/x HTTP/1.1" 200'),
+      'Overridden target and method do not match'
+    );
+    assert(
+      second.test('192.0.2.1 - alice [18/Oct/2026:10:00:00 +0000] "POST /login HTTP/1.1" 401 12'),
+      `Second rule: ${parsed.rules[1].trigger_pattern}`
+    );
+    assert(parsed.ignore_pattern.includes('/own/health'), 'Ignore pattern');
+  });
+
+  test('Python regex syntax is translated', () => {
+    assertEqual(
+      translateRegex('\\A(?P<user>\\w+) (?P=user)\\Z'),
+      '^(?<user>\\w+) \\k<user>$',
+      'Named groups and anchors'
+    );
+    assertEqual(
+      translateRegex('(?i)<F-USER>\\S+</F-USER> [^]]+'),
+      '(?:\\S+) [^\\]]+',
+      'Inline flags, F-tags and leading class bracket'
+    );
+    assert(
+      translateRegex('(?P<ip><HOST>)', { stripGroupNames: true }).startsWith('(?:(?:'),
+      'Group names stripped'
+    );
+  });
+
+  test('Log type is detected from the host position', () => {
+    assertEqual(detectLogType('^<HOST> - \\S+'), 'access', 'Leading host');
+    assertEqual(detectLogType('\\[client <HOST>(?::\\d+)?\\]'), 'error', 'Client');
+    assertEqual(detectLogType('\\[(?:client|remote) <ADDR>\\]'), 'error', 'Client or remote');
+    assertEqual(
+      detectLogType('^sshd\\[\\d+\\]: Failed password for .* from <HOST>'),
+      null,
+      'Other'
+    );
+  });
+
+  test('A dry-run import reports rules and skipped entries per filter', async () => {
+    const { results } = await importFail2banFilters(dir, {
+      eventType: 'auth-failure',
+      filters: ['apache-auth', 'nginx-botsearch'],
+      dryRun: true
+    });
+
+    assertEqual(
+      results.map(r => [r.filter, r.rules.length, r.skipped.length]),
+      [
+        ['apache-auth', 2, 0],
+        ['nginx-botsearch', 1, 1]
+      ],
+      'Results'
+    );
+    assertEqual(buildRuleName('apache-auth', 2, 2), 'fail2ban:apache-auth:2', 'Rule name');
+    assertEqual(
+      buildRuleName('apache-badbots', 1, 1),
+      'fail2ban:apache-badbots',
+      'Single rule name'
+    );
+  });
+
+  test('Substitution stops at undefined and recursive tags', () => {
+    const builtIn = '<HOST> <F-USER>x</F-USER> (?P<a>b) (?<c>d) \\k<c>';
+    assertEqual(substituteTags(builtIn, {}), builtIn, 'Built-in tags and group names');
+    const reason = thrownMessage(() => substituteTags('<loop>', { loop: '<loop>' }));
+    assert(reason && reason.includes('depth exceeded'), `Expected depth error, got ${reason}`);
+  });
+});
+
+describe('Unit Tests - Log Path Patterns', () => {
+  const { patterns: samplePatterns, errors } = compilePathPatterns(sampleLogPaths.patterns);
+
+  test('Sample config patterns compile', () => {
+    assertEqual(errors, [], 'Pattern errors');
+  });
+
+  test('Server-wide log files resolve to no website', () => {
+    [
+      '/var/log/httpd/ssl_access_log',
+      '/var/log/apache2/access.log',
+      '/var/log/apache2/access.log.2.gz'
+    ].forEach(sourceFile => {
+      assertEqual(extractDomain(sourceFile), null, sourceFile);
+      assertEqual(
+        matchSourceFile(sourceFile, samplePatterns),
+        null,
+        `${sourceFile} (sample config)`
+      );
+    });
+  });
+
+  test('Per-site log files resolve to their domain', () => {
+    const cases = [
+      ['/var/log/nginx/example.com.access.log', 'example.com', 'access'],
+      ['/var/log/nginx/example.com.access.log.2.gz', 'example.com', 'access'],
+      ['/var/log/httpd/ssl_example.com_access_log', 'example.com', 'access'],
+      ['/var/log/apache2/sub.example.co.uk-ssl-error.log.1', 'sub.example.co.uk', 'error'],
+      ['/var/www/example.com/log/access.log.2.gz', 'example.com', 'access'],
+      ['/var/www/vhosts/system/example.com/logs/error_log.1.gz', 'example.com', 'error'],
+      ['/usr/local/apache/domlogs/example.com-ssl_log.gz', 'example.com', 'access']
+    ];
+
+    cases.forEach(([sourceFile, domain, logType]) => {
+      assertEqual(extractDomain(sourceFile), domain, sourceFile);
+      assertEqual(extractLogType(sourceFile), logType, `${sourceFile} log type`);
+      assertEqual(
+        matchSourceFile(sourceFile, samplePatterns).domain,
+        domain,
+        `${sourceFile} (sample config)`
+      );
+    });
+  });
+
+  test('cPanel bandwidth logs are not matched', () => {
+    assertEqual(
+      extractDomain('/usr/local/apache/domlogs/example.com-bytes_log.gz'),
+      null,
+      'bytes_log'
+    );
+  });
+});
+
+describe('Unit Tests - Log File Import', () => {
+  const lines = [
+    '192.0.2.10 - - [18/Oct/2026:10:00:00 +0000] "GET / HTTP/1.1" 200 512 "-" "-"',
+    '192.0.2.11 - - [18/Oct/2026:10:00:01 +0000] "GET /a HTTP/1.1" 404 0 "-" "-"',
+    '192.0.2.12 - - [18/Oct/2026:10:00:02 +0000] "GET /b HTTP/1.1" 200 64 "-" "-"'
+  ];
+  const target = { website: 'example.com', host: 'web1', logType: 'access' };
+  let dir;
+  let plainFile;
+  let gzipFile;
+
+  // Collect the lines of a file from an offset
+  const collect = async (filePath, gzip, startOffset) => {
+    const read = [];
+    for await (const line of readLines(filePath, { gzip, startOffset, onRead: () => {} })) {
+      read.push(line);
+    }
+    return read;
+  };
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'headlog-import-'));
+    plainFile = path.join(dir, 'access.log');
+    gzipFile = path.join(dir, 'access.log.1.gz');
+
+    // The plain file is still being written: its last line is not terminated
+    fs.writeFileSync(plainFile, `${lines[0]}\r\n\n${lines[1]}\n${lines[2]}`);
+    fs.writeFileSync(gzipFile, zlib.gzipSync(`${lines[0]}\r\n\n${lines[1]}\n${lines[2]}`));
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('Gzip files are detected by content', async () => {
+    assertEqual(await isGzipFile(gzipFile), true, 'Gzip file');
+    assertEqual(await isGzipFile(plainFile), false, 'Plain file');
+
+    const renamed = path.join(dir, 'renamed.log');
+    fs.copyFileSync(gzipFile, renamed);
+    assertEqual(await isGzipFile(renamed), true, 'Gzip file without .gz');
+  });
+
+  test('Lines carry their end offsets and resume from an offset', async () => {
+    const plain = await collect(plainFile, false, 0);
+    assertEqual(
+      plain.map(line => line.text),
+      [lines[0], '', lines[1]],
+      'Unterminated last line left out'
+    );
+    assertEqual(plain[0].end, lines[0].length + 2, 'CRLF line end');
+
+    const resumed = await collect(plainFile, false, plain[1].end);
+    assertEqual(resumed, plain.slice(2), 'Plain file from an offset');
+
+    const gzip = await collect(gzipFile, true, plain[1].end);
+    assertEqual(
+      gzip.map(line => line.text),
+      [lines[1], lines[2]],
+      'Gzip file from the same offset, with its last line'
+    );
+    assertEqual(gzip[0].end, plain[2].end, 'Same uncompressed offsets');
+  });
+
+  test('The fingerprint identifies the file content and target', async () => {
+    const plain = await fingerprintFile(plainFile, false, target);
+    const gzip = await fingerprintFile(gzipFile, true, target);
+
+    assertEqual(plain.toString('hex'), gzip.toString('hex'), 'Rotated and compressed copy');
+    assert(
+      !plain.equals(await fingerprintFile(plainFile, false, { ...target, host: 'web2' })),
+      'Another host gives another fingerprint'
+    );
+
+    const partial = path.join(dir, 'partial.log');
+    fs.writeFileSync(partial, lines[0]);
+    assertEqual(await fingerprintFile(partial, false, target), null, 'No complete line');
+  });
+});
+
+describe('Unit Tests - Security Analysis Watermark', () => {
+  // Records with ids and ages in seconds
+  const records = (...rows) => rows.map(([id, age]) => ({ id, age_seconds: age }));
+  const ids = rows => rows.map(row => row.id);
+
+  test('Contiguous records are all taken, however recent', () => {
+    assertEqual(ids(takeSettledRecords(records([11, 0], [12, 0], [13, 0]), 10)), [11, 12, 13]);
+  });
+
+  test('The watermark stops before a missing id below a recent record', () => {
+    // 13 may still be committed by a long transaction
+    const batch = records([11, 20], [12, 20], [14, 10], [15, 5]);
+    assertEqual(ids(takeSettledRecords(batch, 10)), [11, 12], 'Stops before 14');
+    assertEqual(
+      ids(takeSettledRecords(batch.slice(2), 12)),
+      [],
+      'Nothing to take while 13 is missing'
+    );
+  });
+
+  test('An old gap is passed', () => {
+    // Rolled back or deleted long ago
+    const batch = records([11, 900], [20, 600], [21, 0]);
+    assertEqual(ids(takeSettledRecords(batch, 10)), [11, 20, 21]);
+    assertEqual(ids(takeSettledRecords(records([500, 400]), 10)), [500], 'Gap at the watermark');
+  });
+
+  test('The id step of the server is not a gap', () => {
+    assertEqual(ids(takeSettledRecords(records([13, 0], [16, 0], [19, 0]), 10, 3)), [13, 16, 19]);
+    assertEqual(ids(takeSettledRecords(records([13, 0], [19, 0]), 10, 3)), [13], 'Missing 16');
+  });
+});
+
+describe('Unit Tests - Analysis Tools', () => {
+  // A Node.js script as the tool (the test runner's own executable)
+  const nodeTool = (script, limits = {}) => ({
+    name: 'test-tool',
+    command: process.execPath,
+    args: ['-e', script],
+    timeout: 10,
+    max_output: 65536,
+    ...limits
+  });
+
+  test('Timeout and max_output must be positive integers', () => {
+    assertEqual(validateTool(nodeTool(''), 'batch'), null, 'Valid tool');
+
+    ['30', 0, -5, 1.5, null, NaN, Infinity].forEach(timeout => {
+      assertEqual(
+        validateTool(nodeTool('', { timeout }), 'batch'),
+        'timeout must be a positive integer (seconds)',
+        `timeout ${String(timeout)}`
+      );
+    });
+    ['65536', 0, null].forEach(maxOutput => {
+      assertEqual(
+        validateTool(nodeTool('', { max_output: maxOutput }), 'batch'),
+        'max_output must be a positive integer (bytes)',
+        `max_output ${String(maxOutput)}`
+      );
+    });
+  });
+
+  test('A tool receives JSON on stdin and a minimal environment', async () => {
+    const result = await executeTool(
+      nodeTool(
+        'let s = ""; process.stdin.on("data", d => (s += d)).on("end", () => ' +
+          'console.log(JSON.stringify({ count: JSON.parse(s).violations.length, ' +
+          'run: process.env.HEADLOG_ANALYSIS_RUN_ID, db: process.env.DB_PASSWORD || null })))'
+      ),
+      { violations: [1, 2, 3] },
+      { HEADLOG_ANALYSIS_RUN_ID: '7' }
+    );
+
+    assertEqual(result.status, 'success', `Status (${result.stderr})`);
+    assertEqual(result.exit_code, 0, 'Exit code');
+    assertEqual(JSON.parse(result.stdout), { count: 3, run: '7', db: null }, 'Output');
+  });
+
+  test('A tool that overruns its timeout is killed', async () => {
+    const startedAt = Date.now();
+    const result = await executeTool(nodeTool('setTimeout(() => {}, 60000)', { timeout: 1 }), {});
+
+    assertEqual(result.status, 'timeout', 'Status');
+    assertEqual(result.exit_signal, 'SIGTERM', 'Signal');
+    assert(Date.now() - startedAt < 5000, 'Killed after about a second');
+  });
+
+  test('A tool that exceeds max_output is killed', async () => {
+    const result = await executeTool(
+      nodeTool('process.stdout.write("x".repeat(100000)); setTimeout(() => {}, 60000)', {
+        max_output: 1000
+      }),
+      {}
+    );
+
+    assertEqual(result.status, 'output_limit', 'Status');
+    assert(result.stdout_bytes <= 1000, `Stored output capped, got ${result.stdout_bytes}`);
+  });
+});
+
+describe('Unit Tests - Ingestion Backpressure', () => {
+  const backpressure = { ...config.backpressure };
+  let app;
+
+  before(async () => {
+    // One request in flight is the limit; no pool sampling
+    config.backpressure.maxInFlight = 1;
+    config.backpressure.maxPoolWaitMs = 0;
+
+    app = Fastify();
+    await app.register(logRoutes, { prefix: '/api' });
+    await app.ready();
+  });
+
+  after(async () => {
+    Object.assign(config.backpressure, backpressure);
+    await app.close();
+  });
+
+  test('Ingestion at the in-flight limit gets 503 with Retry-After', async () => {
+    const held = tryAdmit();
+    assert(held.admitted, 'First admission should succeed');
+
+    try {
+      const response = await app.inject({
+        method: 'POST',
+        url: '/api/logs',
+        payload: [{ timestamp: new Date().toISOString(), source_file: '/var/log/test.log' }]
+      });
+
+      assertEqual(response.statusCode, 503, 'Status');
+
+      const retryAfter = Number(response.headers['retry-after']);
+      assert(
+        Number.isInteger(retryAfter) &&
+          retryAfter >= 1 &&
+          retryAfter <= config.backpressure.retryAfterMax,
+        `Retry-After should be 1-${config.backpressure.retryAfterMax}s, got ${response.headers['retry-after']}`
+      );
+      assertEqual(response.json().retry_after, retryAfter, 'retry_after matches the header');
+    } finally {
+      held.release();
+    }
+
+    const next = tryAdmit();
+    assert(next.admitted, 'Admission should succeed again once the request is released');
+    next.release();
+  });
+});
+
+describe('Unit Tests - MessagePack Stream Decoding', () => {
+  const values = [
+    ['HELO', { nonce: Buffer.from('0123456789abcdef'), auth: '', keepalive: true }],
+    ['app.access', [[1700000000, { log: 'GET / HTTP/1.1', code: 200, tags: [] }]], {}],
+    { nested: { list: Array.from({ length: 20 }, (_, i) => ({ i, empty: {} })) } },
+    [],
+    'x'.repeat(300),
+    -12345.5
+  ];
+  const data = Buffer.concat(values.map(encode));
+
+  test('Values split across chunks decode as in one buffer', () => {
+    const expected = decodeStream(data).values;
+
+    [1, 7, 64].forEach(size => {
+      const decoder = createStreamDecoder();
+      const decoded = [];
+      for (let offset = 0; offset < data.length; offset += size) {
+        decoded.push(...decoder.write(data.subarray(offset, offset + size)));
+      }
+
+      assertEqual(JSON.stringify(decoded), JSON.stringify(expected), `${size}-byte chunks`);
+      assertEqual(decoder.pending, 0, `Nothing pending after ${size}-byte chunks`);
+    });
+  });
+
+  test('Pending counts the bytes of the incomplete value', () => {
+    const decoder = createStreamDecoder();
+    const message = encode(values[1]);
+
+    assertEqual(decoder.write(message.subarray(0, 10)).length, 0, 'No value yet');
+    assertEqual(decoder.pending, 10, 'Pending after part of a message');
+    assertEqual(decoder.write(message.subarray(10)).length, 1, 'Message completed');
+    assertEqual(decoder.pending, 0, 'Pending after the message');
+  });
+
+  test('Nesting deeper than the limit is refused', () => {
+    const decoder = createStreamDecoder(2);
+    assertEqual(decoder.write(encode([[1]])).length, 1, 'Two levels decode');
+
+    let message = null;
+    try {
+      decoder.write(encode([[[1]]]));
+    } catch (error) {
+      message = error.message;
+    }
+    assertEqual(message, 'MessagePack nesting deeper than 2', 'Three levels refused');
+  });
+});
+
+describe('Unit Tests - Forward Connections', () => {
+  const forward = { ...config.forward };
+  let server;
+  let port;
+
+  before(async () => {
+    config.forward.handshakeTimeout = 1;
+    server = net.createServer(handleConnection);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    port = server.address().port;
+  });
+
+  after(async () => {
+    Object.assign(config.forward, forward);
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  // Connect, send data after HELO, and resolve with the time until the server closes
+  const connect = (payload = null) =>
+    new Promise((resolve, reject) => {
+      const started = Date.now();
+      const client = net.connect(port, '127.0.0.1');
+      const decoder = createStreamDecoder();
+      const received = [];
+
+      client.on('data', chunk => {
+        const decoded = decoder.write(chunk);
+        if (decoded.length > 0 && received.length === 0 && payload) {
+          client.write(payload);
+        }
+        received.push(...decoded);
+      });
+      client.on('error', reject);
+      client.on('close', () => resolve({ received, elapsed: Date.now() - started }));
+    });
+
+  test('A client that never sends PING is closed after the handshake timeout', async () => {
+    const { received, elapsed } = await connect();
+
+    assertEqual(received[0][0], 'HELO', 'HELO sent first');
+    assert(elapsed >= 900 && elapsed < 5000, `Closed after ${elapsed}ms`);
+  });
+
+  test('An incomplete message over the handshake limit is refused', async () => {
+    // str32 header announcing 1 MB, followed by 100 kB of it
+    const header = Buffer.from([0xdb, 0x00, 0x10, 0x00, 0x00]);
+    const { elapsed } = await connect(Buffer.concat([header, Buffer.alloc(100000, 0x61)]));
+
+    assert(elapsed < 900, `Closed before the handshake timeout, after ${elapsed}ms`);
+  });
+});